@@ -16,6 +16,121 @@ module.exports = {
         CANCELLED: 'cancelled'   // 취소된 구독 (수동 취소 또는 거절됨)
     },
 
+    /**
+     * 구독 기간 / 자동 갱신 (services/subscriptionService.js, 스케줄러 subscriptionLifecycle)
+     * .env로 덮어쓰기 가능 (괄호 안 변수명)
+     *
+     * - BILLING_PERIOD_MONTHS: 한 결제 기간 (승인 / 갱신 시 end_date 계산)
+     * - MAX_CATCH_UP_PERIODS: 스케줄러가 오래 멈춰 있던 경우 한 번에 따라잡는 최대 기간 수
+     */
+    SUBSCRIPTION_LIFECYCLE: {
+        BILLING_PERIOD_MONTHS: 1,         // SUBSCRIPTION_BILLING_PERIOD_MONTHS
+        MAX_CATCH_UP_PERIODS: 12
+    },
+
+    /**
+     * 청구 (services/invoiceService.js, Invoices / InvoiceLineItems)
+     * .env로 덮어쓰기 가능 (괄호 안 변수명)
+     *
+     * - TAX_RATE: 세율 (0.1 = 10%), subtotal에 적용
+     * - INVOICE_DUE_DAYS: 청구서 발행일부터 결제 기한까지 일수
+     */
+    BILLING: {
+        CURRENCY: 'USD',
+        TAX_RATE: 0,                          // BILLING_TAX_RATE
+        INVOICE_DUE_DAYS: 14                  // BILLING_INVOICE_DUE_DAYS
+    },
+
+    /**
+     * 청구서 상태
+     * 청구서 라이프사이클: draft (기간 진행 중) → open (발행, 결제 대기) → paid / void
+     */
+    INVOICE_STATUS: {
+        DRAFT: 'draft',      // 기간 진행 중 (기본 요금만, 금액 미확정)
+        OPEN: 'open',        // 기간 종료 후 발행 (결제 대기)
+        PAID: 'paid',        // 결제 완료 (합계 0은 발행과 동시에 paid)
+        VOID: 'void'         // 취소됨 (결제 불필요)
+    },
+
+    /**
+     * 청구 항목 종류 (InvoiceLineItems.line_type)
+     */
+    INVOICE_LINE_TYPE: {
+        BASE_PLAN: 'base_plan',  // 기간 시작 시점 Tier 기본 요금
+        PRORATION: 'proration',  // 기간 중 업그레이드 일할 계산 (SubscriptionTierChanges)
+        PREPAYMENT: 'prepayment' // 결제 대행사로 선결제한 기본 요금 차감 (음수, Payments.base_amount_usd)
+    },
+
+    /**
+     * 결제 대행사 (services/paymentProviders.js, services/paymentService.js)
+     * .env로 덮어쓰기 가능 (괄호 안 변수명)
+     *
+     * - PROVIDER: stripe / fake (NODE_ENV=test 전용, 프로세스 내 가짜 결제)
+     * - WEBHOOK_TOLERANCE_SECONDS: Webhook 서명 timestamp 허용 오차 (재전송 공격 방지)
+     * - CHECKOUT_SUCCESS_PATH / CHECKOUT_CANCEL_PATH: 결제 후 돌아올 페이지 (APP_BASE_URL 기준)
+     */
+    PAYMENT: {
+        PROVIDER: 'stripe',                   // PAYMENT_PROVIDER
+        WEBHOOK_TOLERANCE_SECONDS: 300,       // PAYMENT_WEBHOOK_TOLERANCE_SECONDS
+        CHECKOUT_SUCCESS_PATH: '/pages/user/subscription.html?checkout=success',
+        CHECKOUT_CANCEL_PATH: '/pages/user/subscription.html?checkout=cancelled'
+    },
+
+    /**
+     * 결제 상태 (Payments.status)
+     * 결제 라이프사이클: pending (결제 페이지 생성) → succeeded / refund_required / failed,
+     *                    succeeded / refund_required → refunded
+     */
+    PAYMENT_STATUS: {
+        PENDING: 'pending',        // 결제 대기 (대행사 결제 페이지)
+        SUCCEEDED: 'succeeded',    // 결제 완료 (대행사 Webhook 확인)
+        REFUND_REQUIRED: 'refund_required', // 결제는 됐지만 적용 불가 (금액 불일치 / 구독·청구서 상태) → 관리자 환불
+        FAILED: 'failed',          // 결제 실패 / 세션 만료 / 결제 페이지 생성 실패
+        REFUNDED: 'refunded'       // 전액 환불
+    },
+
+    /**
+     * 결제 대상 (Payments.purpose)
+     */
+    PAYMENT_PURPOSE: {
+        SUBSCRIPTION: 'subscription',  // 승인 대기 구독 (결제 성공 시 자동 활성화)
+        INVOICE: 'invoice'             // 발행된 청구서 (결제 성공 시 paid)
+    },
+
+    /**
+     * 결제 대행사 Webhook을 공통 형식으로 바꾼 이벤트 (provider.parseWebhookEvent)
+     */
+    PAYMENT_EVENTS: {
+        SUCCEEDED: 'payment.succeeded',
+        FAILED: 'payment.failed',
+        REFUNDED: 'payment.refunded'
+    },
+
+    /**
+     * 구독 해지 방식 (POST /api/subscriptions/cancel)
+     * - 기간 종료 시 해지는 end_date 전까지 재활성화 가능
+     */
+    SUBSCRIPTION_CANCEL_MODE: {
+        IMMEDIATE: 'immediate',     // 즉시 해지
+        PERIOD_END: 'period_end'    // 현재 기간 종료 시 해지 (스케줄러 subscriptionLifecycle)
+    },
+
+    /**
+     * 구독 Tier 변경 (services/subscriptionService.js changeTier, SubscriptionTierChanges)
+     * - 업그레이드: 즉시 적용 + 남은 기간 일할 계산 (price_usd 기준)
+     * - 다운그레이드: 현재 기간 종료일(end_date)에 적용 (스케줄러 subscriptionLifecycle)
+     */
+    TIER_CHANGE_TYPE: {
+        UPGRADE: 'upgrade',
+        DOWNGRADE: 'downgrade'
+    },
+
+    TIER_CHANGE_STATUS: {
+        APPLIED: 'applied',      // 적용됨
+        SCHEDULED: 'scheduled',  // 기간 종료일 적용 예정 (다운그레이드)
+        CANCELLED: 'cancelled'   // 취소됨 (다른 변경 / 현재 Tier 재선택 / 구독 종료)
+    },
+
     /**
      * API Key 상태 관리
      * API Key 라이프사이클: active ↔ inactive, 또는 → expired
@@ -31,7 +146,8 @@ module.exports = {
      * IP 기반, 시간 기반, 월 기반 제한 설정
      */
     RATE_LIMIT_TYPE: {
-        HOURLY: 'hourly',        // 시간당 제한 (개발 환경)
+        BURST: 'burst',          // 초당 제한 (API Key 순간 폭주)
+        HOURLY: 'hourly',        // 시간당 제한 (API Key 지속 사용)
         MONTHLY: 'monthly',      // 월당 제한 (API 호출량)
         IP_BASED: 'ip_based'     // IP 기반 제한 (DDoS 방어)
     },
@@ -69,9 +185,211 @@ module.exports = {
         SUBSCRIPTION_ACTIVATED: 'subscription_activated',   // 구독 승인됨
         SUBSCRIPTION_EXPIRED: 'subscription_expired',       // 구독 만료됨
         SUBSCRIPTION_CANCELLED: 'subscription_cancelled',   // 구독 취소됨
+        SUBSCRIPTION_RENEWED: 'subscription_renewed',       // 구독 자동 갱신됨 (스케줄러)
+        SUBSCRIPTION_TIER_CHANGED: 'subscription_tier_changed', // 구독 Tier 변경 적용됨 (업그레이드 즉시, 다운그레이드는 기간 종료일)
         API_LIMIT_REACHED: 'api_limit_reached',            // API 호출 제한 도달
         API_LIMIT_WARNING: 'api_limit_warning',            // API 호출 80% 이상 사용
-        USER_BLOCKED: 'user_blocked'                       // 사용자 차단됨
+        USER_BLOCKED: 'user_blocked',                      // 사용자 차단됨
+        API_KEY_EXPIRING: 'api_key_expiring',              // API Key 만료 예정 (스케줄러)
+        API_KEY_SUSPENDED: 'api_key_suspended'             // 반복 위반으로 API Key 일시 정지
+    },
+
+    /**
+     * API Key 만료 / Secret 교체 기본값
+     * .env로 덮어쓰기 가능 (괄호 안 변수명)
+     *
+     * - EXPIRY_DAYS_OPTIONS: 생성/교체 시 선택 가능한 만료 기간 (일), 생략 시 만료 없음
+     * - ROTATION_GRACE_HOURS: 교체 후 이전 Secret을 계속 허용하는 기본 시간
+     * - EXPIRY_NOTICE_DAYS: 만료 N일 전 api_key_expiring Webhook 발송
+     * - SCHEDULER_INTERVAL_MINUTES: 스케줄러 실행 간격
+     */
+    API_KEY_LIFECYCLE: {
+        EXPIRY_DAYS_OPTIONS: [30, 90, 180, 365],
+        ROTATION_GRACE_HOURS: 24,         // API_KEY_ROTATION_GRACE_HOURS
+        ROTATION_MAX_GRACE_HOURS: 168,    // 최대 7일
+        EXPIRY_NOTICE_DAYS: 7,            // API_KEY_EXPIRY_NOTICE_DAYS
+        SCHEDULER_INTERVAL_MINUTES: 60    // SCHEDULER_INTERVAL_MINUTES
+    },
+
+    /**
+     * API Key 서명 요청 (X-Signature) 기본값
+     * .env로 덮어쓰기 가능 (괄호 안 변수명)
+     *
+     * - MAX_CLOCK_SKEW_SECONDS: X-Timestamp와 서버 시각의 최대 허용 차이
+     * - NONCE_MIN_LENGTH / NONCE_MAX_LENGTH: X-Nonce 길이 ([A-Za-z0-9_-])
+     * - MAX_CACHED_NONCES: 인스턴스당 재사용 방지 캐시 크기 (가득 차면 서명 요청 거부)
+     */
+    API_KEY_SIGNATURE: {
+        MAX_CLOCK_SKEW_SECONDS: 300,      // API_SIGNATURE_MAX_SKEW_SECONDS
+        NONCE_MIN_LENGTH: 16,
+        NONCE_MAX_LENGTH: 64,
+        MAX_CACHED_NONCES: 100000
+    },
+
+    /**
+     * API Key 요청 속도 제한 (슬라이딩 윈도우, middleware/rateLimitMiddleware.js apiKeyRateLimiter)
+     * .env로 덮어쓰기 가능 (괄호 안 변수명)
+     *
+     * - DEFAULT: SubscriptionTiers.rate_limit_per_second / rate_limit_per_hour가 NULL일 때
+     * - STORE: 카운터 저장소 (memory: 인스턴스별, sql: RateLimitCounters 테이블로 인스턴스 간 공유)
+     */
+    API_RATE_LIMITS: {
+        DEFAULT: {
+            PER_SECOND: 2,
+            PER_HOUR: 500
+        },
+        STORE: 'memory'                   // RATE_LIMIT_STORE
+    },
+
+    /**
+     * 반복 위반 자동 대응 (services/abuseService.js)
+     * .env로 덮어쓰기 가능 (괄호 안 변수명)
+     *
+     * - WINDOW_HOURS 내 RateLimitLogs 위반이 기준 횟수 이상이면 일시 정지
+     *   - API Key: KEY_VIOLATION_THRESHOLD (burst / hourly / monthly)
+     *   - IP: IP_VIOLATION_THRESHOLD (모든 유형)
+     * - 정지 시간은 HISTORY_DAYS 내 정지가 반복될 때마다 2배 (최대 BAN_MAX_MINUTES)
+     *   - 관리자가 해제한 정지는 반복 횟수에 포함하지 않음
+     * - EVALUATE_INTERVAL_SECONDS: 위반 발생 시 재평가 최소 간격 (인스턴스별)
+     * - CACHE_SECONDS: 활성 정지 목록 캐시 (다른 인스턴스의 정지 / 해제 반영 지연)
+     */
+    ABUSE_PROTECTION: {
+        WINDOW_HOURS: 1,                  // ABUSE_WINDOW_HOURS
+        KEY_VIOLATION_THRESHOLD: 20,      // ABUSE_KEY_THRESHOLD
+        IP_VIOLATION_THRESHOLD: 50,       // ABUSE_IP_THRESHOLD
+        BAN_MINUTES: 15,                  // ABUSE_BAN_MINUTES
+        BAN_MAX_MINUTES: 1440,            // ABUSE_BAN_MAX_MINUTES (24시간)
+        HISTORY_DAYS: 7,
+        EVALUATE_INTERVAL_SECONDS: 60,
+        CACHE_SECONDS: 30
+    },
+
+    /**
+     * 일시 정지 대상 종류 (AbuseBans.target_type)
+     */
+    ABUSE_BAN_TARGET: {
+        IP: 'ip',
+        API_KEY: 'api_key'
+    },
+
+    /**
+     * API Key 사용량 분석 조회 기간 (GET /api/api-keys/:keyId/usage?range=)
+     * - hours: 조회 기간 (현재 시각 기준), bucket: 집계 단위 (hour / day)
+     * - ApiLogs는 90일 보관 (sp_CleanupOldLogs)
+     */
+    API_KEY_USAGE_RANGES: {
+        '24h': { hours: 24, bucket: 'hour' },
+        '7d': { hours: 168, bucket: 'day' },
+        '30d': { hours: 720, bucket: 'day' },
+        '90d': { hours: 2160, bucket: 'day' }
+    },
+
+    /**
+     * 로그인 무차별 대입 방지 기본값
+     * .env로 덮어쓰기 가능 (괄호 안 변수명)
+     * 
+     * 계정 기준 (Users.failed_login_count):
+     * - ACCOUNT_LOCK_THRESHOLD회 연속 실패마다 잠금
+     * - 잠금 시간은 잠금이 반복될 때마다 2배 (최대 ACCOUNT_LOCK_MAX_MINUTES)
+     * 
+     * IP 기준 (메모리):
+     * - IP_WINDOW_MINUTES 내 IP_FREE_ATTEMPTS회까지는 지연 없음
+     * - 이후 실패마다 다음 시도까지 대기 시간 2배 (1초, 2초, 4초 ... 최대 IP_MAX_DELAY_SECONDS)
+     */
+    LOGIN_PROTECTION: {
+        ACCOUNT_LOCK_THRESHOLD: 5,        // LOGIN_LOCK_THRESHOLD
+        ACCOUNT_LOCK_MINUTES: 15,         // LOGIN_LOCK_MINUTES
+        ACCOUNT_LOCK_MAX_MINUTES: 1440,   // LOGIN_LOCK_MAX_MINUTES (24시간)
+        IP_FREE_ATTEMPTS: 3,              // LOGIN_IP_FREE_ATTEMPTS
+        IP_WINDOW_MINUTES: 15,            // LOGIN_IP_WINDOW_MINUTES
+        IP_MAX_DELAY_SECONDS: 300         // LOGIN_IP_MAX_DELAY_SECONDS
+    },
+
+    /**
+     * 감사 로그 행위자 종류 (AuditLogs.actor_type)
+     */
+    AUDIT_ACTOR_TYPE: {
+        USER: 'user',
+        ADMIN: 'admin',
+        SYSTEM: 'system',
+        ANONYMOUS: 'anonymous'
+    },
+
+    /**
+     * 감사 로그 이벤트 (AuditLogs.action)
+     */
+    AUDIT_ACTIONS: {
+        ACCOUNT_LOCKED: 'auth.account_locked',          // 연속 로그인 실패로 계정 잠금
+        ACCOUNT_UNLOCKED: 'auth.account_unlocked',      // 관리자 잠금 해제
+        LOGIN_THROTTLED: 'auth.login_throttled',        // IP 기준 로그인 지연 시작
+        ROLES_UPDATED: 'admin.roles_updated',           // 관리자가 사용자 역할 변경
+        SUBSCRIPTION_APPROVED: 'admin.subscription_approved',   // 구독 승인
+        SUBSCRIPTION_REJECTED: 'admin.subscription_rejected',   // 구독 거절
+        USER_BLOCKED: 'admin.user_blocked',             // 사용자 차단
+        USER_UNBLOCKED: 'admin.user_unblocked',         // 사용자 차단 해제
+        EMAIL_VERIFIED: 'admin.email_verified',         // 이메일 수동 인증
+        SETTINGS_UPDATED: 'admin.settings_updated',     // 시스템 설정 변경
+        ABUSE_AUTO_BANNED: 'abuse.auto_banned',         // 반복 위반으로 IP / API Key 자동 정지
+        ABUSE_BANNED: 'admin.abuse_banned',             // 관리자 수동 정지
+        ABUSE_BAN_LIFTED: 'admin.abuse_ban_lifted',     // 관리자 정지 해제
+        SUBSCRIPTION_PAID: 'billing.subscription_paid', // 결제 완료로 구독 자동 활성화
+        PAYMENT_REFUNDED: 'admin.payment_refunded'      // 관리자 결제 환불
+    },
+
+    /**
+     * API Key 권한 범위 (ApiKeys.scopes, 콤마로 구분)
+     * - Key 생성 시 1개 이상 지정, 이후 owner / developer가 변경 가능
+     * - API Key 인증 라우트는 requireApiKeyScope(scope)로 확인
+     */
+    API_KEY_SCOPES: {
+        VALIDATE_READ: 'validate:read',         // POST /api/validate-key
+        IMAGES_PROCESS: 'images:process',       // POST /api/process-image-validate
+        USAGE_READ: 'usage:read',               // 사용량 조회 API
+        WEBHOOKS_MANAGE: 'webhooks:manage'      // Webhook 등록/관리 API
+    },
+
+    /**
+     * 조직 멤버 역할 (OrganizationMembers.role)
+     * - owner: 멤버/초대 관리, 구독 신청 + developer 권한
+     * - developer: API Key 생성/비활성화, Webhook 등록 + viewer 권한
+     * - viewer: API Key, 구독, Webhook, 사용량 조회만 가능
+     */
+    ORGANIZATION_ROLES: {
+        OWNER: 'owner',
+        DEVELOPER: 'developer',
+        VIEWER: 'viewer'
+    },
+
+    /**
+     * 관리자 역할 (Roles.role_code)
+     * 역할별 권한은 DB(RolePermissions)에 저장 - migrations/008 참고
+     */
+    ROLES: {
+        SUPER_ADMIN: 'super_admin',   // 모든 권한 + 역할 관리
+        SUPPORT: 'support',           // 고객 지원
+        BILLING: 'billing',           // 결제/구독 담당
+        AUDITOR: 'auditor'            // 읽기 전용 감사
+    },
+
+    /**
+     * 관리자 권한 코드 (Permissions.permission_code)
+     * requirePermission(code) 미들웨어로 관리자 라우트마다 확인
+     */
+    PERMISSIONS: {
+        USERS_READ: 'users:read',
+        USERS_BLOCK: 'users:block',
+        USERS_UNLOCK: 'users:unlock',
+        USERS_VERIFY_EMAIL: 'users:verify_email',
+        SUBSCRIPTIONS_READ: 'subscriptions:read',
+        SUBSCRIPTIONS_APPROVE: 'subscriptions:approve',
+        STATS_READ: 'stats:read',
+        LOGS_READ: 'logs:read',
+        SETTINGS_READ: 'settings:read',
+        SETTINGS_MANAGE: 'settings:manage',
+        ROLES_MANAGE: 'roles:manage',
+        AUDIT_READ: 'audit:read',
+        ABUSE_MANAGE: 'abuse:manage',
+        PAYMENTS_REFUND: 'payments:refund'
     },
 
     /**
@@ -81,14 +399,49 @@ module.exports = {
      */
     ERROR_CODES: {
         INVALID_CREDENTIALS: 'INVALID_CREDENTIALS',      // 이메일/비번 오류
+        TOO_MANY_LOGIN_ATTEMPTS: 'TOO_MANY_LOGIN_ATTEMPTS', // 계정 잠금 또는 IP 로그인 지연
         USER_NOT_FOUND: 'USER_NOT_FOUND',               // 사용자 미존재
         USER_BLOCKED: 'USER_BLOCKED',                   // 차단된 사용자
+        USER_INACTIVE: 'USER_INACTIVE',                 // 비활성화된 사용자 (API Key 소유자)
+        EMAIL_NOT_VERIFIED: 'EMAIL_NOT_VERIFIED',       // 이메일 미인증 (구독/API Key 제한)
         SUBSCRIPTION_INACTIVE: 'SUBSCRIPTION_INACTIVE',  // 활성 구독 없음
+        SUBSCRIPTION_NOT_PENDING: 'SUBSCRIPTION_NOT_PENDING', // 승인 대기 상태가 아닌 구독 승인 요청
+        INVALID_TIER: 'INVALID_TIER',                   // 존재하지 않거나 비활성화된 Tier
+        TIER_UNCHANGED: 'TIER_UNCHANGED',               // 현재 사용 중인 Tier로 변경 요청 (예약 변경 없음)
+        TIER_CHANGE_CONFLICT: 'TIER_CHANGE_CONFLICT',   // 처리 중 구독 상태 / Tier가 바뀜 (다시 시도)
+        INVALID_CANCEL_MODE: 'INVALID_CANCEL_MODE',     // 지원하지 않는 해지 방식 (승인 대기 구독의 기간 종료 해지 포함)
+        CANCELLATION_NOT_SCHEDULED: 'CANCELLATION_NOT_SCHEDULED', // 재활성화할 해지 예약 없음 (이미 해지됨 포함)
+        PAYMENT_PROVIDER_ERROR: 'PAYMENT_PROVIDER_ERROR', // 결제 대행사 요청 실패 (결제 페이지 생성 / 환불)
+        INVALID_WEBHOOK_SIGNATURE: 'INVALID_WEBHOOK_SIGNATURE', // 결제 대행사 Webhook 서명 불일치 / 만료
+        PAYMENT_NOT_REFUNDABLE: 'PAYMENT_NOT_REFUNDABLE', // 결제 완료 상태가 아닌 결제 환불 요청
+        PAYMENT_ALREADY_COMPLETED: 'PAYMENT_ALREADY_COMPLETED', // 이미 결제 완료된 구독 / 청구서 결제 요청
+        PAYMENT_IN_PROGRESS: 'PAYMENT_IN_PROGRESS', // 같은 구독 / 청구서의 결제 페이지를 만드는 중
         API_LIMIT_EXCEEDED: 'API_LIMIT_EXCEEDED',       // API 호출 초과
+        RATE_LIMIT_EXCEEDED: 'RATE_LIMIT_EXCEEDED',     // API Key 초당 / 시간당 요청 속도 초과
+        MISSING_CREDENTIALS: 'MISSING_CREDENTIALS',     // API Key / Secret 누락
+        INVALID_API_KEY_FORMAT: 'INVALID_API_KEY_FORMAT', // sk_로 시작하지 않는 API Key
         INVALID_API_KEY: 'INVALID_API_KEY',             // 잘못된 API Key
+        INVALID_API_SECRET: 'INVALID_API_SECRET',       // API Secret 불일치
+        API_KEY_INACTIVE: 'API_KEY_INACTIVE',           // 비활성화된 API Key
+        INVALID_SIGNATURE_HEADERS: 'INVALID_SIGNATURE_HEADERS', // 서명 요청 헤더 누락/형식 오류
+        INVALID_SIGNATURE: 'INVALID_SIGNATURE',         // 서명 불일치 (또는 서명 불가 Key)
+        REQUEST_TIMESTAMP_EXPIRED: 'REQUEST_TIMESTAMP_EXPIRED', // X-Timestamp가 허용 범위 밖
+        NONCE_REUSED: 'NONCE_REUSED',                   // 이미 사용된 X-Nonce (재전송 공격)
         INVALID_TOKEN: 'INVALID_TOKEN',                 // 만료/유효하지 않은 토큰
+        SESSION_REVOKED: 'SESSION_REVOKED',             // 로그아웃 등으로 종료된 세션
+        TWO_FACTOR_REQUIRED: 'TWO_FACTOR_REQUIRED',     // 2단계 인증 필요 (관리자 2FA 필수)
+        INVALID_TWO_FACTOR_CODE: 'INVALID_TWO_FACTOR_CODE', // 잘못된/재사용된 OTP 또는 복구 코드
         UNAUTHORIZED: 'UNAUTHORIZED',                   // 인증 필요
         FORBIDDEN: 'FORBIDDEN',                         // 권한 없음 (관리자 필요)
+        PERMISSION_DENIED: 'PERMISSION_DENIED',         // 관리자이지만 해당 권한(역할) 없음
+        ORGANIZATION_ACCESS_DENIED: 'ORGANIZATION_ACCESS_DENIED', // 조직 멤버가 아니거나 조직 내 역할 부족
+        INVALID_INVITATION: 'INVALID_INVITATION',       // 존재하지 않거나 만료/사용/취소된 초대
+        INSUFFICIENT_SCOPE: 'INSUFFICIENT_SCOPE',       // API Key에 해당 scope 없음
+        IP_NOT_ALLOWED: 'IP_NOT_ALLOWED',               // API Key IP 화이트리스트에 없는 IP
+        API_KEY_EXPIRED: 'API_KEY_EXPIRED',             // 만료된 API Key
+        API_KEY_SUSPENDED: 'API_KEY_SUSPENDED',         // 반복 위반으로 일시 정지된 API Key
+        IP_BANNED: 'IP_BANNED',                         // 반복 위반으로 일시 차단된 IP
+        INVALID_RANGE: 'INVALID_RANGE',                 // 지원하지 않는 조회 기간 (API_KEY_USAGE_RANGES)
         NOT_FOUND: 'NOT_FOUND',                         // 리소스 미존재
         INTERNAL_ERROR: 'INTERNAL_ERROR'                // 서버 내부 에러
     }
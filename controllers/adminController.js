@@ -2,11 +2,32 @@
  * adminController.js
  * 역할: 관리자용 사용자/구독 관리, 통계 조회
  * 특징: adminAuthMiddleware로 관리자 인증 필수 (isAdmin = true)
+ *       + 라우트별 requirePermission으로 역할 권한 확인 (routes/adminRoutes.js)
  */
 
 const adminService = require('../services/adminService');
 const successResponse = require('../utils/successResponse');
 const errorResponse = require('../utils/errorResponse');
+const { RATE_LIMIT_TYPE, ABUSE_BAN_TARGET, PAYMENT_STATUS } = require('../config/constants');
+
+// Rate Limit 위반 조회 기간 (시간, RateLimitLogs는 30일 보관)
+const MAX_VIOLATION_HOURS = 30 * 24;
+
+// 수동 정지 최대 시간 (분, 30일)
+const MAX_BAN_MINUTES = 30 * 24 * 60;
+
+// 환불 사유 최대 길이 (Payments.refund_reason)
+const MAX_REFUND_REASON_LENGTH = 500;
+
+/**
+ * 감사 로그용 요청 정보 (IP, User-Agent)
+ */
+function getAuditContext(req) {
+    return {
+        ipAddress: req.ip,
+        userAgent: req.get('user-agent')
+    };
+}
 
 /**
  * 모든 사용자 조회 핸들러 (페이지네이션)
@@ -93,7 +114,7 @@ async function getPendingSubscriptions(req, res) {
 }
 
 /**
- * 구독 승인 핸들러
+ * 구독 승인 핸들러 (청구서로 결제하는 고객)
  * 
  * @route POST /api/admin/subscriptions/:subscriptionId/approve
  * @header Authorization: Bearer {adminToken}
@@ -101,13 +122,19 @@ async function getPendingSubscriptions(req, res) {
  * 
  * @returns {200} { message: "구독이 승인되었습니다" }
  * @throws {403} 관리자 권한 필요
+ * @throws {404} 구독을 찾을 수 없음
+ * @throws {409} 승인 대기 상태가 아닌 구독 (SUBSCRIPTION_NOT_PENDING), 조직에 활성 구독 있음 (SUBSCRIPTION_ALREADY_EXISTS)
  * @throws {500} 서버 오류
  * 
  * 처리:
- * - status: pending → active
+ * - status: pending → active (pending이 아니면 변경 없음)
  * - approval_date: 현재 시간 저장
  * - approved_by: 관리자 ID 저장
+ * - start_date / end_date: 첫 결제 기간 (오늘 ~ 오늘 + SUBSCRIPTION_BILLING_PERIOD_MONTHS)
+ * - 감사 로그 기록 (admin.subscription_approved, 변경 전/후 상태)
  * - Webhook 이벤트: subscription_activated 발송
+ * 
+ * 참고: 결제 대행사로 결제한 구독은 결제 완료 Webhook으로 자동 활성화 (POST /api/billing/webhooks/:provider)
  */
 async function approveSubscription(req, res) {
     try {
@@ -115,11 +142,18 @@ async function approveSubscription(req, res) {
         const adminId = req.user.userId; // 승인한 관리자 ID
 
         // Service 호출: 구독 승인
-        await adminService.approveSubscription(subscriptionId, adminId);
+        const found = await adminService.approveSubscription(subscriptionId, adminId, getAuditContext(req));
+
+        if (!found) {
+            return errorResponse(res, '구독을 찾을 수 없습니다', 404, 'SUBSCRIPTION_NOT_FOUND');
+        }
 
         // 성공 응답
         successResponse(res, null, '구독이 승인되었습니다');
     } catch (err) {
+        if (err.statusCode === 409) {
+            return errorResponse(res, err.message, 409, err.errorCode);
+        }
         errorResponse(res, err.message, 500);
     }
 }
@@ -134,11 +168,13 @@ async function approveSubscription(req, res) {
  * 
  * @returns {200} { message: "구독이 거절되었습니다" }
  * @throws {403} 관리자 권한 필요
+ * @throws {404} 구독을 찾을 수 없음
  * @throws {500} 서버 오류
  * 
  * 처리:
  * - status: pending → cancelled
  * - rejection_reason: 거절 사유 저장
+ * - 감사 로그 기록 (admin.subscription_rejected, 사유 포함)
  * - Webhook 이벤트: subscription_cancelled 발송
  */
 async function rejectSubscription(req, res) {
@@ -147,7 +183,16 @@ async function rejectSubscription(req, res) {
         const { reason } = req.body;
 
         // Service 호출: 구독 거절
-        await adminService.rejectSubscription(subscriptionId, reason);
+        const found = await adminService.rejectSubscription(
+            subscriptionId,
+            reason,
+            req.user.userId,
+            getAuditContext(req)
+        );
+
+        if (!found) {
+            return errorResponse(res, '구독을 찾을 수 없습니다', 404, 'SUBSCRIPTION_NOT_FOUND');
+        }
 
         // 성공 응답
         successResponse(res, null, '구독이 거절되었습니다');
@@ -166,6 +211,7 @@ async function rejectSubscription(req, res) {
  * 
  * @returns {200} { message: "사용자가 차단되었습니다" }
  * @throws {403} 관리자 권한 필요
+ * @throws {404} 사용자를 찾을 수 없음
  * @throws {500} 서버 오류
  * 
  * 효과:
@@ -173,6 +219,7 @@ async function rejectSubscription(req, res) {
  * - 로그인 불가
  * - 구독 무효화
  * - API 요청 거부
+ * - 감사 로그 기록 (admin.user_blocked, 사유 포함)
  */
 async function blockUser(req, res) {
     try {
@@ -180,7 +227,11 @@ async function blockUser(req, res) {
         const { reason } = req.body;
 
         // Service 호출: 사용자 차단
-        await adminService.blockUser(userId, reason);
+        const found = await adminService.blockUser(userId, reason, req.user.userId, getAuditContext(req));
+
+        if (!found) {
+            return errorResponse(res, '사용자를 찾을 수 없습니다', 404, 'USER_NOT_FOUND');
+        }
 
         // 성공 응답
         successResponse(res, null, '사용자가 차단되었습니다');
@@ -198,19 +249,25 @@ async function blockUser(req, res) {
  * 
  * @returns {200} { message: "사용자 차단이 해제되었습니다" }
  * @throws {403} 관리자 권한 필요
+ * @throws {404} 사용자를 찾을 수 없음
  * @throws {500} 서버 오류
  * 
  * 효과:
  * - is_blocked = 0 설정
  * - blocked_reason NULL 설정
  * - 로그인 재개
+ * - 감사 로그 기록 (admin.user_unblocked)
  */
 async function unblockUser(req, res) {
     try {
         const { userId } = req.params;
 
         // Service 호출: 사용자 차단 해제
-        await adminService.unblockUser(userId);
+        const found = await adminService.unblockUser(userId, req.user.userId, getAuditContext(req));
+
+        if (!found) {
+            return errorResponse(res, '사용자를 찾을 수 없습니다', 404, 'USER_NOT_FOUND');
+        }
 
         // 성공 응답
         successResponse(res, null, '사용자 차단이 해제되었습니다');
@@ -219,6 +276,76 @@ async function unblockUser(req, res) {
     }
 }
 
+/**
+ * 이메일 수동 인증 핸들러
+ * 
+ * @route POST /api/admin/users/:userId/verify-email
+ * @header Authorization: Bearer {adminToken}
+ * @param {string} userId - 사용자 ID (URL 파라미터)
+ * 
+ * @returns {200} { message: "이메일 인증 처리되었습니다" }
+ * @throws {403} 관리자 권한 필요
+ * @throws {404} 사용자를 찾을 수 없음
+ * @throws {500} 서버 오류
+ * 
+ * 효과:
+ * - email_verified_at 기록 (이미 인증된 경우 유지)
+ * - 구독 신청 / API Key 생성 가능
+ * - 감사 로그 기록 (admin.email_verified)
+ */
+async function verifyUserEmail(req, res) {
+    try {
+        const { userId } = req.params;
+
+        // Service 호출: 이메일 인증 처리
+        const found = await adminService.verifyUserEmail(userId, req.user.userId, getAuditContext(req));
+
+        if (!found) {
+            return errorResponse(res, '사용자를 찾을 수 없습니다', 404, 'USER_NOT_FOUND');
+        }
+
+        // 성공 응답
+        successResponse(res, null, '이메일 인증 처리되었습니다');
+    } catch (err) {
+        errorResponse(res, err.message, 500);
+    }
+}
+
+/**
+ * 로그인 잠금 해제 핸들러
+ * 
+ * @route POST /api/admin/users/:userId/unlock
+ * @header Authorization: Bearer {adminToken}
+ * @param {string} userId - 사용자 ID (URL 파라미터)
+ * 
+ * @returns {200} { message: "로그인 잠금이 해제되었습니다" }
+ * @throws {403} 관리자 권한 필요
+ * @throws {404} 사용자를 찾을 수 없음
+ * @throws {500} 서버 오류
+ * 
+ * 효과:
+ * - 연속 로그인 실패 횟수 0, locked_until 해제
+ * - 감사 로그 기록 (auth.account_unlocked)
+ * - 차단(block)과는 별개 → 차단 해제는 /unblock
+ */
+async function unlockUserLogin(req, res) {
+    try {
+        const { userId } = req.params;
+
+        // Service 호출: 잠금 해제
+        const found = await adminService.unlockUserLogin(userId, req.user.userId, getAuditContext(req));
+
+        if (!found) {
+            return errorResponse(res, '사용자를 찾을 수 없습니다', 404, 'USER_NOT_FOUND');
+        }
+
+        // 성공 응답
+        successResponse(res, null, '로그인 잠금이 해제되었습니다');
+    } catch (err) {
+        errorResponse(res, err.message, 500);
+    }
+}
+
 /**
  * 시스템 통계 조회 핸들러
  * 
@@ -251,6 +378,521 @@ async function getSystemStats(req, res) {
     }
 }
 
+/**
+ * 보안 설정 조회 핸들러
+ * 
+ * @route GET /api/admin/settings/security
+ * @header Authorization: Bearer {adminToken}
+ * 
+ * @returns {200} { requireAdminTwoFactor, adminsWithoutTwoFactor }
+ * @throws {403} 관리자 권한 필요
+ * @throws {500} 서버 오류
+ */
+async function getSecuritySettings(req, res) {
+    try {
+        const settings = await adminService.getSecuritySettings();
+
+        successResponse(res, settings, '보안 설정 조회 성공');
+    } catch (err) {
+        errorResponse(res, err.message, 500);
+    }
+}
+
+/**
+ * 관리자 2FA 필수 설정 변경 핸들러
+ * 
+ * @route PUT /api/admin/settings/security/admin-2fa
+ * @header Authorization: Bearer {adminToken}
+ * @param {boolean} required - 모든 관리자 계정에 2단계 인증 필수 여부
+ * 
+ * @returns {200} { requireAdminTwoFactor, adminsWithoutTwoFactor }
+ * @throws {400} required 누락 또는 boolean 아님
+ * @throws {403} 관리자 권한 필요
+ * @throws {409} 본인 계정 2FA 미등록 상태에서 활성화 시도 (TWO_FACTOR_SETUP_REQUIRED)
+ * @throws {500} 서버 오류
+ * 
+ * 효과 (활성화 시):
+ * - 2단계 인증을 거치지 않은 관리자 세션은 관리자 API 거부
+ * - 관리자는 2FA 해제 불가
+ * - 감사 로그 기록 (admin.settings_updated, 변경 전/후 값)
+ */
+async function updateAdminTwoFactorRequirement(req, res) {
+    try {
+        const { required } = req.body;
+
+        if (typeof required !== 'boolean') {
+            return errorResponse(res, 'required 값(boolean)이 필요합니다', 400, 'VALIDATION_ERROR');
+        }
+
+        const settings = await adminService.updateAdminTwoFactorRequirement(
+            required,
+            req.user.userId,
+            getAuditContext(req)
+        );
+
+        successResponse(
+            res,
+            settings,
+            required ? '관리자 2단계 인증이 필수로 설정되었습니다' : '관리자 2단계 인증 필수 설정이 해제되었습니다'
+        );
+    } catch (err) {
+        if (err.statusCode === 409) {
+            return errorResponse(res, err.message, 409, err.errorCode);
+        }
+        errorResponse(res, err.message, 500);
+    }
+}
+
+/**
+ * 내 관리자 권한 조회 핸들러
+ * 
+ * @route GET /api/admin/me/permissions
+ * @header Authorization: Bearer {adminToken}
+ * 
+ * @returns {200} { roles: ['support'], permissions: ['users:read', ...] }
+ * @throws {403} 관리자 권한 필요
+ * @throws {500} 서버 오류
+ * 
+ * 용도:
+ * - 관리자 화면에서 권한 없는 버튼/메뉴 숨김 (실제 확인은 서버에서)
+ */
+async function getMyPermissions(req, res) {
+    try {
+        const result = await adminService.getMyPermissions(req.user.userId);
+
+        successResponse(res, result, '관리자 권한 조회 성공');
+    } catch (err) {
+        errorResponse(res, err.message, 500);
+    }
+}
+
+/**
+ * 역할 목록 조회 핸들러
+ * 
+ * @route GET /api/admin/roles
+ * @header Authorization: Bearer {adminToken}
+ * 
+ * @returns {200} [ { code, name, description, permissions: [] } ]
+ * @throws {403} roles:manage 권한 필요
+ * @throws {500} 서버 오류
+ */
+async function getRoles(req, res) {
+    try {
+        const roles = await adminService.getRoles();
+
+        successResponse(res, roles, '역할 목록 조회 성공');
+    } catch (err) {
+        errorResponse(res, err.message, 500);
+    }
+}
+
+/**
+ * 사용자 역할 변경 핸들러
+ * 
+ * @route PUT /api/admin/users/:userId/roles
+ * @header Authorization: Bearer {adminToken}
+ * @param {string} userId - 사용자 ID (URL 파라미터)
+ * @body {string[]} roles - 역할 코드 목록 (빈 배열 = 관리자 권한 회수)
+ * 
+ * @returns {200} { userId, roles, permissions }
+ * @throws {400} roles 누락/형식 오류 또는 존재하지 않는 역할 (INVALID_ROLE)
+ * @throws {403} roles:manage 권한 필요
+ * @throws {404} 사용자를 찾을 수 없음
+ * @throws {409} 마지막 super_admin의 역할 제거 (LAST_SUPER_ADMIN)
+ * @throws {500} 서버 오류
+ * 
+ * 효과:
+ * - 역할이 하나라도 있으면 관리자(is_admin = 1), 없으면 일반 사용자
+ * - 감사 로그 기록 (admin.roles_updated)
+ */
+async function updateUserRoles(req, res) {
+    try {
+        const { userId } = req.params;
+        const { roles } = req.body;
+
+        if (!Array.isArray(roles) || roles.some(role => typeof role !== 'string' || !role)) {
+            return errorResponse(res, 'roles 값(역할 코드 배열)이 필요합니다', 400, 'VALIDATION_ERROR');
+        }
+
+        const result = await adminService.updateUserRoles(userId, roles, req.user.userId, getAuditContext(req));
+
+        successResponse(res, result, '사용자 역할이 변경되었습니다');
+    } catch (err) {
+        if (err.statusCode === 400 || err.statusCode === 404 || err.statusCode === 409) {
+            return errorResponse(res, err.message, err.statusCode, err.errorCode);
+        }
+        errorResponse(res, err.message, 500);
+    }
+}
+
+/**
+ * 감사 로그 조회 핸들러
+ * 
+ * @route GET /api/admin/audit-logs?actor=&action=&targetType=&targetId=&from=&to=&page=1&limit=50
+ * @header Authorization: Bearer {adminToken}
+ * @query {string} [actor] - 행위자 ID 또는 이메일 일부
+ * @query {string} [action] - 작업 (예: admin.user_blocked)
+ * @query {string} [targetType] - 대상 종류 (user, subscription, setting, ip ...)
+ * @query {string} [targetId] - 대상 ID
+ * @query {string} [from] - 시작일 (YYYY-MM-DD, 포함)
+ * @query {string} [to] - 종료일 (YYYY-MM-DD, 포함)
+ * @query {number} [page=1] - 페이지 번호
+ * @query {number} [limit=50] - 페이지당 건수 (최대 200)
+ * 
+ * @returns {200} {
+ *   logs: [ { id, actor_id, actor_email, action, target_type, target_id, reason,
+ *             before_value, after_value, metadata, ip_address, created_at } ],
+ *   total, page, limit, totalPages,
+ *   actions   // 기록된 작업 종류 (필터 선택지)
+ * }
+ * @throws {400} 날짜 형식 오류 (VALIDATION_ERROR)
+ * @throws {403} audit:read 권한 필요
+ * @throws {500} 서버 오류
+ */
+async function getAuditLogs(req, res) {
+    try {
+        // 문자열 필터만 사용 (같은 키 반복 등 배열 값은 무시)
+        const [actor, action, targetType, targetId, from, to] = ['actor', 'action', 'targetType', 'targetId', 'from', 'to']
+            .map(key => (typeof req.query[key] === 'string' && req.query[key].trim()) || undefined);
+        const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+        const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), 200);
+
+        const fromDate = from ? new Date(from) : null;
+        const toDate = to ? new Date(to) : null;
+
+        if ((fromDate && isNaN(fromDate.getTime())) || (toDate && isNaN(toDate.getTime()))) {
+            return errorResponse(res, '날짜 형식이 올바르지 않습니다 (YYYY-MM-DD)', 400, 'VALIDATION_ERROR');
+        }
+
+        // 종료일은 해당 날짜 전체 포함
+        if (toDate) {
+            toDate.setDate(toDate.getDate() + 1);
+        }
+
+        const result = await adminService.getAuditLogs({
+            actor,
+            action,
+            targetType,
+            targetId,
+            from: fromDate,
+            to: toDate
+        }, page, limit);
+
+        successResponse(res, result, '감사 로그 조회 성공');
+    } catch (err) {
+        errorResponse(res, err.message, 500);
+    }
+}
+
+/**
+ * 위반 조회 기간 파싱 (기본 24시간, 1 ~ MAX_VIOLATION_HOURS)
+ * @returns {number|null} 잘못된 값이면 null
+ */
+function parseViolationHours(value) {
+    if (value === undefined) return 24;
+
+    const hours = Number(value);
+    return Number.isInteger(hours) && hours >= 1 && hours <= MAX_VIOLATION_HOURS ? hours : null;
+}
+
+/**
+ * Rate Limit 위반 로그 조회 핸들러
+ * 
+ * @route GET /api/admin/rate-limit-violations
+ * @header Authorization: Bearer {adminToken}
+ * @query {number} [hours=24] - 조회 기간 (시간, 최대 720)
+ * @query {string} [limitType] - burst / hourly / monthly / ip_based
+ * @query {string} [apiKeyId] - API Key ID
+ * @query {string} [userId] - 사용자 ID
+ * @query {string} [ipAddress] - IP 주소
+ * @query {number} [page=1] - 페이지 번호
+ * @query {number} [limit=50] - 페이지당 건수 (최대 200)
+ * 
+ * @returns {200} {
+ *   violations: [ { id, api_key_id, key_name, key_preview, user_id, user_email,
+ *                   organization_id, ip_address, limit_type, reset_at, created_at } ],
+ *   total, page, limit, totalPages
+ * }
+ * @throws {400} 기간 / 제한 종류 오류 (VALIDATION_ERROR)
+ * @throws {403} stats:read 권한 필요
+ * @throws {500} 서버 오류
+ */
+async function getRateLimitViolations(req, res) {
+    try {
+        // 문자열 필터만 사용 (같은 키 반복 등 배열 값은 무시)
+        const [limitType, apiKeyId, userId, ipAddress] = ['limitType', 'apiKeyId', 'userId', 'ipAddress']
+            .map(key => (typeof req.query[key] === 'string' && req.query[key].trim()) || undefined);
+        const hours = parseViolationHours(req.query.hours);
+        const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+        const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), 200);
+
+        if (hours === null) {
+            return errorResponse(res, `hours는 1 ~ ${MAX_VIOLATION_HOURS} 사이의 정수여야 합니다`, 400, 'VALIDATION_ERROR');
+        }
+
+        if (limitType && !Object.values(RATE_LIMIT_TYPE).includes(limitType)) {
+            return errorResponse(res, '알 수 없는 제한 종류입니다', 400, 'VALIDATION_ERROR');
+        }
+
+        const result = await adminService.getRateLimitViolations({
+            hours,
+            limitType,
+            apiKeyId,
+            userId,
+            ipAddress
+        }, page, limit);
+
+        successResponse(res, result, 'Rate Limit 위반 로그 조회 성공');
+    } catch (err) {
+        errorResponse(res, err.message, 500);
+    }
+}
+
+/**
+ * Rate Limit 위반 요약 핸들러
+ * 
+ * @route GET /api/admin/rate-limit-violations/summary
+ * @header Authorization: Bearer {adminToken}
+ * @query {number} [hours=24] - 조회 기간 (시간, 최대 720)
+ * 
+ * @returns {200} {
+ *   hours,
+ *   byType: [ { limit_type, count, unique_users, unique_ips } ],
+ *   repeatedKeys: [ { api_key_id, key_name, user_id, user_email, violation_count, last_violation } ],  // 3회 이상
+ *   ipPatterns: [ { ip_address, limit_type, total_violations, distinct_keys, distinct_users,
+ *                   first_violation, last_violation } ]  // 5회 초과
+ * }
+ * @throws {400} 기간 오류 (VALIDATION_ERROR)
+ * @throws {403} stats:read 권한 필요
+ * @throws {500} 서버 오류
+ */
+async function getRateLimitViolationSummary(req, res) {
+    try {
+        const hours = parseViolationHours(req.query.hours);
+
+        if (hours === null) {
+            return errorResponse(res, `hours는 1 ~ ${MAX_VIOLATION_HOURS} 사이의 정수여야 합니다`, 400, 'VALIDATION_ERROR');
+        }
+
+        const summary = await adminService.getRateLimitViolationSummary(hours);
+
+        successResponse(res, summary, 'Rate Limit 위반 요약 조회 성공');
+    } catch (err) {
+        errorResponse(res, err.message, 500);
+    }
+}
+
+/**
+ * IP / API Key 정지 목록 핸들러
+ * 
+ * @route GET /api/admin/abuse-bans?status=active&page=1&limit=50
+ * @header Authorization: Bearer {adminToken}
+ * @query {string} [status=active] - active (정지 중) / all (해제 / 만료 포함)
+ * @query {number} [page=1] - 페이지 번호
+ * @query {number} [limit=50] - 페이지당 건수 (최대 200)
+ * 
+ * @returns {200} {
+ *   bans: [ { id, target_type, target_id, key_name, key_preview, organization_id, reason,
+ *             violation_count, ban_number, banned_until, created_by, created_by_email, created_at,
+ *             lifted_at, lifted_by, lifted_by_email, lift_reason, is_active } ],
+ *   total, page, limit, totalPages
+ * }
+ * @throws {403} stats:read 권한 필요
+ * @throws {500} 서버 오류
+ */
+async function getAbuseBans(req, res) {
+    try {
+        const activeOnly = req.query.status !== 'all';
+        const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+        const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), 200);
+
+        const result = await adminService.getAbuseBans(activeOnly, page, limit);
+
+        successResponse(res, result, '정지 목록 조회 성공');
+    } catch (err) {
+        errorResponse(res, err.message, 500);
+    }
+}
+
+/**
+ * IP / API Key 수동 정지 핸들러
+ * 
+ * @route POST /api/admin/abuse-bans
+ * @header Authorization: Bearer {adminToken}
+ * @body {string} targetType - ip / api_key
+ * @body {string} targetId - IP 주소 또는 API Key ID
+ * @body {number} minutes - 정지 시간 (분, 1 ~ 43200)
+ * @body {string} reason - 정지 사유 (필수)
+ * 
+ * @returns {201} 생성된 정지
+ * @throws {400} 입력 오류 또는 이미 정지 중 (VALIDATION_ERROR)
+ * @throws {403} abuse:manage 권한 필요
+ * @throws {404} API Key를 찾을 수 없음 (NOT_FOUND)
+ * @throws {500} 서버 오류
+ * 
+ * 효과:
+ * - 정지 기간 동안 IP 요청은 403 IP_BANNED, API Key 요청은 403 API_KEY_SUSPENDED
+ * - API Key 정지는 소유 조직에 api_key_suspended Webhook 발송
+ * - 감사 로그 기록 (admin.abuse_banned)
+ */
+async function banAbuseTarget(req, res) {
+    try {
+        const { targetType, targetId, minutes, reason } = req.body;
+
+        if (!Object.values(ABUSE_BAN_TARGET).includes(targetType)) {
+            return errorResponse(res, `targetType은 ${Object.values(ABUSE_BAN_TARGET).join(', ')} 중 하나여야 합니다`, 400, 'VALIDATION_ERROR');
+        }
+
+        if (typeof targetId !== 'string' || !targetId.trim() || targetId.length > 100) {
+            return errorResponse(res, 'targetId가 필요합니다', 400, 'VALIDATION_ERROR');
+        }
+
+        if (!Number.isInteger(minutes) || minutes < 1 || minutes > MAX_BAN_MINUTES) {
+            return errorResponse(res, `minutes는 1 ~ ${MAX_BAN_MINUTES} 사이의 정수여야 합니다`, 400, 'VALIDATION_ERROR');
+        }
+
+        if (typeof reason !== 'string' || !reason.trim()) {
+            return errorResponse(res, '정지 사유가 필요합니다', 400, 'VALIDATION_ERROR');
+        }
+
+        const ban = await adminService.banAbuseTarget(
+            targetType,
+            targetId.trim(),
+            minutes,
+            reason.trim(),
+            req.user.userId,
+            getAuditContext(req)
+        );
+
+        successResponse(res, ban, '정지되었습니다', 201);
+    } catch (err) {
+        if (err.statusCode === 400 || err.statusCode === 404) {
+            return errorResponse(res, err.message, err.statusCode, err.errorCode);
+        }
+        errorResponse(res, err.message, 500);
+    }
+}
+
+/**
+ * IP / API Key 정지 해제 핸들러
+ * 
+ * @route POST /api/admin/abuse-bans/:banId/lift
+ * @header Authorization: Bearer {adminToken}
+ * @param {string} banId - 정지 ID (URL 파라미터)
+ * @body {string} [reason] - 해제 사유
+ * 
+ * @returns {200} { message: "정지가 해제되었습니다" }
+ * @throws {403} abuse:manage 권한 필요
+ * @throws {404} 정지 중인 항목 없음 (이미 만료 / 해제)
+ * @throws {500} 서버 오류
+ * 
+ * 효과:
+ * - 즉시 요청 허용 (다른 인스턴스는 정지 목록 캐시 갱신 후)
+ * - 해제된 정지는 다음 자동 정지 시간 계산(반복 횟수)에서 제외
+ * - 감사 로그 기록 (admin.abuse_ban_lifted)
+ */
+async function liftAbuseBan(req, res) {
+    try {
+        const { banId } = req.params;
+        const reason = typeof req.body.reason === 'string' ? req.body.reason.trim() : null;
+
+        const found = await adminService.liftAbuseBan(banId, reason, req.user.userId, getAuditContext(req));
+
+        if (!found) {
+            return errorResponse(res, '정지 중인 항목을 찾을 수 없습니다', 404, 'NOT_FOUND');
+        }
+
+        successResponse(res, null, '정지가 해제되었습니다');
+    } catch (err) {
+        errorResponse(res, err.message, 500);
+    }
+}
+
+/**
+ * 결제 대행사 결제 목록 핸들러
+ * 
+ * @route GET /api/admin/payments?status=succeeded&organizationId=...&page=1&limit=50
+ * @header Authorization: Bearer {adminToken}
+ * @query {string} [status] - pending / succeeded / failed / refunded
+ * @query {string} [organizationId] - 조직 ID
+ * @query {number} [page=1] - 페이지 번호
+ * @query {number} [limit=50] - 페이지당 건수 (최대 200)
+ * 
+ * @returns {200} {
+ *   payments: [ { id, organization_id, organization_name, subscription_id, invoice_id, purpose, provider,
+ *                 status, currency, base_amount_usd, tax_usd, amount_usd, failure_reason,
+ *                 created_at, paid_at, failed_at, refunded_at, refund_reason } ],
+ *   total, page, limit, totalPages
+ * }
+ * @throws {400} 알 수 없는 status (VALIDATION_ERROR)
+ * @throws {403} subscriptions:read 권한 필요
+ * @throws {500} 서버 오류
+ */
+async function getPayments(req, res) {
+    try {
+        const status = (typeof req.query.status === 'string' && req.query.status.trim()) || undefined;
+        const organizationId = (typeof req.query.organizationId === 'string' && req.query.organizationId.trim()) || undefined;
+        const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+        const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), 200);
+
+        if (status && !Object.values(PAYMENT_STATUS).includes(status)) {
+            return errorResponse(res, `status는 ${Object.values(PAYMENT_STATUS).join(', ')} 중 하나여야 합니다`, 400, 'VALIDATION_ERROR');
+        }
+
+        const result = await adminService.getPayments({ status, organizationId }, page, limit);
+
+        successResponse(res, result, '결제 목록 조회 성공');
+    } catch (err) {
+        errorResponse(res, err.message, 500);
+    }
+}
+
+/**
+ * 결제 환불 핸들러 (전액)
+ * 
+ * @route POST /api/admin/payments/:paymentId/refund
+ * @header Authorization: Bearer {adminToken}
+ * @param {string} paymentId - 결제 ID (URL 파라미터)
+ * @body {string} reason - 환불 사유 (필수)
+ * 
+ * @returns {200} { payment, completed }
+ *   - completed = false: 대행사 환불 진행 중 (완료되면 Webhook으로 refunded)
+ * @throws {400} 사유 누락 (VALIDATION_ERROR)
+ * @throws {403} payments:refund 권한 필요
+ * @throws {404} 결제 없음 (NOT_FOUND)
+ * @throws {409} 결제 완료 상태가 아니거나 다른 대행사 결제 (PAYMENT_NOT_REFUNDABLE)
+ * @throws {502} 대행사 요청 실패 (PAYMENT_PROVIDER_ERROR)
+ * @throws {500} 서버 오류
+ * 
+ * 효과:
+ * - 구독 / 청구서 상태는 그대로 (필요하면 구독 거절 / 해지를 따로 처리)
+ * - 환불된 구독 결제는 첫 기간 청구서에서 차감하지 않음 (확정 전 환불인 경우)
+ * - 감사 로그 기록 (admin.payment_refunded)
+ */
+async function refundPayment(req, res) {
+    try {
+        const { paymentId } = req.params;
+        const { reason } = req.body;
+
+        if (typeof reason !== 'string' || !reason.trim()) {
+            return errorResponse(res, '환불 사유가 필요합니다', 400, 'VALIDATION_ERROR');
+        }
+
+        if (reason.trim().length > MAX_REFUND_REASON_LENGTH) {
+            return errorResponse(res, `환불 사유는 ${MAX_REFUND_REASON_LENGTH}자 이하여야 합니다`, 400, 'VALIDATION_ERROR');
+        }
+
+        const result = await adminService.refundPayment(paymentId, reason.trim(), req.user.userId, getAuditContext(req));
+
+        successResponse(res, result, result.completed ? '결제가 환불되었습니다' : '환불을 요청했습니다 (대행사 처리 중)');
+    } catch (err) {
+        if (err.statusCode) {
+            return errorResponse(res, err.message, err.statusCode, err.errorCode);
+        }
+        errorResponse(res, err.message, 500);
+    }
+}
+
 /**
  * 모듈 내보내기
  */
@@ -261,5 +903,20 @@ module.exports = {
     rejectSubscription,
     blockUser,
     unblockUser,
-    getSystemStats
+    verifyUserEmail,
+    unlockUserLogin,
+    getSystemStats,
+    getSecuritySettings,
+    updateAdminTwoFactorRequirement,
+    getMyPermissions,
+    getRoles,
+    updateUserRoles,
+    getAuditLogs,
+    getRateLimitViolations,
+    getRateLimitViolationSummary,
+    getAbuseBans,
+    banAbuseTarget,
+    liftAbuseBan,
+    getPayments,
+    refundPayment
 };
\ No newline at end of file
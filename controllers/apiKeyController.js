@@ -1,10 +1,12 @@
 /**
  * apiKeyController.js
- * 역할: API Key 생성, 조회, 삭제
+ * 역할: API Key 생성, 조회, 삭제, Secret 교체, 권한 범위(scope) / IP 화이트리스트 변경
  * 특징: authMiddleware로 인증 필수, 활성화된 구독 필요
+ *       organizationContext로 선택된 조직(X-Organization-Id) 기준
  */
 
 const apiKeyService = require('../services/apiKeyService');
+const dashboardService = require('../services/dashboardService');
 const successResponse = require('../utils/successResponse');
 const errorResponse = require('../utils/errorResponse');
 
@@ -13,14 +15,19 @@ const errorResponse = require('../utils/errorResponse');
  * 
  * @route POST /api/api-keys
  * @header Authorization: Bearer {accessToken}
+ * @header X-Organization-Id: 조직 ID (선택, 없으면 기본 조직)
  * @param {string} keyName - Key 이름 (필수, 식별용)
+ * @param {string[]} scopes - 허용할 scope 목록 (필수, 예: ['validate:read', 'usage:read'])
+ * @param {string[]} ipWhitelist - 허용할 IP 주소 / CIDR (선택, 예: ['203.0.113.0/24', '2001:db8::1'])
+ * @param {number} expiresInDays - 만료 기간 (선택, 30 / 90 / 180 / 365일, 생략 시 만료 없음)
  * 
  * @returns {201} {
- *   keyId, apiKey (sk_...), apiSecret,
+ *   keyId, apiKey (sk_...), apiSecret, scopes, ipWhitelist, expiresAt,
  *   warning: "Secret은 한 번만 표시됩니다"
  * }
- * @throws {400} keyName 누락
- * @throws {403} 활성화된 구독 없음
+ * @throws {400} keyName 누락, scopes 누락/알 수 없는 scope (INVALID_SCOPE), 잘못된 IP/CIDR (INVALID_IP_WHITELIST), 잘못된 만료 기간 (INVALID_EXPIRY)
+ * @throws {403} 이메일 미인증 (EMAIL_NOT_VERIFIED), 활성화된 구독 없음,
+ *               조직 역할 부족 (owner / developer만 가능)
  * @throws {500} 서버 오류
  * 
  * 주의:
@@ -31,7 +38,8 @@ const errorResponse = require('../utils/errorResponse');
 async function createApiKey(req, res) {
     try {
         const userId = req.user.userId;
-        const { keyName } = req.body;
+        const organizationId = req.organization.id;
+        const { keyName, scopes, ipWhitelist, expiresInDays } = req.body;
 
         // keyName 필수 확인
         if (!keyName) {
@@ -39,15 +47,19 @@ async function createApiKey(req, res) {
         }
 
         // Service 호출: API Key 생성
-        // 1. 활성화된 구독 확인
+        // 1. 조직의 활성화된 구독 확인
         // 2. API Key (sk_...) 및 API Secret 생성
-        // 3. API Secret은 SHA256으로 해싱하여 DB 저장
+        // 3. API Secret은 HMAC-SHA256(서버 pepper)으로 해싱하여 DB 저장
         // 4. API Secret은 평문으로 1회 반환
-        const result = await apiKeyService.generateNewApiKey(userId, keyName);
+        const result = await apiKeyService.generateNewApiKey(organizationId, userId, keyName, scopes, ipWhitelist, expiresInDays);
 
         // 성공 응답 (201 Created)
         successResponse(res, result, 'API Key가 생성되었습니다', 201);
     } catch (err) {
+        // scope 오류 / 이메일 미인증 에러
+        if (err.statusCode === 400 || err.statusCode === 403) {
+            return errorResponse(res, err.message, err.statusCode, err.errorCode);
+        }
         // 활성화된 구독 없음 에러
         if (err.message.includes('구독')) {
             return errorResponse(res, err.message, 403, 'NO_ACTIVE_SUBSCRIPTION');
@@ -62,9 +74,11 @@ async function createApiKey(req, res) {
  * 
  * @route GET /api/api-keys
  * @header Authorization: Bearer {accessToken}
+ * @header X-Organization-Id: 조직 ID (선택, 없으면 기본 조직)
  * 
  * @returns {200} [
- *   { id, keyName, keyPreview (처음 10자), isActive, lastUsed, createdAt },
+ *   { id, keyName, keyPreview (처음 10자), isActive, lastUsed, createdAt, scopes, ip_whitelist,
+ *     expires_at, rotated_at, previous_secret_expires_at, signing_enabled },
  *   ...
  * ]
  * @throws {500} 서버 오류
@@ -75,10 +89,8 @@ async function createApiKey(req, res) {
  */
 async function getApiKeys(req, res) {
     try {
-        const userId = req.user.userId;
-
-        // Service 호출: 사용자의 모든 API Key 조회
-        const keys = await apiKeyService.getUserApiKeys(userId);
+        // Service 호출: 조직의 모든 API Key 조회
+        const keys = await apiKeyService.getOrganizationApiKeys(req.organization.id);
 
         // 성공 응답
         successResponse(res, keys, 'API Key 목록 조회 성공');
@@ -93,25 +105,26 @@ async function getApiKeys(req, res) {
  * 
  * @route DELETE /api/api-keys/:keyId
  * @header Authorization: Bearer {accessToken}
+ * @header X-Organization-Id: 조직 ID (선택, 없으면 기본 조직)
  * @param {string} keyId - API Key ID (URL 파라미터)
  * 
  * @returns {200} { message: "API Key가 비활성화되었습니다" }
- * @throws {404} API Key를 찾을 수 없음 (또는 소유권 없음)
+ * @throws {403} 조직 역할 부족 (owner / developer만 가능)
+ * @throws {404} API Key를 찾을 수 없음 (또는 다른 조직의 Key)
  * @throws {500} 서버 오류
  * 
  * 참고:
  * - 물리적 삭제 아님, is_active = 0으로 변경
- * - 사용자 소유 확인 필수
+ * - 조직 소유 확인 필수
  */
 async function revokeApiKey(req, res) {
     try {
-        const userId = req.user.userId;
         const { keyId } = req.params;
 
         // Service 호출: API Key 비활성화
-        // 1. keyId 및 userId로 소유권 확인
+        // 1. keyId 및 organizationId로 소유권 확인
         // 2. is_active = 0으로 업데이트
-        await apiKeyService.revokeApiKey(userId, keyId);
+        await apiKeyService.revokeApiKey(req.organization.id, keyId);
 
         // 성공 응답
         successResponse(res, null, 'API Key가 비활성화되었습니다');
@@ -125,11 +138,181 @@ async function revokeApiKey(req, res) {
     }
 }
 
+/**
+ * API Key Secret 교체 핸들러
+ * 
+ * @route POST /api/api-keys/:keyId/rotate
+ * @header Authorization: Bearer {accessToken}
+ * @header X-Organization-Id: 조직 ID (선택, 없으면 기본 조직)
+ * @param {string} keyId - API Key ID (URL 파라미터)
+ * @param {number} gracePeriodHours - 이전 Secret 허용 시간 (선택, 0 ~ 168, 기본 24)
+ * @param {number} expiresInDays - 새 만료 기간 (선택, 생략 시 기존 만료일 유지)
+ * 
+ * @returns {200} { keyId, apiKey, apiSecret, previousSecretExpiresAt, expiresAt, warning }
+ * @throws {400} 잘못된 유예 시간 (INVALID_GRACE_PERIOD) / 만료 기간 (INVALID_EXPIRY)
+ * @throws {403} 조직 역할 부족 (owner / developer만 가능)
+ * @throws {404} API Key를 찾을 수 없음 (다른 조직의 Key, 비활성화된 Key 포함)
+ * @throws {500} 서버 오류
+ * 
+ * 참고:
+ * - API Key 값은 그대로, Secret만 새로 발급
+ * - 유예 기간 동안 이전 Secret도 인증 통과 → 배포된 클라이언트를 순차 교체 가능
+ */
+async function rotateApiKey(req, res) {
+    try {
+        const { keyId } = req.params;
+        const { gracePeriodHours, expiresInDays } = req.body;
+
+        const result = await apiKeyService.rotateApiKey(req.organization.id, keyId, { gracePeriodHours, expiresInDays });
+
+        successResponse(res, result, 'API Secret이 교체되었습니다');
+    } catch (err) {
+        if (err.statusCode === 400 || err.statusCode === 404) {
+            return errorResponse(res, err.message, err.statusCode, err.errorCode);
+        }
+        errorResponse(res, err.message, 500);
+    }
+}
+
+/**
+ * 서명 Secret 발급 핸들러
+ * 
+ * @route POST /api/api-keys/:keyId/signing-secret
+ * @header Authorization: Bearer {accessToken}
+ * @header X-Organization-Id: 조직 ID (선택, 없으면 기본 조직)
+ * @param {string} keyId - API Key ID (URL 파라미터)
+ * @param {number} gracePeriodHours - 재발급 시 이전 서명 Secret 허용 시간 (선택, 0 ~ 168, 기본 24)
+ * 
+ * @returns {200} { keyId, signingSecret, previousSigningSecretExpiresAt, warning }
+ * @throws {400} 잘못된 유예 시간 (INVALID_GRACE_PERIOD)
+ * @throws {403} 조직 역할 부족 (owner / developer만 가능)
+ * @throws {404} API Key를 찾을 수 없음 (다른 조직의 Key, 비활성화된 Key 포함)
+ * @throws {503} 서버 암호화 키 미설정 (SIGNING_UNAVAILABLE)
+ * @throws {500} 서버 오류
+ * 
+ * 참고:
+ * - 서명 요청 (X-Signature)은 API Secret이 아닌 이 서명 Secret으로 계산
+ * - 발급하지 않은 Key는 서명 요청 불가 (body / 헤더 Secret 방식만 사용)
+ */
+async function issueSigningSecret(req, res) {
+    try {
+        const { keyId } = req.params;
+        const { gracePeriodHours } = req.body;
+
+        const result = await apiKeyService.issueSigningSecret(req.organization.id, keyId, { gracePeriodHours });
+
+        successResponse(res, result, '서명 Secret이 발급되었습니다');
+    } catch (err) {
+        if (err.statusCode === 400 || err.statusCode === 404 || err.statusCode === 503) {
+            return errorResponse(res, err.message, err.statusCode, err.errorCode);
+        }
+        errorResponse(res, err.message, 500);
+    }
+}
+
+/**
+ * API Key scope 변경 핸들러
+ * 
+ * @route PUT /api/api-keys/:keyId/scopes
+ * @header Authorization: Bearer {accessToken}
+ * @header X-Organization-Id: 조직 ID (선택, 없으면 기본 조직)
+ * @param {string} keyId - API Key ID (URL 파라미터)
+ * @param {string[]} scopes - 새 scope 목록 (전체 교체, 1개 이상)
+ * 
+ * @returns {200} { keyId, scopes }
+ * @throws {400} scopes 누락/알 수 없는 scope (INVALID_SCOPE)
+ * @throws {403} 조직 역할 부족 (owner / developer만 가능)
+ * @throws {404} API Key를 찾을 수 없음 (또는 다른 조직의 Key)
+ * @throws {500} 서버 오류
+ * 
+ * 참고:
+ * - 다음 API 요청부터 즉시 적용
+ */
+async function updateApiKeyScopes(req, res) {
+    try {
+        const { keyId } = req.params;
+
+        const scopes = await apiKeyService.updateApiKeyScopes(req.organization.id, keyId, req.body.scopes);
+
+        successResponse(res, { keyId, scopes }, 'API Key 권한이 변경되었습니다');
+    } catch (err) {
+        if (err.statusCode === 400 || err.statusCode === 404) {
+            return errorResponse(res, err.message, err.statusCode, err.errorCode);
+        }
+        errorResponse(res, err.message, 500);
+    }
+}
+
+/**
+ * API Key IP 화이트리스트 변경 핸들러
+ * 
+ * @route PUT /api/api-keys/:keyId/ip-whitelist
+ * @header Authorization: Bearer {accessToken}
+ * @header X-Organization-Id: 조직 ID (선택, 없으면 기본 조직)
+ * @param {string} keyId - API Key ID (URL 파라미터)
+ * @param {string[]} ipWhitelist - IP 주소 / CIDR 목록 (전체 교체, 빈 배열이면 제한 해제)
+ * 
+ * @returns {200} { keyId, ipWhitelist }
+ * @throws {400} 배열 아님, 최대 개수 초과, 잘못된 IP/CIDR (INVALID_IP_WHITELIST)
+ * @throws {403} 조직 역할 부족 (owner / developer만 가능)
+ * @throws {404} API Key를 찾을 수 없음 (또는 다른 조직의 Key)
+ * @throws {500} 서버 오류
+ */
+async function updateApiKeyIpWhitelist(req, res) {
+    try {
+        const { keyId } = req.params;
+
+        const ipWhitelist = await apiKeyService.updateApiKeyIpWhitelist(req.organization.id, keyId, req.body.ipWhitelist);
+
+        successResponse(res, { keyId, ipWhitelist }, 'API Key IP 화이트리스트가 변경되었습니다');
+    } catch (err) {
+        if (err.statusCode === 400 || err.statusCode === 404) {
+            return errorResponse(res, err.message, err.statusCode, err.errorCode);
+        }
+        errorResponse(res, err.message, 500);
+    }
+}
+
+/**
+ * API Key 사용량 분석 핸들러
+ * 
+ * @route GET /api/api-keys/:keyId/usage
+ * @header Authorization: Bearer {accessToken}
+ * @header X-Organization-Id: 조직 ID (선택, 없으면 기본 조직)
+ * @param {string} keyId - API Key ID (URL 파라미터)
+ * @query {string} [range=24h] - 조회 기간 (24h / 7d / 30d / 90d)
+ * 
+ * @returns {200} { keyId, keyName, range, bucket, from, to, summary, timeline, topIps, statusCodes }
+ * @throws {400} 지원하지 않는 기간 (INVALID_RANGE)
+ * @throws {404} API Key를 찾을 수 없음 (또는 다른 조직의 Key)
+ * @throws {500} 서버 오류
+ */
+async function getApiKeyUsage(req, res) {
+    try {
+        const { keyId } = req.params;
+        const { range = '24h' } = req.query;
+
+        const usage = await dashboardService.getApiKeyUsage(req.organization.id, keyId, range);
+
+        successResponse(res, usage, 'API Key 사용량 조회 성공');
+    } catch (err) {
+        if (err.statusCode === 400 || err.statusCode === 404) {
+            return errorResponse(res, err.message, err.statusCode, err.errorCode);
+        }
+        errorResponse(res, err.message, 500);
+    }
+}
+
 /**
  * 모듈 내보내기
  */
 module.exports = {
     createApiKey,
     getApiKeys,
-    revokeApiKey
+    revokeApiKey,
+    rotateApiKey,
+    issueSigningSecret,
+    updateApiKeyScopes,
+    updateApiKeyIpWhitelist,
+    getApiKeyUsage
 };
\ No newline at end of file
@@ -1,13 +1,16 @@
 /**
  * authController.js
- * 역할: 회원가입, 로그인, 토큰 갱신 처리
+ * 역할: 회원가입, 로그인, 토큰 갱신, 로그아웃, 비밀번호 재설정, 이메일 인증 처리
  * 특징: 입력 검증 → Service 호출 → 응답 반환
  */
 
 const authService = require('../services/authService');
+const sessionService = require('../services/sessionService');
+const passwordResetService = require('../services/passwordResetService');
+const emailVerificationService = require('../services/emailVerificationService');
 const successResponse = require('../utils/successResponse');
 const errorResponse = require('../utils/errorResponse');
-const { validateSignupInput } = require('../utils/validationUtils');
+const { validateSignupInput, validateEmail, validatePassword } = require('../utils/validationUtils');
 
 /**
  * 회원가입 핸들러
@@ -77,10 +80,12 @@ async function signup(req, res) {
  * @param {string} email - 이메일 (필수)
  * @param {string} password - 비밀번호 (필수)
  * 
- * @returns {200} { userId, accessToken, refreshToken, isAdmin }
+ * @returns {200} { userId, accessToken, refreshToken, isAdmin, emailVerified, twoFactorSetupRequired }
+ *   또는 2FA 사용자: { twoFactorRequired: true, challengeToken } → POST /api/auth/login/2fa
  * @throws {400} 이메일 또는 비밀번호 누락
- * @throws {401} 잘못된 이메일/비밀번호
- * @throws {403} 차단된 계정
+ * @throws {401} 잘못된 이메일/비밀번호 (가입 여부와 관계없이 같은 메시지)
+ * @throws {403} 차단/비활성 계정 (비밀번호가 맞은 경우에만)
+ * @throws {429} 로그인 실패 누적 (IP 지연 또는 계정 잠금, Retry-After 헤더)
  * @throws {500} 서버 오류
  */
 
@@ -104,8 +109,23 @@ async function login(req, res) {
         }
 
         // Step 2: 로그인 처리
-        const result = await authService.loginUser(email, password);
-        
+        const result = await authService.loginUser(email, password, {
+            userAgent: req.get('user-agent'),
+            ipAddress: req.ip
+        });
+
+        // 2FA 사용자: 토큰 대신 챌린지 토큰 반환
+        if (result.twoFactorRequired) {
+            return successResponse(
+                res,
+                {
+                    twoFactorRequired: true,
+                    challengeToken: result.challengeToken
+                },
+                '2단계 인증 코드를 입력하세요',
+                200
+            );
+        }
 
         console.log('[LOGIN API RESPONSE]', {
             userId: result.userId,
@@ -125,7 +145,9 @@ async function login(req, res) {
                 phoneNumber: result.phoneNumber,
                 accessToken: result.accessToken,
                 refreshToken: result.refreshToken,
-                isAdmin: result.isAdmin
+                isAdmin: result.isAdmin,
+                emailVerified: result.emailVerified,
+                twoFactorSetupRequired: result.twoFactorSetupRequired
             },
             '로그인 성공',
             200
@@ -133,30 +155,14 @@ async function login(req, res) {
     } catch (err) {
         console.error('[LOGIN API ERROR]', err.message);
 
-        // 에러 메시지에 따라 구체적인 응답 반환
-        if (err.message.includes('blocked')) {
-            return errorResponse(
-                res,
-                err.message,
-                403,
-                'ACCOUNT_BLOCKED'
-            );
+        // 로그인 실패 누적: 다시 시도 가능한 시각 안내
+        if (err.statusCode === 429) {
+            res.set('Retry-After', String(err.retryAfter));
+            return errorResponse(res, err.message, 429, err.errorCode, { retryAfter: err.retryAfter });
         }
-        if (err.message.includes('not active')) {
-            return errorResponse(
-                res,
-                err.message,
-                403,
-                'ACCOUNT_INACTIVE'
-            );
-        }
-        if (err.message.includes('Invalid')) {
-            return errorResponse(
-                res,
-                err.message,
-                401,
-                'INVALID_CREDENTIALS'
-            );
+        // 잘못된 이메일/비밀번호 (401), 차단/비활성 계정 (403)
+        if (err.statusCode === 401 || err.statusCode === 403) {
+            return errorResponse(res, err.message, err.statusCode, err.errorCode);
         }
 
         errorResponse(res, err.message, 500, 'LOGIN_ERROR');
@@ -164,21 +170,81 @@ async function login(req, res) {
 }
 
 
+/**
+ * 2단계 인증 로그인 핸들러
+ * 
+ * @route POST /api/auth/login/2fa
+ * @param {string} challengeToken - 로그인 응답의 챌린지 토큰 (필수)
+ * @param {string} code - 인증 앱 6자리 코드 (code 또는 recoveryCode 중 하나)
+ * @param {string} recoveryCode - 복구 코드
+ * 
+ * @returns {200} 로그인 응답과 동일 { userId, accessToken, refreshToken, isAdmin, ... }
+ * @throws {400} 입력값 누락
+ * @throws {401} 챌린지 만료 (INVALID_CHALLENGE_TOKEN) / 코드 불일치 (INVALID_TWO_FACTOR_CODE)
+ * @throws {403} 차단/비활성 계정
+ * @throws {429} 로그인 실패 누적 (IP 지연 또는 계정 잠금, Retry-After 헤더)
+ * @throws {500} 서버 오류
+ */
+async function loginTwoFactor(req, res) {
+    try {
+        const { challengeToken, code, recoveryCode } = req.body;
+
+        if (!challengeToken || (!code && !recoveryCode)) {
+            return errorResponse(res, '인증 코드를 입력하세요', 400, 'VALIDATION_ERROR');
+        }
+
+        const result = await authService.completeTwoFactorLogin(
+            challengeToken,
+            { code, recoveryCode },
+            {
+                userAgent: req.get('user-agent'),
+                ipAddress: req.ip
+            }
+        );
+
+        successResponse(
+            res,
+            {
+                userId: result.userId,
+                firstName: result.firstName,
+                lastName: result.lastName,
+                email: result.email,
+                accessToken: result.accessToken,
+                refreshToken: result.refreshToken,
+                isAdmin: result.isAdmin,
+                emailVerified: result.emailVerified,
+                twoFactorSetupRequired: result.twoFactorSetupRequired
+            },
+            '로그인 성공',
+            200
+        );
+    } catch (err) {
+        if (err.statusCode === 429) {
+            res.set('Retry-After', String(err.retryAfter));
+            return errorResponse(res, err.message, 429, err.errorCode, { retryAfter: err.retryAfter });
+        }
+        if (err.statusCode === 401 || err.statusCode === 403) {
+            return errorResponse(res, err.message, err.statusCode, err.errorCode);
+        }
+        errorResponse(res, err.message, 500, 'LOGIN_ERROR');
+    }
+}
+
 /**
  * 토큰 갱신 핸들러
  * 
  * @route POST /api/auth/refresh-token
  * @param {string} refreshToken - Refresh Token (필수, 유효해야 함)
  * 
- * @returns {200} { accessToken }
+ * @returns {200} { accessToken, refreshToken }
  * @throws {400} Refresh Token 누락
- * @throws {401} 유효하지 않은 Refresh Token
+ * @throws {401} 유효하지 않은/이미 사용된 Refresh Token
  * @throws {500} 서버 오류
  * 
  * 참고:
  * - Access Token 만료 시 Refresh Token으로 새 Access Token 획득
- * - Refresh Token 자체는 검증만 하고 갱신하지 않음
- * - 클라이언트는 새 Access Token으로 업데이트 필요
+ * - Refresh Token은 호출마다 회전됨 (새 토큰 발급, 기존 토큰 무효화)
+ * - 클라이언트는 새 Access Token과 Refresh Token 모두 업데이트 필요
  */
 /**
  * Access Token 갱신 API
@@ -198,11 +264,12 @@ async function refreshToken(req, res) {
 
         const result = await authService.refreshAccessToken(refreshToken);
 
-        // ✅ isAdmin도 함께 반환
+        // ✅ 회전된 refreshToken, isAdmin도 함께 반환
         successResponse(
             res,
             {
                 accessToken: result.accessToken,
+                refreshToken: result.refreshToken,
                 userId: result.userId,
                 isAdmin: result.isAdmin
             },
@@ -210,6 +277,9 @@ async function refreshToken(req, res) {
             200
         );
     } catch (err) {
+        if (err.statusCode === 401 || err.statusCode === 403) {
+            return errorResponse(res, err.message, err.statusCode, err.errorCode);
+        }
         if (err.message.includes('Invalid') || err.message.includes('expired')) {
             return errorResponse(
                 res,
@@ -233,12 +303,26 @@ async function refreshToken(req, res) {
 
 
 /**
- * 로그아웃 API
+ * 로그아웃 핸들러 (현재 세션 종료)
+ * 
+ * @route POST /api/auth/logout
+ * @header Authorization: Bearer {accessToken}
+ * 
+ * @returns {200} 로그아웃 완료
+ * @throws {401} 인증 실패
+ * @throws {500} 서버 오류
+ * 
+ * 참고:
+ * - Access Token의 sid로 세션을 찾아 종료
+ * - 같은 세션의 Refresh Token도 함께 폐기됨
  */
-function logout(req, res) {
+async function logout(req, res) {
     try {
+        await sessionService.revokeSession(req.user.sid, req.user.userId, 'logout');
+
         console.log('[LOGOUT]', {
-            userId: req.user?.userId,
+            userId: req.user.userId,
+            sessionId: req.user.sid,
             timestamp: new Date().toISOString()
         });
 
@@ -249,9 +333,177 @@ function logout(req, res) {
             200
         );
     } catch (err) {
-        errorResponse(res, err.message, 500);
+        errorResponse(res, err.message, 500, 'LOGOUT_ERROR');
+    }
+}
+
+/**
+ * 모든 기기 로그아웃 핸들러 (사용자의 모든 세션 종료)
+ * 
+ * @route POST /api/auth/logout-all
+ * @header Authorization: Bearer {accessToken}
+ * 
+ * @returns {200} 모든 세션 종료 완료
+ * @throws {401} 인증 실패
+ * @throws {500} 서버 오류
+ */
+async function logoutAll(req, res) {
+    try {
+        await sessionService.revokeAllSessions(req.user.userId, 'logout_all');
+
+        successResponse(
+            res,
+            null,
+            '모든 기기에서 로그아웃되었습니다.',
+            200
+        );
+    } catch (err) {
+        errorResponse(res, err.message, 500, 'LOGOUT_ERROR');
+    }
+}
+/**
+ * 비밀번호 재설정 요청 핸들러
+ * 
+ * @route POST /api/auth/forgot-password
+ * @param {string} email - 가입 이메일 (필수)
+ * 
+ * @returns {200} 항상 동일한 응답 (가입 여부 노출 방지)
+ * @throws {400} 이메일 누락 또는 형식 오류
+ * @throws {500} 서버 오류
+ */
+async function forgotPassword(req, res) {
+    try {
+        const { email } = req.body;
+
+        if (!email || !validateEmail(email)) {
+            return errorResponse(res, '올바른 이메일을 입력하세요', 400, 'VALIDATION_ERROR');
+        }
+
+        await passwordResetService.requestPasswordReset(email, { ipAddress: req.ip });
+
+        successResponse(
+            res,
+            null,
+            '가입된 이메일이라면 비밀번호 재설정 링크가 발송됩니다.',
+            200
+        );
+    } catch (err) {
+        errorResponse(res, err.message, 500, 'PASSWORD_RESET_ERROR');
+    }
+}
+
+/**
+ * 비밀번호 재설정 핸들러
+ * 
+ * @route POST /api/auth/reset-password
+ * @param {string} token - 메일로 받은 재설정 토큰 (필수)
+ * @param {string} newPassword - 새 비밀번호 (필수, 8자+대소문자+숫자+특수문자)
+ * @param {string} confirmPassword - 새 비밀번호 확인 (필수)
+ * 
+ * @returns {200} 재설정 완료 (모든 기기 로그아웃됨)
+ * @throws {400} 입력값 오류 또는 유효하지 않은/만료된 토큰
+ * @throws {500} 서버 오류
+ */
+async function resetPassword(req, res) {
+    try {
+        const { token, newPassword, confirmPassword } = req.body;
+
+        if (!token || !newPassword || !confirmPassword) {
+            return errorResponse(res, '모든 필드를 입력하세요', 400, 'VALIDATION_ERROR');
+        }
+
+        if (newPassword !== confirmPassword) {
+            return errorResponse(res, '새 비밀번호가 일치하지 않습니다', 400, 'PASSWORD_MISMATCH');
+        }
+
+        if (!validatePassword(newPassword)) {
+            return errorResponse(
+                res,
+                '비밀번호는 8자 이상이며 대소문자, 숫자, 특수문자를 포함해야 합니다',
+                400,
+                'VALIDATION_ERROR'
+            );
+        }
+
+        await passwordResetService.resetPassword(token, newPassword);
+
+        successResponse(
+            res,
+            null,
+            '비밀번호가 재설정되었습니다. 새 비밀번호로 로그인하세요.',
+            200
+        );
+    } catch (err) {
+        if (err.statusCode === 400) {
+            return errorResponse(res, err.message, 400, err.errorCode);
+        }
+        errorResponse(res, err.message, 500, 'PASSWORD_RESET_ERROR');
     }
 }
+
+/**
+ * 이메일 인증 핸들러
+ * 
+ * @route POST /api/auth/verify-email
+ * @param {string} token - 인증 메일 링크의 토큰 (필수)
+ * 
+ * @returns {200} { alreadyVerified }
+ * @throws {400} 토큰 누락 또는 유효하지 않은/만료된 토큰
+ * @throws {500} 서버 오류
+ */
+async function verifyEmail(req, res) {
+    try {
+        const { token } = req.body;
+
+        if (!token) {
+            return errorResponse(res, '인증 토큰이 필요합니다', 400, 'VALIDATION_ERROR');
+        }
+
+        const result = await emailVerificationService.verifyEmail(token);
+
+        successResponse(
+            res,
+            { alreadyVerified: result.alreadyVerified },
+            result.alreadyVerified ? '이미 인증된 이메일입니다.' : '이메일 인증이 완료되었습니다.',
+            200
+        );
+    } catch (err) {
+        if (err.statusCode === 400) {
+            return errorResponse(res, err.message, 400, err.errorCode);
+        }
+        errorResponse(res, err.message, 500, 'EMAIL_VERIFICATION_ERROR');
+    }
+}
+
+/**
+ * 인증 메일 재발송 핸들러
+ * 
+ * @route POST /api/auth/resend-verification
+ * @header Authorization: Bearer {accessToken}
+ * 
+ * @returns {200} 발송 완료
+ * @throws {401} 인증 실패
+ * @throws {409} 이미 인증된 이메일
+ * @throws {429} 재발송 쿨다운 또는 요청 한도 초과 (Retry-After 헤더)
+ * @throws {500} 서버 오류 (메일 발송 실패 포함)
+ */
+async function resendVerification(req, res) {
+    try {
+        await emailVerificationService.sendVerificationEmail(req.user.userId);
+
+        successResponse(res, null, '인증 메일이 발송되었습니다.', 200);
+    } catch (err) {
+        if (err.statusCode === 429) {
+            res.set('Retry-After', String(err.retryAfter));
+            return errorResponse(res, err.message, 429, err.errorCode, { retryAfter: err.retryAfter });
+        }
+        if (err.statusCode === 404 || err.statusCode === 409) {
+            return errorResponse(res, err.message, err.statusCode, err.errorCode);
+        }
+        errorResponse(res, err.message, 500, 'EMAIL_VERIFICATION_ERROR');
+    }
+}
+
 /**
  * 모듈 내보내기
  * 라우트에서 authController.signup() 형태로 사용
@@ -259,7 +511,12 @@ function logout(req, res) {
 module.exports = {
     signup,
     login,
+    loginTwoFactor,
     refreshToken,
-    logout
-
+    logout,
+    logoutAll,
+    forgotPassword,
+    resetPassword,
+    verifyEmail,
+    resendVerification
 };
\ No newline at end of file
@@ -0,0 +1,150 @@
+/**
+ * billingController.js
+ * 역할: 조직 청구서 목록 / 상세 조회, 결제 대행사 결제 페이지 / Webhook
+ * 특징: Webhook을 제외하고 authMiddleware로 인증 필수
+ *       청구서 / 결제는 조직 단위 (organizationContext로 선택된 조직, X-Organization-Id)
+ */
+
+const invoiceService = require('../services/invoiceService');
+const paymentService = require('../services/paymentService');
+const successResponse = require('../utils/successResponse');
+const errorResponse = require('../utils/errorResponse');
+const { INVOICE_STATUS } = require('../config/constants');
+
+/**
+ * 청구서 목록 조회 핸들러
+ * 
+ * @route GET /api/billing/invoices
+ * @header Authorization: Bearer {accessToken}
+ * @header X-Organization-Id: 조직 ID (선택, 없으면 기본 조직)
+ * @query {string} [status] - draft | open | paid | void
+ * @query {number} [page=1] - 페이지
+ * @query {number} [limit=20] - 페이지당 개수 (최대 100)
+ * 
+ * @returns {200} {
+ *   invoices: [{ id, invoice_number, tier_name, period_start, period_end, status,
+ *                subtotal_usd, tax_usd, total_usd, issued_at, due_date, paid_at }],
+ *   total, page, limit, totalPages
+ * }
+ * @throws {400} 알 수 없는 status
+ * @throws {500} 서버 오류
+ */
+async function listInvoices(req, res) {
+    try {
+        const status = (typeof req.query.status === 'string' && req.query.status.trim()) || undefined;
+        const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+        const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 20, 1), 100);
+
+        if (status && !Object.values(INVOICE_STATUS).includes(status)) {
+            return errorResponse(res, '알 수 없는 청구서 상태입니다', 400, 'VALIDATION_ERROR');
+        }
+
+        const result = await invoiceService.listInvoices(req.organization.id, { status }, page, limit);
+
+        successResponse(res, result, '청구서 목록 조회 성공');
+    } catch (err) {
+        errorResponse(res, err.message, 500);
+    }
+}
+
+/**
+ * 청구서 상세 조회 핸들러
+ * 
+ * @route GET /api/billing/invoices/:id
+ * @header Authorization: Bearer {accessToken}
+ * @header X-Organization-Id: 조직 ID (선택, 없으면 기본 조직)
+ * 
+ * @returns {200} {
+ *   id, invoice_number, organization_name, subscriber_email, tier_name,
+ *   period_start, period_end, status, currency, subtotal_usd, tax_rate, tax_usd, total_usd,
+ *   issued_at, due_date, paid_at, voided_at,
+ *   lineItems: [{ line_type, description, quantity, unit_price_usd, amount_usd }]
+ * }
+ * @throws {404} 청구서 없음 (다른 조직 청구서 포함)
+ * @throws {500} 서버 오류
+ */
+async function getInvoice(req, res) {
+    try {
+        const invoice = await invoiceService.getInvoice(req.organization.id, req.params.id);
+
+        successResponse(res, invoice, '청구서 조회 성공');
+    } catch (err) {
+        if (err.statusCode) {
+            return errorResponse(res, err.message, err.statusCode, err.errorCode);
+        }
+        errorResponse(res, err.message, 500);
+    }
+}
+
+/**
+ * 결제 페이지 생성 핸들러
+ * 
+ * @route POST /api/billing/checkout
+ * @header Authorization: Bearer {accessToken}
+ * @header X-Organization-Id: 조직 ID (선택, 없으면 기본 조직)
+ * @body {string} [invoiceId] - 결제할 청구서 (없으면 승인 대기 구독)
+ * 
+ * @returns {201} { paymentId, provider, purpose, amountUsd, checkoutUrl }
+ * @throws {400} 결제 대기 청구서가 아님, 결제 금액 0 (VALIDATION_ERROR)
+ * @throws {403} 조직 owner 아님
+ * @throws {404} 승인 대기 구독 / 청구서 없음 (NOT_FOUND)
+ * @throws {409} 이미 결제 완료 (PAYMENT_ALREADY_COMPLETED), 결제 페이지 생성 중 (PAYMENT_IN_PROGRESS)
+ * @throws {502} 결제 대행사 요청 실패 (PAYMENT_PROVIDER_ERROR)
+ * @throws {500} 서버 오류
+ */
+async function createCheckout(req, res) {
+    try {
+        const { invoiceId } = req.body;
+
+        if (invoiceId !== undefined && invoiceId !== null && (typeof invoiceId !== 'string' || !invoiceId.trim())) {
+            return errorResponse(res, 'invoiceId는 문자열이어야 합니다', 400, 'VALIDATION_ERROR');
+        }
+
+        const result = await paymentService.createCheckout(req.organization.id, req.user.userId, {
+            invoiceId: invoiceId ? invoiceId.trim() : null
+        });
+
+        successResponse(res, result, '결제 페이지가 생성되었습니다', 201);
+    } catch (err) {
+        if (err.statusCode) {
+            return errorResponse(res, err.message, err.statusCode, err.errorCode);
+        }
+        errorResponse(res, err.message, 500);
+    }
+}
+
+/**
+ * 결제 대행사 Webhook 핸들러
+ * 
+ * @route POST /api/billing/webhooks/:provider
+ * @param {string} provider - 결제 대행사 (stripe / fake, 설정된 PAYMENT_PROVIDER만)
+ * @header Stripe-Signature (stripe) / X-Fake-Signature (fake)
+ * 
+ * @returns {200} { processed, type, paymentId, status }
+ * @throws {400} 본문 없음 / 서명 불일치 (INVALID_WEBHOOK_SIGNATURE)
+ * @throws {404} 설정되지 않은 대행사
+ * @throws {500} 서버 오류 (대행사가 Webhook을 다시 보냄)
+ */
+async function handlePaymentWebhook(req, res) {
+    try {
+        const result = await paymentService.handleWebhook(req.params.provider, req.rawBody, req.headers);
+
+        successResponse(res, result, 'Webhook 처리 완료');
+    } catch (err) {
+        if (err.statusCode) {
+            return errorResponse(res, err.message, err.statusCode, err.errorCode);
+        }
+        console.error('[PAYMENT_WEBHOOK_ERROR]', err);
+        errorResponse(res, err.message, 500);
+    }
+}
+
+/**
+ * 모듈 내보내기
+ */
+module.exports = {
+    listInvoices,
+    getInvoice,
+    createCheckout,
+    handlePaymentWebhook
+};
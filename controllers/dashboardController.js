@@ -4,8 +4,7 @@ const errorResponse = require('../utils/errorResponse');
 
 async function getDashboard(req, res) {
     try {
-        const userId = req.user.userId;
-        const stats = await dashboardService.getDashboardStats(userId);
+        const stats = await dashboardService.getDashboardStats(req.organization.id);
         
         successResponse(res, stats, '대시보드 통계 조회 성공');
     } catch (err) {
@@ -15,10 +14,9 @@ async function getDashboard(req, res) {
 
 async function getApiLogs(req, res) {
     try {
-        const userId = req.user.userId;
         const { page = 1, limit = 20 } = req.query;
         
-        const result = await dashboardService.getApiLogs(userId, parseInt(page), parseInt(limit));
+        const result = await dashboardService.getApiLogs(req.organization.id, parseInt(page), parseInt(limit));
         
         successResponse(res, result, 'API 로그 조회 성공');
     } catch (err) {
@@ -0,0 +1,264 @@
+/**
+ * organizationController.js
+ * 역할: 조직 생성/목록, 멤버 관리, 이메일 초대 발송/취소/수락
+ * 특징: authMiddleware로 인증 필수, 조직별 API는 organizationContext로 멤버십 확인
+ */
+
+const organizationService = require('../services/organizationService');
+const successResponse = require('../utils/successResponse');
+const errorResponse = require('../utils/errorResponse');
+const { validateEmail } = require('../utils/validationUtils');
+const { ORGANIZATION_ROLES } = require('../config/constants');
+
+/**
+ * 서비스 에러 → 응답 (statusCode가 지정된 에러는 그대로 전달)
+ */
+function organizationErrorResponse(res, err) {
+    if (err.statusCode) {
+        return errorResponse(res, err.message, err.statusCode, err.errorCode);
+    }
+    errorResponse(res, err.message, 500);
+}
+
+/**
+ * 내 조직 목록 조회 핸들러
+ *
+ * @route GET /api/organizations
+ * @header Authorization: Bearer {accessToken}
+ *
+ * @returns {200} [{ id, name, role, member_count, joined_at, ... }] - 첫 번째가 기본 조직
+ * @throws {500} 서버 오류
+ */
+async function getMyOrganizations(req, res) {
+    try {
+        const organizations = await organizationService.getUserOrganizations(req.user.userId);
+
+        successResponse(res, organizations, '조직 목록 조회 성공');
+    } catch (err) {
+        organizationErrorResponse(res, err);
+    }
+}
+
+/**
+ * 조직 생성 핸들러
+ *
+ * @route POST /api/organizations
+ * @header Authorization: Bearer {accessToken}
+ * @param {string} name - 조직 이름 (필수, 100자 이하)
+ *
+ * @returns {201} { id, name, role } - 생성자는 owner
+ * @throws {400} 이름 누락
+ * @throws {500} 서버 오류
+ */
+async function createOrganization(req, res) {
+    try {
+        const name = typeof req.body.name === 'string' ? req.body.name.trim() : '';
+
+        if (!name || name.length > 100) {
+            return errorResponse(res, '조직 이름은 1~100자로 입력하세요', 400, 'VALIDATION_ERROR');
+        }
+
+        const organization = await organizationService.createOrganization(req.user.userId, name);
+
+        successResponse(res, organization, '조직이 생성되었습니다', 201);
+    } catch (err) {
+        organizationErrorResponse(res, err);
+    }
+}
+
+/**
+ * 조직 멤버 목록 조회 핸들러
+ *
+ * @route GET /api/organizations/:organizationId/members
+ * @header Authorization: Bearer {accessToken}
+ *
+ * @returns {200} [{ user_id, email, first_name, last_name, role, joined_at }]
+ * @throws {403} 조직 멤버가 아님 (ORGANIZATION_ACCESS_DENIED)
+ * @throws {500} 서버 오류
+ */
+async function getMembers(req, res) {
+    try {
+        const members = await organizationService.getMembers(req.organization.id);
+
+        successResponse(res, members, '조직 멤버 조회 성공');
+    } catch (err) {
+        organizationErrorResponse(res, err);
+    }
+}
+
+/**
+ * 멤버 역할 변경 핸들러 (owner 전용)
+ *
+ * @route PUT /api/organizations/:organizationId/members/:userId
+ * @header Authorization: Bearer {accessToken}
+ * @param {string} role - owner | developer | viewer (필수)
+ *
+ * @returns {200} { userId, role }
+ * @throws {400} 잘못된 역할 (VALIDATION_ERROR)
+ * @throws {404} 멤버 없음 (MEMBER_NOT_FOUND)
+ * @throws {409} 마지막 owner (LAST_OWNER)
+ * @throws {500} 서버 오류
+ */
+async function updateMemberRole(req, res) {
+    try {
+        const { userId } = req.params;
+        const { role } = req.body;
+
+        await organizationService.updateMemberRole(req.organization.id, userId, role);
+
+        successResponse(res, { userId, role }, '멤버 역할이 변경되었습니다');
+    } catch (err) {
+        organizationErrorResponse(res, err);
+    }
+}
+
+/**
+ * 멤버 제거 / 조직 탈퇴 핸들러
+ *
+ * @route DELETE /api/organizations/:organizationId/members/:userId
+ * @header Authorization: Bearer {accessToken}
+ *
+ * @returns {200} 제거 완료
+ * @throws {403} owner가 아닌 멤버가 다른 멤버를 제거 (ORGANIZATION_ACCESS_DENIED)
+ * @throws {404} 멤버 없음 (MEMBER_NOT_FOUND)
+ * @throws {409} 마지막 owner (LAST_OWNER)
+ * @throws {500} 서버 오류
+ *
+ * 참고:
+ * - 본인 탈퇴는 역할과 관계없이 가능
+ */
+async function removeMember(req, res) {
+    try {
+        const { userId } = req.params;
+        const isSelf = userId === req.user.userId;
+
+        if (!isSelf && req.organization.role !== ORGANIZATION_ROLES.OWNER) {
+            return errorResponse(res, '조직에서 이 작업을 수행할 권한이 없습니다', 403, 'ORGANIZATION_ACCESS_DENIED', {
+                requiredRoles: [ORGANIZATION_ROLES.OWNER]
+            });
+        }
+
+        await organizationService.removeMember(req.organization.id, userId);
+
+        successResponse(res, null, isSelf ? '조직에서 탈퇴했습니다' : '멤버가 제거되었습니다');
+    } catch (err) {
+        organizationErrorResponse(res, err);
+    }
+}
+
+/**
+ * 조직 초대 핸들러 (owner 전용)
+ *
+ * @route POST /api/organizations/:organizationId/invitations
+ * @header Authorization: Bearer {accessToken}
+ * @param {string} email - 초대할 이메일 (필수)
+ * @param {string} [role=viewer] - 수락 시 부여할 역할
+ *
+ * @returns {201} { invitationId, email, role, expiresAt }
+ * @throws {400} 이메일 형식 오류 / 잘못된 역할 (VALIDATION_ERROR)
+ * @throws {409} 이미 멤버 (ALREADY_MEMBER)
+ * @throws {500} 서버 오류
+ */
+async function createInvitation(req, res) {
+    try {
+        const { email, role = ORGANIZATION_ROLES.VIEWER } = req.body;
+
+        if (!email || !validateEmail(email)) {
+            return errorResponse(res, '유효한 이메일을 입력하세요', 400, 'VALIDATION_ERROR');
+        }
+
+        const invitation = await organizationService.createInvitation(
+            req.organization.id,
+            email,
+            role,
+            req.user.userId
+        );
+
+        successResponse(res, invitation, '초대 메일이 발송되었습니다', 201);
+    } catch (err) {
+        organizationErrorResponse(res, err);
+    }
+}
+
+/**
+ * 대기 중인 초대 목록 핸들러 (owner 전용)
+ *
+ * @route GET /api/organizations/:organizationId/invitations
+ * @header Authorization: Bearer {accessToken}
+ *
+ * @returns {200} [{ id, email, role, invited_by_email, expires_at, created_at }]
+ * @throws {500} 서버 오류
+ */
+async function getInvitations(req, res) {
+    try {
+        const invitations = await organizationService.getPendingInvitations(req.organization.id);
+
+        successResponse(res, invitations, '초대 목록 조회 성공');
+    } catch (err) {
+        organizationErrorResponse(res, err);
+    }
+}
+
+/**
+ * 초대 취소 핸들러 (owner 전용)
+ *
+ * @route DELETE /api/organizations/:organizationId/invitations/:invitationId
+ * @header Authorization: Bearer {accessToken}
+ *
+ * @returns {200} 취소 완료
+ * @throws {404} 없거나 이미 처리된 초대 (INVITATION_NOT_FOUND)
+ * @throws {500} 서버 오류
+ */
+async function revokeInvitation(req, res) {
+    try {
+        const revoked = await organizationService.revokeInvitation(req.organization.id, req.params.invitationId);
+
+        if (!revoked) {
+            return errorResponse(res, '대기 중인 초대를 찾을 수 없습니다', 404, 'INVITATION_NOT_FOUND');
+        }
+
+        successResponse(res, null, '초대가 취소되었습니다');
+    } catch (err) {
+        organizationErrorResponse(res, err);
+    }
+}
+
+/**
+ * 초대 수락 핸들러
+ *
+ * @route POST /api/organizations/invitations/accept
+ * @header Authorization: Bearer {accessToken}
+ * @param {string} token - 초대 메일의 토큰 (필수)
+ *
+ * @returns {200} { organizationId, organizationName, role }
+ * @throws {400} 토큰 누락 / 유효하지 않거나 만료된 초대 (INVALID_INVITATION)
+ * @throws {403} 초대받은 이메일과 로그인 계정이 다름 (INVITATION_EMAIL_MISMATCH)
+ * @throws {500} 서버 오류
+ */
+async function acceptInvitation(req, res) {
+    try {
+        const { token } = req.body;
+
+        if (!token) {
+            return errorResponse(res, '초대 토큰이 필요합니다', 400, 'VALIDATION_ERROR');
+        }
+
+        const result = await organizationService.acceptInvitation(token, req.user.userId);
+
+        successResponse(res, result, `${result.organizationName} 조직에 참여했습니다`);
+    } catch (err) {
+        organizationErrorResponse(res, err);
+    }
+}
+
+module.exports = {
+    getMyOrganizations,
+    createOrganization,
+    getMembers,
+    updateMemberRole,
+    removeMember,
+    createInvitation,
+    getInvitations,
+    revokeInvitation,
+    acceptInvitation
+};
@@ -1,6 +1,6 @@
 /**
 * controllers/processImageValidateController.js - OpenAI 통합 버전 (DB 수정 없음)
-* 역할: 이미지 처리, API Key 검증, OpenAI 분석 요청 처리
+* 역할: 이미지 처리, OpenAI 분석 요청 처리 (API Key 인증은 apiKeyMiddleware)
 * 특징: 시간 측정 및 응답에 포함 (DB 스키마 변경 없음)
 */
 
@@ -12,9 +12,9 @@ const errorResponse = require('../utils/errorResponse');
 * ✅ 수정: 이미지 처리 및 OpenAI 분석 핸들러 (시간 측정 포함)
 *
 * @route POST /api/process-image-validate
-* @public (인증 불필요)
-* @param {string} api_key - API Key
-* @param {string} api_secret - API Secret
+* @public (JWT 인증 불필요)
+* @middleware authenticateApiKey → requireApiKeyScope('images:process') → validateImageMiddleware
+*   - API Key 인증 실패 응답은 미들웨어에서 처리, 이 핸들러는 req.apiKey / req.apiUser 사용
 * @param {string} image - Base64 인코딩된 이미지
 * @param {string} url - 
 * @param {string} [prompt] - 이미지 분석 프롬프트 (옵션)
@@ -33,30 +33,11 @@ async function processImageValidate(req, res) {
   const requestStartTime = Date.now();
 
   try {
-    // 1. 요청 바디에서 필수 정보 추출
-    const { api_key, api_secret, prompt, url } = req.body;
+    // 1. 미들웨어에서 인증된 Key / 사용자, 요청 바디의 분석 옵션
+    const { apiKey, apiUser } = req;
+    const { prompt, url } = req.body;
 
-    // 2. 필수값 검증
-    if (!api_key || !api_secret) {
-      return errorResponse(
-        res,
-        'API Key 또는 Secret이 누락되었습니다',
-        400,
-        'MISSING_CREDENTIALS'
-      );
-    }
-
-    // 3. API Key 형식 검증
-    if (!api_key.startsWith('sk_')) {
-      return errorResponse(
-        res,
-        '유효하지 않은 API Key 형식입니다',
-        400,
-        'INVALID_API_KEY_FORMAT'
-      );
-    }
-
-    // 4. 미들웨어에서 검증된 base64 이미지 가져오기
+    // 2. 미들웨어에서 검증된 base64 이미지 가져오기
     const base64Image = req.base64Image;
     if (!base64Image) {
       return errorResponse(
@@ -67,47 +48,10 @@ async function processImageValidate(req, res) {
       );
     }
 
-    // 5. 이미지 길이 계산
+    // 3. 이미지 길이 계산
     const imageLength = base64Image.length;
 
-    // ✅ 추가: 서버 처리 시간 측정 시작 (API Key 검증 전)
-    const serverProcessingStartTime = Date.now();
-
-    // 6. Service 호출: API Key/Secret 검증
-    const result = await processImageValidateService.validateApiKey(api_key, api_secret);
-
-    // 7. 검증 실패 처리
-    if (!result.success) {
-      const totalResponseTime = Date.now() - requestStartTime;
-      const serverProcessingTime = Date.now() - serverProcessingStartTime;
-
-      await processImageValidateService.logImageValidationAttempt({
-        api_key_id: null,
-        user_id: null,
-        endpoint: '/api/process-image-validate',
-        method: 'POST',
-        status_code: result.statusCode || 401,
-        response_time_ms: totalResponseTime,
-        openai_response_time_ms: 0,
-        server_processing_time_ms: serverProcessingTime,
-        ip_address: req.ip,
-        request_body: JSON.stringify({
-          api_key: api_key.substring(0, 10) + '...'
-        }),
-        error_message: result.error
-      }).catch(logErr => {
-        console.error('[LOGGING_ERROR]', logErr.message);
-      });
-
-      return errorResponse(
-        res,
-        result.error,
-        result.statusCode || 401,
-        result.errorCode || 'INVALID_API_KEY'
-      );
-    }
-
-    // 8. API Key 검증 성공 - OpenAI 이미지 분석 호출
+    // 4. OpenAI 이미지 분석 호출
     let analysisText = null;
     let openaiResponseTime = 0;
     let openaiError = null;
@@ -126,7 +70,7 @@ async function processImageValidate(req, res) {
       openaiResponseTime = openaiResult.openaiResponseTimeMs;
 
       console.log('[IMAGE_ANALYSIS_SUCCESS]', {
-        userId: result.user_id,
+        userId: apiUser.id,
         textLength: analysisText.length,
         openaiResponseTimeMs: openaiResponseTime
       });
@@ -144,10 +88,10 @@ async function processImageValidate(req, res) {
     const totalResponseTime = Date.now() - requestStartTime;
     const serverProcessingTime = totalResponseTime - openaiResponseTime;
 
-    // 9. 성공 로깅 (시간 정보 포함 - 메모리 저장소에만 저장)
+    // 5. 성공 로깅 (시간 정보 포함 - 메모리 저장소에만 저장)
     await processImageValidateService.logImageValidationAttempt({
-      api_key_id: result.api_key_id,
-      user_id: result.user_id,
+      api_key_id: apiKey.id,
+      user_id: apiUser.id,
       endpoint: '/api/process-image-validate',
       method: 'POST',
       status_code: 200,
@@ -156,7 +100,7 @@ async function processImageValidate(req, res) {
       server_processing_time_ms: serverProcessingTime,
       ip_address: req.ip,
       request_body: JSON.stringify({
-        api_key: api_key.substring(0, 10) + '...',
+        api_key: apiKey.keyPreview + '...',
         hasPrompt: !!prompt
       }),
       error_message: null
@@ -168,11 +112,11 @@ async function processImageValidate(req, res) {
     successResponse(
       res,
       {
-        user_id: result.user_id,
-        api_key_id: result.api_key_id,
-        creation_date: result.created_at,
-        expiration_date: result.expires_at,
-        is_active: !!result.is_active,
+        user_id: apiUser.id,
+        api_key_id: apiKey.id,
+        creation_date: apiKey.createdAt,
+        expiration_date: apiKey.expiresAt,
+        is_active: !!apiKey.isActive,
         image_length: imageLength,
         text: analysisText,
         timing: {  // ✅ 추가: timing 객체
@@ -195,10 +139,10 @@ async function processImageValidate(req, res) {
       timestamp: new Date().toISOString()
     });
 
-    // 에러 로깅 시도
+    // 에러 로깅 시도 (body에는 Secret이 있으므로 분석 옵션만 기록)
     await processImageValidateService.logImageValidationAttempt({
-      api_key_id: null,
-      user_id: null,
+      api_key_id: req.apiKey ? req.apiKey.id : null,
+      user_id: req.apiUser ? req.apiUser.id : null,
       endpoint: '/api/process-image-validate',
       method: 'POST',
       status_code: 500,
@@ -206,7 +150,7 @@ async function processImageValidate(req, res) {
       openai_response_time_ms: 0,
       server_processing_time_ms: totalResponseTime,
       ip_address: req.ip,
-      request_body: req.body ? JSON.stringify(req.body) : null,
+      request_body: JSON.stringify({ hasPrompt: !!(req.body && req.body.prompt) }),
       error_message: err.message
     }).catch(logErr => {
       console.error('[LOGGING_ERROR]', logErr.message);
@@ -1,29 +1,36 @@
 /**
  * subscriptionController.js
- * 역할: 구독 신청, 구독 정보 조회, Tier 조회
+ * 역할: 구독 신청, 구독 정보 조회, Tier 조회, Tier 변경 (업그레이드 / 다운그레이드), 해지 / 재활성화
  * 특징: authMiddleware로 인증 필수
+ *       구독은 조직 단위 (organizationContext로 선택된 조직, X-Organization-Id)
  */
 
 const subscriptionService = require('../services/subscriptionService');
 const successResponse = require('../utils/successResponse');
 const errorResponse = require('../utils/errorResponse');
+const { TIER_CHANGE_STATUS, SUBSCRIPTION_CANCEL_MODE, ERROR_CODES } = require('../config/constants');
+
+// 해지 사유 최대 길이 (UserSubscriptions.cancellation_reason)
+const MAX_CANCELLATION_REASON_LENGTH = 500;
 
 /**
  * 구독 신청 핸들러
  * 
  * @route POST /api/subscriptions/request
  * @header Authorization: Bearer {accessToken}
+ * @header X-Organization-Id: 조직 ID (선택, 없으면 기본 조직)
  * @param {number} tierId - Tier ID (1: Basic, 2: Premium, 3: Enterprise)
  * 
  * @returns {201} { subscriptionId: "uuid" }
  * @throws {400} Tier ID 누락
- * @throws {409} 이미 활성화된 구독 존재
+ * @throws {403} 이메일 미인증 (EMAIL_NOT_VERIFIED) 또는 조직 owner 아님
+ * @throws {409} 이미 활성화된 구독 / 승인 대기 중인 구독 신청 존재
  * @throws {500} 서버 오류
  * 
  * 참고:
  * - 새 구독은 pending 상태로 생성
  * - 관리자의 승인 후 active 상태로 변경
- * - 한 사용자당 1개의 활성화 구독만 가능
+ * - 한 조직당 1개의 활성화 구독만 가능
  */
 async function requestSubscription(req, res) {
     try {
@@ -39,15 +46,23 @@ async function requestSubscription(req, res) {
         // 1. 기존 활성화 구독 확인
         // 2. 새 구독 생성 (pending 상태)
         // 3. 구독 ID 반환
-        const subscriptionId = await subscriptionService.requestSubscription(userId, tierId);
+        const subscriptionId = await subscriptionService.requestSubscription(req.organization.id, userId, tierId);
 
         // 성공 응답 (201 Created)
         successResponse(res, { subscriptionId }, '구독 신청이 완료되었습니다', 201);
     } catch (err) {
+        // 이메일 미인증 에러
+        if (err.statusCode === 403) {
+            return errorResponse(res, err.message, 403, err.errorCode);
+        }
         // 기존 구독 존재 에러
         if (err.message.includes('이미 활성화')) {
             return errorResponse(res, err.message, 409, 'SUBSCRIPTION_ALREADY_EXISTS');
         }
+        // 승인 대기 구독 존재 에러
+        if (err.statusCode === 409) {
+            return errorResponse(res, err.message, 409, err.errorCode);
+        }
         // 기타 에러
         errorResponse(res, err.message, 500);
     }
@@ -58,6 +73,7 @@ async function requestSubscription(req, res) {
  * 
  * @route GET /api/subscriptions/my-subscription
  * @header Authorization: Bearer {accessToken}
+ * @header X-Organization-Id: 조직 ID (선택, 없으면 기본 조직)
  * 
  * @returns {200} {
  *   id, userId, tierId, status, tierName,
@@ -67,10 +83,8 @@ async function requestSubscription(req, res) {
  */
 async function getMySubscription(req, res) {
     try {
-        const userId = req.user.userId;
-
-        // Service 호출: 사용자의 구독 정보 조회
-        const subscription = await subscriptionService.getUserSubscription(userId);
+        // Service 호출: 조직의 구독 정보 조회
+        const subscription = await subscriptionService.getOrganizationSubscription(req.organization.id);
 
         // 구독 없는 경우 null 반환
         if (!subscription) {
@@ -115,11 +129,179 @@ async function getSubscriptionTiers(req, res) {
     }
 }
 
+/**
+ * 구독 Tier 변경 핸들러
+ * 
+ * @route POST /api/subscriptions/change-tier
+ * @header Authorization: Bearer {accessToken}
+ * @header X-Organization-Id: 조직 ID (선택, 없으면 기본 조직)
+ * @param {number} tierId - 변경할 Tier ID
+ * @param {boolean} preview - true면 일할 계산 결과만 반환 (변경하지 않음)
+ * 
+ * @returns {200} {
+ *   changeId, changeType ('upgrade' | 'downgrade' | null), status ('applied' | 'scheduled' | 'cancelled'),
+ *   effectiveDate, preview, fromTier, toTier,
+ *   proration: { remainingDays, periodDays, creditUsd, chargeUsd, amountDueUsd } | null
+ * }
+ * @throws {400} Tier ID 누락, 유효하지 않은 Tier (INVALID_TIER), 현재 Tier (TIER_UNCHANGED)
+ * @throws {403} 이메일 미인증 (EMAIL_NOT_VERIFIED) 또는 조직 owner 아님
+ * @throws {409} 활성 구독 없음 (SUBSCRIPTION_INACTIVE), 처리 중 구독 변경 (TIER_CHANGE_CONFLICT)
+ * @throws {500} 서버 오류
+ * 
+ * 참고:
+ * - 업그레이드: 즉시 적용, 남은 기간만큼 일할 계산 (amountDueUsd = 새 Tier 금액 - 기존 Tier 크레딧)
+ * - 다운그레이드: 현재 기간 종료일에 적용 (예약)
+ * - 현재 Tier를 다시 선택하면 예약된 다운그레이드 취소
+ */
+async function changeTier(req, res) {
+    try {
+        const userId = req.user.userId;
+        const { tierId, preview } = req.body;
+
+        // Tier ID 필수 확인
+        if (!tierId) {
+            return errorResponse(res, 'Tier ID는 필수입니다', 400);
+        }
+
+        const change = await subscriptionService.changeTier(req.organization.id, userId, tierId, {
+            preview: preview === true
+        });
+
+        let message = '구독 Tier가 변경되었습니다';
+        if (change.preview) {
+            message = 'Tier 변경 예상 결과';
+        } else if (change.status === TIER_CHANGE_STATUS.SCHEDULED) {
+            message = '현재 기간 종료일에 Tier가 변경됩니다';
+        } else if (change.status === TIER_CHANGE_STATUS.CANCELLED) {
+            message = '예약된 Tier 변경이 취소되었습니다';
+        }
+
+        successResponse(res, change, message);
+    } catch (err) {
+        if (err.statusCode) {
+            return errorResponse(res, err.message, err.statusCode, err.errorCode);
+        }
+        errorResponse(res, err.message, 500);
+    }
+}
+
+/**
+ * Tier 변경 이력 조회 핸들러
+ * 
+ * @route GET /api/subscriptions/tier-changes
+ * @header Authorization: Bearer {accessToken}
+ * @header X-Organization-Id: 조직 ID (선택, 없으면 기본 조직)
+ * 
+ * @returns {200} [{ id, change_type, status, from_tier_name, to_tier_name, effective_date,
+ *                   proration_credit_usd, proration_charge_usd, amount_due_usd, requested_by_email, created_at }]
+ * @throws {500} 서버 오류
+ */
+async function getTierChangeHistory(req, res) {
+    try {
+        const history = await subscriptionService.getTierChangeHistory(req.organization.id);
+
+        successResponse(res, history, 'Tier 변경 이력 조회 성공');
+    } catch (err) {
+        errorResponse(res, err.message, 500);
+    }
+}
+
+/**
+ * 구독 해지 핸들러
+ * 
+ * @route POST /api/subscriptions/cancel
+ * @header Authorization: Bearer {accessToken}
+ * @header X-Organization-Id: 조직 ID (선택, 없으면 기본 조직)
+ * @param {string} mode - 'immediate' (즉시) | 'period_end' (현재 기간 종료 시)
+ * @param {string} reason - 해지 사유 (선택, 최대 500자)
+ * 
+ * @returns {200} { subscriptionId, mode, status, cancelAtPeriodEnd, cancelAt }
+ * @throws {400} 잘못된 mode / 승인 대기 구독의 기간 종료 해지 (INVALID_CANCEL_MODE), 사유 길이 초과
+ * @throws {403} 조직 owner 아님
+ * @throws {409} 해지할 구독 없음 (SUBSCRIPTION_INACTIVE)
+ * @throws {500} 서버 오류
+ * 
+ * 참고:
+ * - 즉시 해지 / 기간 종료 시 해지 완료 시점에 subscription_cancelled Webhook 발송
+ * - 기간 종료 시 해지는 end_date 전까지 POST /api/subscriptions/reactivate로 철회 가능
+ */
+async function cancelSubscription(req, res) {
+    try {
+        const userId = req.user.userId;
+        const { mode, reason } = req.body;
+
+        if (!Object.values(SUBSCRIPTION_CANCEL_MODE).includes(mode)) {
+            return errorResponse(
+                res,
+                `mode는 ${Object.values(SUBSCRIPTION_CANCEL_MODE).join(', ')} 중 하나여야 합니다`,
+                400,
+                ERROR_CODES.INVALID_CANCEL_MODE
+            );
+        }
+
+        if (reason !== undefined && reason !== null && typeof reason !== 'string') {
+            return errorResponse(res, '해지 사유는 문자열이어야 합니다', 400);
+        }
+
+        const trimmedReason = reason ? reason.trim() : '';
+        if (trimmedReason.length > MAX_CANCELLATION_REASON_LENGTH) {
+            return errorResponse(res, `해지 사유는 ${MAX_CANCELLATION_REASON_LENGTH}자 이하여야 합니다`, 400);
+        }
+
+        const result = await subscriptionService.cancelSubscription(
+            req.organization.id,
+            userId,
+            mode,
+            trimmedReason || null
+        );
+
+        const message = result.cancelAtPeriodEnd
+            ? '현재 기간 종료일에 구독이 해지됩니다'
+            : '구독이 해지되었습니다';
+
+        successResponse(res, result, message);
+    } catch (err) {
+        if (err.statusCode) {
+            return errorResponse(res, err.message, err.statusCode, err.errorCode);
+        }
+        errorResponse(res, err.message, 500);
+    }
+}
+
+/**
+ * 구독 재활성화 핸들러 (기간 종료 시 해지 철회)
+ * 
+ * @route POST /api/subscriptions/reactivate
+ * @header Authorization: Bearer {accessToken}
+ * @header X-Organization-Id: 조직 ID (선택, 없으면 기본 조직)
+ * 
+ * @returns {200} { subscriptionId, status, endDate }
+ * @throws {403} 조직 owner 아님
+ * @throws {409} 해지 예약 없음 (CANCELLATION_NOT_SCHEDULED)
+ * @throws {500} 서버 오류
+ */
+async function reactivateSubscription(req, res) {
+    try {
+        const result = await subscriptionService.reactivateSubscription(req.organization.id);
+
+        successResponse(res, result, '구독 해지 예약이 취소되었습니다');
+    } catch (err) {
+        if (err.statusCode) {
+            return errorResponse(res, err.message, err.statusCode, err.errorCode);
+        }
+        errorResponse(res, err.message, 500);
+    }
+}
+
 /**
  * 모듈 내보내기
  */
 module.exports = {
     requestSubscription,
     getMySubscription,
-    getSubscriptionTiers
+    getSubscriptionTiers,
+    changeTier,
+    getTierChangeHistory,
+    cancelSubscription,
+    reactivateSubscription
 };
\ No newline at end of file
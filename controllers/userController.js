@@ -1,10 +1,12 @@
 /**
  * userController.js
- * 역할: 사용자 프로필 조회, 수정, 비밀번호 변경
+ * 역할: 사용자 프로필 조회, 수정, 비밀번호 변경, 로그인 세션 관리, 2단계 인증 설정
  * 특징: authMiddleware로 인증 필수
  */
 
 const userService = require('../services/userService');
+const sessionService = require('../services/sessionService');
+const twoFactorService = require('../services/twoFactorService');
 const successResponse = require('../utils/successResponse');
 const errorResponse = require('../utils/errorResponse');
 const { validatePassword, validatePhoneNumber } = require('../utils/validationUtils');
@@ -134,8 +136,199 @@ async function changePassword(req, res) {
 /**
  * 모듈 내보내기
  */
+/**
+ * 로그인 세션 목록 조회 핸들러
+ * 
+ * @route GET /api/users/sessions
+ * @header Authorization: Bearer {accessToken}
+ * 
+ * @returns {200} [{ id, userAgent, ipAddress, createdAt, lastSeenAt, isCurrent }]
+ * @throws {500} 서버 오류
+ */
+async function getSessions(req, res) {
+    try {
+        const sessions = await sessionService.listSessions(req.user.userId, req.user.sid);
+
+        successResponse(res, sessions, '세션 목록 조회 성공');
+    } catch (err) {
+        errorResponse(res, err.message, 500);
+    }
+}
+
+/**
+ * 로그인 세션 종료 핸들러
+ * 
+ * @route DELETE /api/users/sessions/:sessionId
+ * @header Authorization: Bearer {accessToken}
+ * 
+ * @returns {200} { isCurrent } - 현재 세션을 종료한 경우 클라이언트는 로그아웃 처리
+ * @throws {404} 세션을 찾을 수 없음 (다른 사용자 세션 또는 이미 종료됨)
+ * @throws {500} 서버 오류
+ */
+async function deleteSession(req, res) {
+    try {
+        const { sessionId } = req.params;
+
+        const revoked = await sessionService.revokeSession(sessionId, req.user.userId, 'terminated_by_user');
+
+        if (!revoked) {
+            return errorResponse(res, '세션을 찾을 수 없습니다', 404, 'NOT_FOUND');
+        }
+
+        successResponse(res, { isCurrent: sessionId === req.user.sid }, '세션이 종료되었습니다');
+    } catch (err) {
+        errorResponse(res, err.message, 500);
+    }
+}
+
+/**
+ * 2단계 인증 서비스 에러 응답 (statusCode가 지정된 에러만 그대로 전달)
+ */
+function twoFactorErrorResponse(res, err) {
+    if (err.statusCode) {
+        return errorResponse(res, err.message, err.statusCode, err.errorCode);
+    }
+    errorResponse(res, err.message, 500);
+}
+
+/**
+ * 2단계 인증 상태 조회 핸들러
+ * 
+ * @route GET /api/users/2fa
+ * @header Authorization: Bearer {accessToken}
+ * 
+ * @returns {200} { enabled, enabledAt, recoveryCodesRemaining, requiredForAdmins, isAdmin }
+ * @throws {500} 서버 오류
+ */
+async function getTwoFactorStatus(req, res) {
+    try {
+        const status = await twoFactorService.getStatus(req.user.userId);
+
+        successResponse(res, status, '2단계 인증 상태 조회 성공');
+    } catch (err) {
+        twoFactorErrorResponse(res, err);
+    }
+}
+
+/**
+ * 2단계 인증 등록 시작 핸들러
+ * 
+ * @route POST /api/users/2fa/setup
+ * @header Authorization: Bearer {accessToken}
+ * 
+ * @returns {200} { secret, otpauthUri, qrCodeDataUrl }
+ * @throws {409} 이미 활성화됨 (TWO_FACTOR_ALREADY_ENABLED)
+ * @throws {500} 서버 오류
+ * 
+ * 참고:
+ * - 인증 앱으로 QR 코드를 스캔하거나 secret을 직접 입력
+ * - /api/users/2fa/confirm으로 코드를 확인해야 활성화됨
+ */
+async function setupTwoFactor(req, res) {
+    try {
+        const setup = await twoFactorService.beginSetup(req.user.userId);
+
+        successResponse(res, setup, '인증 앱에 등록 후 코드를 입력하세요');
+    } catch (err) {
+        twoFactorErrorResponse(res, err);
+    }
+}
+
+/**
+ * 2단계 인증 등록 확인 핸들러
+ * 
+ * @route POST /api/users/2fa/confirm
+ * @header Authorization: Bearer {accessToken}
+ * @param {string} code - 인증 앱 6자리 코드 (필수)
+ * 
+ * @returns {200} { recoveryCodes: [...] } - 복구 코드는 이 응답에서만 확인 가능
+ * @throws {400} 코드 누락 / 등록 시작 전 / 코드 불일치
+ * @throws {500} 서버 오류
+ */
+async function confirmTwoFactor(req, res) {
+    try {
+        const { code } = req.body;
+
+        if (!code) {
+            return errorResponse(res, '인증 코드를 입력하세요', 400, 'VALIDATION_ERROR');
+        }
+
+        const result = await twoFactorService.confirmSetup(req.user.userId, code, req.user.sid);
+
+        successResponse(res, result, '2단계 인증이 활성화되었습니다');
+    } catch (err) {
+        twoFactorErrorResponse(res, err);
+    }
+}
+
+/**
+ * 2단계 인증 해제 핸들러
+ * 
+ * @route POST /api/users/2fa/disable
+ * @header Authorization: Bearer {accessToken}
+ * @param {string} password - 현재 비밀번호 (필수)
+ * @param {string} code - 인증 앱 6자리 코드 (code 또는 recoveryCode 중 하나)
+ * @param {string} recoveryCode - 복구 코드
+ * 
+ * @returns {200} 해제 완료
+ * @throws {400} 입력값 누락 / 2FA 미사용
+ * @throws {401} 비밀번호 또는 코드 불일치
+ * @throws {403} 관리자 2FA 필수 설정 중인 관리자 (TWO_FACTOR_REQUIRED)
+ * @throws {500} 서버 오류
+ */
+async function disableTwoFactor(req, res) {
+    try {
+        const { password, code, recoveryCode } = req.body;
+
+        if (!password || (!code && !recoveryCode)) {
+            return errorResponse(res, '비밀번호와 인증 코드를 입력하세요', 400, 'VALIDATION_ERROR');
+        }
+
+        await twoFactorService.disable(req.user.userId, { password, code, recoveryCode });
+
+        successResponse(res, null, '2단계 인증이 해제되었습니다');
+    } catch (err) {
+        twoFactorErrorResponse(res, err);
+    }
+}
+
+/**
+ * 복구 코드 재발급 핸들러
+ * 
+ * @route POST /api/users/2fa/recovery-codes
+ * @header Authorization: Bearer {accessToken}
+ * @param {string} code - 인증 앱 6자리 코드 (필수)
+ * 
+ * @returns {200} { recoveryCodes: [...] } - 기존 복구 코드는 모두 무효
+ * @throws {400} 코드 누락 / 2FA 미사용
+ * @throws {401} 코드 불일치
+ * @throws {500} 서버 오류
+ */
+async function regenerateRecoveryCodes(req, res) {
+    try {
+        const { code } = req.body;
+
+        if (!code) {
+            return errorResponse(res, '인증 코드를 입력하세요', 400, 'VALIDATION_ERROR');
+        }
+
+        const result = await twoFactorService.regenerateRecoveryCodes(req.user.userId, code);
+
+        successResponse(res, result, '복구 코드가 재발급되었습니다');
+    } catch (err) {
+        twoFactorErrorResponse(res, err);
+    }
+}
+
 module.exports = {
     getProfile,
     updateProfile,
-    changePassword
+    changePassword,
+    getSessions,
+    deleteSession,
+    getTwoFactorStatus,
+    setupTwoFactor,
+    confirmTwoFactor,
+    disableTwoFactor,
+    regenerateRecoveryCodes
 };
\ No newline at end of file
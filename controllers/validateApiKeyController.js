@@ -1,20 +1,22 @@
 /**
  * controllers/validateApiKeyController.js
  * 역할: API Key/Secret 검증 요청 처리
- * 특징: 공개 엔드포인트 (인증 불필요)
+ * 특징: 공개 엔드포인트 (JWT 불필요, API Key 인증은 apiKeyMiddleware에서 처리)
  */
 
 const validateApiKeyService = require('../services/validateApiKeyService');
 const successResponse = require('../utils/successResponse');
 const errorResponse = require('../utils/errorResponse');
+const { ERROR_CODES } = require('../config/constants');
 
 /**
  * API Key 및 Secret 검증 핸들러
  * 
  * @route POST /api/validate-key
- * @public (인증 불필요)
- * @param {string} api_key - API Key (sk_... 형식)
- * @param {string} api_secret - API Secret (64자 16진수)
+ * @public (JWT 인증 불필요)
+ * @middleware authenticateApiKey → requireApiKeyScope('validate:read')
+ *   - Key/Secret 검증과 실패 응답(400/401/403/429)은 미들웨어에서 처리
+ *   - 이 핸들러는 인증된 요청(req.apiKey, req.apiUser)만 받음
  * 
  * @returns {200} 검증 성공
  * {
@@ -30,10 +32,6 @@ const errorResponse = require('../utils/errorResponse');
  *   timestamp: datetime
  * }
  * 
- * @throws {400} Bad Request: Key/Secret 누락
- * @throws {401} Unauthorized: 잘못된 Key/Secret
- * @throws {403} Forbidden: 비활성화된 Key 또는 사용자
- * @throws {429} Too Many Requests: 월간 호출 제한 초과
  * @throws {500} Internal Server Error: 서버 오류
  */
 async function validateApiKey(req, res) {
@@ -41,85 +39,34 @@ async function validateApiKey(req, res) {
     const startTime = Date.now();
 
     try {
-        // 1. 요청 바디에서 API Key와 Secret 추출
-        const { api_key, api_secret } = req.body;
+        // 1. 미들웨어에서 인증된 Key / 사용자
+        const { apiKey, apiUser } = req;
 
-        // 2. 필수값 검증
-        if (!api_key || !api_secret) {
-            return errorResponse(
-                res,
-                'API Key 또는 Secret이 누락되었습니다',
-                400,
-                'MISSING_CREDENTIALS'
-            );
-        }
-
-        // 3. 입력값 기본 검증 (형식 확인)
-        // API Key는 "sk_"로 시작해야 함
-        if (!api_key.startsWith('sk_')) {
-            return errorResponse(
-                res,
-                '유효하지 않은 API Key 형식입니다',
-                400,
-                'INVALID_API_KEY_FORMAT'
-            );
-        }
-
-        // 4. Service 호출: API Key/Secret 검증
-        const result = await validateApiKeyService.validateApiKey(api_key, api_secret);
-
-        // 5. 검증 실패
-        if (!result.success) {
-            // 응답 시간 계산
-            const responseTime = Date.now() - startTime;
-
-            // 로깅 (실패 경우)
-            await validateApiKeyService.logValidationAttempt({
-                api_key_id: null,  // 검증 실패 시 null
-                user_id: null,
-                endpoint: '/api/validate-key',
-                method: 'POST',
-                status_code: result.statusCode || 401,
-                response_time_ms: responseTime,
-                ip_address: req.ip,
-                request_body: JSON.stringify({ api_key: api_key.substring(0, 10) + '...' }),  // 보안: 일부만 표시
-                error_message: result.error
-            });
-
-            // 에러 응답
-            return errorResponse(
-                res,
-                result.error,
-                result.statusCode || 401,
-                result.errorCode || 'INVALID_API_KEY'
-            );
-        }
-
-        // 6. 검증 성공 - 응답 준비
+        // 2. 응답 시간 계산
         const responseTime = Date.now() - startTime;
 
-        // 7. 성공 로깅
+        // 3. 성공 로깅
         await validateApiKeyService.logValidationAttempt({
-            api_key_id: result.api_key_id,
-            user_id: result.user_id,
+            api_key_id: apiKey.id,
+            user_id: apiUser.id,
             endpoint: '/api/validate-key',
             method: 'POST',
             status_code: 200,
             response_time_ms: responseTime,
             ip_address: req.ip,
-            request_body: JSON.stringify({ api_key: api_key.substring(0, 10) + '...' }),
+            request_body: JSON.stringify({ api_key: apiKey.keyPreview + '...' }),  // 보안: 일부만 표시
             error_message: null
         });
 
-        // 8. 성공 응답
+        // 4. 성공 응답
         successResponse(
             res,
             {
-                user_id: result.user_id,
-                api_key_id: result.api_key_id,
-                creation_date: result.created_at,
-                expiration_date: result.expires_at,
-                is_active: !!result.is_active
+                user_id: apiUser.id,
+                api_key_id: apiKey.id,
+                creation_date: apiKey.createdAt,
+                expiration_date: apiKey.expiresAt,
+                is_active: !!apiKey.isActive
             },
             'API Key 검증 성공',
             200
@@ -135,16 +82,16 @@ async function validateApiKey(req, res) {
             timestamp: new Date().toISOString()
         });
 
-        // 에러 로깅
+        // 에러 로깅 (body에는 Secret이 있으므로 기록하지 않음)
         await validateApiKeyService.logValidationAttempt({
-            api_key_id: null,
-            user_id: null,
+            api_key_id: req.apiKey ? req.apiKey.id : null,
+            user_id: req.apiUser ? req.apiUser.id : null,
             endpoint: '/api/validate-key',
             method: 'POST',
             status_code: 500,
             response_time_ms: responseTime,
             ip_address: req.ip,
-            request_body: req.body ? JSON.stringify(req.body) : null,
+            request_body: null,
             error_message: err.message
         }).catch(logErr => {
             console.error('[LOGGING_ERROR]', logErr.message);
@@ -155,7 +102,7 @@ async function validateApiKey(req, res) {
             res,
             '서버 오류가 발생했습니다',
             500,
-            'INTERNAL_ERROR'
+            ERROR_CODES.INTERNAL_ERROR
         );
     }
 }
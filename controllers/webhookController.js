@@ -11,7 +11,7 @@ async function registerWebhook(req, res) {
             return errorResponse(res, 'Webhook URL과 Event Type은 필수입니다', 400);
         }
         
-        const result = await webhookService.registerWebhook(userId, webhookUrl, eventType);
+        const result = await webhookService.registerWebhook(req.organization.id, userId, webhookUrl, eventType);
         
         successResponse(res, result, 'Webhook이 등록되었습니다', 201);
     } catch (err) {
@@ -21,8 +21,7 @@ async function registerWebhook(req, res) {
 
 async function getUserWebhooks(req, res) {
     try {
-        const userId = req.user.userId;
-        const webhooks = await webhookService.getUserWebhooks(userId);
+        const webhooks = await webhookService.getOrganizationWebhooks(req.organization.id);
         
         successResponse(res, webhooks, 'Webhook 목록 조회 성공');
     } catch (err) {
@@ -45,6 +45,12 @@
                 if (token) {
                     headers['Authorization'] = `Bearer ${token}`;
                 }
+
+                // 선택한 조직 (없으면 서버에서 기본 조직 사용)
+                const organizationId = window.authManager.getOrganizationId();
+                if (organizationId) {
+                    headers['X-Organization-Id'] = organizationId;
+                }
             }
 
             return headers;
@@ -75,8 +81,9 @@
                  * 1. refresh-token 엔드포인트로 새 access token 요청
                  * 2. 성공하면 localStorage 업데이트 후 원래 요청 재시도
                  * 3. 실패하면 로그아웃 (로그인 페이지로 리다이렉트)
+                 * 인증 헤더 없이 보낸 요청(includeAuth: false)의 401은 그대로 에러 처리
                  */
-                if (response.status === 401 && !options._retry) {
+                if (response.status === 401 && options.includeAuth !== false && !options._retry) {
                     // 이미 갱신 시도 중이면 중단 (무한 루프 방지)
                     if (this.isRefreshing) {
                         return response;
@@ -97,9 +104,9 @@
                         };
                         return await fetch(url, config);
                     } else {
-                        // 갱신 실패 시 로그아웃
+                        // 갱신 실패 시 로그아웃 (세션이 이미 종료되었으므로 서버 요청 생략)
                         if (window.authManager) {
-                            window.authManager.logout();
+                            window.authManager.logout({ remote: false });
                         } else {
                             window.location.href = '/pages/auth/login.html';
                         }
@@ -150,23 +150,94 @@
             return false;
         }
 
+        /**
+         * 관리자 권한(역할) 확인
+         * 로그인/관리자 화면 진입 시 저장한 userInfo.permissions 기준 (화면 표시용, 실제 확인은 서버)
+         * @param {string} permission - 권한 코드 (예: 'subscriptions:approve')
+         * @returns {boolean} 권한 보유 여부
+         */
+        hasPermission(permission) {
+            if (!this.isAdmin()) return false;
+
+            const permissions = (this.userInfo && this.userInfo.permissions) || [];
+            return permissions.includes(permission);
+        }
+
+        /**
+         * 관리자 권한 목록 갱신 (GET /admin/me/permissions)
+         * 역할 변경이 로그인 중에도 화면에 반영되도록 관리자 화면 진입 시 호출
+         * @returns {Promise<string[]>} 권한 코드 목록
+         */
+        async refreshPermissions() {
+            const response = await window.apiClient.get(window.API_CONFIG.ENDPOINTS.ADMIN.MY_PERMISSIONS);
+            const currentUser = this.userInfo || {};
+            currentUser.roles = response.data.roles;
+            currentUser.permissions = response.data.permissions;
+            this.setUserInfo(currentUser);
+            return currentUser.permissions;
+        }
+
+        /**
+         * 선택한 조직 ID 반환 (없으면 서버가 기본 조직 사용)
+         * @returns {string|null}
+         */
+        getOrganizationId() {
+            return localStorage.getItem(window.STORAGE_KEYS.ORGANIZATION_ID);
+        }
+
+        /**
+         * 조직 선택 - 이후 API Key, 구독, Webhook, 대시보드 요청에 적용
+         * @param {string|null} organizationId - null이면 기본 조직
+         */
+        setOrganizationId(organizationId) {
+            if (organizationId) {
+                localStorage.setItem(window.STORAGE_KEYS.ORGANIZATION_ID, organizationId);
+            } else {
+                localStorage.removeItem(window.STORAGE_KEYS.ORGANIZATION_ID);
+            }
+        }
+
         /**
          * 로그아웃
+         * - 서버에 현재 세션 종료 요청 (POST /auth/logout)
          * - 로컬 토큰 및 사용자 정보 삭제
          * - localStorage 정리
          * - 로그인 페이지로 리다이렉트
+         *
+         * @param {Object} options
+         * @param {boolean} options.remote - 서버 세션 종료 요청 여부 (이미 종료된 세션이면 false)
          */
-        logout() {
+        logout({ remote = true } = {}) {
+            if (remote && this.accessToken && window.API_CONFIG) {
+                // 페이지 이동 중에도 요청이 전송되도록 keepalive 사용 (응답은 기다리지 않음)
+                fetch(`${window.API_CONFIG.BASE_URL}${window.API_CONFIG.ENDPOINTS.AUTH.LOGOUT}`, {
+                    method: 'POST',
+                    headers: { 'Authorization': `Bearer ${this.accessToken}` },
+                    keepalive: true
+                }).catch((err) => console.warn('서버 로그아웃 요청 실패:', err));
+            }
+
             this.accessToken = null;
             this.refreshToken = null;
             this.userInfo = null;
             localStorage.removeItem(window.STORAGE_KEYS.ACCESS_TOKEN);
             localStorage.removeItem(window.STORAGE_KEYS.REFRESH_TOKEN);
             localStorage.removeItem(window.STORAGE_KEYS.USER_INFO);
+            localStorage.removeItem(window.STORAGE_KEYS.ORGANIZATION_ID);
 
             // 로그인 페이지로 리다이렉트
             window.location.href = '/pages/auth/login.html';
         }
+
+        /**
+         * 모든 기기에서 로그아웃
+         * - 서버에서 사용자의 모든 세션 종료 (POST /auth/logout-all)
+         * - 성공 후 로컬 정보 정리 및 로그인 페이지로 이동
+         */
+        async logoutAll() {
+            await window.apiClient.post(window.API_CONFIG.ENDPOINTS.AUTH.LOGOUT_ALL);
+            this.logout({ remote: false });
+        }
     }
 
     // 전역 인스턴스 생성 (페이지 로드 시 자동으로 토큰 읽기)
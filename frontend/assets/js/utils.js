@@ -187,10 +187,14 @@
         }
 
         // 권한 확인
+        // requiredRole: 'user' | 'admin' | 권한 코드 ('subscriptions:approve' 등)
         static checkPermission(requiredRole) {
             if (requiredRole === 'admin') {
                 return authManager.isAdmin();
             }
+            if (requiredRole && requiredRole.includes(':')) {
+                return authManager.hasPermission(requiredRole);
+            }
             return authManager.isLoggedIn();
         }
 
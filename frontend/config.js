@@ -12,28 +12,58 @@
             AUTH: {
                 SIGNUP: '/auth/signup',
                 LOGIN: '/auth/login',
-                REFRESH: '/auth/refresh-token'
+                LOGIN_2FA: '/auth/login/2fa',
+                REFRESH: '/auth/refresh-token',
+                LOGOUT: '/auth/logout',
+                LOGOUT_ALL: '/auth/logout-all',
+                FORGOT_PASSWORD: '/auth/forgot-password',
+                RESET_PASSWORD: '/auth/reset-password',
+                VERIFY_EMAIL: '/auth/verify-email',
+                RESEND_VERIFICATION: '/auth/resend-verification'
             },
 
             // 사용자
             USER: {
                 PROFILE: '/users/profile',
                 UPDATE_PROFILE: '/users/profile',
-                CHANGE_PASSWORD: '/users/change-password'
+                CHANGE_PASSWORD: '/users/change-password',
+                SESSIONS: '/users/sessions',
+                DELETE_SESSION: (sessionId) => `/users/sessions/${sessionId}`,
+                TWO_FACTOR: '/users/2fa',
+                TWO_FACTOR_SETUP: '/users/2fa/setup',
+                TWO_FACTOR_CONFIRM: '/users/2fa/confirm',
+                TWO_FACTOR_DISABLE: '/users/2fa/disable',
+                TWO_FACTOR_RECOVERY_CODES: '/users/2fa/recovery-codes'
             },
 
             // API 키
             API_KEYS: {
                 CREATE: '/api-keys',
                 LIST: '/api-keys',
-                DELETE: (keyId) => `/api-keys/${keyId}`
+                DELETE: (keyId) => `/api-keys/${keyId}`,
+                ROTATE: (keyId) => `/api-keys/${keyId}/rotate`,
+                SIGNING_SECRET: (keyId) => `/api-keys/${keyId}/signing-secret`,
+                UPDATE_SCOPES: (keyId) => `/api-keys/${keyId}/scopes`,
+                UPDATE_IP_WHITELIST: (keyId) => `/api-keys/${keyId}/ip-whitelist`,
+                USAGE: (keyId, range) => `/api-keys/${keyId}/usage?range=${range}`
             },
 
             // 구독
             SUBSCRIPTION: {
                 REQUEST: '/subscriptions/request',
                 MY_SUB: '/subscriptions/my-subscription',
-                TIERS: '/subscriptions/tiers'
+                TIERS: '/subscriptions/tiers',
+                CHANGE_TIER: '/subscriptions/change-tier',
+                TIER_CHANGES: '/subscriptions/tier-changes',
+                CANCEL: '/subscriptions/cancel',
+                REACTIVATE: '/subscriptions/reactivate'
+            },
+
+            // 청구서
+            BILLING: {
+                INVOICES: '/billing/invoices',
+                INVOICE: (id) => `/billing/invoices/${id}`,
+                CHECKOUT: '/billing/checkout'
             },
 
             // 대시보드
@@ -50,13 +80,36 @@
                 REJECT_SUB: (id) => `/admin/subscriptions/${id}/reject`,
                 BLOCK_USER: (id) => `/admin/users/${id}/block`,
                 UNBLOCK_USER: (id) => `/admin/users/${id}/unblock`,
-                STATS: '/admin/stats'
+                VERIFY_USER_EMAIL: (id) => `/admin/users/${id}/verify-email`,
+                UNLOCK_USER: (id) => `/admin/users/${id}/unlock`,
+                STATS: '/admin/stats',
+                SECURITY_SETTINGS: '/admin/settings/security',
+                ADMIN_2FA_SETTING: '/admin/settings/security/admin-2fa',
+                MY_PERMISSIONS: '/admin/me/permissions',
+                ROLES: '/admin/roles',
+                USER_ROLES: (id) => `/admin/users/${id}/roles`,
+                AUDIT_LOGS: '/admin/audit-logs',
+                RATE_LIMIT_VIOLATIONS: '/admin/rate-limit-violations',
+                RATE_LIMIT_VIOLATION_SUMMARY: '/admin/rate-limit-violations/summary',
+                ABUSE_BANS: '/admin/abuse-bans',
+                LIFT_ABUSE_BAN: (id) => `/admin/abuse-bans/${id}/lift`
             },
 
             // Webhook
             WEBHOOKS: {
                 CREATE: '/webhooks',
                 LIST: '/webhooks'
+            },
+
+            // 조직 (팀)
+            ORGANIZATIONS: {
+                LIST: '/organizations',
+                CREATE: '/organizations',
+                ACCEPT_INVITATION: '/organizations/invitations/accept',
+                MEMBERS: (orgId) => `/organizations/${orgId}/members`,
+                MEMBER: (orgId, userId) => `/organizations/${orgId}/members/${userId}`,
+                INVITATIONS: (orgId) => `/organizations/${orgId}/invitations`,
+                INVITATION: (orgId, invitationId) => `/organizations/${orgId}/invitations/${invitationId}`
             }
         }
     };
@@ -66,6 +119,8 @@
         ACCESS_TOKEN: 'booster_access_token',
         REFRESH_TOKEN: 'booster_refresh_token',
         USER_INFO: 'booster_user_info',
+        ORGANIZATION_ID: 'booster_organization_id',  // 선택한 조직 (X-Organization-Id 헤더)
+        PENDING_INVITATION: 'booster_pending_invitation',  // 로그인 전에 연 조직 초대 토큰 (sessionStorage)
         THEME: 'booster_theme'
     };
 
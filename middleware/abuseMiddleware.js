@@ -0,0 +1,54 @@
+/**
+ * Abuse Middleware - 반복 위반으로 정지된 IP 차단
+ *
+ * 역할:
+ * - AbuseBans에서 정지 중인 IP의 요청을 403 IP_BANNED로 거부 (services/abuseService.js)
+ * - 정지가 만료되면 자동으로 다시 허용
+ * - Rate Limit 화이트리스트 IP(RATE_LIMIT_WHITELIST_IPS)는 차단하지 않음
+ *
+ * 참고:
+ * - ipLimiter보다 먼저 적용 → 정지 중인 IP의 요청은 위반으로 다시 기록되지 않음
+ * - 정지된 API Key는 apiKeyService.authenticateApiKey에서 403 API_KEY_SUSPENDED
+ */
+
+const errorResponse = require('../utils/errorResponse');
+const { getActiveBan } = require('../services/abuseService');
+const { isWhitelisted } = require('./rateLimitMiddleware');
+const { ABUSE_BAN_TARGET, ERROR_CODES } = require('../config/constants');
+
+/**
+ * 정지된 IP 차단
+ *
+ * @description
+ * - 403 응답에 Retry-After 헤더 (정지 해제까지 남은 초)
+ * - 정지 목록 조회 실패 시에는 통과시킴 (안정성 우선)
+ *
+ * @example
+ * app.use(rejectBannedIp);  // ipLimiter 앞에 적용
+ */
+async function rejectBannedIp(req, res, next) {
+    try {
+        if (isWhitelisted(req)) {
+            return next();
+        }
+
+        const ban = await getActiveBan(ABUSE_BAN_TARGET.IP, req.ip);
+
+        if (!ban) {
+            return next();
+        }
+
+        const retryAfter = Math.max(1, Math.ceil((new Date(ban.banned_until) - Date.now()) / 1000));
+        res.setHeader('Retry-After', retryAfter);
+
+        return errorResponse(res, '반복된 요청 제한 위반으로 일시 차단된 IP입니다', 403, ERROR_CODES.IP_BANNED, {
+            bannedUntil: ban.banned_until,
+            retryAfter
+        });
+    } catch (err) {
+        console.error('[IP_BAN_CHECK_ERROR]', err);
+        next();
+    }
+}
+
+module.exports = { rejectBannedIp };
@@ -1,132 +1,198 @@
 /**
- * API Key Middleware - API Key 검증 및 Rate Limit 확인
- * 
+ * API Key Middleware - API Key 인증 및 scope 확인
+ *
  * 역할:
- * - x-api-key, x-api-secret 헤더 검증
- * - ApiKeys 테이블에서 유효성 확인
- * - 사용자 활성화 상태, 구독 활성화 상태, API 호출 한도 확인
- * - 월간 API 사용량 추적
+ * - 인증 정보 추출 (세 가지 방식)
+ *   1. body api_key / api_secret (기존 방식)
+ *   2. 서명 요청: X-Api-Key / X-Timestamp / X-Nonce / X-Signature 헤더 (Secret을 보내지 않음)
+ *   3. x-api-key / x-api-secret 헤더
+ * - 서명 요청의 헤더 형식 / 시각 차이 확인 (utils/requestSignatureUtils.js)
+ * - apiKeyService.authenticateApiKey 파이프라인으로 인증
+ *   (Key/Secret 또는 서명, 활성/만료, IP 화이트리스트, 사용자 상태, 구독, 월간 한도)
+ * - 인증 실패는 ApiLogs에 기록하고 ERROR_CODES로 응답
+ * - API Key scope 확인 (requireApiKeyScope)
+ *
+ * 모든 API Key 인증 라우트는 authenticateApiKey → apiKeyRateLimiter → requireApiKeyScope(scope) 순서로 사용
+ * (apiKeyRateLimiter: middleware/rateLimitMiddleware.js)
  */
 
 const apiKeyService = require('../services/apiKeyService');
-const subscriptionService = require('../services/subscriptionService');
+const { logValidationAttempt } = require('../services/validateApiKeyService');
 const errorResponse = require('../utils/errorResponse');
-const { executeNonQuery, executeQuery } = require('../config/database');
+const { hashRequestBody, isValidSignatureFormat, isTimestampWithinSkew } = require('../utils/requestSignatureUtils');
+const { API_KEY_SCOPES, ERROR_CODES } = require('../config/constants');
+
+const KNOWN_SCOPES = new Set(Object.values(API_KEY_SCOPES));
+
+/**
+ * 요청에서 인증 정보 추출
+ * - body 우선 (검증 API의 기존 형식), 다음 X-Signature 서명 요청, 마지막으로 x-api-secret 헤더
+ * - Key와 Secret은 항상 같은 위치에서 가져옴 (body Key + 헤더 Secret 조합 방지)
+ *
+ * @returns {Object} { apiKey, apiSecret } 또는 { apiKey, signedRequest }
+ */
+function extractCredentials(req) {
+    const body = req.body || {};
+
+    if (body.api_key !== undefined) {
+        return { apiKey: body.api_key, apiSecret: body.api_secret };
+    }
+
+    if (req.headers['x-signature'] !== undefined) {
+        return {
+            apiKey: req.headers['x-api-key'],
+            signedRequest: {
+                method: req.method,
+                path: req.originalUrl,
+                timestamp: req.headers['x-timestamp'],
+                nonce: req.headers['x-nonce'],
+                bodyHash: hashRequestBody(req.rawBody),
+                signature: req.headers['x-signature']
+            }
+        };
+    }
+
+    return { apiKey: req.headers['x-api-key'], apiSecret: req.headers['x-api-secret'] };
+}
+
+/**
+ * 인증 실패 기록 (ApiLogs)
+ * - api_key_id는 기록하지 않음 → 실패한 요청은 조직 사용량에 포함되지 않음
+ */
+function logRejectedRequest(req, apiKey, statusCode, message, startTime) {
+    logValidationAttempt({
+        api_key_id: null,
+        user_id: null,
+        endpoint: req.baseUrl + req.path,
+        method: req.method,
+        status_code: statusCode,
+        response_time_ms: Date.now() - startTime,
+        ip_address: req.ip,
+        request_body: JSON.stringify({ api_key: typeof apiKey === 'string' ? apiKey.substring(0, 10) + '...' : null }),
+        error_message: message
+    }).catch(logErr => {
+        console.error('[LOGGING_ERROR]', logErr.message);
+    });
+}
 
 /**
- * API Key 및 Rate Limit 검증 미들웨어
- * 
+ * API Key 인증 미들웨어
+ *
  * @param {Object} req - Express 요청 객체
- *   - req.headers['x-api-key']: API Key
- *   - req.headers['x-api-secret']: API Secret
+ *   - body.api_key / body.api_secret
+ *   - 또는 headers['x-api-key'] / ['x-timestamp'] / ['x-nonce'] / ['x-signature'] (서명 요청)
+ *   - 또는 headers['x-api-key'] / headers['x-api-secret']
  * @param {Object} res - Express 응답 객체
  * @param {Function} next - 다음 미들웨어 호출
- * 
+ *
  * @flow
- * 1. 헤더에서 x-api-key, x-api-secret 추출
- * 2. ApiKeys 테이블에서 검증
- * 3. 사용자 활성화 상태 확인
- * 4. 구독 활성화 상태 확인
- * 5. 월간 API 호출 한도 확인
- * 6. 모든 검증 통과 → req.apiKeyInfo, req.currentUsage 설정 후 next()
- * 7. 검증 실패 → 적절한 에러 코드 응답
- * 
+ * 1. Key / Secret(또는 서명) 추출, 누락 → 400 MISSING_CREDENTIALS
+ * 2. Key 형식 (sk_...) 확인 → 400 INVALID_API_KEY_FORMAT
+ * 3. 서명 요청이면 헤더 형식 → 400 INVALID_SIGNATURE_HEADERS,
+ *    X-Timestamp 허용 범위(.env API_SIGNATURE_MAX_SKEW_SECONDS, 기본 300초) → 401 REQUEST_TIMESTAMP_EXPIRED
+ * 4. apiKeyService.authenticateApiKey (401 / 403 / 429, ERROR_CODES)
+ * 5. 통과 → req.apiKey, req.apiUser, req.subscription 설정 후 next()
+ *
+ * 설정되는 값:
+ * - req.apiKey: { id, keyName, keyPreview, organizationId, userId, scopes, isActive, createdAt, expiresAt }
+ * - req.apiUser: { id, email } (Key를 만든 사용자)
+ * - req.subscription: { id, tierName, apiCallLimit, rateLimitPerSecond, rateLimitPerHour, currentUsage } (Key 소유 조직의 구독)
+ *
  * @example
- * // 사용 시 - router에 미들웨어 추가
- * router.post('/api/data', validateApiKeyMiddleware, controller.getData);
- * // 요청 시 헤더 포함:
- * // headers: {
- * //   'x-api-key': 'sk_abc123...',
- * //   'x-api-secret': 'def456...'
- * // }
+ * router.post('/validate-key', authenticateApiKey, requireApiKeyScope('validate:read'), controller.validateApiKey);
  */
-async function validateApiKeyMiddleware(req, res, next) {
+async function authenticateApiKey(req, res, next) {
+    const startTime = Date.now();
+    const { apiKey, apiSecret, signedRequest } = extractCredentials(req);
+
     try {
-        // 1. 요청 헤더에서 API Key와 Secret 추출
-        const apiKey = req.headers['x-api-key'];
-        const apiSecret = req.headers['x-api-secret'];
-
-        // 2. 필수값 확인
-        if (!apiKey || !apiSecret) {
-            // 둘 다 없거나 하나가 없으면 401 반환
-            return errorResponse(res, 'API Key와 Secret이 필요합니다', 401, 'MISSING_CREDENTIALS');
+        // 1. 필수값
+        if (typeof apiKey !== 'string' || !apiKey || (!signedRequest && (typeof apiSecret !== 'string' || !apiSecret))) {
+            const message = 'API Key 또는 Secret이 누락되었습니다';
+            logRejectedRequest(req, apiKey, 400, message, startTime);
+            return errorResponse(res, message, 400, ERROR_CODES.MISSING_CREDENTIALS);
         }
 
-        // 3. API Key 서비스를 통한 검증
-        // - ApiKeys 테이블에서 조회
-        // - api_secret 해싱 후 비교
-        // - is_active = 1 확인
-        const keyInfo = await apiKeyService.validateApiKey(apiKey, apiSecret);
-
-        // 4. 유효하지 않은 Key/Secret 확인
-        if (!keyInfo) {
-            return errorResponse(res, '유효하지 않은 API Key입니다', 401, 'INVALID_API_KEY');
+        // 2. 형식
+        if (!apiKey.startsWith('sk_')) {
+            const message = '유효하지 않은 API Key 형식입니다';
+            logRejectedRequest(req, apiKey, 400, message, startTime);
+            return errorResponse(res, message, 400, ERROR_CODES.INVALID_API_KEY_FORMAT);
         }
 
-        // 5. 사용자 활성화 상태 확인
-        // - Users 테이블에서 조회
-        // - is_active, is_blocked 플래그 확인
-        const users = await executeQuery(
-            'SELECT is_active, is_blocked FROM [Users] WHERE id = @userId',
-            { userId: keyInfo.user_id }
-        );
-
-        // 6. 사용자 존재 및 활성화 상태 확인
-        if (users.length === 0 || !users.is_active || users.is_blocked) {
-            // 사용자가 없거나 비활성화되거나 차단됨
-            return errorResponse(res, '사용자 계정이 비활성화되었습니다', 403, 'USER_BLOCKED');
+        // 3. 서명 요청 헤더 / 시각 (DB 조회 전에 거부)
+        if (signedRequest) {
+            if (!isValidSignatureFormat(signedRequest)) {
+                const message = 'X-Timestamp, X-Nonce, X-Signature 헤더가 누락되었거나 형식이 잘못되었습니다';
+                logRejectedRequest(req, apiKey, 400, message, startTime);
+                return errorResponse(res, message, 400, ERROR_CODES.INVALID_SIGNATURE_HEADERS);
+            }
+
+            if (!isTimestampWithinSkew(signedRequest.timestamp)) {
+                const message = '요청 시각(X-Timestamp)이 허용 범위를 벗어났습니다';
+                logRejectedRequest(req, apiKey, 401, message, startTime);
+                return errorResponse(res, message, 401, ERROR_CODES.REQUEST_TIMESTAMP_EXPIRED);
+            }
         }
 
-        // 7. 구독 활성화 상태 확인
-        // - UserSubscriptions 테이블에서 조회
-        // - status = 'active' 확인
-        const isSubscriptionActive = await subscriptionService.isSubscriptionActive(keyInfo.user_id);
+        // 4. 인증 파이프라인
+        const credentials = signedRequest ? { signedRequest } : { apiSecret };
+        const result = await apiKeyService.authenticateApiKey(apiKey, credentials, req.ip);
 
-        // 8. 활성화된 구독 없음
-        if (!isSubscriptionActive) {
-            return errorResponse(res, '활성화된 구독이 없습니다', 403, 'SUBSCRIPTION_INACTIVE');
-        }
+        // 5. 요청에 인증 정보 저장
+        req.apiKey = result.apiKey;
+        req.apiUser = result.user;
+        req.subscription = result.subscription;
 
-        // 9. 월간 API 호출 횟수 확인
-        // - 현재 년도 및 월의 MonthlyUsage 조회
-        // - 또는 ApiLogs 테이블에서 해당 월의 요청 수 계산
-        const monthlyUsage = await executeQuery(
-            `SELECT total_requests FROM [MonthlyUsage]
-             WHERE api_key_id = @keyId
-             AND YEAR(created_at) = YEAR(GETDATE())
-             AND MONTH(created_at) = MONTH(GETDATE())`,
-            { keyId: keyInfo.id }
-        );
-
-        // 10. 기존 사용량 또는 0으로 초기화
-        let currentUsage = 0;
-        if (monthlyUsage.length > 0) {
-            currentUsage = monthlyUsage.total_requests;
+        next();
+    } catch (err) {
+        if (err.statusCode) {
+            logRejectedRequest(req, apiKey, err.statusCode, err.message, startTime);
+            return errorResponse(res, err.message, err.statusCode, err.errorCode);
         }
 
-        // 11. 구독 Tier별 API 호출 제한 확인
-        // - Basic: 1,000회
-        // - Premium: 5,000회
-        // - Enterprise: 999,999회
-        const subscription = await subscriptionService.getUserSubscription(keyInfo.user_id);
+        console.error('[API_KEY_AUTH_ERROR]', err);
+        logRejectedRequest(req, apiKey, 500, err.message, startTime);
+        errorResponse(res, '서버 오류가 발생했습니다', 500, ERROR_CODES.INTERNAL_ERROR);
+    }
+}
 
-        // 12. 월간 한도 초과 확인
-        if (currentUsage >= subscription.api_call_limit) {
-            // 429 Too Many Requests 반환
-            return errorResponse(res, 'API 호출 제한을 초과했습니다', 429, 'API_LIMIT_EXCEEDED');
+/**
+ * API Key scope 확인 미들웨어
+ *
+ * @param {string} scope - 필요한 scope (API_KEY_SCOPES)
+ * @returns {Function} Express 미들웨어
+ *
+ * @flow
+ * 1. authenticateApiKey가 설정한 req.apiKey.scopes 확인
+ * 2. scope 없음 → 403 INSUFFICIENT_SCOPE
+ *
+ * @example
+ * router.post('/validate-key', authenticateApiKey, requireApiKeyScope('validate:read'), controller.validateApiKey);
+ */
+function requireApiKeyScope(scope) {
+    // 오타로 아무도 통과하지 못하는 라우트가 생기지 않도록 등록 시점에 확인
+    if (!KNOWN_SCOPES.has(scope)) {
+        throw new Error(`알 수 없는 API Key scope: ${scope}`);
+    }
+
+    return function apiKeyScopeMiddleware(req, res, next) {
+        // authenticateApiKey 없이 등록된 경우
+        if (!req.apiKey) {
+            return errorResponse(res, 'API Key 인증이 필요합니다', 401, ERROR_CODES.UNAUTHORIZED);
         }
 
-        // 13. 모든 검증 통과 - 정보를 req에 저장
-        req.apiKeyInfo = keyInfo;           // API Key 정보
-        req.currentUsage = currentUsage;    // 현재 월간 사용량
-        req.usageLimit = subscription.api_call_limit; // 구독 한도
+        const scopes = req.apiKey.scopes;
+
+        if (!scopes.includes(scope)) {
+            return errorResponse(res, `이 API Key에는 '${scope}' 권한이 없습니다`, 403, ERROR_CODES.INSUFFICIENT_SCOPE, {
+                requiredScope: scope,
+                grantedScopes: scopes
+            });
+        }
 
-        // 14. 다음 미들웨어로 진행
         next();
-    } catch (err) {
-        // 예상치 못한 에러 (DB 연결 오류 등)
-        errorResponse(res, err.message, 500);
-    }
+    };
 }
 
-module.exports = { validateApiKeyMiddleware };
\ No newline at end of file
+module.exports = { authenticateApiKey, requireApiKeyScope };
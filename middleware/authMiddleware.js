@@ -1,7 +1,31 @@
 const { verifyToken, extractTokenFromHeader } = require('../utils/tokenUtils');
 const errorResponse = require('../utils/errorResponse');
+const sessionService = require('../services/sessionService');
+const settingsService = require('../services/settingsService');
+const permissionService = require('../services/permissionService');
+const { PERMISSIONS } = require('../config/constants');
 
-function authMiddleware(req, res, next) {
+const KNOWN_PERMISSIONS = new Set(Object.values(PERMISSIONS));
+
+// 세션 확인: 로그아웃/모든 기기 로그아웃/차단 등으로 종료된 세션의 토큰은 거부
+// sid가 없는 토큰(세션 도입 이전 발급)도 거부 → 재로그인 필요
+// 활성 세션이면 세션 행 반환 (two_factor_verified 확인용), 아니면 null
+async function getVerifiedSession(decoded) {
+    const session = await sessionService.getActiveSession(decoded.sid, decoded.userId);
+
+    if (!session) {
+        return null;
+    }
+
+    // 마지막 사용 시각 갱신 (응답 지연 방지를 위해 기다리지 않음)
+    sessionService.touchSession(session).catch(err => {
+        console.error('[세션 갱신 오류]', err.message);
+    });
+
+    return session;
+}
+
+async function authMiddleware(req, res, next) {
 
     try {
         const token = extractTokenFromHeader(req.headers.authorization);
@@ -16,6 +40,10 @@ function authMiddleware(req, res, next) {
             return errorResponse(res, '유효하지 않은 토큰입니다', 401, 'INVALID_TOKEN');
         }
 
+        if (!(await getVerifiedSession(decoded))) {
+            return errorResponse(res, '로그아웃되었거나 만료된 세션입니다', 401, 'SESSION_REVOKED');
+        }
+
         req.user = decoded;
         next();
     } catch (err) {
@@ -25,7 +53,7 @@ function authMiddleware(req, res, next) {
 }
 
 // 관리자 전용 미들웨어
-function adminAuthMiddleware(req, res, next) {
+async function adminAuthMiddleware(req, res, next) {
     try {
         const token = extractTokenFromHeader(req.headers.authorization);
 
@@ -49,6 +77,18 @@ function adminAuthMiddleware(req, res, next) {
             return errorResponse(res, '관리자 권한이 필요합니다', 403, 'FORBIDDEN');
         }
 
+        const session = await getVerifiedSession(decoded);
+
+        if (!session) {
+            return errorResponse(res, '로그아웃되었거나 만료된 세션입니다', 401, 'SESSION_REVOKED');
+        }
+
+        // 관리자 2FA 필수 설정 시 2단계 인증을 거친 세션만 허용
+        // (미등록 관리자는 프로필에서 2FA 등록 → 현재 세션이 인증 완료로 전환됨)
+        if (!session.two_factor_verified && await settingsService.isAdminTwoFactorRequired()) {
+            return errorResponse(res, '관리자 기능을 사용하려면 2단계 인증이 필요합니다', 403, 'TWO_FACTOR_REQUIRED');
+        }
+
         req.user = decoded;
         next();
     } catch (err) {
@@ -56,7 +96,41 @@ function adminAuthMiddleware(req, res, next) {
         errorResponse(res, '권한 확인 중 오류가 발생했습니다', 500);
     }
 }
+
+// 관리자 권한(역할) 확인 미들웨어 - adminAuthMiddleware 뒤에 사용
+// 예: router.post('/admin/...', adminAuthMiddleware, requirePermission('subscriptions:approve'), handler)
+function requirePermission(permission) {
+    // 오타로 아무도 통과하지 못하는 라우트가 생기지 않도록 등록 시점에 확인
+    if (!KNOWN_PERMISSIONS.has(permission)) {
+        throw new Error(`알 수 없는 권한 코드: ${permission}`);
+    }
+
+    return async function permissionMiddleware(req, res, next) {
+        try {
+            if (!req.user) {
+                return errorResponse(res, '인증 토큰이 없습니다', 401, 'INVALID_TOKEN');
+            }
+
+            if (!(await permissionService.hasPermission(req.user.userId, permission))) {
+                console.log('[관리자 권한] 거부됨', {
+                    userId: req.user.userId,
+                    permission
+                });
+                return errorResponse(res, '이 작업을 수행할 권한이 없습니다', 403, 'PERMISSION_DENIED', {
+                    requiredPermission: permission
+                });
+            }
+
+            next();
+        } catch (err) {
+            console.error('[관리자 권한 오류]', err);
+            errorResponse(res, '권한 확인 중 오류가 발생했습니다', 500);
+        }
+    };
+}
+
 module.exports = {
     authMiddleware,
-    adminAuthMiddleware
+    adminAuthMiddleware,
+    requirePermission
 };
\ No newline at end of file
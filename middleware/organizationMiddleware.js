@@ -0,0 +1,53 @@
+/**
+ * middleware/organizationMiddleware.js
+ * 역할: 요청 대상 조직 확인 및 조직 내 역할 확인
+ *
+ * 조직 선택:
+ * - URL 파라미터 :organizationId (조직 관리 API)
+ * - X-Organization-Id 헤더 (API Key, 구독, Webhook, 대시보드 API)
+ * - 둘 다 없으면 사용자의 기본 조직 (가장 먼저 가입한 조직)
+ *
+ * 사용 예:
+ * router.post('/api-keys', authMiddleware, organizationContext,
+ *     requireOrganizationRole('owner', 'developer'), apiKeyController.createApiKey);
+ */
+
+const errorResponse = require('../utils/errorResponse');
+const organizationService = require('../services/organizationService');
+
+// authMiddleware 뒤에 사용 → req.organization = { id, role }
+async function organizationContext(req, res, next) {
+    try {
+        const requestedId = (req.params && req.params.organizationId) || req.get('x-organization-id') || null;
+
+        const membership = await organizationService.resolveMembership(req.user.userId, requestedId);
+
+        if (!membership) {
+            return errorResponse(res, '조직에 접근할 권한이 없습니다', 403, 'ORGANIZATION_ACCESS_DENIED');
+        }
+
+        req.organization = membership;
+        next();
+    } catch (err) {
+        console.error('[조직 확인 오류]', err);
+        errorResponse(res, '조직 확인 중 오류가 발생했습니다', 500);
+    }
+}
+
+// 조직 내 역할 확인 - organizationContext 뒤에 사용
+function requireOrganizationRole(...roles) {
+    return function organizationRoleMiddleware(req, res, next) {
+        if (!req.organization || !roles.includes(req.organization.role)) {
+            return errorResponse(res, '조직에서 이 작업을 수행할 권한이 없습니다', 403, 'ORGANIZATION_ACCESS_DENIED', {
+                requiredRoles: roles
+            });
+        }
+
+        next();
+    };
+}
+
+module.exports = {
+    organizationContext,
+    requireOrganizationRole
+};
@@ -3,15 +3,21 @@
  * 
  * 역할:
  * - IP 기반 Rate Limiting (1시간당 100회)
- * - API Key 기반 Rate Limiting (1시간당 1,000회)
+ * - API Key 기반 Rate Limiting (구독 Tier별 초당 / 시간당, 슬라이딩 윈도우)
+ * - 비밀번호 재설정 요청 제한 (15분당 5회)
+ * - 인증 메일 재발송 제한 (사용자당 1시간 5회)
+ * - 2단계 인증 로그인 제한 (15분당 10회)
  * - Whitelist IP 설정으로 특정 IP 제한 면제
+ * - IP / API Key 제한의 429 응답은 RateLimitLogs에 기록 (관리자 API 모니터링)
  * 
  * 참고: Azure Web App은 로드밸런서 뒤에 있으므로 trust proxy 설정 필요
  */
 
 const rateLimit = require('express-rate-limit');
-const { executeQuery } = require('../config/database');
-const { RATE_LIMIT_TYPE } = require('../config/constants');
+const errorResponse = require('../utils/errorResponse');
+const { slidingWindowHit, undoHit } = require('../services/rateLimitStore');
+const { logRateLimitViolation } = require('../services/rateLimitService');
+const { RATE_LIMIT_TYPE, API_RATE_LIMITS, ERROR_CODES } = require('../config/constants');
 
 /**
  * 화이트리스트 IP 목록
@@ -39,6 +45,15 @@ const isWhitelisted = (req) => {
     return whitelistIps.includes(clientIp);
 };
 
+/**
+ * 위반 기록 (응답을 기다리지 않음, 실패해도 429 응답에 영향 없음)
+ */
+function recordViolation(apiKeyId, userId, ipAddress, limitType, resetAt) {
+    logRateLimitViolation(apiKeyId, userId, ipAddress, limitType, resetAt).catch(err => {
+        console.error('[RATE_LIMIT_LOG_ERROR]', err);
+    });
+}
+
 /**
  * IP 기반 Rate Limiter
  * 
@@ -52,7 +67,7 @@ const isWhitelisted = (req) => {
  * 2. 화이트리스트 IP 확인 → 제한 면제
  * 3. 메모리 저장소에서 해당 IP의 요청 카운트 조회
  * 4. 1시간 윈도우 내에서 카운트 증가
- * 5. 100회 초과 → 429 Too Many Requests
+ * 5. 100회 초과 → RateLimitLogs 기록 (ip_based) 후 429 Too Many Requests
  * 
  * @example
  * app.use(ipLimiter);  // 모든 라우트에 적용
@@ -81,89 +96,183 @@ const ipLimiter = rateLimit({
             return true;  // true = 이 요청은 Rate Limit 계산에서 제외
         }
         return false;  // false = 정상적으로 Rate Limit 계산
+    },
+
+    // 제한 초과 응답 (기본 응답 전에 위반 기록)
+    handler: (req, res, next, options) => {
+        recordViolation(null, null, req.ip, RATE_LIMIT_TYPE.IP_BASED, req.rateLimit.resetTime);
+        res.status(options.statusCode).send(options.message);
     }
 });
 
 /**
- * API Key 기반 Rate Limiter (데이터베이스 사용)
+ * 비밀번호 재설정 Rate Limiter
  * 
  * @description
- * - x-api-key 헤더로 API Key 기반 제한
- * - 1시간 내 최대 1,000회 요청 (수정 가능)
- * - ApiLogs 테이블에서 1시간 내 요청 수 조회
- * - 화이트리스트 IP는 DB 조회도 건너뜀
+ * - forgot-password / reset-password에 적용
+ * - 15분 내 IP당 5회 요청 제한 (메일 폭탄 및 토큰 대입 방지)
+ * - 화이트리스트 IP는 제한 면제
+ */
+const passwordResetLimiter = rateLimit({
+    windowMs: 15 * 60 * 1000,
+    max: 5,
+    message: {
+        success: false,
+        message: '요청이 너무 많습니다. 잠시 후 다시 시도하세요.',
+        errorCode: 'TOO_MANY_REQUESTS'
+    },
+    standardHeaders: true,
+    legacyHeaders: false,
+    skip: (req) => isWhitelisted(req)
+});
+
+/**
+ * 인증 메일 재발송 Rate Limiter
  * 
- * @param {Object} req - Express 요청 객체
- * @param {Object} res - Express 응답 객체
- * @param {Function} next - 다음 미들웨어 호출
+ * @description
+ * - resend-verification에 적용 (authMiddleware 이후)
+ * - 1시간 내 사용자당 5회 요청 제한 (IP가 아닌 userId 기준)
+ * - 서비스의 재발송 쿨다운(기본 60초)과 별개로 총량 제한
+ */
+const verificationResendLimiter = rateLimit({
+    windowMs: 60 * 60 * 1000,
+    max: 5,
+    keyGenerator: (req) => `user:${req.user.userId}`,
+    message: {
+        success: false,
+        message: '인증 메일 재발송 한도를 초과했습니다. 잠시 후 다시 시도하세요.',
+        errorCode: 'TOO_MANY_REQUESTS'
+    },
+    standardHeaders: true,
+    legacyHeaders: false
+});
+
+/**
+ * 2단계 인증 로그인 Rate Limiter
+ * 
+ * @description
+ * - login/2fa에 적용
+ * - 15분 내 IP당 10회 요청 제한 (6자리 코드 대입 방지)
+ * - 화이트리스트 IP는 제한 면제
+ */
+const twoFactorLoginLimiter = rateLimit({
+    windowMs: 15 * 60 * 1000,
+    max: 10,
+    message: {
+        success: false,
+        message: '인증 시도가 너무 많습니다. 잠시 후 다시 시도하세요.',
+        errorCode: 'TOO_MANY_REQUESTS'
+    },
+    standardHeaders: true,
+    legacyHeaders: false,
+    skip: (req) => isWhitelisted(req)
+});
+
+/**
+ * API Key 응답 헤더 (가장 여유가 적은 제한 기준, IETF RateLimit 헤더)
+ */
+function setApiKeyRateLimitHeaders(res, hits, policies) {
+    const tightest = hits.reduce((a, b) => (b.remaining / b.limit < a.remaining / a.limit ? b : a));
+
+    res.setHeader('RateLimit-Policy', policies.map(policy => `${policy.limit};w=${policy.windowMs / 1000}`).join(', '));
+    res.setHeader('RateLimit-Limit', tightest.limit);
+    res.setHeader('RateLimit-Remaining', tightest.remaining);
+    res.setHeader('RateLimit-Reset', tightest.resetSeconds);
+}
+
+/**
+ * API Key 기반 Rate Limiter (슬라이딩 윈도우)
+ * 
+ * @description
+ * - authenticateApiKey 이후에 사용 (req.apiKey, req.subscription 필요)
+ * - Key당 초당 제한(burst)과 시간당 제한(hourly)을 모두 확인
+ * - 제한 값은 조직 구독 Tier (SubscriptionTiers.rate_limit_per_second / rate_limit_per_hour),
+ *   없으면 API_RATE_LIMITS.DEFAULT
+ * - 카운터 저장소: services/rateLimitStore.js (.env RATE_LIMIT_STORE=memory | sql)
+ * - 화이트리스트 IP는 제한 면제
  * 
  * @flow
- * 1. 화이트리스트 IP 확인 → 즉시 통과
- * 2. x-api-key 헤더 추출
- * 3. 1시간 전 시간 계산
- * 4. ApiLogs에서 해당 API Key의 1시간 내 요청 수 조회
- * 5. 1,000회 초과 → 429 에러
- * 6. 미만 → 다음 미들웨어로 진행
+ * 1. 초당 제한 확인 → 초과 시 429
+ * 2. 시간당 제한 확인 → 초과 시 초당 카운트 취소 후 429
+ * 3. RateLimit-Policy / RateLimit-Limit / RateLimit-Remaining / RateLimit-Reset 헤더 설정
+ * 4. 429 응답에는 Retry-After 헤더 (초), RateLimitLogs 기록 (burst / hourly)
  * 
  * @note
- * - API Key가 없으면 다음 미들웨어(예: 인증)로 넘김
- * - DB 조회 실패 시에도 일단 통과시킴 (안정성 우선)
- * - 에러 발생 시 로그만 기록하고 진행
+ * - 거부된 요청은 카운트에 포함되지 않음
+ * - 저장소 오류 시에는 통과시킴 (안정성 우선, 월간 한도는 authenticateApiKey에서 별도 확인)
+ * 
+ * @example
+ * router.post('/validate-key', authenticateApiKey, apiKeyRateLimiter, requireApiKeyScope('validate:read'), ...);
  */
 async function apiKeyRateLimiter(req, res, next) {
-    try {
-        // 1. 화이트리스트 IP인 경우 즉시 통과
-        // DB 조회를 줄이기 위해 먼저 확인
-        if (isWhitelisted(req)) {
-            return next();
+    if (!req.apiKey || !req.subscription) {
+        return errorResponse(res, 'API Key 인증이 필요합니다', 401, ERROR_CODES.UNAUTHORIZED);
+    }
+
+    if (isWhitelisted(req)) {
+        return next();
+    }
+
+    const policies = [
+        {
+            type: RATE_LIMIT_TYPE.BURST,
+            limit: req.subscription.rateLimitPerSecond || API_RATE_LIMITS.DEFAULT.PER_SECOND,
+            windowMs: 1000
+        },
+        {
+            type: RATE_LIMIT_TYPE.HOURLY,
+            limit: req.subscription.rateLimitPerHour || API_RATE_LIMITS.DEFAULT.PER_HOUR,
+            windowMs: 60 * 60 * 1000
         }
+    ];
+
+    try {
+        const hits = [];
 
-        // 2. 요청 헤더에서 API Key 추출
-        const apiKey = req.headers['x-api-key'];
-        
-        // 3. API Key가 없으면 다음 미들웨어로 넘김
-        // (예: 인증 미들웨어에서 처리)
-        if (!apiKey) return next();
-
-        // 4. 현재 시간과 1시간 전 시간 계산
-        const now = new Date();
-        const oneHourAgo = new Date(now - 60 * 60 * 1000);
-
-        // 5. ApiLogs 테이블에서 최근 1시간 내 해당 API Key의 요청 수 조회
-        // - COUNT(*) 사용으로 총 요청 수 계산
-        // - WHERE 절로 시간 범위 제한
-        const result = await executeQuery(
-            `SELECT COUNT(*) as count FROM [ApiLogs]
-             WHERE api_key_id = @apiKey AND created_at > @oneHourAgo`,
-            { apiKey, oneHourAgo }
-        );
-        
-        // 6. 요청 수 추출 (결과가 없으면 0)
-        const requestCount = result.length > 0 ? result.count : 0;
-
-        // 7. 1시간 제한(1,000회) 초과 확인
-        if (requestCount >= 1000) {
-            // 429 Too Many Requests 반환
-            // retryAfter: 다음 요청 시도 권장 시간 (3600초 = 1시간)
-            return res.status(429).json({
-                success: false,
-                message: 'Rate limit exceeded',
-                retryAfter: 3600
-            });
+        for (const policy of policies) {
+            const hit = await slidingWindowHit(`apikey:${req.apiKey.id}:${policy.type}`, policy.limit, policy.windowMs);
+
+            if (!hit.allowed) {
+                // 앞에서 허용된 제한의 카운트 취소
+                await Promise.all(hits.map(undoHit));
+
+                setApiKeyRateLimitHeaders(res, [hit], policies);
+                res.setHeader('Retry-After', hit.retryAfterSeconds);
+
+                recordViolation(
+                    req.apiKey.id,
+                    req.apiUser ? req.apiUser.id : req.apiKey.userId,
+                    req.ip,
+                    policy.type,
+                    new Date(Date.now() + hit.retryAfterSeconds * 1000)
+                );
+
+                return errorResponse(
+                    res,
+                    policy.type === RATE_LIMIT_TYPE.BURST ? '초당 요청 한도를 초과했습니다' : '시간당 요청 한도를 초과했습니다',
+                    429,
+                    ERROR_CODES.RATE_LIMIT_EXCEEDED,
+                    { limitType: policy.type, limit: policy.limit, retryAfter: hit.retryAfterSeconds }
+                );
+            }
+
+            hits.push(hit);
         }
 
-        // 8. 제한 미만 → 다음 미들웨어로 진행
+        setApiKeyRateLimitHeaders(res, hits, policies);
         next();
     } catch (err) {
-        // 9. DB 조회 중 에러 발생 시 처리
-        // 안정성을 위해 에러 시에도 일단 통과시킴
-        console.error('Rate limit check error:', err);
-        
-        // 에러 발생했으나 정책에 따라 처리
-        // 옵션1: next()로 통과 (안정성 우선)
-        // 옵션2: res.status(500)으로 차단 (보안 우선)
-        next(); // 현재는 안정성 우선
+        // 안정성 우선: 저장소 오류 시 통과
+        console.error('[API_KEY_RATE_LIMIT_ERROR]', err);
+        next();
     }
 }
 
-module.exports = { ipLimiter, apiKeyRateLimiter };
\ No newline at end of file
+module.exports = {
+    ipLimiter,
+    apiKeyRateLimiter,
+    passwordResetLimiter,
+    verificationResendLimiter,
+    twoFactorLoginLimiter,
+    isWhitelisted
+};
\ No newline at end of file
@@ -0,0 +1,35 @@
+-- ============================================================================
+-- 001_create_refresh_tokens.sql
+-- 역할: Refresh Token 서버 측 저장소 (회전 + 폐기 + 재사용 탐지)
+--
+-- 특징:
+-- - 토큰 원문은 저장하지 않고 SHA256 해시만 저장
+-- - family_id: 한 번의 로그인에서 파생된 토큰 묶음 (회전 시 동일 family 유지)
+-- - used_at: 회전에 사용된 시각 (이미 사용된 토큰 재제출 = 탈취 의심)
+-- - revoked_at: 폐기 시각 (차단, 비밀번호 변경, 재사용 탐지 등)
+-- ============================================================================
+
+IF OBJECT_ID(N'[dbo].[RefreshTokens]', N'U') IS NULL
+BEGIN
+    CREATE TABLE [dbo].[RefreshTokens] (
+        [id]             NVARCHAR(36)  NOT NULL PRIMARY KEY,
+        [user_id]        NVARCHAR(36)  NOT NULL,
+        [family_id]      NVARCHAR(36)  NOT NULL,
+        [token_hash]     NVARCHAR(64)  NOT NULL,
+        [expires_at]     DATETIME2     NOT NULL,
+        [used_at]        DATETIME2     NULL,
+        [replaced_by]    NVARCHAR(36)  NULL,
+        [revoked_at]     DATETIME2     NULL,
+        [revoked_reason] NVARCHAR(50)  NULL,
+        [created_at]     DATETIME2     NOT NULL DEFAULT (GETDATE()),
+        CONSTRAINT [UQ_RefreshTokens_TokenHash] UNIQUE ([token_hash]),
+        CONSTRAINT [FK_RefreshTokens_Users] FOREIGN KEY ([user_id])
+            REFERENCES [dbo].[Users] ([id]) ON DELETE CASCADE
+    );
+
+    CREATE NONCLUSTERED INDEX [IX_RefreshTokens_UserId_RevokedAt]
+        ON [dbo].[RefreshTokens] ([user_id], [revoked_at]);
+
+    CREATE NONCLUSTERED INDEX [IX_RefreshTokens_FamilyId]
+        ON [dbo].[RefreshTokens] ([family_id]);
+END;
@@ -0,0 +1,25 @@
+-- ============================================================================
+-- 002_create_user_sessions.sql
+-- 역할: 로그인 세션 저장소 (로그아웃 / 모든 기기 로그아웃)
+--
+-- 특징:
+-- - 로그인 1회 = 세션 1개 (id = RefreshTokens.family_id)
+-- - Access Token의 sid 클레임으로 세션을 식별
+-- - authMiddleware가 요청마다 revoked_at 여부를 확인
+-- ============================================================================
+
+IF OBJECT_ID(N'[dbo].[UserSessions]', N'U') IS NULL
+BEGIN
+    CREATE TABLE [dbo].[UserSessions] (
+        [id]             NVARCHAR(36)  NOT NULL PRIMARY KEY,
+        [user_id]        NVARCHAR(36)  NOT NULL,
+        [revoked_at]     DATETIME2     NULL,
+        [revoked_reason] NVARCHAR(50)  NULL,
+        [created_at]     DATETIME2     NOT NULL DEFAULT (GETDATE()),
+        CONSTRAINT [FK_UserSessions_Users] FOREIGN KEY ([user_id])
+            REFERENCES [dbo].[Users] ([id]) ON DELETE CASCADE
+    );
+
+    CREATE NONCLUSTERED INDEX [IX_UserSessions_UserId_RevokedAt]
+        ON [dbo].[UserSessions] ([user_id], [revoked_at]);
+END;
@@ -0,0 +1,24 @@
+-- ============================================================================
+-- 003_add_session_device_info.sql
+-- 역할: 세션별 접속 기기 정보 (세션/기기 관리 화면용)
+--
+-- 추가 컬럼:
+-- - user_agent: 로그인 시 User-Agent
+-- - ip_address: 로그인 시 클라이언트 IP (IPv6 고려 45자)
+-- - last_seen_at: 마지막 요청 시각 (authMiddleware가 5분 간격으로 갱신)
+-- ============================================================================
+
+IF COL_LENGTH(N'dbo.UserSessions', N'user_agent') IS NULL
+BEGIN
+    ALTER TABLE [dbo].[UserSessions] ADD [user_agent] NVARCHAR(500) NULL;
+END;
+
+IF COL_LENGTH(N'dbo.UserSessions', N'ip_address') IS NULL
+BEGIN
+    ALTER TABLE [dbo].[UserSessions] ADD [ip_address] NVARCHAR(45) NULL;
+END;
+
+IF COL_LENGTH(N'dbo.UserSessions', N'last_seen_at') IS NULL
+BEGIN
+    ALTER TABLE [dbo].[UserSessions] ADD [last_seen_at] DATETIME2 NULL;
+END;
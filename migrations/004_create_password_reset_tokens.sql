@@ -0,0 +1,28 @@
+-- ============================================================================
+-- 004_create_password_reset_tokens.sql
+-- 역할: 비밀번호 재설정 토큰 저장소
+--
+-- 특징:
+-- - 토큰 원문은 메일로만 전달하고 DB에는 SHA256 해시만 저장
+-- - expires_at: 발급 후 PASSWORD_RESET_EXPIRE_MINUTES(기본 30분) 동안 유효
+-- - used_at: 사용(또는 새 토큰 발급/재설정 완료로 무효화)된 시각 → 1회용
+-- ============================================================================
+
+IF OBJECT_ID(N'[dbo].[PasswordResetTokens]', N'U') IS NULL
+BEGIN
+    CREATE TABLE [dbo].[PasswordResetTokens] (
+        [id]           NVARCHAR(36)  NOT NULL PRIMARY KEY,
+        [user_id]      NVARCHAR(36)  NOT NULL,
+        [token_hash]   NVARCHAR(64)  NOT NULL,
+        [expires_at]   DATETIME2     NOT NULL,
+        [used_at]      DATETIME2     NULL,
+        [requested_ip] NVARCHAR(45)  NULL,
+        [created_at]   DATETIME2     NOT NULL DEFAULT (GETDATE()),
+        CONSTRAINT [UQ_PasswordResetTokens_TokenHash] UNIQUE ([token_hash]),
+        CONSTRAINT [FK_PasswordResetTokens_Users] FOREIGN KEY ([user_id])
+            REFERENCES [dbo].[Users] ([id]) ON DELETE CASCADE
+    );
+
+    CREATE NONCLUSTERED INDEX [IX_PasswordResetTokens_UserId]
+        ON [dbo].[PasswordResetTokens] ([user_id], [used_at]);
+END;
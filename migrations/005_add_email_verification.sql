@@ -0,0 +1,24 @@
+-- ============================================================================
+-- 005_add_email_verification.sql
+-- 역할: 회원가입 이메일 인증
+--
+-- 추가 컬럼 (Users):
+-- - email_verified_at: 이메일 인증 완료 시각 (NULL = 미인증)
+-- - verification_sent_at: 마지막 인증 메일 발송 시각 (재발송 쿨다운 계산용)
+--
+-- 기존 사용자:
+-- - 이메일 인증 도입 이전 가입자는 인증된 것으로 간주 (created_at으로 채움)
+-- ============================================================================
+
+IF COL_LENGTH(N'dbo.Users', N'email_verified_at') IS NULL
+BEGIN
+    ALTER TABLE [dbo].[Users] ADD [email_verified_at] DATETIME2 NULL;
+
+    -- 컬럼 추가와 같은 배치에서는 새 컬럼을 참조할 수 없으므로 동적 SQL 사용
+    EXEC (N'UPDATE [dbo].[Users] SET [email_verified_at] = COALESCE([created_at], GETDATE()) WHERE [email_verified_at] IS NULL');
+END;
+
+IF COL_LENGTH(N'dbo.Users', N'verification_sent_at') IS NULL
+BEGIN
+    ALTER TABLE [dbo].[Users] ADD [verification_sent_at] DATETIME2 NULL;
+END;
@@ -0,0 +1,75 @@
+-- ============================================================================
+-- 006_add_two_factor_auth.sql
+-- 역할: TOTP 2단계 인증 (사용자 / 관리자 로그인)
+--
+-- 추가 컬럼 (Users):
+-- - two_factor_secret: 확인 완료된 TOTP 시크릿 (AES-256-GCM 암호문, NULL = 미사용)
+-- - two_factor_pending_secret: 등록 진행 중인 시크릿 (확인 코드 검증 전)
+-- - two_factor_enabled_at: 2단계 인증 활성화 시각
+-- - two_factor_last_step: 마지막으로 사용된 TOTP time step (같은 코드 재사용 방지)
+--
+-- 추가 컬럼 (UserSessions):
+-- - two_factor_verified: 2단계 인증을 거친 세션 여부 (관리자 2FA 강제 시 확인)
+--
+-- 신규 테이블:
+-- - TwoFactorRecoveryCodes: 1회용 복구 코드 (SHA256 해시만 저장)
+-- - SystemSettings: 시스템 설정 (require_admin_2fa 등)
+-- ============================================================================
+
+IF COL_LENGTH(N'dbo.Users', N'two_factor_secret') IS NULL
+BEGIN
+    ALTER TABLE [dbo].[Users] ADD [two_factor_secret] NVARCHAR(255) NULL;
+END;
+
+IF COL_LENGTH(N'dbo.Users', N'two_factor_pending_secret') IS NULL
+BEGIN
+    ALTER TABLE [dbo].[Users] ADD [two_factor_pending_secret] NVARCHAR(255) NULL;
+END;
+
+IF COL_LENGTH(N'dbo.Users', N'two_factor_enabled_at') IS NULL
+BEGIN
+    ALTER TABLE [dbo].[Users] ADD [two_factor_enabled_at] DATETIME2 NULL;
+END;
+
+IF COL_LENGTH(N'dbo.Users', N'two_factor_last_step') IS NULL
+BEGIN
+    ALTER TABLE [dbo].[Users] ADD [two_factor_last_step] BIGINT NULL;
+END;
+
+IF COL_LENGTH(N'dbo.UserSessions', N'two_factor_verified') IS NULL
+BEGIN
+    ALTER TABLE [dbo].[UserSessions] ADD [two_factor_verified] BIT NOT NULL
+        CONSTRAINT [DF_UserSessions_TwoFactorVerified] DEFAULT (0);
+END;
+
+IF OBJECT_ID(N'[dbo].[TwoFactorRecoveryCodes]', N'U') IS NULL
+BEGIN
+    CREATE TABLE [dbo].[TwoFactorRecoveryCodes] (
+        [id]         NVARCHAR(36)  NOT NULL PRIMARY KEY,
+        [user_id]    NVARCHAR(36)  NOT NULL,
+        [code_hash]  NVARCHAR(64)  NOT NULL,
+        [used_at]    DATETIME2     NULL,
+        [created_at] DATETIME2     NOT NULL DEFAULT (GETDATE()),
+        CONSTRAINT [FK_TwoFactorRecoveryCodes_Users] FOREIGN KEY ([user_id])
+            REFERENCES [dbo].[Users] ([id]) ON DELETE CASCADE
+    );
+
+    CREATE NONCLUSTERED INDEX [IX_TwoFactorRecoveryCodes_UserId]
+        ON [dbo].[TwoFactorRecoveryCodes] ([user_id], [used_at]);
+END;
+
+IF OBJECT_ID(N'[dbo].[SystemSettings]', N'U') IS NULL
+BEGIN
+    CREATE TABLE [dbo].[SystemSettings] (
+        [setting_key]   NVARCHAR(100)  NOT NULL PRIMARY KEY,
+        [setting_value] NVARCHAR(MAX)  NULL,
+        [updated_by]    NVARCHAR(36)   NULL,
+        [updated_at]    DATETIME2      NOT NULL DEFAULT (GETDATE())
+    );
+END;
+
+IF NOT EXISTS (SELECT 1 FROM [dbo].[SystemSettings] WHERE [setting_key] = N'require_admin_2fa')
+BEGIN
+    INSERT INTO [dbo].[SystemSettings] ([setting_key], [setting_value])
+    VALUES (N'require_admin_2fa', N'false');
+END;
@@ -0,0 +1,52 @@
+-- ============================================================================
+-- 007_add_login_lockout_and_audit_logs.sql
+-- 역할: 로그인 무차별 대입 방지 (계정 잠금) + 감사 로그
+--
+-- 추가 컬럼 (Users):
+-- - failed_login_count: 연속 로그인 실패 횟수 (성공/관리자 해제 시 0)
+-- - last_failed_login_at: 마지막 로그인 실패 시각
+-- - locked_until: 임시 잠금 해제 시각 (NULL 또는 과거 = 잠금 아님)
+--
+-- 신규 테이블:
+-- - AuditLogs: 보안 이벤트 기록 (계정 잠금, 잠금 해제 등)
+--   - actor_type: user / admin / system / anonymous
+--   - metadata: 이벤트별 추가 정보 (JSON 문자열)
+-- ============================================================================
+
+IF COL_LENGTH(N'dbo.Users', N'failed_login_count') IS NULL
+BEGIN
+    ALTER TABLE [dbo].[Users] ADD [failed_login_count] INT NOT NULL
+        CONSTRAINT [DF_Users_FailedLoginCount] DEFAULT (0);
+END;
+
+IF COL_LENGTH(N'dbo.Users', N'last_failed_login_at') IS NULL
+BEGIN
+    ALTER TABLE [dbo].[Users] ADD [last_failed_login_at] DATETIME2 NULL;
+END;
+
+IF COL_LENGTH(N'dbo.Users', N'locked_until') IS NULL
+BEGIN
+    ALTER TABLE [dbo].[Users] ADD [locked_until] DATETIME2 NULL;
+END;
+
+IF OBJECT_ID(N'[dbo].[AuditLogs]', N'U') IS NULL
+BEGIN
+    CREATE TABLE [dbo].[AuditLogs] (
+        [id]          NVARCHAR(36)   NOT NULL PRIMARY KEY,
+        [actor_id]    NVARCHAR(36)   NULL,
+        [actor_type]  NVARCHAR(20)   NOT NULL,
+        [action]      NVARCHAR(100)  NOT NULL,
+        [target_type] NVARCHAR(50)   NULL,
+        [target_id]   NVARCHAR(255)  NULL,
+        [ip_address]  NVARCHAR(45)   NULL,
+        [user_agent]  NVARCHAR(500)  NULL,
+        [metadata]    NVARCHAR(MAX)  NULL,
+        [created_at]  DATETIME2      NOT NULL DEFAULT (GETDATE())
+    );
+
+    CREATE NONCLUSTERED INDEX [IX_AuditLogs_CreatedAt]
+        ON [dbo].[AuditLogs] ([created_at] DESC);
+
+    CREATE NONCLUSTERED INDEX [IX_AuditLogs_Target]
+        ON [dbo].[AuditLogs] ([target_type], [target_id]);
+END;
@@ -0,0 +1,135 @@
+-- ============================================================================
+-- 008_add_roles_and_permissions.sql
+-- 역할: 역할 기반 접근 제어 (RBAC) - is_admin 단일 플래그 대체
+--
+-- 신규 테이블:
+-- - Roles: 역할 (super_admin, support, billing, auditor)
+-- - Permissions: 권한 코드 ('리소스:동작' 형식, 예: subscriptions:approve)
+-- - RolePermissions: 역할별 권한
+-- - UserRoles: 사용자별 역할 (여러 개 가능)
+--
+-- 기존 데이터:
+-- - is_admin = 1 사용자에게 super_admin 역할 부여 (기존 권한 유지)
+-- - 이후 Users.is_admin은 "역할이 하나 이상 있음"과 동기화 (관리자 화면 접근 여부)
+--
+-- 권한 추가 시:
+-- - Permissions, RolePermissions에 INSERT (super_admin에도 반드시 부여)
+-- - config/constants.js PERMISSIONS에 코드 추가
+-- ============================================================================
+
+IF OBJECT_ID(N'[dbo].[Roles]', N'U') IS NULL
+BEGIN
+    CREATE TABLE [dbo].[Roles] (
+        [role_code]   NVARCHAR(50)   NOT NULL PRIMARY KEY,
+        [name]        NVARCHAR(100)  NOT NULL,
+        [description] NVARCHAR(500)  NULL,
+        [created_at]  DATETIME2      NOT NULL DEFAULT (GETDATE())
+    );
+END;
+
+IF OBJECT_ID(N'[dbo].[Permissions]', N'U') IS NULL
+BEGIN
+    CREATE TABLE [dbo].[Permissions] (
+        [permission_code] NVARCHAR(100)  NOT NULL PRIMARY KEY,
+        [description]     NVARCHAR(500)  NULL
+    );
+END;
+
+IF OBJECT_ID(N'[dbo].[RolePermissions]', N'U') IS NULL
+BEGIN
+    CREATE TABLE [dbo].[RolePermissions] (
+        [role_code]       NVARCHAR(50)   NOT NULL,
+        [permission_code] NVARCHAR(100)  NOT NULL,
+        CONSTRAINT [PK_RolePermissions] PRIMARY KEY ([role_code], [permission_code]),
+        CONSTRAINT [FK_RolePermissions_Roles] FOREIGN KEY ([role_code])
+            REFERENCES [dbo].[Roles] ([role_code]) ON DELETE CASCADE,
+        CONSTRAINT [FK_RolePermissions_Permissions] FOREIGN KEY ([permission_code])
+            REFERENCES [dbo].[Permissions] ([permission_code]) ON DELETE CASCADE
+    );
+END;
+
+IF OBJECT_ID(N'[dbo].[UserRoles]', N'U') IS NULL
+BEGIN
+    CREATE TABLE [dbo].[UserRoles] (
+        [user_id]     NVARCHAR(36)  NOT NULL,
+        [role_code]   NVARCHAR(50)  NOT NULL,
+        [assigned_by] NVARCHAR(36)  NULL,
+        [assigned_at] DATETIME2     NOT NULL DEFAULT (GETDATE()),
+        CONSTRAINT [PK_UserRoles] PRIMARY KEY ([user_id], [role_code]),
+        CONSTRAINT [FK_UserRoles_Users] FOREIGN KEY ([user_id])
+            REFERENCES [dbo].[Users] ([id]) ON DELETE CASCADE,
+        CONSTRAINT [FK_UserRoles_Roles] FOREIGN KEY ([role_code])
+            REFERENCES [dbo].[Roles] ([role_code])
+    );
+
+    CREATE NONCLUSTERED INDEX [IX_UserRoles_RoleCode]
+        ON [dbo].[UserRoles] ([role_code]);
+END;
+
+-- ========== 기본 역할 ==========
+MERGE [dbo].[Roles] AS target
+USING (VALUES
+    (N'super_admin', N'최고 관리자', N'모든 관리 기능 + 역할 관리'),
+    (N'support',     N'고객 지원',   N'사용자 조회, 차단, 로그인 잠금 해제, 이메일 인증 처리'),
+    (N'billing',     N'결제 담당',   N'구독 조회 및 승인/거절, 통계 조회'),
+    (N'auditor',     N'감사 (읽기 전용)', N'사용자/구독/통계/로그/설정 조회만 가능')
+) AS source ([role_code], [name], [description])
+ON target.[role_code] = source.[role_code]
+WHEN NOT MATCHED THEN
+    INSERT ([role_code], [name], [description])
+    VALUES (source.[role_code], source.[name], source.[description]);
+
+-- ========== 권한 ==========
+MERGE [dbo].[Permissions] AS target
+USING (VALUES
+    (N'users:read',            N'사용자 목록 조회'),
+    (N'users:block',           N'사용자 차단 / 차단 해제'),
+    (N'users:unlock',          N'로그인 잠금 해제'),
+    (N'users:verify_email',    N'이메일 인증 수동 처리'),
+    (N'subscriptions:read',    N'구독 조회'),
+    (N'subscriptions:approve', N'구독 승인 / 거절'),
+    (N'stats:read',            N'시스템 통계 조회'),
+    (N'logs:read',             N'검증/처리 로그 조회'),
+    (N'settings:read',         N'보안 설정 조회'),
+    (N'settings:manage',       N'보안 설정 변경'),
+    (N'roles:manage',          N'역할 조회 및 사용자 역할 변경')
+) AS source ([permission_code], [description])
+ON target.[permission_code] = source.[permission_code]
+WHEN NOT MATCHED THEN
+    INSERT ([permission_code], [description])
+    VALUES (source.[permission_code], source.[description]);
+
+-- ========== 역할별 권한 ==========
+MERGE [dbo].[RolePermissions] AS target
+USING (
+    SELECT N'super_admin' AS [role_code], [permission_code] FROM [dbo].[Permissions]
+    UNION ALL
+    SELECT [role_code], [permission_code] FROM (VALUES
+        (N'support', N'users:read'),
+        (N'support', N'users:block'),
+        (N'support', N'users:unlock'),
+        (N'support', N'users:verify_email'),
+        (N'support', N'subscriptions:read'),
+        (N'support', N'logs:read'),
+        (N'billing', N'users:read'),
+        (N'billing', N'subscriptions:read'),
+        (N'billing', N'subscriptions:approve'),
+        (N'billing', N'stats:read'),
+        (N'auditor', N'users:read'),
+        (N'auditor', N'subscriptions:read'),
+        (N'auditor', N'stats:read'),
+        (N'auditor', N'logs:read'),
+        (N'auditor', N'settings:read')
+    ) AS v ([role_code], [permission_code])
+) AS source
+ON target.[role_code] = source.[role_code] AND target.[permission_code] = source.[permission_code]
+WHEN NOT MATCHED THEN
+    INSERT ([role_code], [permission_code])
+    VALUES (source.[role_code], source.[permission_code]);
+
+-- ========== 기존 관리자 → super_admin ==========
+INSERT INTO [dbo].[UserRoles] ([user_id], [role_code])
+SELECT u.[id], N'super_admin'
+FROM [dbo].[Users] u
+WHERE u.[is_admin] = 1
+  AND NOT EXISTS (SELECT 1 FROM [dbo].[UserRoles] ur WHERE ur.[user_id] = u.[id]);
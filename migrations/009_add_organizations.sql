@@ -0,0 +1,162 @@
+-- ============================================================================
+-- 009_add_organizations.sql
+-- 역할: 조직(팀) 단위로 API Key, 구독, Webhook, 사용량 관리
+--
+-- 신규 테이블:
+-- - Organizations: 조직
+-- - OrganizationMembers: 조직 멤버 + 조직 내 역할 (owner / developer / viewer)
+-- - OrganizationInvitations: 이메일 초대 (토큰 원문은 메일로만 전달, SHA256 해시만 저장)
+--
+-- 추가 컬럼 (organization_id):
+-- - ApiKeys, UserSubscriptions, Webhooks: 소유 조직 (user_id는 생성/신청한 사용자로 유지)
+-- - ApiLogs, MonthlyUsage, RateLimitLogs: 사용량 집계 조직 (실패 로그 등은 NULL)
+--
+-- 기존 데이터:
+-- - 모든 사용자에게 개인 조직 생성 (본인 owner)
+-- - 기존 API Key / 구독 / Webhook / 로그는 사용자의 개인 조직으로 이동
+-- ============================================================================
+
+IF OBJECT_ID(N'[dbo].[Organizations]', N'U') IS NULL
+BEGIN
+    CREATE TABLE [dbo].[Organizations] (
+        [id]         NVARCHAR(36)   NOT NULL PRIMARY KEY,
+        [name]       NVARCHAR(100)  NOT NULL,
+        [created_by] NVARCHAR(36)   NULL,
+        [created_at] DATETIME2      NOT NULL DEFAULT (GETDATE()),
+        [updated_at] DATETIME2      NOT NULL DEFAULT (GETDATE())
+    );
+END;
+
+IF OBJECT_ID(N'[dbo].[OrganizationMembers]', N'U') IS NULL
+BEGIN
+    CREATE TABLE [dbo].[OrganizationMembers] (
+        [organization_id] NVARCHAR(36)  NOT NULL,
+        [user_id]         NVARCHAR(36)  NOT NULL,
+        [role]            NVARCHAR(20)  NOT NULL,
+        [joined_at]       DATETIME2     NOT NULL DEFAULT (GETDATE()),
+        CONSTRAINT [PK_OrganizationMembers] PRIMARY KEY ([organization_id], [user_id]),
+        CONSTRAINT [CK_OrganizationMembers_Role] CHECK ([role] IN (N'owner', N'developer', N'viewer')),
+        CONSTRAINT [FK_OrganizationMembers_Organizations] FOREIGN KEY ([organization_id])
+            REFERENCES [dbo].[Organizations] ([id]) ON DELETE CASCADE,
+        CONSTRAINT [FK_OrganizationMembers_Users] FOREIGN KEY ([user_id])
+            REFERENCES [dbo].[Users] ([id]) ON DELETE CASCADE
+    );
+
+    CREATE NONCLUSTERED INDEX [IX_OrganizationMembers_UserId]
+        ON [dbo].[OrganizationMembers] ([user_id]);
+END;
+
+IF OBJECT_ID(N'[dbo].[OrganizationInvitations]', N'U') IS NULL
+BEGIN
+    CREATE TABLE [dbo].[OrganizationInvitations] (
+        [id]              NVARCHAR(36)   NOT NULL PRIMARY KEY,
+        [organization_id] NVARCHAR(36)   NOT NULL,
+        [email]           NVARCHAR(255)  NOT NULL,
+        [role]            NVARCHAR(20)   NOT NULL,
+        [token_hash]      NVARCHAR(64)   NOT NULL,
+        [invited_by]      NVARCHAR(36)   NULL,
+        [expires_at]      DATETIME2      NOT NULL,
+        [accepted_at]     DATETIME2      NULL,
+        [accepted_by]     NVARCHAR(36)   NULL,
+        [revoked_at]      DATETIME2      NULL,
+        [created_at]      DATETIME2      NOT NULL DEFAULT (GETDATE()),
+        CONSTRAINT [UQ_OrganizationInvitations_TokenHash] UNIQUE ([token_hash]),
+        CONSTRAINT [CK_OrganizationInvitations_Role] CHECK ([role] IN (N'owner', N'developer', N'viewer')),
+        CONSTRAINT [FK_OrganizationInvitations_Organizations] FOREIGN KEY ([organization_id])
+            REFERENCES [dbo].[Organizations] ([id]) ON DELETE CASCADE
+    );
+
+    CREATE NONCLUSTERED INDEX [IX_OrganizationInvitations_Organization]
+        ON [dbo].[OrganizationInvitations] ([organization_id], [accepted_at], [revoked_at]);
+END;
+
+-- ========== 기존 사용자 개인 조직 ==========
+INSERT INTO [dbo].[Organizations] ([id], [name], [created_by])
+SELECT LOWER(CONVERT(NVARCHAR(36), NEWID())), LEFT(CONCAT(u.[first_name], N' ', u.[last_name]), 100), u.[id]
+FROM [dbo].[Users] u
+WHERE NOT EXISTS (SELECT 1 FROM [dbo].[OrganizationMembers] om WHERE om.[user_id] = u.[id])
+  AND NOT EXISTS (SELECT 1 FROM [dbo].[Organizations] o WHERE o.[created_by] = u.[id]);
+
+INSERT INTO [dbo].[OrganizationMembers] ([organization_id], [user_id], [role])
+SELECT o.[id], o.[created_by], N'owner'
+FROM [dbo].[Organizations] o
+WHERE o.[created_by] IS NOT NULL
+  AND NOT EXISTS (SELECT 1 FROM [dbo].[OrganizationMembers] om WHERE om.[user_id] = o.[created_by]);
+
+-- ========== organization_id 컬럼 + 기존 데이터 이동 ==========
+-- 컬럼 추가와 같은 배치에서는 새 컬럼을 참조할 수 없으므로 동적 SQL 사용
+-- 사용자의 개인 조직 = 가장 먼저 가입한 owner 조직
+
+IF COL_LENGTH(N'dbo.ApiKeys', N'organization_id') IS NULL
+BEGIN
+    ALTER TABLE [dbo].[ApiKeys] ADD [organization_id] NVARCHAR(36) NULL
+        CONSTRAINT [FK_ApiKeys_Organizations] REFERENCES [dbo].[Organizations] ([id]);
+
+    EXEC (N'UPDATE ak SET ak.[organization_id] = (
+                SELECT TOP 1 om.[organization_id] FROM [dbo].[OrganizationMembers] om
+                WHERE om.[user_id] = ak.[user_id] AND om.[role] = N''owner''
+                ORDER BY om.[joined_at])
+            FROM [dbo].[ApiKeys] ak
+            WHERE ak.[organization_id] IS NULL;
+            CREATE NONCLUSTERED INDEX [IX_ApiKeys_OrganizationId] ON [dbo].[ApiKeys] ([organization_id]);');
+END;
+
+IF COL_LENGTH(N'dbo.UserSubscriptions', N'organization_id') IS NULL
+BEGIN
+    ALTER TABLE [dbo].[UserSubscriptions] ADD [organization_id] NVARCHAR(36) NULL
+        CONSTRAINT [FK_UserSubscriptions_Organizations] REFERENCES [dbo].[Organizations] ([id]);
+
+    EXEC (N'UPDATE us SET us.[organization_id] = (
+                SELECT TOP 1 om.[organization_id] FROM [dbo].[OrganizationMembers] om
+                WHERE om.[user_id] = us.[user_id] AND om.[role] = N''owner''
+                ORDER BY om.[joined_at])
+            FROM [dbo].[UserSubscriptions] us
+            WHERE us.[organization_id] IS NULL;
+            CREATE NONCLUSTERED INDEX [IX_UserSubscriptions_OrganizationId] ON [dbo].[UserSubscriptions] ([organization_id], [status]);');
+END;
+
+IF COL_LENGTH(N'dbo.Webhooks', N'organization_id') IS NULL
+BEGIN
+    ALTER TABLE [dbo].[Webhooks] ADD [organization_id] NVARCHAR(36) NULL
+        CONSTRAINT [FK_Webhooks_Organizations] REFERENCES [dbo].[Organizations] ([id]);
+
+    EXEC (N'UPDATE w SET w.[organization_id] = (
+                SELECT TOP 1 om.[organization_id] FROM [dbo].[OrganizationMembers] om
+                WHERE om.[user_id] = w.[user_id] AND om.[role] = N''owner''
+                ORDER BY om.[joined_at])
+            FROM [dbo].[Webhooks] w
+            WHERE w.[organization_id] IS NULL;
+            CREATE NONCLUSTERED INDEX [IX_Webhooks_OrganizationId] ON [dbo].[Webhooks] ([organization_id]);');
+END;
+
+-- 로그: API Key의 조직 기준 (API Key 없는 실패 로그는 NULL)
+IF COL_LENGTH(N'dbo.ApiLogs', N'organization_id') IS NULL
+BEGIN
+    ALTER TABLE [dbo].[ApiLogs] ADD [organization_id] NVARCHAR(36) NULL;
+
+    EXEC (N'UPDATE al SET al.[organization_id] = ak.[organization_id]
+            FROM [dbo].[ApiLogs] al
+            JOIN [dbo].[ApiKeys] ak ON al.[api_key_id] = ak.[id]
+            WHERE al.[organization_id] IS NULL;
+            CREATE NONCLUSTERED INDEX [IX_ApiLogs_OrganizationId] ON [dbo].[ApiLogs] ([organization_id], [created_at]);');
+END;
+
+IF OBJECT_ID(N'[dbo].[MonthlyUsage]', N'U') IS NOT NULL AND COL_LENGTH(N'dbo.MonthlyUsage', N'organization_id') IS NULL
+BEGIN
+    ALTER TABLE [dbo].[MonthlyUsage] ADD [organization_id] NVARCHAR(36) NULL;
+
+    EXEC (N'UPDATE mu SET mu.[organization_id] = ak.[organization_id]
+            FROM [dbo].[MonthlyUsage] mu
+            JOIN [dbo].[ApiKeys] ak ON mu.[api_key_id] = ak.[id]
+            WHERE mu.[organization_id] IS NULL;');
+END;
+
+IF OBJECT_ID(N'[dbo].[RateLimitLogs]', N'U') IS NOT NULL AND COL_LENGTH(N'dbo.RateLimitLogs', N'organization_id') IS NULL
+BEGIN
+    ALTER TABLE [dbo].[RateLimitLogs] ADD [organization_id] NVARCHAR(36) NULL;
+
+    EXEC (N'UPDATE rl SET rl.[organization_id] = ak.[organization_id]
+            FROM [dbo].[RateLimitLogs] rl
+            JOIN [dbo].[ApiKeys] ak ON rl.[api_key_id] = ak.[id]
+            WHERE rl.[organization_id] IS NULL;');
+END;
@@ -0,0 +1,79 @@
+-- ============================================================================
+-- 010_add_admin_audit_trail.sql
+-- 역할: 관리자 변경 작업 감사 로그 (변경 전/후 값, 사유) + 추가 전용 보장
+--
+-- 추가 컬럼 (AuditLogs):
+-- - reason: 관리자가 입력한 사유 (차단 사유, 거절 사유 등)
+-- - before_value / after_value: 변경 전/후 값 (JSON 문자열)
+--
+-- 추가 전용 (append-only):
+-- - TR_AuditLogs_AppendOnly: UPDATE / DELETE 시 에러 → 기록된 로그는 수정/삭제 불가
+-- - 보관 기간 정리가 필요하면 트리거를 비활성화한 별도 작업으로 수행
+--
+-- 권한:
+-- - audit:read (감사 로그 조회) → super_admin, auditor
+-- ============================================================================
+
+IF COL_LENGTH(N'dbo.AuditLogs', N'reason') IS NULL
+BEGIN
+    ALTER TABLE [dbo].[AuditLogs] ADD [reason] NVARCHAR(500) NULL;
+END;
+
+IF COL_LENGTH(N'dbo.AuditLogs', N'before_value') IS NULL
+BEGIN
+    ALTER TABLE [dbo].[AuditLogs] ADD [before_value] NVARCHAR(MAX) NULL;
+END;
+
+IF COL_LENGTH(N'dbo.AuditLogs', N'after_value') IS NULL
+BEGIN
+    ALTER TABLE [dbo].[AuditLogs] ADD [after_value] NVARCHAR(MAX) NULL;
+END;
+
+-- 관리자별 / 작업별 조회
+IF NOT EXISTS (SELECT 1 FROM sys.indexes WHERE name = N'IX_AuditLogs_Actor' AND object_id = OBJECT_ID(N'[dbo].[AuditLogs]'))
+BEGIN
+    CREATE NONCLUSTERED INDEX [IX_AuditLogs_Actor]
+        ON [dbo].[AuditLogs] ([actor_id], [created_at] DESC);
+END;
+
+IF NOT EXISTS (SELECT 1 FROM sys.indexes WHERE name = N'IX_AuditLogs_Action' AND object_id = OBJECT_ID(N'[dbo].[AuditLogs]'))
+BEGIN
+    CREATE NONCLUSTERED INDEX [IX_AuditLogs_Action]
+        ON [dbo].[AuditLogs] ([action], [created_at] DESC);
+END;
+
+-- ========== 추가 전용 트리거 ==========
+-- CREATE TRIGGER는 배치의 첫 문장이어야 하므로 EXEC로 실행
+IF OBJECT_ID(N'[dbo].[TR_AuditLogs_AppendOnly]', N'TR') IS NULL
+BEGIN
+    EXEC (N'
+        CREATE TRIGGER [dbo].[TR_AuditLogs_AppendOnly]
+        ON [dbo].[AuditLogs]
+        INSTEAD OF UPDATE, DELETE
+        AS
+        BEGIN
+            SET NOCOUNT ON;
+            THROW 51000, N''AuditLogs는 추가 전용입니다 (수정/삭제 불가)'', 1;
+        END
+    ');
+END;
+
+-- ========== 권한 ==========
+MERGE [dbo].[Permissions] AS target
+USING (VALUES
+    (N'audit:read', N'관리자 감사 로그 조회')
+) AS source ([permission_code], [description])
+ON target.[permission_code] = source.[permission_code]
+WHEN NOT MATCHED THEN
+    INSERT ([permission_code], [description])
+    VALUES (source.[permission_code], source.[description]);
+
+MERGE [dbo].[RolePermissions] AS target
+USING (VALUES
+    (N'super_admin', N'audit:read'),
+    (N'auditor',     N'audit:read')
+) AS source ([role_code], [permission_code])
+ON target.[role_code] = source.[role_code] AND target.[permission_code] = source.[permission_code]
+WHEN NOT MATCHED THEN
+    INSERT ([role_code], [permission_code])
+    VALUES (source.[role_code], source.[permission_code]);
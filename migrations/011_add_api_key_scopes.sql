@@ -0,0 +1,21 @@
+-- ============================================================================
+-- 011_add_api_key_scopes.sql
+-- 역할: API Key별 권한 범위 (scope)
+--
+-- 추가 컬럼 (ApiKeys):
+-- - scopes: 허용된 scope 목록 (콤마로 구분, 예: 'validate:read,usage:read')
+--   - scope 목록은 config/constants.js API_KEY_SCOPES 참고
+--   - API Key 인증 라우트마다 requireApiKeyScope 미들웨어로 확인
+--
+-- 기존 데이터:
+-- - 기존 Key는 지금까지처럼 모든 API를 호출할 수 있도록 전체 scope 부여
+-- ============================================================================
+
+IF COL_LENGTH(N'dbo.ApiKeys', N'scopes') IS NULL
+BEGIN
+    ALTER TABLE [dbo].[ApiKeys] ADD [scopes] NVARCHAR(500) NULL;
+
+    EXEC (N'UPDATE [dbo].[ApiKeys]
+            SET [scopes] = N''validate:read,images:process,usage:read,webhooks:manage''
+            WHERE [scopes] IS NULL');
+END;
@@ -0,0 +1,42 @@
+-- ============================================================================
+-- 012_add_api_key_rotation.sql
+-- 역할: API Key 만료 / Secret 교체(rotation) / 만료 예정 알림
+--
+-- 추가 컬럼 (ApiKeys):
+-- - previous_secret_hash: 교체 전 Secret 해시 (유예 기간 동안만 인증 허용)
+-- - previous_secret_expires_at: 이전 Secret 사용 가능 종료 시각
+-- - rotated_at: 마지막 Secret 교체 시각
+-- - expiry_notified_at: api_key_expiring Webhook 발송 시각 (중복 발송 방지)
+--   - 만료일을 바꾸면 NULL로 초기화되어 다시 알림
+--
+-- 참고:
+-- - expires_at 컬럼은 기존 스키마에 있음 (NULL = 만료 없음)
+-- ============================================================================
+
+IF COL_LENGTH(N'dbo.ApiKeys', N'previous_secret_hash') IS NULL
+BEGIN
+    ALTER TABLE [dbo].[ApiKeys] ADD [previous_secret_hash] NVARCHAR(255) NULL;
+END;
+
+IF COL_LENGTH(N'dbo.ApiKeys', N'previous_secret_expires_at') IS NULL
+BEGIN
+    ALTER TABLE [dbo].[ApiKeys] ADD [previous_secret_expires_at] DATETIME2 NULL;
+END;
+
+IF COL_LENGTH(N'dbo.ApiKeys', N'rotated_at') IS NULL
+BEGIN
+    ALTER TABLE [dbo].[ApiKeys] ADD [rotated_at] DATETIME2 NULL;
+END;
+
+IF COL_LENGTH(N'dbo.ApiKeys', N'expiry_notified_at') IS NULL
+BEGIN
+    ALTER TABLE [dbo].[ApiKeys] ADD [expiry_notified_at] DATETIME2 NULL;
+END;
+
+-- 만료 예정 Key 조회 (스케줄러)
+IF NOT EXISTS (SELECT 1 FROM sys.indexes WHERE name = N'IX_ApiKeys_ExpiresAt' AND object_id = OBJECT_ID(N'[dbo].[ApiKeys]'))
+BEGIN
+    CREATE NONCLUSTERED INDEX [IX_ApiKeys_ExpiresAt]
+        ON [dbo].[ApiKeys] ([expires_at])
+        WHERE [expires_at] IS NOT NULL;
+END;
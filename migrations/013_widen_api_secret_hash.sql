@@ -0,0 +1,18 @@
+-- ============================================================================
+-- 013_widen_api_secret_hash.sql
+-- 역할: API Secret 해시 버전 형식 지원
+--
+-- 해시 형식 (utils/cryptoUtils.js):
+-- - v1: SHA256 64자 16진수 (접두사 없음) - 기존 Key
+-- - v2: 'v2$' + HMAC-SHA256(API_SECRET_PEPPER) 64자 16진수 = 67자
+--
+-- 기존 데이터:
+-- - 그대로 유지, 다음 인증 성공 시 v2로 자동 교체
+-- - 서버에 API_SECRET_PEPPER 설정 필요 (없으면 Key 생성/검증 실패)
+-- ============================================================================
+
+-- NVARCHAR(64) → NVARCHAR(100) (COL_LENGTH는 바이트 단위)
+IF COL_LENGTH(N'dbo.ApiKeys', N'api_secret_hash') < 200
+BEGIN
+    ALTER TABLE [dbo].[ApiKeys] ALTER COLUMN [api_secret_hash] NVARCHAR(100) NOT NULL;
+END;
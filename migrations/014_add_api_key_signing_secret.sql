@@ -0,0 +1,23 @@
+-- ============================================================================
+-- 014_add_api_key_signing_secret.sql
+-- 역할: API Key 서명 요청 (X-Api-Key / X-Timestamp / X-Nonce / X-Signature)
+--
+-- 추가 컬럼 (ApiKeys):
+-- - signing_secret_encrypted: 서명 검증용 Secret (AES-256-GCM, DATA_ENCRYPTION_KEY)
+--   - api_secret_hash는 단방향이라 서버가 HMAC 서명을 다시 계산할 수 없음
+--   - 기존 Key는 body의 api_secret으로 한 번 인증되면 자동으로 채워짐
+-- - previous_signing_secret_encrypted: 교체 전 Secret (유예 기간 동안만 서명 허용)
+--
+-- 참고:
+-- - NULL이면 해당 Key는 서명 요청 불가 (body 방식은 계속 사용 가능)
+-- ============================================================================
+
+IF COL_LENGTH(N'dbo.ApiKeys', N'signing_secret_encrypted') IS NULL
+BEGIN
+    ALTER TABLE [dbo].[ApiKeys] ADD [signing_secret_encrypted] NVARCHAR(255) NULL;
+END;
+
+IF COL_LENGTH(N'dbo.ApiKeys', N'previous_signing_secret_encrypted') IS NULL
+BEGIN
+    ALTER TABLE [dbo].[ApiKeys] ADD [previous_signing_secret_encrypted] NVARCHAR(255) NULL;
+END;
@@ -0,0 +1,44 @@
+-- ============================================================================
+-- 015_add_tier_rate_limits.sql
+-- 역할: 구독 Tier별 API Key 요청 속도 제한 (슬라이딩 윈도우)
+--
+-- 추가 컬럼 (SubscriptionTiers):
+-- - rate_limit_per_second: Key당 초당 최대 요청 (순간 폭주 제한)
+-- - rate_limit_per_hour: Key당 시간당 최대 요청 (지속 사용 제한)
+--   - NULL이면 config/constants.js API_RATE_LIMITS.DEFAULT 사용
+--
+-- 추가 테이블:
+-- - RateLimitCounters: 여러 인스턴스가 공유하는 윈도우별 요청 수 (.env RATE_LIMIT_STORE=sql)
+--   - window_start: 윈도우 시작 시각 (Unix ms)
+--   - expires_at 이후 행은 스케줄러(rateLimitCleanup)가 삭제
+--
+-- 기존 데이터:
+-- - Basic 2/초, 500/시간 · Premium 10/초, 2,000/시간 · Enterprise 50/초, 20,000/시간
+-- ============================================================================
+
+IF COL_LENGTH(N'dbo.SubscriptionTiers', N'rate_limit_per_second') IS NULL
+BEGIN
+    ALTER TABLE [dbo].[SubscriptionTiers] ADD [rate_limit_per_second] INT NULL;
+END;
+
+IF COL_LENGTH(N'dbo.SubscriptionTiers', N'rate_limit_per_hour') IS NULL
+BEGIN
+    ALTER TABLE [dbo].[SubscriptionTiers] ADD [rate_limit_per_hour] INT NULL;
+
+    EXEC (N'UPDATE [dbo].[SubscriptionTiers]
+            SET [rate_limit_per_second] = CASE [tier_name] WHEN N''Basic'' THEN 2 WHEN N''Premium'' THEN 10 WHEN N''Enterprise'' THEN 50 END,
+                [rate_limit_per_hour] = CASE [tier_name] WHEN N''Basic'' THEN 500 WHEN N''Premium'' THEN 2000 WHEN N''Enterprise'' THEN 20000 END');
+END;
+
+IF OBJECT_ID(N'[dbo].[RateLimitCounters]', N'U') IS NULL
+BEGIN
+    CREATE TABLE [dbo].[RateLimitCounters] (
+        [bucket_key]     NVARCHAR(100) NOT NULL,
+        [window_start]   BIGINT        NOT NULL,
+        [request_count]  INT           NOT NULL,
+        [expires_at]     DATETIME2     NOT NULL,
+        CONSTRAINT [PK_RateLimitCounters] PRIMARY KEY ([bucket_key], [window_start])
+    );
+
+    CREATE NONCLUSTERED INDEX [IX_RateLimitCounters_ExpiresAt] ON [dbo].[RateLimitCounters] ([expires_at]);
+END;
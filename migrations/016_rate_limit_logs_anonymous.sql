@@ -0,0 +1,34 @@
+-- ============================================================================
+-- 016_rate_limit_logs_anonymous.sql
+-- 역할: 모든 429 응답을 RateLimitLogs에 기록
+--
+-- 변경 (RateLimitLogs):
+-- - user_id NULL 허용: IP 기반 제한(ipLimiter)은 인증 전이라 사용자 / API Key 없음
+-- - 인덱스 추가: 관리자 위반 조회 (기간, IP, API Key, 사용자별)
+--
+-- 참고:
+-- - id는 애플리케이션에서 생성 (rateLimitService.logRateLimitViolation)
+-- ============================================================================
+
+IF EXISTS (
+    SELECT 1 FROM sys.columns
+    WHERE object_id = OBJECT_ID(N'[dbo].[RateLimitLogs]') AND name = N'user_id' AND is_nullable = 0
+)
+BEGIN
+    ALTER TABLE [dbo].[RateLimitLogs] ALTER COLUMN [user_id] NVARCHAR(36) NULL;
+END;
+
+IF NOT EXISTS (SELECT 1 FROM sys.indexes WHERE name = N'IX_RateLimitLogs_CreatedAt' AND object_id = OBJECT_ID(N'[dbo].[RateLimitLogs]'))
+BEGIN
+    CREATE NONCLUSTERED INDEX [IX_RateLimitLogs_CreatedAt] ON [dbo].[RateLimitLogs] ([created_at]) INCLUDE ([limit_type]);
+END;
+
+IF NOT EXISTS (SELECT 1 FROM sys.indexes WHERE name = N'IX_RateLimitLogs_IpAddress' AND object_id = OBJECT_ID(N'[dbo].[RateLimitLogs]'))
+BEGIN
+    CREATE NONCLUSTERED INDEX [IX_RateLimitLogs_IpAddress] ON [dbo].[RateLimitLogs] ([ip_address], [created_at]);
+END;
+
+IF NOT EXISTS (SELECT 1 FROM sys.indexes WHERE name = N'IX_RateLimitLogs_ApiKeyId' AND object_id = OBJECT_ID(N'[dbo].[RateLimitLogs]'))
+BEGIN
+    CREATE NONCLUSTERED INDEX [IX_RateLimitLogs_ApiKeyId] ON [dbo].[RateLimitLogs] ([api_key_id], [created_at]);
+END;
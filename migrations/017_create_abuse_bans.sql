@@ -0,0 +1,61 @@
+-- ============================================================================
+-- 017_create_abuse_bans.sql
+-- 역할: 반복 위반 IP / API Key 일시 정지 (자동 정지 + 관리자 수동 정지 / 해제)
+--
+-- 추가 테이블:
+-- - AbuseBans: 정지 기록 (해제 후에도 보관 → 반복 정지 시 정지 시간 증가에 사용)
+--   - target_type: ip / api_key, target_id: IP 주소 또는 API Key ID
+--   - banned_until 이전이고 lifted_at이 NULL이면 정지 중
+--   - created_by: 정지한 관리자 ID (자동 정지는 NULL)
+--   - lifted_at / lifted_by / lift_reason: 관리자 해제
+--
+-- 권한:
+-- - abuse:manage (수동 정지 / 해제) → super_admin, support
+--   (정지 목록 조회는 stats:read)
+-- ============================================================================
+
+IF OBJECT_ID(N'[dbo].[AbuseBans]', N'U') IS NULL
+BEGIN
+    CREATE TABLE [dbo].[AbuseBans] (
+        [id]               NVARCHAR(36)  NOT NULL PRIMARY KEY,
+        [target_type]      NVARCHAR(20)  NOT NULL,
+        [target_id]        NVARCHAR(100) NOT NULL,
+        [organization_id]  NVARCHAR(36)  NULL,
+        [reason]           NVARCHAR(500) NULL,
+        [violation_count]  INT           NULL,
+        [ban_number]       INT           NOT NULL DEFAULT 1,
+        [banned_until]     DATETIME2     NOT NULL,
+        [created_by]       NVARCHAR(36)  NULL,
+        [created_at]       DATETIME2     NOT NULL DEFAULT GETDATE(),
+        [lifted_at]        DATETIME2     NULL,
+        [lifted_by]        NVARCHAR(36)  NULL,
+        [lift_reason]      NVARCHAR(500) NULL
+    );
+
+    CREATE NONCLUSTERED INDEX [IX_AbuseBans_Target]
+        ON [dbo].[AbuseBans] ([target_type], [target_id], [created_at] DESC);
+
+    CREATE NONCLUSTERED INDEX [IX_AbuseBans_BannedUntil]
+        ON [dbo].[AbuseBans] ([banned_until])
+        INCLUDE ([target_type], [target_id], [lifted_at]);
+END;
+
+-- ========== 권한 ==========
+MERGE [dbo].[Permissions] AS target
+USING (VALUES
+    (N'abuse:manage', N'IP / API Key 일시 정지 및 해제')
+) AS source ([permission_code], [description])
+ON target.[permission_code] = source.[permission_code]
+WHEN NOT MATCHED THEN
+    INSERT ([permission_code], [description])
+    VALUES (source.[permission_code], source.[description]);
+
+MERGE [dbo].[RolePermissions] AS target
+USING (VALUES
+    (N'super_admin', N'abuse:manage'),
+    (N'support',     N'abuse:manage')
+) AS source ([role_code], [permission_code])
+ON target.[role_code] = source.[role_code] AND target.[permission_code] = source.[permission_code]
+WHEN NOT MATCHED THEN
+    INSERT ([role_code], [permission_code])
+    VALUES (source.[role_code], source.[permission_code]);
@@ -0,0 +1,48 @@
+-- ============================================================================
+-- 018_add_subscription_lifecycle.sql
+-- 역할: 구독 결제 기간 (start_date / end_date), 만료 / 자동 갱신
+--
+-- 기간 규칙:
+-- - 승인 시 start_date = 승인일, end_date = start_date + SUBSCRIPTION_LIFECYCLE.BILLING_PERIOD_MONTHS
+-- - end_date는 기간이 끝나는 날 (그날 0시부터 다음 기간 / 만료)
+-- - 스케줄러(subscriptionLifecycle)가 end_date가 지난 활성 구독을 처리
+--   - auto_renewal = 1: 다음 기간으로 갱신 (start_date = 이전 end_date)
+--   - auto_renewal = 0: status = expired, subscription_expired Webhook
+--
+-- 추가 컬럼 (UserSubscriptions):
+-- - renewal_count: 자동 갱신 횟수
+-- - last_renewed_at: 마지막 자동 갱신 일시
+-- - expired_at: 만료 처리 일시
+--
+-- 기존 데이터:
+-- - 기간이 없는 활성 구독은 마이그레이션 날짜부터 첫 기간 시작 (1개월)
+-- ============================================================================
+
+IF COL_LENGTH(N'dbo.UserSubscriptions', N'renewal_count') IS NULL
+BEGIN
+    ALTER TABLE [dbo].[UserSubscriptions] ADD [renewal_count] INT NOT NULL
+        CONSTRAINT [DF_UserSubscriptions_RenewalCount] DEFAULT 0;
+END;
+
+IF COL_LENGTH(N'dbo.UserSubscriptions', N'last_renewed_at') IS NULL
+BEGIN
+    ALTER TABLE [dbo].[UserSubscriptions] ADD [last_renewed_at] DATETIME2 NULL;
+END;
+
+IF COL_LENGTH(N'dbo.UserSubscriptions', N'expired_at') IS NULL
+BEGIN
+    ALTER TABLE [dbo].[UserSubscriptions] ADD [expired_at] DATETIME2 NULL;
+END;
+
+UPDATE [dbo].[UserSubscriptions]
+SET [start_date] = CAST(GETDATE() AS DATE),
+    [end_date] = DATEADD(MONTH, 1, CAST(GETDATE() AS DATE))
+WHERE [status] = N'active' AND [end_date] IS NULL;
+
+-- 기간이 끝난 활성 구독 조회 (스케줄러)
+IF NOT EXISTS (SELECT 1 FROM sys.indexes WHERE name = N'IX_UserSubscriptions_StatusEndDate' AND object_id = OBJECT_ID(N'[dbo].[UserSubscriptions]'))
+BEGIN
+    CREATE NONCLUSTERED INDEX [IX_UserSubscriptions_StatusEndDate]
+        ON [dbo].[UserSubscriptions] ([status], [end_date])
+        INCLUDE ([auto_renewal], [organization_id]);
+END;
@@ -0,0 +1,50 @@
+-- ============================================================================
+-- 019_create_subscription_tier_changes.sql
+-- 역할: 구독 Tier 변경 (업그레이드 / 다운그레이드) 이력
+--
+-- 변경 규칙 (services/subscriptionService.js changeTier):
+-- - 업그레이드: 즉시 적용, 남은 기간 비율로 일할 계산
+--   - proration_credit_usd: 기존 Tier 남은 기간 금액 (환급 크레딧)
+--   - proration_charge_usd: 새 Tier 남은 기간 금액
+--   - amount_due_usd: charge - credit (추가 결제 금액)
+-- - 다운그레이드: 현재 기간 종료일(end_date)에 적용 (status = scheduled)
+--   - 스케줄러(subscriptionLifecycle)가 갱신 전에 적용 → 다음 기간부터 새 Tier
+--   - 구독당 예약은 하나 (새 변경 / 현재 Tier 재선택 시 기존 예약 cancelled)
+--
+-- 추가 테이블:
+-- - SubscriptionTierChanges
+--   - from_tier_id / to_tier_id: UserSubscriptions.tier_id와 같은 형식
+--   - status: applied / scheduled / cancelled
+--   - effective_date: 적용(예정)일
+--   - requested_by: 변경한 조직 owner
+-- ============================================================================
+
+IF OBJECT_ID(N'[dbo].[SubscriptionTierChanges]', N'U') IS NULL
+BEGIN
+    CREATE TABLE [dbo].[SubscriptionTierChanges] (
+        [id]                    NVARCHAR(36)  NOT NULL PRIMARY KEY,
+        [subscription_id]       NVARCHAR(36)  NOT NULL,
+        [organization_id]       NVARCHAR(36)  NOT NULL,
+        [from_tier_id]          NVARCHAR(36)  NOT NULL,
+        [to_tier_id]            NVARCHAR(36)  NOT NULL,
+        [change_type]           NVARCHAR(20)  NOT NULL,
+        [status]                NVARCHAR(20)  NOT NULL,
+        [effective_date]        DATE          NOT NULL,
+        [remaining_days]        INT           NULL,
+        [period_days]           INT           NULL,
+        [proration_credit_usd]  DECIMAL(10,2) NOT NULL DEFAULT 0,
+        [proration_charge_usd]  DECIMAL(10,2) NOT NULL DEFAULT 0,
+        [amount_due_usd]        DECIMAL(10,2) NOT NULL DEFAULT 0,
+        [requested_by]          NVARCHAR(36)  NULL,
+        [created_at]            DATETIME2     NOT NULL DEFAULT GETDATE(),
+        [applied_at]            DATETIME2     NULL,
+        [cancelled_at]          DATETIME2     NULL
+    );
+
+    CREATE NONCLUSTERED INDEX [IX_SubscriptionTierChanges_Organization]
+        ON [dbo].[SubscriptionTierChanges] ([organization_id], [created_at] DESC);
+
+    CREATE NONCLUSTERED INDEX [IX_SubscriptionTierChanges_StatusEffectiveDate]
+        ON [dbo].[SubscriptionTierChanges] ([status], [effective_date])
+        INCLUDE ([subscription_id]);
+END;
@@ -0,0 +1,44 @@
+-- ============================================================================
+-- 020_add_subscription_cancellation.sql
+-- 역할: 조직 owner의 구독 해지 (즉시 / 기간 종료 시) 및 재활성화
+--
+-- 해지 규칙 (services/subscriptionService.js cancelSubscription):
+-- - 즉시 해지: status = cancelled, cancelled_at 기록, subscription_cancelled Webhook
+--   - 승인 대기(pending) 구독은 즉시 해지만 가능 (신청 철회)
+-- - 기간 종료 시 해지: cancel_at_period_end = 1 (현재 기간 동안은 계속 사용)
+--   - 스케줄러(subscriptionLifecycle)가 end_date에 status = cancelled 처리 + Webhook
+--   - end_date 전에는 재활성화 가능 (cancel_at_period_end = 0)
+--
+-- 추가 컬럼 (UserSubscriptions):
+-- - cancel_at_period_end: 기간 종료 시 해지 예약 여부
+-- - cancellation_requested_at: 해지 요청 일시
+-- - cancellation_reason: 해지 사유
+-- - cancelled_by: 해지한 사용자 ID (관리자 거절은 NULL, rejection_reason 사용)
+-- - cancelled_at: 해지 완료 일시
+-- ============================================================================
+
+IF COL_LENGTH(N'dbo.UserSubscriptions', N'cancel_at_period_end') IS NULL
+BEGIN
+    ALTER TABLE [dbo].[UserSubscriptions] ADD [cancel_at_period_end] BIT NOT NULL
+        CONSTRAINT [DF_UserSubscriptions_CancelAtPeriodEnd] DEFAULT 0;
+END;
+
+IF COL_LENGTH(N'dbo.UserSubscriptions', N'cancellation_requested_at') IS NULL
+BEGIN
+    ALTER TABLE [dbo].[UserSubscriptions] ADD [cancellation_requested_at] DATETIME2 NULL;
+END;
+
+IF COL_LENGTH(N'dbo.UserSubscriptions', N'cancellation_reason') IS NULL
+BEGIN
+    ALTER TABLE [dbo].[UserSubscriptions] ADD [cancellation_reason] NVARCHAR(500) NULL;
+END;
+
+IF COL_LENGTH(N'dbo.UserSubscriptions', N'cancelled_by') IS NULL
+BEGIN
+    ALTER TABLE [dbo].[UserSubscriptions] ADD [cancelled_by] NVARCHAR(36) NULL;
+END;
+
+IF COL_LENGTH(N'dbo.UserSubscriptions', N'cancelled_at') IS NULL
+BEGIN
+    ALTER TABLE [dbo].[UserSubscriptions] ADD [cancelled_at] DATETIME2 NULL;
+END;
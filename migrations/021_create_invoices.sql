@@ -0,0 +1,71 @@
+-- ============================================================================
+-- 021_create_invoices.sql
+-- 역할: 결제 기간별 청구서 (Invoices) 및 청구 항목 (InvoiceLineItems)
+--
+-- 청구 흐름 (services/invoiceService.js):
+-- - 기간 시작 (승인 / 자동 갱신): draft 청구서 + 기본 요금 항목 (기간 시작 시점 Tier 가격)
+-- - 기간 종료 (갱신 / 만료 / 해지): 확정
+--   - 업그레이드 일할 계산 항목 (SubscriptionTierChanges.amount_due_usd)
+--   - subtotal / tax (BILLING.TAX_RATE) / total 계산
+--   - status: total > 0 → open (due_date까지 결제), total = 0 → paid
+-- - void: 취소된 청구서 (결제 불필요)
+--
+-- 추가 테이블:
+-- - Invoices: 구독당 기간별 1건 (subscription_id, period_start 유니크)
+--   - period_end: 기간 종료일 (즉시 해지 시 해지일)
+-- - InvoiceLineItems: line_type = base_plan / proration
+-- ============================================================================
+
+IF OBJECT_ID(N'[dbo].[Invoices]', N'U') IS NULL
+BEGIN
+    CREATE TABLE [dbo].[Invoices] (
+        [id]               NVARCHAR(36)  NOT NULL PRIMARY KEY,
+        [invoice_number]   NVARCHAR(30)  NOT NULL,
+        [organization_id]  NVARCHAR(36)  NOT NULL,
+        [subscription_id]  NVARCHAR(36)  NOT NULL,
+        [tier_id]          NVARCHAR(36)  NOT NULL,
+        [period_start]     DATE          NOT NULL,
+        [period_end]       DATE          NOT NULL,
+        [status]           NVARCHAR(20)  NOT NULL,
+        [currency]         NVARCHAR(3)   NOT NULL DEFAULT N'USD',
+        [subtotal_usd]     DECIMAL(10,2) NOT NULL DEFAULT 0,
+        [tax_rate]         DECIMAL(6,4)  NOT NULL DEFAULT 0,
+        [tax_usd]          DECIMAL(10,2) NOT NULL DEFAULT 0,
+        [total_usd]        DECIMAL(10,2) NOT NULL DEFAULT 0,
+        [issued_at]        DATETIME2     NULL,
+        [due_date]         DATE          NULL,
+        [paid_at]          DATETIME2     NULL,
+        [voided_at]        DATETIME2     NULL,
+        [created_at]       DATETIME2     NOT NULL DEFAULT GETDATE(),
+        [updated_at]       DATETIME2     NULL
+    );
+
+    CREATE UNIQUE NONCLUSTERED INDEX [UX_Invoices_InvoiceNumber]
+        ON [dbo].[Invoices] ([invoice_number]);
+
+    CREATE UNIQUE NONCLUSTERED INDEX [UX_Invoices_SubscriptionPeriod]
+        ON [dbo].[Invoices] ([subscription_id], [period_start]);
+
+    CREATE NONCLUSTERED INDEX [IX_Invoices_Organization]
+        ON [dbo].[Invoices] ([organization_id], [period_start] DESC)
+        INCLUDE ([status], [total_usd]);
+END;
+
+IF OBJECT_ID(N'[dbo].[InvoiceLineItems]', N'U') IS NULL
+BEGIN
+    CREATE TABLE [dbo].[InvoiceLineItems] (
+        [id]              NVARCHAR(36)   NOT NULL PRIMARY KEY,
+        [invoice_id]      NVARCHAR(36)   NOT NULL,
+        [line_type]       NVARCHAR(20)   NOT NULL,
+        [description]     NVARCHAR(200)  NOT NULL,
+        [quantity]        INT            NOT NULL DEFAULT 1,
+        [unit_price_usd]  DECIMAL(12,6)  NOT NULL DEFAULT 0,
+        [amount_usd]      DECIMAL(10,2)  NOT NULL DEFAULT 0,
+        [created_at]      DATETIME2      NOT NULL DEFAULT GETDATE(),
+        CONSTRAINT [FK_InvoiceLineItems_Invoices] FOREIGN KEY ([invoice_id])
+            REFERENCES [dbo].[Invoices] ([id]) ON DELETE CASCADE
+    );
+
+    CREATE NONCLUSTERED INDEX [IX_InvoiceLineItems_Invoice]
+        ON [dbo].[InvoiceLineItems] ([invoice_id]);
+END;
@@ -0,0 +1,89 @@
+-- ============================================================================
+-- 022_create_payments.sql
+-- 역할: 결제 대행사 (PAYMENT.PROVIDER) 결제 기록 (Payments)
+--
+-- 결제 흐름 (services/paymentService.js):
+-- - POST /api/billing/checkout → pending 결제 + 대행사 결제 페이지 (checkout session)
+--   - purpose = subscription: 승인 대기 구독의 첫 기간 기본 요금 (+ 세금)
+--   - purpose = invoice: 발행된 (open) 청구서 합계
+-- - 대행사 Webhook (POST /api/billing/webhooks/:provider)
+--   - 결제 성공 → succeeded, 구독 자동 활성화 / 청구서 paid
+--   - 결제 실패 / 세션 만료 → failed
+--   - 환불 완료 → refunded
+-- - 관리자 환불 (POST /api/admin/payments/:paymentId/refund)
+--
+-- 추가 테이블:
+-- - Payments
+--   - provider_session_id: 대행사 checkout session ID (Webhook으로 결제 찾기)
+--   - provider_payment_id: 대행사 결제 ID (환불 요청 / 환불 Webhook)
+--   - base_amount_usd: 세금 제외 금액 (구독 결제는 첫 기간 청구서 확정 시 선결제로 차감)
+--   - invoice_id: 결제한 청구서 (구독 결제는 첫 기간 청구서 확정 시 연결)
+-- - InvoiceLineItems.line_type = prepayment: 구독 결제로 선결제한 기본 요금 차감 (음수)
+--
+-- 권한:
+-- - payments:refund (결제 환불) → super_admin, billing
+--   (결제 목록 조회는 subscriptions:read)
+-- ============================================================================
+
+IF OBJECT_ID(N'[dbo].[Payments]', N'U') IS NULL
+BEGIN
+    CREATE TABLE [dbo].[Payments] (
+        [id]                   NVARCHAR(36)  NOT NULL PRIMARY KEY,
+        [organization_id]      NVARCHAR(36)  NOT NULL,
+        [subscription_id]      NVARCHAR(36)  NOT NULL,
+        [invoice_id]           NVARCHAR(36)  NULL,
+        [purpose]              NVARCHAR(20)  NOT NULL,
+        [provider]             NVARCHAR(20)  NOT NULL,
+        [provider_session_id]  NVARCHAR(255) NULL,
+        [provider_payment_id]  NVARCHAR(255) NULL,
+        [provider_refund_id]   NVARCHAR(255) NULL,
+        [checkout_url]         NVARCHAR(2000) NULL,
+        [status]               NVARCHAR(20)  NOT NULL,
+        [currency]             NVARCHAR(3)   NOT NULL DEFAULT N'USD',
+        [base_amount_usd]      DECIMAL(10,2) NOT NULL DEFAULT 0,
+        [tax_usd]              DECIMAL(10,2) NOT NULL DEFAULT 0,
+        [amount_usd]           DECIMAL(10,2) NOT NULL DEFAULT 0,
+        [failure_reason]       NVARCHAR(500) NULL,
+        [requested_by]         NVARCHAR(36)  NULL,
+        [created_at]           DATETIME2     NOT NULL DEFAULT GETDATE(),
+        [paid_at]              DATETIME2     NULL,
+        [failed_at]            DATETIME2     NULL,
+        [refunded_at]          DATETIME2     NULL,
+        [refunded_by]          NVARCHAR(36)  NULL,
+        [refund_reason]        NVARCHAR(500) NULL
+    );
+
+    CREATE NONCLUSTERED INDEX [IX_Payments_ProviderSession]
+        ON [dbo].[Payments] ([provider], [provider_session_id]);
+
+    CREATE NONCLUSTERED INDEX [IX_Payments_ProviderPayment]
+        ON [dbo].[Payments] ([provider], [provider_payment_id]);
+
+    CREATE NONCLUSTERED INDEX [IX_Payments_Organization]
+        ON [dbo].[Payments] ([organization_id], [created_at] DESC)
+        INCLUDE ([status], [amount_usd]);
+
+    CREATE NONCLUSTERED INDEX [IX_Payments_Invoice]
+        ON [dbo].[Payments] ([invoice_id])
+        INCLUDE ([status], [base_amount_usd]);
+END;
+
+-- ========== 권한 ==========
+MERGE [dbo].[Permissions] AS target
+USING (VALUES
+    (N'payments:refund', N'결제 환불')
+) AS source ([permission_code], [description])
+ON target.[permission_code] = source.[permission_code]
+WHEN NOT MATCHED THEN
+    INSERT ([permission_code], [description])
+    VALUES (source.[permission_code], source.[description]);
+
+MERGE [dbo].[RolePermissions] AS target
+USING (VALUES
+    (N'super_admin', N'payments:refund'),
+    (N'billing',     N'payments:refund')
+) AS source ([role_code], [permission_code])
+ON target.[role_code] = source.[role_code] AND target.[permission_code] = source.[permission_code]
+WHEN NOT MATCHED THEN
+    INSERT ([role_code], [permission_code])
+    VALUES (source.[role_code], source.[permission_code]);
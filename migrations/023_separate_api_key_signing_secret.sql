@@ -0,0 +1,28 @@
+-- ============================================================================
+-- 023_separate_api_key_signing_secret.sql
+-- 역할: 서명 요청용 Secret을 API Secret과 분리 (Key별 발급, 선택 사항)
+--
+-- 변경 전 (014):
+-- - signing_secret_encrypted에 API Secret 원문을 AES-256-GCM으로 저장
+--   → DATA_ENCRYPTION_KEY와 DB가 함께 유출되면 모든 API Secret이 노출 (단방향 해시 무력화)
+--
+-- 변경 후:
+-- - 서명 Secret은 POST /api/api-keys/:keyId/signing-secret으로 따로 발급 (한 번만 표시)
+--   - signing_secret_encrypted: 발급한 서명 Secret (AES-256-GCM, DATA_ENCRYPTION_KEY)
+--   - previous_signing_secret_encrypted / previous_signing_secret_expires_at: 재발급 전 서명 Secret (유예 기간)
+-- - API Secret 교체 (rotate)는 서명 Secret에 영향 없음
+--
+-- 데이터:
+-- - 기존에 저장된 암호문은 API Secret 사본이므로 모두 삭제
+--   → 서명 요청을 쓰던 Key는 서명 Secret을 발급받아야 함 (body / 헤더 Secret 방식은 그대로)
+-- ============================================================================
+
+-- 암호문 삭제는 컬럼을 처음 추가할 때 1번만 (다시 실행해도 새로 발급한 서명 Secret은 유지)
+IF COL_LENGTH(N'dbo.ApiKeys', N'previous_signing_secret_expires_at') IS NULL
+BEGIN
+    ALTER TABLE [dbo].[ApiKeys] ADD [previous_signing_secret_expires_at] DATETIME2 NULL;
+
+    EXEC (N'UPDATE [dbo].[ApiKeys]
+            SET [signing_secret_encrypted] = NULL, [previous_signing_secret_encrypted] = NULL
+            WHERE [signing_secret_encrypted] IS NOT NULL OR [previous_signing_secret_encrypted] IS NOT NULL');
+END;
@@ -0,0 +1,125 @@
+/**
+ * AbuseBan 모델
+ * 반복 위반 IP / API Key 일시 정지 기록
+ * 역할: 자동 정지(services/abuseService.js), 관리자 수동 정지 / 해제를 위한 쿼리 헬퍼
+ */
+
+class AbuseBan {
+    // ========== 데이터베이스 필드 매핑 ==========
+    static FIELDS = {
+        id: 'id',                            // 정지 고유 ID
+        targetType: 'target_type',           // 대상 종류 (ip, api_key)
+        targetId: 'target_id',               // IP 주소 또는 API Key ID
+        organizationId: 'organization_id',   // API Key 소유 조직 (IP는 NULL)
+        reason: 'reason',                    // 정지 사유
+        violationCount: 'violation_count',   // 정지 시점의 위반 횟수 (수동 정지는 NULL)
+        banNumber: 'ban_number',             // 최근 HISTORY_DAYS 내 몇 번째 정지인지 (정지 시간 계산)
+        bannedUntil: 'banned_until',         // 정지 해제 예정 일시
+        createdBy: 'created_by',             // 정지한 관리자 ID (자동 정지는 NULL)
+        createdAt: 'created_at',             // 정지 일시
+        liftedAt: 'lifted_at',               // 관리자 해제 일시
+        liftedBy: 'lifted_by',               // 해제한 관리자 ID
+        liftReason: 'lift_reason'            // 해제 사유
+    };
+
+    static TABLE = 'AbuseBans';
+
+    // 정지 중 조건 (별칭 없이 사용)
+    static ACTIVE_CONDITION = 'lifted_at IS NULL AND banned_until > GETDATE()';
+
+    /**
+     * 정지 생성 (같은 대상이 이미 정지 중이면 생성하지 않음)
+     * - 여러 인스턴스가 동시에 평가해도 정지는 하나만 생성 (UPDLOCK, HOLDLOCK)
+     * - organization_id는 API Key에서 조회
+     * @returns {string} INSERT 쿼리 (@id, @targetType, @targetId, @reason, @violationCount,
+     *                   @banNumber, @bannedUntil, @createdBy) - 생성된 행 반환 (없으면 빈 결과)
+     */
+    static getCreateIfNotBannedQuery() {
+        return `INSERT INTO [${this.TABLE}]
+                    (id, target_type, target_id, organization_id, reason, violation_count, ban_number, banned_until, created_by)
+                OUTPUT INSERTED.*
+                SELECT @id, @targetType, @targetId,
+                       CASE WHEN @targetType = 'api_key' THEN (SELECT organization_id FROM [ApiKeys] WHERE id = @targetId) END,
+                       @reason, @violationCount, @banNumber, @bannedUntil, @createdBy
+                WHERE NOT EXISTS (
+                    SELECT 1 FROM [${this.TABLE}] WITH (UPDLOCK, HOLDLOCK)
+                    WHERE target_type = @targetType AND target_id = @targetId AND ${this.ACTIVE_CONDITION}
+                )`;
+    }
+
+    /**
+     * 정지 중인 전체 목록 (캐시 적재용)
+     * @returns {string} SELECT 쿼리
+     */
+    static getActiveBansQuery() {
+        return `SELECT id, target_type, target_id, reason, banned_until
+                FROM [${this.TABLE}]
+                WHERE ${this.ACTIVE_CONDITION}`;
+    }
+
+    /**
+     * 대상의 현재 정지
+     * @returns {string} SELECT 쿼리 (@targetType, @targetId)
+     */
+    static getActiveBanByTargetQuery() {
+        return `SELECT TOP 1 * FROM [${this.TABLE}]
+                WHERE target_type = @targetType AND target_id = @targetId AND ${this.ACTIVE_CONDITION}
+                ORDER BY banned_until DESC`;
+    }
+
+    /**
+     * 대상의 최근 정지 이력 요약
+     * - recent_bans: @historyDays 내 정지 수 (관리자가 해제한 정지 제외)
+     * - last_ended_at: 마지막 정지가 끝난 시각 (해제 시각 또는 만료 시각)
+     * @returns {string} SELECT 쿼리 (@targetType, @targetId, @historyDays)
+     */
+    static getBanHistoryQuery() {
+        return `SELECT
+                    SUM(CASE WHEN lifted_by IS NULL AND created_at > DATEADD(DAY, -@historyDays, GETDATE()) THEN 1 ELSE 0 END) as recent_bans,
+                    MAX(COALESCE(lifted_at, banned_until)) as last_ended_at
+                FROM [${this.TABLE}]
+                WHERE target_type = @targetType AND target_id = @targetId`;
+    }
+
+    /**
+     * 정지 목록 (최신순, API Key 이름 / 관리자 이메일 포함)
+     * @param {boolean} activeOnly - 정지 중인 항목만
+     * @returns {string} SELECT 쿼리 (@offset, @limit)
+     */
+    static getListQuery(activeOnly) {
+        return `SELECT ab.*, ak.key_name, LEFT(ak.api_key, 10) as key_preview,
+                       creator.email as created_by_email, lifter.email as lifted_by_email,
+                       CASE WHEN ab.lifted_at IS NULL AND ab.banned_until > GETDATE() THEN 1 ELSE 0 END as is_active
+                FROM [${this.TABLE}] ab
+                LEFT JOIN [ApiKeys] ak ON ab.target_type = 'api_key' AND ab.target_id = ak.id
+                LEFT JOIN [Users] creator ON ab.created_by = creator.id
+                LEFT JOIN [Users] lifter ON ab.lifted_by = lifter.id
+                ${activeOnly ? 'WHERE ab.lifted_at IS NULL AND ab.banned_until > GETDATE()' : ''}
+                ORDER BY ab.created_at DESC
+                OFFSET @offset ROWS
+                FETCH NEXT @limit ROWS ONLY`;
+    }
+
+    /**
+     * 정지 목록 수
+     * @param {boolean} activeOnly - 정지 중인 항목만
+     * @returns {string} SELECT 쿼리
+     */
+    static getListCountQuery(activeOnly) {
+        return `SELECT COUNT(*) as total FROM [${this.TABLE}]
+                ${activeOnly ? `WHERE ${this.ACTIVE_CONDITION}` : ''}`;
+    }
+
+    /**
+     * 정지 해제 (정지 중인 경우에만)
+     * @returns {string} UPDATE 쿼리 (@id, @liftedBy, @liftReason) - 해제된 행 반환
+     */
+    static getLiftQuery() {
+        return `UPDATE [${this.TABLE}]
+                SET lifted_at = GETDATE(), lifted_by = @liftedBy, lift_reason = @liftReason
+                OUTPUT INSERTED.*
+                WHERE id = @id AND ${this.ACTIVE_CONDITION}`;
+    }
+}
+
+module.exports = AbuseBan;
@@ -11,12 +11,20 @@ class ApiKey {
         userId: 'user_id',                 // 소유자 사용자 ID
         keyName: 'key_name',               // API Key 이름 (사용자가 지정, e.g., "Production Key")
         apiKey: 'api_key',                 // 실제 API Key (sk_로 시작하는 48자 문자열)
-        apiSecretHash: 'api_secret_hash',  // API Secret의 SHA256 해시
+        apiSecretHash: 'api_secret_hash',  // API Secret 해시 (v2$ + HMAC-SHA256, 접두사 없으면 기존 SHA256)
         isActive: 'is_active',             // 활성화 상태 (0: 비활성화, 1: 활성화)
         lastUsed: 'last_used',             // 마지막 사용 시간
         ipWhitelist: 'ip_whitelist',       // IP 화이트리스트 (콤마로 구분)
+        scopes: 'scopes',                  // 허용된 scope (콤마로 구분)
         createdAt: 'created_at',           // 생성 일시
-        expiresAt: 'expires_at'            // 만료 일시
+        expiresAt: 'expires_at',           // 만료 일시
+        previousSecretHash: 'previous_secret_hash',             // 교체 전 Secret 해시 (유예 기간 동안 허용)
+        previousSecretExpiresAt: 'previous_secret_expires_at',  // 이전 Secret 유예 종료 일시
+        rotatedAt: 'rotated_at',                                // 마지막 Secret 교체 일시
+        expiryNotifiedAt: 'expiry_notified_at',                 // 만료 예정 알림 발송 일시
+        signingSecretEncrypted: 'signing_secret_encrypted',                   // 서명 Secret (API Secret과 별개, AES-256-GCM)
+        previousSigningSecretEncrypted: 'previous_signing_secret_encrypted',  // 재발급 전 서명 Secret (유예 기간)
+        previousSigningSecretExpiresAt: 'previous_signing_secret_expires_at'  // 이전 서명 Secret 유예 종료 일시
     };
 
     // SQL 테이블명
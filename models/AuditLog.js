@@ -0,0 +1,101 @@
+/**
+ * AuditLog 모델
+ * 보안/관리 이벤트 감사 로그
+ */
+
+class AuditLog {
+    // ========== 데이터베이스 필드 매핑 ==========
+    static FIELDS = {
+        id: 'id',                    // 로그 고유 ID
+        actorId: 'actor_id',         // 행위자 ID (사용자/관리자, 익명/시스템은 NULL)
+        actorType: 'actor_type',     // 행위자 종류 (user, admin, system, anonymous)
+        action: 'action',            // 이벤트 (auth.account_locked 등)
+        targetType: 'target_type',   // 대상 종류 (user, ip, email 등)
+        targetId: 'target_id',       // 대상 ID
+        ipAddress: 'ip_address',     // 요청 IP
+        userAgent: 'user_agent',     // 요청 User-Agent
+        metadata: 'metadata',        // 추가 정보 (JSON 문자열)
+        reason: 'reason',            // 관리자가 입력한 사유
+        beforeValue: 'before_value', // 변경 전 값 (JSON 문자열)
+        afterValue: 'after_value',   // 변경 후 값 (JSON 문자열)
+        createdAt: 'created_at'      // 기록 일시
+    };
+
+    static TABLE = 'AuditLogs';
+
+    /**
+     * 감사 로그 저장 쿼리
+     * @param {Object} logData - 로그 데이터
+     * @returns {string} INSERT 쿼리
+     */
+    static getSaveQuery(logData) {
+        const fields = Object.keys(logData)
+            .map(f => this.FIELDS[f] || f)
+            .join(', ');
+
+        const values = Object.keys(logData)
+            .map(f => `@${f}`)
+            .join(', ');
+
+        return `INSERT INTO [${this.TABLE}] (${fields}) VALUES (${values})`;
+    }
+
+    /**
+     * 검색 조건 → WHERE 절 (지정된 조건만 포함)
+     * @param {Object} filters - { actor, action, targetType, targetId, from, to }
+     * @returns {string} WHERE 절 (조건 없으면 빈 문자열)
+     */
+    static buildSearchWhere(filters) {
+        const conditions = [];
+
+        // 행위자 ID 또는 이메일 일부
+        if (filters.actor) conditions.push('(al.actor_id = @actor OR u.email LIKE @actorPattern)');
+        if (filters.action) conditions.push('al.action = @action');
+        if (filters.targetType) conditions.push('al.target_type = @targetType');
+        if (filters.targetId) conditions.push('al.target_id = @targetId');
+        if (filters.from) conditions.push('al.created_at >= @from');
+        if (filters.to) conditions.push('al.created_at < @to');
+
+        return conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+    }
+
+    /**
+     * 감사 로그 검색 (최신순, 행위자 이메일 포함)
+     * @param {Object} filters - buildSearchWhere 참고
+     * @returns {string} SELECT 쿼리 (@offset, @limit + 필터 파라미터)
+     */
+    static getSearchQuery(filters) {
+        return `SELECT al.id, al.actor_id, al.actor_type, u.email as actor_email,
+                       al.action, al.target_type, al.target_id, al.reason,
+                       al.before_value, al.after_value, al.metadata,
+                       al.ip_address, al.user_agent, al.created_at
+                FROM [${this.TABLE}] al
+                LEFT JOIN [Users] u ON al.actor_id = u.id
+                ${this.buildSearchWhere(filters)}
+                ORDER BY al.created_at DESC
+                OFFSET @offset ROWS
+                FETCH NEXT @limit ROWS ONLY`;
+    }
+
+    /**
+     * 감사 로그 검색 결과 수
+     * @param {Object} filters - buildSearchWhere 참고
+     * @returns {string} SELECT 쿼리
+     */
+    static getSearchCountQuery(filters) {
+        return `SELECT COUNT(*) as total
+                FROM [${this.TABLE}] al
+                LEFT JOIN [Users] u ON al.actor_id = u.id
+                ${this.buildSearchWhere(filters)}`;
+    }
+
+    /**
+     * 기록된 작업 종류 목록 (필터 선택지)
+     * @returns {string} SELECT 쿼리
+     */
+    static getDistinctActionsQuery() {
+        return `SELECT DISTINCT action FROM [${this.TABLE}] ORDER BY action`;
+    }
+}
+
+module.exports = AuditLog;
@@ -0,0 +1,199 @@
+/**
+ * Invoice 모델
+ * 결제 기간별 청구서 (Invoices) 및 청구 항목 (InvoiceLineItems)
+ * 역할: services/invoiceService.js를 위한 쿼리 헬퍼
+ */
+
+class Invoice {
+    // ========== 데이터베이스 필드 매핑 ==========
+    static FIELDS = {
+        id: 'id',                            // 청구서 고유 ID
+        invoiceNumber: 'invoice_number',     // 청구서 번호 (INV-YYYYMMDD-XXXXXX)
+        organizationId: 'organization_id',   // 청구 대상 조직
+        subscriptionId: 'subscription_id',   // 구독 ID
+        tierId: 'tier_id',                   // 기간 시작 시점 Tier
+        periodStart: 'period_start',         // 청구 기간 시작일
+        periodEnd: 'period_end',             // 청구 기간 종료일 (즉시 해지 시 해지일)
+        status: 'status',                    // draft / open / paid / void
+        currency: 'currency',                // 통화 (USD)
+        subtotalUsd: 'subtotal_usd',         // 항목 합계
+        taxRate: 'tax_rate',                 // 세율
+        taxUsd: 'tax_usd',                   // 세금
+        totalUsd: 'total_usd',               // 청구 금액 (subtotal + tax)
+        issuedAt: 'issued_at',               // 발행 일시 (확정)
+        dueDate: 'due_date',                 // 결제 기한
+        paidAt: 'paid_at',                   // 결제 일시
+        voidedAt: 'voided_at',               // 취소 일시
+        createdAt: 'created_at',
+        updatedAt: 'updated_at'
+    };
+
+    static TABLE = 'Invoices';
+    static LINE_ITEM_TABLE = 'InvoiceLineItems';
+
+    /**
+     * draft 청구서 + 기본 요금 항목 생성 (하나의 트랜잭션)
+     * - 같은 구독 / 기간 시작일 청구서가 이미 있으면 생성하지 않음
+     * @returns {string} 쿼리 (@id, @invoiceNumber, @organizationId, @subscriptionId, @tierId,
+     *                   @periodStart, @periodEnd, @status, @currency,
+     *                   @lineId, @lineType, @description, @unitPriceUsd) - { created: 0 | 1 }
+     */
+    static getCreateDraftQuery() {
+        return `SET XACT_ABORT ON;
+                BEGIN TRANSACTION;
+
+                INSERT INTO [${this.TABLE}]
+                    (id, invoice_number, organization_id, subscription_id, tier_id,
+                     period_start, period_end, status, currency)
+                SELECT @id, @invoiceNumber, @organizationId, @subscriptionId, @tierId,
+                       @periodStart, @periodEnd, @status, @currency
+                WHERE NOT EXISTS (
+                    SELECT 1 FROM [${this.TABLE}] WITH (UPDLOCK, HOLDLOCK)
+                    WHERE subscription_id = @subscriptionId AND period_start = @periodStart
+                );
+
+                IF @@ROWCOUNT = 0
+                BEGIN
+                    ROLLBACK TRANSACTION;
+                    SELECT 0 as created;
+                    RETURN;
+                END;
+
+                INSERT INTO [${this.LINE_ITEM_TABLE}]
+                    (id, invoice_id, line_type, description, quantity, unit_price_usd, amount_usd)
+                VALUES (@lineId, @id, @lineType, @description, 1, @unitPriceUsd, @unitPriceUsd);
+
+                COMMIT TRANSACTION;
+                SELECT 1 as created;`;
+    }
+
+    /**
+     * 구독 / 기간 시작일의 청구서
+     * @returns {string} SELECT 쿼리 (@subscriptionId, @periodStart)
+     */
+    static getByPeriodQuery() {
+        return `SELECT * FROM [${this.TABLE}]
+                WHERE subscription_id = @subscriptionId AND period_start = @periodStart`;
+    }
+
+    /**
+     * draft 청구서 확정 (하나의 트랜잭션)
+     * - 추가 항목 저장 → subtotal / tax / total 계산 → open (합계 0이면 paid)
+     * - draft가 아니면 (이미 확정 / 취소) 아무것도 하지 않음
+     * @param {number} lineCount - 추가 항목 수 (항목 i: @line{i}Id, @line{i}Type, @line{i}Description,
+     *                             @line{i}Quantity, @line{i}UnitPriceUsd, @line{i}AmountUsd)
+     * @returns {string} 쿼리 (@invoiceId, @periodEnd, @taxRate, @dueDays,
+     *                   @draftStatus, @openStatus, @paidStatus) - 확정된 청구서 (없으면 { finalized: 0 })
+     */
+    static getFinalizeQuery(lineCount) {
+        const lineValues = Array.from({ length: lineCount }, (_, i) =>
+            `(@line${i}Id, @invoiceId, @line${i}Type, @line${i}Description, @line${i}Quantity, @line${i}UnitPriceUsd, @line${i}AmountUsd)`
+        ).join(',\n                       ');
+
+        return `SET XACT_ABORT ON;
+                BEGIN TRANSACTION;
+
+                UPDATE [${this.TABLE}] SET updated_at = GETDATE()
+                WHERE id = @invoiceId AND status = @draftStatus;
+
+                IF @@ROWCOUNT = 0
+                BEGIN
+                    ROLLBACK TRANSACTION;
+                    SELECT 0 as finalized;
+                    RETURN;
+                END;
+
+                ${lineCount > 0 ? `INSERT INTO [${this.LINE_ITEM_TABLE}]
+                    (id, invoice_id, line_type, description, quantity, unit_price_usd, amount_usd)
+                VALUES ${lineValues};` : ''}
+
+                DECLARE @subtotal DECIMAL(10,2) = (
+                    SELECT COALESCE(SUM(amount_usd), 0) FROM [${this.LINE_ITEM_TABLE}] WHERE invoice_id = @invoiceId
+                );
+                DECLARE @tax DECIMAL(10,2) = ROUND(@subtotal * @taxRate, 2);
+
+                UPDATE [${this.TABLE}]
+                SET period_end = @periodEnd,
+                    subtotal_usd = @subtotal,
+                    tax_rate = @taxRate,
+                    tax_usd = @tax,
+                    total_usd = @subtotal + @tax,
+                    status = CASE WHEN @subtotal + @tax > 0 THEN @openStatus ELSE @paidStatus END,
+                    issued_at = GETDATE(),
+                    due_date = DATEADD(DAY, @dueDays, CAST(GETDATE() AS DATE)),
+                    paid_at = CASE WHEN @subtotal + @tax > 0 THEN NULL ELSE GETDATE() END,
+                    updated_at = GETDATE()
+                OUTPUT INSERTED.*
+                WHERE id = @invoiceId;
+
+                COMMIT TRANSACTION;`;
+    }
+
+    /**
+     * 조직의 청구서 목록 (기간 최신순, Tier 이름 포함)
+     * @param {boolean} hasStatus - status 조건 포함 여부 (@status)
+     * @returns {string} SELECT 쿼리 (@organizationId, @offset, @limit)
+     */
+    static getListQuery(hasStatus) {
+        return `SELECT i.id, i.invoice_number, i.subscription_id, i.tier_id, st.tier_name,
+                       i.period_start, i.period_end, i.status, i.currency,
+                       i.subtotal_usd, i.tax_usd, i.total_usd, i.issued_at, i.due_date, i.paid_at, i.created_at
+                FROM [${this.TABLE}] i
+                LEFT JOIN [SubscriptionTiers] st ON i.tier_id = st.id
+                WHERE i.organization_id = @organizationId
+                ${hasStatus ? 'AND i.status = @status' : ''}
+                ORDER BY i.period_start DESC, i.created_at DESC
+                OFFSET @offset ROWS
+                FETCH NEXT @limit ROWS ONLY`;
+    }
+
+    /**
+     * 조직의 청구서 수
+     * @param {boolean} hasStatus - status 조건 포함 여부 (@status)
+     * @returns {string} SELECT 쿼리 (@organizationId)
+     */
+    static getListCountQuery(hasStatus) {
+        return `SELECT COUNT(*) as total FROM [${this.TABLE}]
+                WHERE organization_id = @organizationId
+                ${hasStatus ? 'AND status = @status' : ''}`;
+    }
+
+    /**
+     * 조직의 청구서 상세 (조직 이름, 구독 신청자 이메일, Tier 이름 포함)
+     * @returns {string} SELECT 쿼리 (@invoiceId, @organizationId)
+     */
+    static getDetailQuery() {
+        return `SELECT i.*, st.tier_name, o.name as organization_name, u.email as subscriber_email
+                FROM [${this.TABLE}] i
+                LEFT JOIN [SubscriptionTiers] st ON i.tier_id = st.id
+                LEFT JOIN [Organizations] o ON i.organization_id = o.id
+                LEFT JOIN [UserSubscriptions] us ON i.subscription_id = us.id
+                LEFT JOIN [Users] u ON us.user_id = u.id
+                WHERE i.id = @invoiceId AND i.organization_id = @organizationId`;
+    }
+
+    /**
+     * 청구서 항목 (기본 요금 → 선결제 차감 → 일할 계산 순)
+     * @returns {string} SELECT 쿼리 (@invoiceId)
+     */
+    static getLineItemsQuery() {
+        return `SELECT id, line_type, description, quantity, unit_price_usd, amount_usd, created_at
+                FROM [${this.LINE_ITEM_TABLE}]
+                WHERE invoice_id = @invoiceId
+                ORDER BY CASE line_type WHEN 'base_plan' THEN 0 WHEN 'prepayment' THEN 1 WHEN 'proration' THEN 2 ELSE 3 END,
+                         created_at`;
+    }
+
+    /**
+     * 발행된 (open) 청구서 결제 완료
+     * @returns {string} UPDATE 쿼리 (@invoiceId, @openStatus, @paidStatus) - 바뀐 청구서
+     */
+    static getMarkPaidQuery() {
+        return `UPDATE [${this.TABLE}]
+                SET status = @paidStatus, paid_at = GETDATE(), updated_at = GETDATE()
+                OUTPUT INSERTED.id, INSERTED.organization_id, INSERTED.invoice_number, INSERTED.total_usd
+                WHERE id = @invoiceId AND status = @openStatus`;
+    }
+}
+
+module.exports = Invoice;
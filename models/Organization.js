@@ -0,0 +1,50 @@
+/**
+ * Organization 모델
+ * 조직(팀) - API Key, 구독, Webhook, 사용량의 소유 단위
+ */
+
+class Organization {
+    // ========== 데이터베이스 필드 매핑 ==========
+    static FIELDS = {
+        id: 'id',                    // 조직 고유 ID
+        name: 'name',                // 조직 이름
+        createdBy: 'created_by',     // 생성한 사용자 ID
+        createdAt: 'created_at',     // 생성 일시
+        updatedAt: 'updated_at'      // 수정 일시
+    };
+
+    static TABLE = 'Organizations';
+
+    /**
+     * 조직 생성 + 생성자를 owner로 추가 (하나의 트랜잭션)
+     * @returns {string} 쿼리 (@id, @name, @userId, @role)
+     */
+    static getCreateWithOwnerQuery() {
+        return `SET XACT_ABORT ON;
+                BEGIN TRANSACTION;
+
+                INSERT INTO [${this.TABLE}] (id, name, created_by)
+                VALUES (@id, @name, @userId);
+
+                INSERT INTO [OrganizationMembers] (organization_id, user_id, role)
+                VALUES (@id, @userId, @role);
+
+                COMMIT TRANSACTION;`;
+    }
+
+    /**
+     * 사용자가 속한 조직 목록 (조직 내 역할, 멤버 수 포함)
+     * 가입 순 정렬 → 첫 번째 조직이 기본 조직
+     * @returns {string} SELECT 쿼리 (@userId)
+     */
+    static getByUserQuery() {
+        return `SELECT o.id, o.name, o.created_at, om.role, om.joined_at,
+                       (SELECT COUNT(*) FROM [OrganizationMembers] m WHERE m.organization_id = o.id) as member_count
+                FROM [OrganizationMembers] om
+                JOIN [${this.TABLE}] o ON om.organization_id = o.id
+                WHERE om.user_id = @userId
+                ORDER BY om.joined_at, o.created_at`;
+    }
+}
+
+module.exports = Organization;
@@ -0,0 +1,107 @@
+/**
+ * OrganizationInvitation 모델
+ * 조직 이메일 초대 (1회용, 시간 제한, 토큰 해시 저장)
+ */
+
+class OrganizationInvitation {
+    // ========== 데이터베이스 필드 매핑 ==========
+    static FIELDS = {
+        id: 'id',                          // 초대 고유 ID
+        organizationId: 'organization_id', // 조직 ID
+        email: 'email',                    // 초대받은 이메일
+        role: 'role',                      // 수락 시 부여할 역할
+        tokenHash: 'token_hash',           // 초대 토큰 SHA256 해시
+        invitedBy: 'invited_by',           // 초대한 사용자 ID
+        expiresAt: 'expires_at',           // 만료 일시
+        acceptedAt: 'accepted_at',         // 수락 일시
+        acceptedBy: 'accepted_by',         // 수락한 사용자 ID
+        revokedAt: 'revoked_at',           // 취소 일시
+        createdAt: 'created_at'            // 생성 일시
+    };
+
+    static TABLE = 'OrganizationInvitations';
+
+    /**
+     * 초대 저장 쿼리
+     * @param {Object} invitationData - 초대 데이터
+     * @returns {string} INSERT 쿼리
+     */
+    static getSaveQuery(invitationData) {
+        const fields = Object.keys(invitationData)
+            .map(f => this.FIELDS[f] || f)
+            .join(', ');
+
+        const values = Object.keys(invitationData)
+            .map(f => `@${f}`)
+            .join(', ');
+
+        return `INSERT INTO [${this.TABLE}] (${fields}) VALUES (${values})`;
+    }
+
+    /**
+     * 대기 중인 초대 목록 (미수락 + 미취소 + 미만료)
+     * @returns {string} SELECT 쿼리 (@organizationId)
+     */
+    static getPendingByOrganizationQuery() {
+        return `SELECT i.id, i.email, i.role, i.expires_at, i.created_at,
+                       u.email as invited_by_email
+                FROM [${this.TABLE}] i
+                LEFT JOIN [Users] u ON i.invited_by = u.id
+                WHERE i.organization_id = @organizationId
+                  AND i.accepted_at IS NULL AND i.revoked_at IS NULL
+                  AND i.expires_at > GETDATE()
+                ORDER BY i.created_at DESC`;
+    }
+
+    /**
+     * 토큰으로 유효한 초대 조회 (조직 이름 포함)
+     * @returns {string} SELECT 쿼리 (@tokenHash)
+     */
+    static getValidByTokenQuery() {
+        return `SELECT i.id, i.organization_id, i.email, i.role, o.name as organization_name
+                FROM [${this.TABLE}] i
+                JOIN [Organizations] o ON i.organization_id = o.id
+                WHERE i.token_hash = @tokenHash
+                  AND i.accepted_at IS NULL AND i.revoked_at IS NULL
+                  AND i.expires_at > GETDATE()`;
+    }
+
+    /**
+     * 초대 수락 처리 (유효한 경우에만)
+     * 조건부 원자적 갱신 → 동시 요청 중 하나만 성공
+     * @returns {string} UPDATE 쿼리 (@id, @userId) - id 반환
+     */
+    static getAcceptQuery() {
+        return `UPDATE [${this.TABLE}]
+                SET accepted_at = GETDATE(), accepted_by = @userId
+                OUTPUT INSERTED.id
+                WHERE id = @id
+                  AND accepted_at IS NULL AND revoked_at IS NULL
+                  AND expires_at > GETDATE()`;
+    }
+
+    /**
+     * 초대 취소
+     * @returns {string} UPDATE 쿼리 (@organizationId, @id) - id 반환
+     */
+    static getRevokeQuery() {
+        return `UPDATE [${this.TABLE}]
+                SET revoked_at = GETDATE()
+                OUTPUT INSERTED.id
+                WHERE id = @id AND organization_id = @organizationId
+                  AND accepted_at IS NULL AND revoked_at IS NULL`;
+    }
+
+    /**
+     * 같은 이메일의 대기 중인 초대 취소 (재초대 시 이전 링크 무효화)
+     * @returns {string} UPDATE 쿼리 (@organizationId, @email)
+     */
+    static getRevokePendingByEmailQuery() {
+        return `UPDATE [${this.TABLE}]
+                SET revoked_at = GETDATE()
+                WHERE organization_id = @organizationId AND email = @email
+                  AND accepted_at IS NULL AND revoked_at IS NULL`;
+    }
+}
+
+module.exports = OrganizationInvitation;
@@ -0,0 +1,81 @@
+/**
+ * OrganizationMember 모델
+ * 조직 멤버 + 조직 내 역할 (owner / developer / viewer)
+ */
+
+class OrganizationMember {
+    // ========== 데이터베이스 필드 매핑 ==========
+    static FIELDS = {
+        organizationId: 'organization_id', // 조직 ID
+        userId: 'user_id',                 // 사용자 ID
+        role: 'role',                      // 조직 내 역할 (ORGANIZATION_ROLES)
+        joinedAt: 'joined_at'              // 가입 일시
+    };
+
+    static TABLE = 'OrganizationMembers';
+
+    /**
+     * 멤버 추가 쿼리 (이미 멤버면 무시)
+     * @returns {string} INSERT 쿼리 (@organizationId, @userId, @role)
+     */
+    static getAddQuery() {
+        return `IF NOT EXISTS (
+                    SELECT 1 FROM [${this.TABLE}]
+                    WHERE organization_id = @organizationId AND user_id = @userId
+                )
+                INSERT INTO [${this.TABLE}] (organization_id, user_id, role)
+                VALUES (@organizationId, @userId, @role)`;
+    }
+
+    /**
+     * 멤버십 조회 (요청마다 조직 접근 권한 확인)
+     * @returns {string} SELECT 쿼리 (@organizationId, @userId)
+     */
+    static getMembershipQuery() {
+        return `SELECT organization_id, user_id, role, joined_at
+                FROM [${this.TABLE}]
+                WHERE organization_id = @organizationId AND user_id = @userId`;
+    }
+
+    /**
+     * 조직 멤버 목록 (사용자 정보 포함)
+     * @returns {string} SELECT 쿼리 (@organizationId)
+     */
+    static getByOrganizationQuery() {
+        return `SELECT om.user_id, om.role, om.joined_at,
+                       u.first_name, u.last_name, u.email
+                FROM [${this.TABLE}] om
+                JOIN [Users] u ON om.user_id = u.id
+                WHERE om.organization_id = @organizationId
+                ORDER BY om.joined_at`;
+    }
+
+    /**
+     * 멤버 역할 변경
+     * @returns {string} UPDATE 쿼리 (@organizationId, @userId, @role)
+     */
+    static getUpdateRoleQuery() {
+        return `UPDATE [${this.TABLE}] SET role = @role
+                WHERE organization_id = @organizationId AND user_id = @userId`;
+    }
+
+    /**
+     * 멤버 제거
+     * @returns {string} DELETE 쿼리 (@organizationId, @userId)
+     */
+    static getDeleteQuery() {
+        return `DELETE FROM [${this.TABLE}]
+                WHERE organization_id = @organizationId AND user_id = @userId`;
+    }
+
+    /**
+     * owner 수 조회 (마지막 owner 제거/강등 방지)
+     * @returns {string} SELECT 쿼리 (@organizationId)
+     */
+    static getOwnerCountQuery() {
+        return `SELECT COUNT(*) as count FROM [${this.TABLE}]
+                WHERE organization_id = @organizationId AND role = 'owner'`;
+    }
+}
+
+module.exports = OrganizationMember;
@@ -0,0 +1,62 @@
+/**
+ * PasswordResetToken 모델
+ * 비밀번호 재설정 토큰 (1회용, 시간 제한, 해시 저장)
+ */
+
+class PasswordResetToken {
+    // ========== 데이터베이스 필드 매핑 ==========
+    static FIELDS = {
+        id: 'id',                        // 토큰 고유 ID
+        userId: 'user_id',               // 사용자 ID
+        tokenHash: 'token_hash',         // 토큰 SHA256 해시
+        expiresAt: 'expires_at',         // 만료 일시
+        usedAt: 'used_at',               // 사용(무효화) 일시
+        requestedIp: 'requested_ip',     // 요청 IP
+        createdAt: 'created_at'          // 생성 일시
+    };
+
+    static TABLE = 'PasswordResetTokens';
+
+    /**
+     * 토큰 저장 쿼리
+     * @param {Object} tokenData - 토큰 데이터
+     * @returns {string} INSERT 쿼리
+     */
+    static getSaveQuery(tokenData) {
+        const fields = Object.keys(tokenData)
+            .map(f => this.FIELDS[f] || f)
+            .join(', ');
+
+        const values = Object.keys(tokenData)
+            .map(f => `@${f}`)
+            .join(', ');
+
+        return `INSERT INTO [${this.TABLE}] (${fields}) VALUES (${values})`;
+    }
+
+    /**
+     * 토큰 사용 처리 (유효한 경우에만)
+     * 미사용 + 미만료 조건으로 원자적 갱신 → 동시 요청 중 하나만 성공
+     * @returns {string} UPDATE 쿼리 (@tokenHash) - user_id 반환
+     */
+    static getConsumeQuery() {
+        return `UPDATE [${this.TABLE}]
+                SET used_at = GETDATE()
+                OUTPUT INSERTED.user_id
+                WHERE token_hash = @tokenHash
+                  AND used_at IS NULL
+                  AND expires_at > GETDATE()`;
+    }
+
+    /**
+     * 사용자의 미사용 토큰 모두 무효화
+     * @returns {string} UPDATE 쿼리 (@userId)
+     */
+    static getInvalidateByUserQuery() {
+        return `UPDATE [${this.TABLE}]
+                SET used_at = GETDATE()
+                WHERE user_id = @userId AND used_at IS NULL`;
+    }
+}
+
+module.exports = PasswordResetToken;
@@ -0,0 +1,203 @@
+/**
+ * Payment 모델
+ * 결제 대행사 결제 기록 (Payments)
+ * 역할: services/paymentService.js, services/invoiceService.js를 위한 쿼리 헬퍼
+ */
+
+class Payment {
+    // ========== 데이터베이스 필드 매핑 ==========
+    static FIELDS = {
+        id: 'id',                                  // 결제 고유 ID
+        organizationId: 'organization_id',         // 결제 조직
+        subscriptionId: 'subscription_id',         // 구독 ID
+        invoiceId: 'invoice_id',                   // 결제 대상 청구서 (구독 결제는 첫 기간 청구서 확정 시 연결)
+        purpose: 'purpose',                        // subscription / invoice
+        provider: 'provider',                      // 결제 대행사 (stripe / fake)
+        providerSessionId: 'provider_session_id',  // 대행사 checkout session ID
+        providerPaymentId: 'provider_payment_id',  // 대행사 결제 ID (환불 요청)
+        providerRefundId: 'provider_refund_id',    // 대행사 환불 ID
+        checkoutUrl: 'checkout_url',               // 대행사 결제 페이지 URL
+        status: 'status',                          // pending / succeeded / refund_required / failed / refunded
+        currency: 'currency',                      // 통화 (USD)
+        baseAmountUsd: 'base_amount_usd',          // 세금 제외 금액
+        taxUsd: 'tax_usd',                         // 세금
+        amountUsd: 'amount_usd',                   // 결제 금액 (base + tax)
+        failureReason: 'failure_reason',           // 실패 / 환불 필요 사유
+        requestedBy: 'requested_by',               // 결제를 시작한 사용자 ID
+        createdAt: 'created_at',
+        paidAt: 'paid_at',                         // 결제 완료 일시
+        failedAt: 'failed_at',                     // 실패 일시
+        refundedAt: 'refunded_at',                 // 환불 완료 일시
+        refundedBy: 'refunded_by',                 // 환불한 관리자 ID (대행사 대시보드 환불은 NULL)
+        refundReason: 'refund_reason'              // 환불 사유
+    };
+
+    static TABLE = 'Payments';
+
+    /**
+     * pending 결제 생성 (결제 대상마다 진행 중 / 완료된 결제는 1개만)
+     * - 같은 구독 / 청구서에 pending 또는 succeeded 결제가 있으면 만들지 않고 그 결제를 반환
+     *   (동시 요청은 UPDLOCK + HOLDLOCK으로 직렬화 → 결제 페이지 중복 생성 / 이중 결제 방지)
+     * - pending 결제는 대행사 세션 만료 Webhook으로 failed가 되면 새로 만들 수 있음
+     * @param {boolean} byInvoice - true: 청구서 결제 (@invoiceId), false: 구독 결제 (@subscriptionId)
+     * @returns {string} 쿼리 (@id, @organizationId, @subscriptionId, @invoiceId, @purpose, @provider,
+     *                   @pendingStatus, @succeededStatus, @currency, @baseAmountUsd, @taxUsd, @amountUsd, @requestedBy)
+     *                   - [{ id, status, provider, checkout_url, amount_usd, created }] (created: 1 = 새 결제)
+     */
+    static getCreatePendingQuery(byInvoice) {
+        const targetCondition = byInvoice
+            ? 'invoice_id = @invoiceId AND purpose = @purpose'
+            : 'subscription_id = @subscriptionId AND purpose = @purpose';
+
+        return `SET XACT_ABORT ON;
+                BEGIN TRANSACTION;
+
+                INSERT INTO [${this.TABLE}]
+                    (id, organization_id, subscription_id, invoice_id, purpose, provider, status, currency,
+                     base_amount_usd, tax_usd, amount_usd, requested_by)
+                SELECT @id, @organizationId, @subscriptionId, @invoiceId, @purpose, @provider, @pendingStatus, @currency,
+                       @baseAmountUsd, @taxUsd, @amountUsd, @requestedBy
+                WHERE NOT EXISTS (
+                    SELECT 1 FROM [${this.TABLE}] WITH (UPDLOCK, HOLDLOCK)
+                    WHERE ${targetCondition} AND status IN (@pendingStatus, @succeededStatus)
+                );
+
+                COMMIT TRANSACTION;
+
+                SELECT TOP 1 id, status, provider, checkout_url, amount_usd,
+                       CASE WHEN id = @id THEN 1 ELSE 0 END as created
+                FROM [${this.TABLE}]
+                WHERE ${targetCondition} AND status IN (@pendingStatus, @succeededStatus)
+                ORDER BY CASE WHEN status = @succeededStatus THEN 0 ELSE 1 END, created_at DESC`;
+    }
+
+    /**
+     * 대행사 결제 페이지 저장
+     * @returns {string} UPDATE 쿼리 (@paymentId, @sessionId, @checkoutUrl)
+     */
+    static getSetCheckoutSessionQuery() {
+        return `UPDATE [${this.TABLE}]
+                SET provider_session_id = @sessionId, checkout_url = @checkoutUrl
+                WHERE id = @paymentId`;
+    }
+
+    /**
+     * checkout session으로 결제 조회 (대행사 Webhook)
+     * @returns {string} SELECT 쿼리 (@provider, @sessionId)
+     */
+    static getBySessionQuery() {
+        return `SELECT TOP 1 * FROM [${this.TABLE}]
+                WHERE provider = @provider AND provider_session_id = @sessionId`;
+    }
+
+    /**
+     * 결제 조회
+     * @returns {string} SELECT 쿼리 (@paymentId)
+     */
+    static getByIdQuery() {
+        return `SELECT * FROM [${this.TABLE}] WHERE id = @paymentId`;
+    }
+
+    /**
+     * pending → succeeded / refund_required (같은 Webhook이 여러 번 와도 1번만 바뀜)
+     * @returns {string} UPDATE 쿼리 (@paymentId, @providerPaymentId, @paidStatus, @failureReason, @pendingStatus)
+     *                   - 바뀐 결제
+     */
+    static getMarkPaidQuery() {
+        return `UPDATE [${this.TABLE}]
+                SET status = @paidStatus, provider_payment_id = @providerPaymentId, failure_reason = @failureReason,
+                    paid_at = GETDATE()
+                OUTPUT INSERTED.*
+                WHERE id = @paymentId AND status = @pendingStatus`;
+    }
+
+    /**
+     * pending → failed (결제 실패 / 세션 만료 / 결제 페이지 생성 실패)
+     * @param {boolean} bySession - true: @provider + @sessionId로 찾기, false: @paymentId로 찾기
+     * @returns {string} UPDATE 쿼리 (@failureReason, @pendingStatus, @failedStatus) - 바뀐 결제 ID
+     */
+    static getMarkFailedQuery(bySession) {
+        return `UPDATE [${this.TABLE}]
+                SET status = @failedStatus, failure_reason = @failureReason, failed_at = GETDATE()
+                OUTPUT INSERTED.id
+                WHERE ${bySession ? 'provider = @provider AND provider_session_id = @sessionId' : 'id = @paymentId'}
+                  AND status = @pendingStatus`;
+    }
+
+    /**
+     * 관리자 환불 요청 기록 (completed면 succeeded / refund_required → refunded, 아니면 Webhook으로 완료)
+     * @param {boolean} completed - 대행사가 즉시 환불 완료했는지
+     * @returns {string} UPDATE 쿼리 (@paymentId, @providerRefundId, @refundedBy, @refundReason,
+     *                   @succeededStatus, @refundRequiredStatus, @refundedStatus) - 바뀐 결제
+     */
+    static getRecordRefundQuery(completed) {
+        return `UPDATE [${this.TABLE}]
+                SET provider_refund_id = @providerRefundId, refunded_by = @refundedBy, refund_reason = @refundReason
+                    ${completed ? ', status = @refundedStatus, refunded_at = GETDATE()' : ''}
+                OUTPUT INSERTED.*
+                WHERE id = @paymentId AND status IN (@succeededStatus, @refundRequiredStatus)`;
+    }
+
+    /**
+     * 환불 완료 Webhook: succeeded / refund_required → refunded
+     * @returns {string} UPDATE 쿼리 (@provider, @providerPaymentId, @succeededStatus, @refundRequiredStatus,
+     *                   @refundedStatus) - 바뀐 결제 ID
+     */
+    static getMarkRefundedQuery() {
+        return `UPDATE [${this.TABLE}]
+                SET status = @refundedStatus, refunded_at = GETDATE()
+                OUTPUT INSERTED.id
+                WHERE provider = @provider AND provider_payment_id = @providerPaymentId
+                  AND status IN (@succeededStatus, @refundRequiredStatus)`;
+    }
+
+    /**
+     * 구독 선결제를 청구서에 연결하고 차감할 선결제 조회
+     * - 구독 결제 (purpose = subscription)는 구독당 첫 기간 1번뿐이므로
+     *   아직 연결되지 않은 결제는 처음 확정되는 청구서 (첫 기간)에 연결
+     * @returns {string} 쿼리 (@invoiceId, @subscriptionId, @purpose, @succeededStatus)
+     *                   - 차감할 결제 [{ id, base_amount_usd }]
+     */
+    static getLinkPrepaymentsQuery() {
+        return `UPDATE [${this.TABLE}] SET invoice_id = @invoiceId
+                WHERE subscription_id = @subscriptionId AND purpose = @purpose
+                  AND status = @succeededStatus AND invoice_id IS NULL;
+
+                SELECT id, base_amount_usd FROM [${this.TABLE}]
+                WHERE invoice_id = @invoiceId AND purpose = @purpose AND status = @succeededStatus
+                ORDER BY paid_at`;
+    }
+
+    /**
+     * 결제 목록 (최신순, 조직 이름 포함)
+     * @param {Object} filters - { hasOrganization (@organizationId), hasStatus (@status) }
+     * @returns {string} SELECT 쿼리 (@offset, @limit)
+     */
+    static getListQuery({ hasOrganization, hasStatus }) {
+        return `SELECT p.id, p.organization_id, o.name as organization_name, p.subscription_id, p.invoice_id,
+                       p.purpose, p.provider, p.status, p.currency, p.base_amount_usd, p.tax_usd, p.amount_usd,
+                       p.failure_reason, p.created_at, p.paid_at, p.failed_at, p.refunded_at, p.refund_reason
+                FROM [${this.TABLE}] p
+                LEFT JOIN [Organizations] o ON p.organization_id = o.id
+                WHERE 1 = 1
+                ${hasOrganization ? 'AND p.organization_id = @organizationId' : ''}
+                ${hasStatus ? 'AND p.status = @status' : ''}
+                ORDER BY p.created_at DESC
+                OFFSET @offset ROWS
+                FETCH NEXT @limit ROWS ONLY`;
+    }
+
+    /**
+     * 결제 수 (getListQuery와 같은 조건)
+     * @param {Object} filters - { hasOrganization, hasStatus }
+     * @returns {string} SELECT 쿼리
+     */
+    static getListCountQuery({ hasOrganization, hasStatus }) {
+        return `SELECT COUNT(*) as total FROM [${this.TABLE}]
+                WHERE 1 = 1
+                ${hasOrganization ? 'AND organization_id = @organizationId' : ''}
+                ${hasStatus ? 'AND status = @status' : ''}`;
+    }
+}
+
+module.exports = Payment;
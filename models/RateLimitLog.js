@@ -8,6 +8,7 @@ class RateLimitLog {
         id: 'id',
         apiKeyId: 'api_key_id',
         userId: 'user_id',
+        organizationId: 'organization_id',
         ipAddress: 'ip_address',
         limitType: 'limit_type',
         resetAt: 'reset_at',
@@ -33,6 +34,50 @@ class RateLimitLog {
         return `INSERT INTO [${this.TABLE}] (${fields}) VALUES (${values})`;
     }
 
+    /**
+     * 검색 조건 → WHERE 절 (지정된 조건만 포함)
+     * @param {Object} filters - { apiKeyId, userId, ipAddress, limitType }
+     * @returns {string} WHERE 절 (기간 조건 @hours는 항상 포함)
+     */
+    static buildSearchWhere(filters) {
+        const conditions = ['rl.created_at > DATEADD(HOUR, -@hours, GETDATE())'];
+
+        if (filters.apiKeyId) conditions.push('rl.api_key_id = @apiKeyId');
+        if (filters.userId) conditions.push('rl.user_id = @userId');
+        if (filters.ipAddress) conditions.push('rl.ip_address = @ipAddress');
+        if (filters.limitType) conditions.push('rl.limit_type = @limitType');
+
+        return `WHERE ${conditions.join(' AND ')}`;
+    }
+
+    /**
+     * 위반 로그 검색 (최신순, Key 이름 / 사용자 이메일 포함)
+     * @param {Object} filters - buildSearchWhere 참고
+     * @returns {string} SELECT 쿼리 (@offset, @limit, @hours + 필터 파라미터)
+     */
+    static getSearchQuery(filters) {
+        return `SELECT rl.id, rl.api_key_id, ak.key_name, ak.key_preview, rl.user_id, u.email as user_email,
+                       rl.organization_id, rl.ip_address, rl.limit_type, rl.reset_at, rl.created_at
+                FROM [${this.TABLE}] rl
+                LEFT JOIN [ApiKeys] ak ON rl.api_key_id = ak.id
+                LEFT JOIN [Users] u ON rl.user_id = u.id
+                ${this.buildSearchWhere(filters)}
+                ORDER BY rl.created_at DESC
+                OFFSET @offset ROWS
+                FETCH NEXT @limit ROWS ONLY`;
+    }
+
+    /**
+     * 위반 로그 검색 결과 수
+     * @param {Object} filters - buildSearchWhere 참고
+     * @returns {string} SELECT 쿼리
+     */
+    static getSearchCountQuery(filters) {
+        return `SELECT COUNT(*) as total
+                FROM [${this.TABLE}] rl
+                ${this.buildSearchWhere(filters)}`;
+    }
+
     /**
      * 특정 API Key의 위반 로그 조회
      * @param {string} apiKeyId - API Key ID
@@ -119,24 +164,59 @@ class RateLimitLog {
     }
 
     /**
-     * 반복 위반 API Key 조회
+     * 반복 위반 API Key 조회 (Key 이름 / 사용자 이메일 포함, IP 기반 위반 제외)
      * @param {number} hours - 조회 기간 (시간)
      * @param {number} threshold - 임계값 (기본 3회 이상)
      * @returns {string} SQL 쿼리
      */
     static getRepeatedViolationsQuery(hours = 24, threshold = 3) {
         return `SELECT 
-                    api_key_id,
-                    user_id,
+                    rl.api_key_id,
+                    ak.key_name,
+                    rl.user_id,
+                    u.email as user_email,
+                    COUNT(*) as violation_count,
+                    MAX(rl.created_at) as last_violation
+                FROM [${this.TABLE}] rl
+                LEFT JOIN [ApiKeys] ak ON rl.api_key_id = ak.id
+                LEFT JOIN [Users] u ON rl.user_id = u.id
+                WHERE rl.created_at > DATEADD(HOUR, -${hours}, GETDATE())
+                  AND rl.api_key_id IS NOT NULL
+                GROUP BY rl.api_key_id, ak.key_name, rl.user_id, u.email
+                HAVING COUNT(*) >= ${threshold}
+                ORDER BY violation_count DESC`;
+    }
+
+    /**
+     * 반복 위반 IP 조회 (모든 제한 유형 합산)
+     * @param {number} hours - 조회 기간 (시간)
+     * @param {number} threshold - 임계값
+     * @returns {string} SQL 쿼리
+     */
+    static getRepeatedIpViolationsQuery(hours = 1, threshold = 50) {
+        return `SELECT 
+                    ip_address,
                     COUNT(*) as violation_count,
                     MAX(created_at) as last_violation
                 FROM [${this.TABLE}]
                 WHERE created_at > DATEADD(HOUR, -${hours}, GETDATE())
-                GROUP BY api_key_id, user_id
+                GROUP BY ip_address
                 HAVING COUNT(*) >= ${threshold}
                 ORDER BY violation_count DESC`;
     }
 
+    /**
+     * 특정 API Key 또는 IP의 기준 시각 이후 위반 수
+     * @param {string} targetType - 'api_key' | 'ip'
+     * @returns {string} SQL 쿼리 (@targetId, @since)
+     */
+    static getViolationCountSinceQuery(targetType) {
+        const column = targetType === 'ip' ? 'ip_address' : 'api_key_id';
+
+        return `SELECT COUNT(*) as count FROM [${this.TABLE}]
+                WHERE ${column} = @targetId AND created_at > @since`;
+    }
+
     /**
      * IP 주소 기반 위반 패턴
      * @param {number} hours - 조회 기간 (시간)
@@ -0,0 +1,92 @@
+/**
+ * RefreshToken 모델
+ * 발급된 Refresh Token의 서버 측 기록 (해시만 저장)
+ * 역할: 토큰 회전, 폐기, 재사용 탐지를 위한 쿼리 헬퍼
+ */
+
+class RefreshToken {
+    // ========== 데이터베이스 필드 매핑 ==========
+    static FIELDS = {
+        id: 'id',                          // 토큰 고유 ID (JWT jti와 동일)
+        userId: 'user_id',                 // 소유자 사용자 ID
+        familyId: 'family_id',             // 토큰 family ID (로그인 1회당 1개)
+        tokenHash: 'token_hash',           // 토큰 SHA256 해시
+        expiresAt: 'expires_at',           // 만료 일시
+        usedAt: 'used_at',                 // 회전에 사용된 일시 (재사용 탐지용)
+        replacedBy: 'replaced_by',         // 회전으로 새로 발급된 토큰 ID
+        revokedAt: 'revoked_at',           // 폐기 일시
+        revokedReason: 'revoked_reason',   // 폐기 사유 (user_blocked, password_changed, reuse_detected 등)
+        createdAt: 'created_at'            // 생성 일시
+    };
+
+    static TABLE = 'RefreshTokens';
+
+    /**
+     * Refresh Token 저장 쿼리
+     * @param {Object} tokenData - 토큰 데이터
+     * @returns {string} INSERT 쿼리
+     */
+    static getSaveQuery(tokenData) {
+        const fields = Object.keys(tokenData)
+            .map(f => this.FIELDS[f] || f)
+            .join(', ');
+
+        const values = Object.keys(tokenData)
+            .map(f => `@${f}`)
+            .join(', ');
+
+        return `INSERT INTO [${this.TABLE}] (${fields}) VALUES (${values})`;
+    }
+
+    /**
+     * 해시로 토큰 조회
+     * @returns {string} SELECT 쿼리 (@tokenHash)
+     */
+    static getByHashQuery() {
+        return `SELECT * FROM [${this.TABLE}] WHERE token_hash = @tokenHash`;
+    }
+
+    /**
+     * 토큰을 사용 처리 (회전)
+     * 아직 사용/폐기되지 않은 경우에만 갱신되므로 동시 요청 중 하나만 성공
+     * @returns {string} UPDATE 쿼리 (@id, @replacedBy) - 갱신된 id 반환
+     */
+    static getMarkUsedQuery() {
+        return `UPDATE [${this.TABLE}]
+                SET used_at = GETDATE(), replaced_by = @replacedBy
+                OUTPUT INSERTED.id
+                WHERE id = @id AND used_at IS NULL AND revoked_at IS NULL`;
+    }
+
+    /**
+     * family 전체 폐기
+     * @returns {string} UPDATE 쿼리 (@familyId, @reason)
+     */
+    static getRevokeFamilyQuery() {
+        return `UPDATE [${this.TABLE}]
+                SET revoked_at = GETDATE(), revoked_reason = @reason
+                WHERE family_id = @familyId AND revoked_at IS NULL`;
+    }
+
+    /**
+     * 사용자의 모든 토큰 폐기
+     * @returns {string} UPDATE 쿼리 (@userId, @reason)
+     */
+    static getRevokeByUserQuery() {
+        return `UPDATE [${this.TABLE}]
+                SET revoked_at = GETDATE(), revoked_reason = @reason
+                WHERE user_id = @userId AND revoked_at IS NULL`;
+    }
+
+    /**
+     * 만료된 토큰 정리
+     * @param {number} days - 만료 후 보관 일수 (기본 30일)
+     * @returns {string} DELETE 쿼리
+     */
+    static getDeleteExpiredQuery(days = 30) {
+        return `DELETE FROM [${this.TABLE}]
+                WHERE expires_at < DATEADD(DAY, -${days}, GETDATE())`;
+    }
+}
+
+module.exports = RefreshToken;
@@ -0,0 +1,39 @@
+/**
+ * Role 모델
+ * 관리자 역할 (super_admin, support, billing, auditor)과 역할별 권한
+ */
+
+class Role {
+    // ========== 데이터베이스 필드 매핑 ==========
+    static FIELDS = {
+        code: 'role_code',           // 역할 코드 (PK)
+        name: 'name',                // 표시 이름
+        description: 'description',  // 설명
+        createdAt: 'created_at'      // 생성 일시
+    };
+
+    static TABLE = 'Roles';
+    static PERMISSION_TABLE = 'RolePermissions';
+
+    /**
+     * 전체 역할 + 권한 조회 (역할 1개당 권한 수만큼 행)
+     * @returns {string} SELECT 쿼리
+     */
+    static getAllWithPermissionsQuery() {
+        return `SELECT r.role_code, r.name, r.description, rp.permission_code
+                FROM [${this.TABLE}] r
+                LEFT JOIN [${this.PERMISSION_TABLE}] rp ON r.role_code = rp.role_code
+                ORDER BY r.role_code, rp.permission_code`;
+    }
+
+    /**
+     * 역할 코드 목록 중 존재하는 역할 조회
+     * @returns {string} SELECT 쿼리 (@roleCodes: 쉼표 구분 문자열)
+     */
+    static getExistingCodesQuery() {
+        return `SELECT role_code FROM [${this.TABLE}]
+                WHERE role_code IN (SELECT value FROM STRING_SPLIT(@roleCodes, ','))`;
+    }
+}
+
+module.exports = Role;
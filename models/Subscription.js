@@ -10,6 +10,14 @@ class Subscription {
         approvedBy: 'approved_by',
         rejectionReason: 'rejection_reason',
         autoRenewal: 'auto_renewal',
+        renewalCount: 'renewal_count',
+        lastRenewedAt: 'last_renewed_at',
+        expiredAt: 'expired_at',
+        cancelAtPeriodEnd: 'cancel_at_period_end',
+        cancellationRequestedAt: 'cancellation_requested_at',
+        cancellationReason: 'cancellation_reason',
+        cancelledBy: 'cancelled_by',
+        cancelledAt: 'cancelled_at',
         createdAt: 'created_at',
         updatedAt: 'updated_at'
     };
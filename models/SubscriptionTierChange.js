@@ -0,0 +1,199 @@
+/**
+ * SubscriptionTierChange 모델
+ * 구독 Tier 변경 (업그레이드 / 다운그레이드) 이력
+ * 역할: services/subscriptionService.js changeTier, 스케줄러 subscriptionLifecycle를 위한 쿼리 헬퍼
+ */
+
+class SubscriptionTierChange {
+    // ========== 데이터베이스 필드 매핑 ==========
+    static FIELDS = {
+        id: 'id',                                  // 변경 고유 ID
+        subscriptionId: 'subscription_id',         // 구독 ID
+        organizationId: 'organization_id',         // 조직 ID
+        fromTierId: 'from_tier_id',                // 변경 전 Tier
+        toTierId: 'to_tier_id',                    // 변경 후 Tier
+        changeType: 'change_type',                 // upgrade / downgrade
+        status: 'status',                          // applied / scheduled / cancelled
+        effectiveDate: 'effective_date',           // 적용(예정)일
+        remainingDays: 'remaining_days',           // 변경 시점의 남은 기간 일수
+        periodDays: 'period_days',                 // 현재 결제 기간 일수
+        prorationCreditUsd: 'proration_credit_usd', // 기존 Tier 남은 기간 금액
+        prorationChargeUsd: 'proration_charge_usd', // 새 Tier 남은 기간 금액
+        amountDueUsd: 'amount_due_usd',            // 추가 결제 금액 (charge - credit)
+        requestedBy: 'requested_by',               // 변경한 사용자 ID
+        createdAt: 'created_at',
+        appliedAt: 'applied_at',
+        cancelledAt: 'cancelled_at'
+    };
+
+    static TABLE = 'SubscriptionTierChanges';
+
+    // 변경 기록 INSERT (applied: 업그레이드, scheduled: 다운그레이드)
+    // 파라미터: @id, @subscriptionId, @organizationId, @fromTierId, @toTierId, @changeType, @status,
+    //           @effectiveDate, @remainingDays, @periodDays, @prorationCreditUsd, @prorationChargeUsd,
+    //           @amountDueUsd, @requestedBy, @appliedStatus
+    // @effectiveDate가 NULL이면 오늘 (DB 날짜)
+    static INSERT_SQL = `INSERT INTO [SubscriptionTierChanges]
+                    (id, subscription_id, organization_id, from_tier_id, to_tier_id, change_type, status,
+                     effective_date, remaining_days, period_days,
+                     proration_credit_usd, proration_charge_usd, amount_due_usd, requested_by, applied_at)
+                VALUES (@id, @subscriptionId, @organizationId, @fromTierId, @toTierId, @changeType, @status,
+                        COALESCE(@effectiveDate, CAST(GETDATE() AS DATE)), @remainingDays, @periodDays,
+                        @prorationCreditUsd, @prorationChargeUsd, @amountDueUsd, @requestedBy,
+                        CASE WHEN @status = @appliedStatus THEN GETDATE() END)`;
+
+    // 구독의 예약 변경 취소 (@subscriptionId, @scheduledStatus, @cancelledStatus)
+    static CANCEL_SCHEDULED_SQL = `UPDATE [SubscriptionTierChanges]
+                SET status = @cancelledStatus, cancelled_at = GETDATE()
+                WHERE subscription_id = @subscriptionId AND status = @scheduledStatus`;
+
+    /**
+     * 구독의 예약된 변경
+     * @returns {string} SELECT 쿼리 (@subscriptionId, @status)
+     */
+    static getScheduledQuery() {
+        return `SELECT TOP 1 * FROM [${this.TABLE}]
+                WHERE subscription_id = @subscriptionId AND status = @status
+                ORDER BY created_at DESC`;
+    }
+
+    /**
+     * 구독의 예약된 변경 취소
+     * @returns {string} UPDATE 쿼리 (@subscriptionId, @scheduledStatus, @cancelledStatus)
+     */
+    static getCancelScheduledQuery() {
+        return this.CANCEL_SCHEDULED_SQL;
+    }
+
+    /**
+     * 업그레이드 즉시 적용 (하나의 트랜잭션)
+     * - 구독 Tier 변경 → 예약된 다운그레이드 취소 → 변경 기록 (applied)
+     * - 구독이 활성이 아니거나 그 사이 Tier가 바뀌었으면 아무것도 하지 않음
+     * @returns {string} 쿼리 (INSERT_SQL 파라미터 + @activeStatus, @appliedStatus,
+     *                   @scheduledStatus, @cancelledStatus) - { applied: 0 | 1 }
+     */
+    static getApplyUpgradeQuery() {
+        return `SET XACT_ABORT ON;
+                BEGIN TRANSACTION;
+
+                UPDATE [UserSubscriptions]
+                SET tier_id = @toTierId, updated_at = GETDATE()
+                WHERE id = @subscriptionId AND status = @activeStatus AND tier_id = @fromTierId;
+
+                IF @@ROWCOUNT = 0
+                BEGIN
+                    ROLLBACK TRANSACTION;
+                    SELECT 0 as applied;
+                    RETURN;
+                END;
+
+                ${this.CANCEL_SCHEDULED_SQL};
+
+                ${this.INSERT_SQL};
+
+                COMMIT TRANSACTION;
+                SELECT 1 as applied;`;
+    }
+
+    /**
+     * 다운그레이드 예약 (하나의 트랜잭션)
+     * - 기존 예약 취소 → 변경 기록 (scheduled, effective_date = 현재 기간 end_date)
+     * @returns {string} 쿼리 (INSERT_SQL 파라미터 + @appliedStatus, @scheduledStatus, @cancelledStatus)
+     */
+    static getScheduleDowngradeQuery() {
+        return `SET XACT_ABORT ON;
+                BEGIN TRANSACTION;
+
+                ${this.CANCEL_SCHEDULED_SQL};
+
+                ${this.INSERT_SQL};
+
+                COMMIT TRANSACTION;`;
+    }
+
+    /**
+     * 적용일이 된 예약 변경 적용 (스케줄러, 하나의 트랜잭션)
+     * - 구독이 아직 활성이고 Tier가 예약 당시와 같은 경우만
+     * - 변경 기록을 먼저 선점 (applied)하므로 여러 인스턴스에서 실행되어도 한 번만 적용
+     * @returns {string} 쿼리 (@scheduledStatus, @appliedStatus, @activeStatus) - 적용된 변경 목록
+     */
+    static getApplyDueQuery() {
+        return `SET XACT_ABORT ON;
+                DECLARE @applied TABLE (
+                    id NVARCHAR(36), subscription_id NVARCHAR(36), organization_id NVARCHAR(36),
+                    from_tier_id NVARCHAR(36), to_tier_id NVARCHAR(36), effective_date DATE
+                );
+
+                BEGIN TRANSACTION;
+
+                UPDATE tc
+                SET tc.status = @appliedStatus, tc.applied_at = GETDATE()
+                OUTPUT INSERTED.id, INSERTED.subscription_id, INSERTED.organization_id,
+                       INSERTED.from_tier_id, INSERTED.to_tier_id, INSERTED.effective_date
+                INTO @applied
+                FROM [${this.TABLE}] tc
+                INNER JOIN [UserSubscriptions] us ON tc.subscription_id = us.id
+                WHERE tc.status = @scheduledStatus
+                  AND tc.effective_date <= CAST(GETDATE() AS DATE)
+                  AND us.status = @activeStatus
+                  AND us.tier_id = tc.from_tier_id;
+
+                UPDATE us
+                SET us.tier_id = a.to_tier_id, us.updated_at = GETDATE()
+                FROM [UserSubscriptions] us
+                INNER JOIN @applied a ON us.id = a.subscription_id;
+
+                COMMIT TRANSACTION;
+
+                SELECT * FROM @applied;`;
+    }
+
+    /**
+     * 더 이상 적용할 수 없는 예약 변경 취소 (구독 만료 / 취소, 다른 경로로 Tier 변경)
+     * @returns {string} UPDATE 쿼리 (@scheduledStatus, @cancelledStatus, @activeStatus)
+     */
+    static getCancelStaleQuery() {
+        return `UPDATE tc
+                SET tc.status = @cancelledStatus, tc.cancelled_at = GETDATE()
+                FROM [${this.TABLE}] tc
+                INNER JOIN [UserSubscriptions] us ON tc.subscription_id = us.id
+                WHERE tc.status = @scheduledStatus
+                  AND (us.status <> @activeStatus OR us.tier_id <> tc.from_tier_id)`;
+    }
+
+    /**
+     * 기간 중 적용된 업그레이드 (청구서 일할 계산 항목)
+     * @returns {string} SELECT 쿼리 (@subscriptionId, @changeType, @appliedStatus, @periodStart, @periodEnd)
+     */
+    static getAppliedUpgradesQuery() {
+        return `SELECT tc.id, tc.remaining_days, tc.period_days, tc.amount_due_usd, tc.applied_at,
+                       from_tier.tier_name as from_tier_name, to_tier.tier_name as to_tier_name
+                FROM [${this.TABLE}] tc
+                LEFT JOIN [SubscriptionTiers] from_tier ON tc.from_tier_id = from_tier.id
+                LEFT JOIN [SubscriptionTiers] to_tier ON tc.to_tier_id = to_tier.id
+                WHERE tc.subscription_id = @subscriptionId
+                  AND tc.change_type = @changeType
+                  AND tc.status = @appliedStatus
+                  AND tc.applied_at >= @periodStart
+                  AND tc.applied_at < @periodEnd
+                ORDER BY tc.applied_at`;
+    }
+
+    /**
+     * 조직의 변경 이력 (최신순, Tier 이름 / 요청자 이메일 포함)
+     * @returns {string} SELECT 쿼리 (@organizationId, @limit)
+     */
+    static getHistoryQuery() {
+        return `SELECT TOP (@limit) tc.*,
+                       from_tier.tier_name as from_tier_name, to_tier.tier_name as to_tier_name,
+                       u.email as requested_by_email
+                FROM [${this.TABLE}] tc
+                LEFT JOIN [SubscriptionTiers] from_tier ON tc.from_tier_id = from_tier.id
+                LEFT JOIN [SubscriptionTiers] to_tier ON tc.to_tier_id = to_tier.id
+                LEFT JOIN [Users] u ON tc.requested_by = u.id
+                WHERE tc.organization_id = @organizationId
+                ORDER BY tc.created_at DESC`;
+    }
+}
+
+module.exports = SubscriptionTierChange;
@@ -0,0 +1,45 @@
+/**
+ * SystemSetting 모델
+ * 관리자가 변경하는 시스템 설정 (key-value)
+ *
+ * 사용 중인 키:
+ * - require_admin_2fa: 'true' | 'false' - 관리자 계정 2단계 인증 필수 여부
+ */
+
+class SystemSetting {
+    // ========== 데이터베이스 필드 매핑 ==========
+    static FIELDS = {
+        key: 'setting_key',         // 설정 키
+        value: 'setting_value',     // 설정 값 (문자열)
+        updatedBy: 'updated_by',    // 마지막 변경 관리자 ID
+        updatedAt: 'updated_at'     // 마지막 변경 일시
+    };
+
+    static TABLE = 'SystemSettings';
+
+    /**
+     * 설정 조회
+     * @returns {string} SELECT 쿼리 (@key)
+     */
+    static getByKeyQuery() {
+        return `SELECT setting_key, setting_value, updated_by, updated_at
+                FROM [${this.TABLE}] WHERE setting_key = @key`;
+    }
+
+    /**
+     * 설정 저장 (없으면 추가, 있으면 갱신)
+     * @returns {string} MERGE 쿼리 (@key, @value, @updatedBy)
+     */
+    static getUpsertQuery() {
+        return `MERGE [${this.TABLE}] AS target
+                USING (SELECT @key AS setting_key) AS source
+                ON target.setting_key = source.setting_key
+                WHEN MATCHED THEN
+                    UPDATE SET setting_value = @value, updated_by = @updatedBy, updated_at = GETDATE()
+                WHEN NOT MATCHED THEN
+                    INSERT (setting_key, setting_value, updated_by)
+                    VALUES (@key, @value, @updatedBy);`;
+    }
+}
+
+module.exports = SystemSetting;
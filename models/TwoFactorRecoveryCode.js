@@ -0,0 +1,65 @@
+/**
+ * TwoFactorRecoveryCode 모델
+ * 2단계 인증 복구 코드 (OTP 기기 분실 시 1회용, 해시 저장)
+ */
+
+class TwoFactorRecoveryCode {
+    // ========== 데이터베이스 필드 매핑 ==========
+    static FIELDS = {
+        id: 'id',                  // 복구 코드 고유 ID
+        userId: 'user_id',         // 사용자 ID
+        codeHash: 'code_hash',     // 복구 코드 SHA256 해시
+        usedAt: 'used_at',         // 사용 일시 (NULL = 미사용)
+        createdAt: 'created_at'    // 생성 일시
+    };
+
+    static TABLE = 'TwoFactorRecoveryCodes';
+
+    /**
+     * 복구 코드 저장 쿼리
+     * @param {Object} codeData - 복구 코드 데이터
+     * @returns {string} INSERT 쿼리
+     */
+    static getSaveQuery(codeData) {
+        const fields = Object.keys(codeData)
+            .map(f => this.FIELDS[f] || f)
+            .join(', ');
+
+        const values = Object.keys(codeData)
+            .map(f => `@${f}`)
+            .join(', ');
+
+        return `INSERT INTO [${this.TABLE}] (${fields}) VALUES (${values})`;
+    }
+
+    /**
+     * 복구 코드 사용 처리 (미사용인 경우에만)
+     * 원자적 갱신 → 동시 요청 중 하나만 성공
+     * @returns {string} UPDATE 쿼리 (@userId, @codeHash) - id 반환
+     */
+    static getConsumeQuery() {
+        return `UPDATE [${this.TABLE}]
+                SET used_at = GETDATE()
+                OUTPUT INSERTED.id
+                WHERE user_id = @userId AND code_hash = @codeHash AND used_at IS NULL`;
+    }
+
+    /**
+     * 남은 복구 코드 수
+     * @returns {string} SELECT 쿼리 (@userId)
+     */
+    static getRemainingCountQuery() {
+        return `SELECT COUNT(*) AS remaining FROM [${this.TABLE}]
+                WHERE user_id = @userId AND used_at IS NULL`;
+    }
+
+    /**
+     * 사용자의 복구 코드 전체 삭제 (재발급, 2FA 해제 시)
+     * @returns {string} DELETE 쿼리 (@userId)
+     */
+    static getDeleteByUserQuery() {
+        return `DELETE FROM [${this.TABLE}] WHERE user_id = @userId`;
+    }
+}
+
+module.exports = TwoFactorRecoveryCode;
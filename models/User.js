@@ -20,7 +20,16 @@ class User {
         blockedReason: 'blocked_reason',   // 차단 사유
         createdAt: 'created_at',           // 생성일시
         updatedAt: 'updated_at',           // 수정일시
-        lastLogin: 'last_login'            // 마지막 로그인 일시
+        lastLogin: 'last_login',           // 마지막 로그인 일시
+        emailVerifiedAt: 'email_verified_at',       // 이메일 인증 일시 (NULL = 미인증)
+        verificationSentAt: 'verification_sent_at', // 마지막 인증 메일 발송 일시
+        twoFactorSecret: 'two_factor_secret',               // TOTP 시크릿 (암호문, NULL = 2FA 미사용)
+        twoFactorPendingSecret: 'two_factor_pending_secret', // 등록 확인 전 TOTP 시크릿 (암호문)
+        twoFactorEnabledAt: 'two_factor_enabled_at',        // 2FA 활성화 일시
+        twoFactorLastStep: 'two_factor_last_step',          // 마지막 사용 TOTP time step (재사용 방지)
+        failedLoginCount: 'failed_login_count',             // 연속 로그인 실패 횟수
+        lastFailedLoginAt: 'last_failed_login_at',          // 마지막 로그인 실패 일시
+        lockedUntil: 'locked_until'                         // 로그인 잠금 해제 일시 (NULL = 잠금 없음)
     };
 
     // SQL 테이블명
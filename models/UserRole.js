@@ -0,0 +1,84 @@
+/**
+ * UserRole 모델
+ * 사용자별 역할 (한 사용자가 여러 역할 가능)
+ * 역할이 하나라도 있으면 Users.is_admin = 1 (관리자 화면 접근)
+ */
+
+class UserRole {
+    // ========== 데이터베이스 필드 매핑 ==========
+    static FIELDS = {
+        userId: 'user_id',           // 사용자 ID
+        roleCode: 'role_code',       // 역할 코드
+        assignedBy: 'assigned_by',   // 부여한 관리자 ID
+        assignedAt: 'assigned_at'    // 부여 일시
+    };
+
+    static TABLE = 'UserRoles';
+
+    /**
+     * 사용자 역할 조회
+     * @returns {string} SELECT 쿼리 (@userId)
+     */
+    static getByUserQuery() {
+        return `SELECT role_code, assigned_by, assigned_at
+                FROM [${this.TABLE}] WHERE user_id = @userId
+                ORDER BY role_code`;
+    }
+
+    /**
+     * 사용자 권한 조회 (모든 역할의 권한 합집합)
+     * @returns {string} SELECT 쿼리 (@userId)
+     */
+    static getPermissionsByUserQuery() {
+        return `SELECT DISTINCT rp.permission_code
+                FROM [${this.TABLE}] ur
+                JOIN [RolePermissions] rp ON ur.role_code = rp.role_code
+                WHERE ur.user_id = @userId`;
+    }
+
+    /**
+     * 사용자 역할 전체 교체 + is_admin 동기화 (하나의 트랜잭션)
+     * @returns {string} 쿼리 (@userId, @roleCodes: 쉼표 구분 문자열, 빈 문자열 = 모든 역할 제거, @assignedBy)
+     */
+    static getReplaceForUserQuery() {
+        return `SET XACT_ABORT ON;
+                BEGIN TRANSACTION;
+
+                DELETE FROM [${this.TABLE}]
+                WHERE user_id = @userId
+                  AND role_code NOT IN (SELECT value FROM STRING_SPLIT(@roleCodes, ','));
+
+                INSERT INTO [${this.TABLE}] (user_id, role_code, assigned_by)
+                SELECT @userId, s.value, @assignedBy
+                FROM STRING_SPLIT(@roleCodes, ',') s
+                WHERE s.value <> ''
+                  AND NOT EXISTS (
+                      SELECT 1 FROM [${this.TABLE}] ur
+                      WHERE ur.user_id = @userId AND ur.role_code = s.value
+                  );
+
+                UPDATE [Users]
+                SET is_admin = CASE WHEN EXISTS (
+                        SELECT 1 FROM [${this.TABLE}] WHERE user_id = @userId
+                    ) THEN 1 ELSE 0 END,
+                    updated_at = GETDATE()
+                WHERE id = @userId;
+
+                COMMIT TRANSACTION;`;
+    }
+
+    /**
+     * 특정 역할을 가진 활성 사용자 수 (제외할 사용자 지정)
+     * @returns {string} SELECT 쿼리 (@roleCode, @excludeUserId)
+     */
+    static getActiveHolderCountQuery() {
+        return `SELECT COUNT(*) as count
+                FROM [${this.TABLE}] ur
+                JOIN [Users] u ON ur.user_id = u.id
+                WHERE ur.role_code = @roleCode
+                  AND ur.user_id <> @excludeUserId
+                  AND u.is_blocked = 0`;
+    }
+}
+
+module.exports = UserRole;
@@ -0,0 +1,104 @@
+/**
+ * UserSession 모델
+ * 로그인 세션 (로그인 1회당 1개, id = Refresh Token family ID)
+ * 역할: 로그아웃, 모든 기기 로그아웃, 요청마다 세션 유효성 확인
+ */
+
+class UserSession {
+    // ========== 데이터베이스 필드 매핑 ==========
+    static FIELDS = {
+        id: 'id',                          // 세션 ID (Access Token sid, RefreshTokens.family_id)
+        userId: 'user_id',                 // 사용자 ID
+        userAgent: 'user_agent',           // 로그인 시 User-Agent
+        ipAddress: 'ip_address',           // 로그인 시 클라이언트 IP
+        lastSeenAt: 'last_seen_at',        // 마지막 요청 일시
+        twoFactorVerified: 'two_factor_verified', // 2단계 인증을 거친 세션 여부
+        revokedAt: 'revoked_at',           // 종료 일시 (NULL = 활성)
+        revokedReason: 'revoked_reason',   // 종료 사유 (logout, logout_all, user_blocked 등)
+        createdAt: 'created_at'            // 로그인 일시
+    };
+
+    static TABLE = 'UserSessions';
+
+    /**
+     * 세션 저장 쿼리
+     * @param {Object} sessionData - 세션 데이터
+     * @returns {string} INSERT 쿼리
+     */
+    static getSaveQuery(sessionData) {
+        const fields = Object.keys(sessionData)
+            .map(f => this.FIELDS[f] || f)
+            .join(', ');
+
+        const values = Object.keys(sessionData)
+            .map(f => `@${f}`)
+            .join(', ');
+
+        return `INSERT INTO [${this.TABLE}] (${fields}) VALUES (${values})`;
+    }
+
+    /**
+     * 활성 세션 조회 (사용자 소유 확인 포함)
+     * @returns {string} SELECT 쿼리 (@sessionId, @userId)
+     */
+    static getActiveSessionQuery() {
+        return `SELECT id, last_seen_at, two_factor_verified FROM [${this.TABLE}]
+                WHERE id = @sessionId AND user_id = @userId AND revoked_at IS NULL`;
+    }
+
+    /**
+     * 사용자의 활성 세션 목록 (최근 사용 순)
+     * @returns {string} SELECT 쿼리 (@userId)
+     */
+    static getActiveByUserQuery() {
+        return `SELECT id, user_agent, ip_address, created_at, last_seen_at
+                FROM [${this.TABLE}]
+                WHERE user_id = @userId AND revoked_at IS NULL
+                ORDER BY COALESCE(last_seen_at, created_at) DESC`;
+    }
+
+    /**
+     * 마지막 사용 시각 갱신 (일정 간격 이상 지난 경우만)
+     * @param {number} minutes - 갱신 간격 (분)
+     * @returns {string} UPDATE 쿼리 (@sessionId)
+     */
+    static getTouchQuery(minutes = 5) {
+        return `UPDATE [${this.TABLE}]
+                SET last_seen_at = GETDATE()
+                WHERE id = @sessionId
+                  AND (last_seen_at IS NULL OR last_seen_at < DATEADD(MINUTE, -${minutes}, GETDATE()))`;
+    }
+
+    /**
+     * 2단계 인증 완료 표시 (로그인 중 2FA 등록을 마친 세션)
+     * @returns {string} UPDATE 쿼리 (@sessionId, @userId)
+     */
+    static getMarkTwoFactorVerifiedQuery() {
+        return `UPDATE [${this.TABLE}]
+                SET two_factor_verified = 1
+                WHERE id = @sessionId AND user_id = @userId AND revoked_at IS NULL`;
+    }
+
+    /**
+     * 단일 세션 종료
+     * @returns {string} UPDATE 쿼리 (@sessionId, @userId, @reason) - 종료된 id 반환
+     */
+    static getRevokeQuery() {
+        return `UPDATE [${this.TABLE}]
+                SET revoked_at = GETDATE(), revoked_reason = @reason
+                OUTPUT INSERTED.id
+                WHERE id = @sessionId AND user_id = @userId AND revoked_at IS NULL`;
+    }
+
+    /**
+     * 사용자의 모든 세션 종료
+     * @returns {string} UPDATE 쿼리 (@userId, @reason)
+     */
+    static getRevokeByUserQuery() {
+        return `UPDATE [${this.TABLE}]
+                SET revoked_at = GETDATE(), revoked_reason = @reason
+                WHERE user_id = @userId AND revoked_at IS NULL`;
+    }
+}
+
+module.exports = UserSession;
@@ -1,14 +1,29 @@
 const express = require('express');
 const router = express.Router();
 const adminController = require('../controllers/adminController');
-const { authMiddleware, adminAuthMiddleware } = require('../middleware/authMiddleware');
+const { authMiddleware, adminAuthMiddleware, requirePermission } = require('../middleware/authMiddleware');
 
-router.get('/admin/users', adminAuthMiddleware, adminController.getAllUsers);
-router.get('/admin/subscriptions/pending', adminAuthMiddleware, adminController.getPendingSubscriptions);
-router.post('/admin/subscriptions/:subscriptionId/approve', adminAuthMiddleware, adminController.approveSubscription);
-router.post('/admin/subscriptions/:subscriptionId/reject', adminAuthMiddleware, adminController.rejectSubscription);
-router.post('/admin/users/:userId/block', adminAuthMiddleware, adminController.blockUser);
-router.post('/admin/users/:userId/unblock', adminAuthMiddleware, adminController.unblockUser);
-router.get('/admin/stats', adminAuthMiddleware, adminController.getSystemStats);
+router.get('/admin/users', adminAuthMiddleware, requirePermission('users:read'), adminController.getAllUsers);
+router.get('/admin/subscriptions/pending', adminAuthMiddleware, requirePermission('subscriptions:read'), adminController.getPendingSubscriptions);
+router.post('/admin/subscriptions/:subscriptionId/approve', adminAuthMiddleware, requirePermission('subscriptions:approve'), adminController.approveSubscription);
+router.post('/admin/subscriptions/:subscriptionId/reject', adminAuthMiddleware, requirePermission('subscriptions:approve'), adminController.rejectSubscription);
+router.post('/admin/users/:userId/block', adminAuthMiddleware, requirePermission('users:block'), adminController.blockUser);
+router.post('/admin/users/:userId/unblock', adminAuthMiddleware, requirePermission('users:block'), adminController.unblockUser);
+router.post('/admin/users/:userId/verify-email', adminAuthMiddleware, requirePermission('users:verify_email'), adminController.verifyUserEmail);
+router.post('/admin/users/:userId/unlock', adminAuthMiddleware, requirePermission('users:unlock'), adminController.unlockUserLogin);
+router.get('/admin/stats', adminAuthMiddleware, requirePermission('stats:read'), adminController.getSystemStats);
+router.get('/admin/settings/security', adminAuthMiddleware, requirePermission('settings:read'), adminController.getSecuritySettings);
+router.put('/admin/settings/security/admin-2fa', adminAuthMiddleware, requirePermission('settings:manage'), adminController.updateAdminTwoFactorRequirement);
+router.get('/admin/me/permissions', adminAuthMiddleware, adminController.getMyPermissions);
+router.get('/admin/roles', adminAuthMiddleware, requirePermission('roles:manage'), adminController.getRoles);
+router.put('/admin/users/:userId/roles', adminAuthMiddleware, requirePermission('roles:manage'), adminController.updateUserRoles);
+router.get('/admin/audit-logs', adminAuthMiddleware, requirePermission('audit:read'), adminController.getAuditLogs);
+router.get('/admin/rate-limit-violations', adminAuthMiddleware, requirePermission('stats:read'), adminController.getRateLimitViolations);
+router.get('/admin/rate-limit-violations/summary', adminAuthMiddleware, requirePermission('stats:read'), adminController.getRateLimitViolationSummary);
+router.get('/admin/abuse-bans', adminAuthMiddleware, requirePermission('stats:read'), adminController.getAbuseBans);
+router.post('/admin/abuse-bans', adminAuthMiddleware, requirePermission('abuse:manage'), adminController.banAbuseTarget);
+router.post('/admin/abuse-bans/:banId/lift', adminAuthMiddleware, requirePermission('abuse:manage'), adminController.liftAbuseBan);
+router.get('/admin/payments', adminAuthMiddleware, requirePermission('subscriptions:read'), adminController.getPayments);
+router.post('/admin/payments/:paymentId/refund', adminAuthMiddleware, requirePermission('payments:refund'), adminController.refundPayment);
 
-module.exports = router;
\ No newline at end of file
+module.exports = router;
@@ -3,16 +3,22 @@
  * 
  * 역할:
  * - API Key 생성
- * - 사용자의 API Key 목록 조회
+ * - 조직의 API Key 목록 조회
  * - API Key 삭제 (비활성화)
+ * - API Key Secret 교체 (유예 기간 동안 이전 Secret 허용)
+ * - API Key 권한 범위(scope) 변경
+ * - API Key IP 화이트리스트 변경
  * 
  * 인증 미들웨어: 모든 엔드포인트에 필수 (JWT 토큰)
+ * 조직: X-Organization-Id 헤더 (없으면 기본 조직)
+ * - 조회: 모든 멤버 / 생성·삭제·Secret 교체·scope·IP 화이트리스트 변경: owner, developer
  */
 
 const express = require('express');
 const router = express.Router();
 const apiKeyController = require('../controllers/apiKeyController');
 const { authMiddleware } = require('../middleware/authMiddleware');
+const { organizationContext, requireOrganizationRole } = require('../middleware/organizationMiddleware');
 
 /**
  * POST /api/api-keys
@@ -30,7 +36,10 @@ const { authMiddleware } = require('../middleware/authMiddleware');
  *     Content-Type: "application/json"
  *   }
  * - Body: {
- *     keyName: string (API Key의 이름, 예: "Production API")
+ *     keyName: string (API Key의 이름, 예: "Production API"),
+ *     scopes: string[] (허용할 scope, 예: ["validate:read", "usage:read"]),
+ *     ipWhitelist?: string[] (허용할 IP / CIDR, 예: ["203.0.113.0/24"], 생략 시 제한 없음),
+ *     expiresInDays?: number (30 / 90 / 180 / 365, 생략 시 만료 없음)
  *   }
  * 
  * @response
@@ -51,14 +60,15 @@ const { authMiddleware } = require('../middleware/authMiddleware');
  * 
  * @flow
  * 1. authMiddleware: JWT 토큰 검증, req.user 설정
+ *    organizationContext: 조직 멤버십 확인, req.organization 설정 (owner / developer만 통과)
  * 2. apiKeyController.createApiKey:
  *    a. req.body.keyName 확인
  *    b. apiKeyService.generateNewApiKey 호출
  * 3. apiKeyService.generateNewApiKey:
- *    a. 사용자의 활성화된 구독 확인
+ *    a. 조직의 활성화된 구독 확인
  *    b. API Key 생성: "sk_" + crypto.randomBytes(24).toString('hex')
  *    c. API Secret 생성: crypto.randomBytes(32).toString('hex')
- *    d. Secret을 SHA256 해싱하여 apiSecretHash 생성
+ *    d. Secret을 HMAC-SHA256(API_SECRET_PEPPER)으로 해싱하여 apiSecretHash 생성 (v2$...)
  *    e. ApiKeys 테이블에 INSERT
  *    f. { keyId, apiKey, apiSecret, warning } 반환
  * 4. 응답 반환
@@ -90,12 +100,12 @@ const { authMiddleware } = require('../middleware/authMiddleware');
  *   "timestamp": "2025-12-17T07:39:00.000Z"
  * }
  */
-router.post('/api-keys', authMiddleware, apiKeyController.createApiKey);
+router.post('/api-keys', authMiddleware, organizationContext, requireOrganizationRole('owner', 'developer'), apiKeyController.createApiKey);
 
 /**
  * GET /api/api-keys
  * 
- * 설명: 현재 사용자의 모든 API Key 목록 조회
+ * 설명: 현재 조직의 모든 API Key 목록 조회
  * 
  * @auth
  * - 필수: JWT Access Token
@@ -128,10 +138,10 @@ router.post('/api-keys', authMiddleware, apiKeyController.createApiKey);
  * @flow
  * 1. authMiddleware: JWT 토큰 검증
  * 2. apiKeyController.getApiKeys:
- *    a. req.user.userId에서 사용자 ID 추출
- *    b. apiKeyService.getUserApiKeys 호출
- * 3. apiKeyService.getUserApiKeys:
- *    a. ApiKeys 테이블에서 user_id로 조회
+ *    a. req.organization.id에서 조직 ID 추출
+ *    b. apiKeyService.getOrganizationApiKeys 호출
+ * 3. apiKeyService.getOrganizationApiKeys:
+ *    a. ApiKeys 테이블에서 organization_id로 조회
  *    b. api_key는 처음 10자만 반환 (LEFT(api_key, 10))
  *    c. api_secret_hash는 포함하지 않음 (보안)
  *    d. created_at 기준 내림차순 정렬
@@ -161,7 +171,7 @@ router.post('/api-keys', authMiddleware, apiKeyController.createApiKey);
  *   "message": "API Key 목록 조회 성공"
  * }
  */
-router.get('/api-keys', authMiddleware, apiKeyController.getApiKeys);
+router.get('/api-keys', authMiddleware, organizationContext, apiKeyController.getApiKeys);
 
 /**
  * DELETE /api/api-keys/:keyId
@@ -218,6 +228,127 @@ router.get('/api-keys', authMiddleware, apiKeyController.getApiKeys);
  *   "timestamp": "2025-12-17T07:39:00.000Z"
  * }
  */
-router.delete('/api-keys/:keyId', authMiddleware, apiKeyController.revokeApiKey);
+router.delete('/api-keys/:keyId', authMiddleware, organizationContext, requireOrganizationRole('owner', 'developer'), apiKeyController.revokeApiKey);
+
+/**
+ * POST /api/api-keys/:keyId/rotate
+ * 
+ * 설명: API Secret 교체 (API Key 값은 유지)
+ * 
+ * @auth
+ * - 필수: JWT Access Token, 조직 역할 owner / developer
+ * 
+ * @request
+ * - Body: {
+ *     gracePeriodHours?: number (이전 Secret 허용 시간, 0 ~ 168, 기본 .env API_KEY_ROTATION_GRACE_HOURS 또는 24),
+ *     expiresInDays?: number (지정 시 만료일 재설정)
+ *   }
+ * 
+ * @response
+ * - 200 OK: { success: true, data: { keyId, apiKey, apiSecret, previousSecretExpiresAt, expiresAt, warning } }
+ * - 400 Bad Request: 잘못된 유예 시간 / 만료 기간
+ * - 404 Not Found: API Key 없음 (다른 조직 / 비활성화된 Key 포함)
+ * 
+ * @important
+ * - 새 Secret은 이 응답에서 한 번만 표시됨
+ * - 유예 기간이 끝나면 이전 Secret은 401 INVALID_API_SECRET
+ */
+router.post('/api-keys/:keyId/rotate', authMiddleware, organizationContext, requireOrganizationRole('owner', 'developer'), apiKeyController.rotateApiKey);
+
+/**
+ * POST /api/api-keys/:keyId/signing-secret
+ * 
+ * 설명: 서명 요청 (X-Signature)용 서명 Secret 발급 / 재발급 (API Secret과 별개, Key별 선택)
+ * 
+ * @auth
+ * - 필수: JWT Access Token, 조직 역할 owner / developer
+ * 
+ * @request
+ * - Body: {
+ *     gracePeriodHours?: number (재발급 시 이전 서명 Secret 허용 시간, 0 ~ 168, 기본 .env API_KEY_ROTATION_GRACE_HOURS 또는 24)
+ *   }
+ * 
+ * @response
+ * - 200 OK: { success: true, data: { keyId, signingSecret, previousSigningSecretExpiresAt, warning } }
+ * - 400 Bad Request: 잘못된 유예 시간
+ * - 404 Not Found: API Key 없음 (다른 조직 / 비활성화된 Key 포함)
+ * - 503 Service Unavailable: 서버 암호화 키 (DATA_ENCRYPTION_KEY) 미설정 (SIGNING_UNAVAILABLE)
+ * 
+ * @important
+ * - 서명 Secret은 이 응답에서 한 번만 표시됨
+ * - API Secret 교체 (rotate)와 무관 (서명 Secret은 따로 재발급)
+ */
+router.post('/api-keys/:keyId/signing-secret', authMiddleware, organizationContext, requireOrganizationRole('owner', 'developer'), apiKeyController.issueSigningSecret);
+
+/**
+ * PUT /api/api-keys/:keyId/scopes
+ * 
+ * 설명: API Key의 권한 범위(scope) 변경 (전체 교체)
+ * 
+ * @auth
+ * - 필수: JWT Access Token, 조직 역할 owner / developer
+ * 
+ * @request
+ * - Body: { scopes: string[] } (1개 이상, config/constants.js API_KEY_SCOPES)
+ * 
+ * @response
+ * - 200 OK: { success: true, data: { keyId, scopes }, message: "API Key 권한이 변경되었습니다" }
+ * - 400 Bad Request: scopes 누락 또는 알 수 없는 scope (INVALID_SCOPE)
+ * - 404 Not Found: API Key 없음 (다른 조직의 Key 포함)
+ */
+router.put('/api-keys/:keyId/scopes', authMiddleware, organizationContext, requireOrganizationRole('owner', 'developer'), apiKeyController.updateApiKeyScopes);
+
+/**
+ * PUT /api/api-keys/:keyId/ip-whitelist
+ * 
+ * 설명: API Key의 IP 화이트리스트 변경 (전체 교체)
+ * 
+ * @auth
+ * - 필수: JWT Access Token, 조직 역할 owner / developer
+ * 
+ * @request
+ * - Body: { ipWhitelist: string[] } (IPv4/IPv6 주소 또는 CIDR, 최대 50개, 빈 배열이면 제한 해제)
+ * 
+ * @response
+ * - 200 OK: { success: true, data: { keyId, ipWhitelist }, message: "API Key IP 화이트리스트가 변경되었습니다" }
+ * - 400 Bad Request: 잘못된 IP / CIDR (INVALID_IP_WHITELIST)
+ * - 404 Not Found: API Key 없음 (다른 조직의 Key 포함)
+ * 
+ * @important
+ * - API Key 인증 요청은 trust proxy가 적용된 req.ip로 확인
+ * - 목록에 없는 IP의 요청은 403 IP_NOT_ALLOWED, ApiLogs에 기록
+ */
+router.put('/api-keys/:keyId/ip-whitelist', authMiddleware, organizationContext, requireOrganizationRole('owner', 'developer'), apiKeyController.updateApiKeyIpWhitelist);
+
+/**
+ * GET /api/api-keys/:keyId/usage
+ * 
+ * 설명: API Key별 사용량 분석 (구간별 호출 수, 에러율, 응답 시간 백분위, 상위 IP, 상태 코드)
+ * 
+ * @auth
+ * - 필수: JWT Access Token (조직 멤버 누구나)
+ * 
+ * @request
+ * - Query: range?: '24h' (시간 단위) | '7d' | '30d' | '90d' (일 단위), 기본 24h
+ * 
+ * @response
+ * - 200 OK: {
+ *     success: true,
+ *     data: {
+ *       keyId, keyName, range, bucket: 'hour' | 'day', from, to,
+ *       summary: { totalCalls, errorCalls, errorRate, avgResponseTimeMs, p50ResponseTimeMs, p95ResponseTimeMs },
+ *       timeline: [{ bucket, calls, errors, errorRate }],
+ *       topIps: [{ ipAddress, calls, errors }],
+ *       statusCodes: [{ statusCode, count }]
+ *     }
+ *   }
+ * - 400 Bad Request: 지원하지 않는 range (INVALID_RANGE)
+ * - 404 Not Found: API Key 없음 (다른 조직의 Key 포함)
+ * 
+ * @important
+ * - 인증을 통과한 요청만 집계 (인증 실패 요청은 Key와 연결되지 않음)
+ * - 비활성화된 Key도 조회 가능 (과거 사용량)
+ */
+router.get('/api-keys/:keyId/usage', authMiddleware, organizationContext, apiKeyController.getApiKeyUsage);
 
 module.exports = router;
\ No newline at end of file
@@ -3,18 +3,28 @@
  * 
  * 역할:
  * - 사용자 회원가입
- * - 사용자 로그인
+ * - 사용자 로그인 (2단계 인증 사용 시 챌린지 → 코드 확인)
  * - 토큰 갱신
+ * - 로그아웃 (현재 세션 / 모든 세션)
+ * - 비밀번호 재설정 (요청 / 실행)
+ * - 이메일 인증 (인증 / 재발송)
  * 
  * 인증 미들웨어 필요 여부:
  * - signup: 불필요 (공개 엔드포인트)
  * - login: 불필요 (공개 엔드포인트)
+ * - login/2fa: 불필요 (챌린지 토큰으로 확인, IP당 15분 10회 제한)
  * - refresh-token: 불필요 (토큰 없이도 refresh token으로 재발급)
+ * - logout, logout-all: 필요 (Access Token의 세션 기준으로 종료)
+ * - forgot-password, reset-password: 불필요 (IP당 15분 5회 제한)
+ * - verify-email: 불필요 (메일 링크의 토큰으로 인증)
+ * - resend-verification: 필요 (사용자당 1시간 5회 제한)
  */
 
 const express = require('express');
 const router = express.Router();
 const authController = require('../controllers/authController');
+const { authMiddleware } = require('../middleware/authMiddleware');
+const { passwordResetLimiter, verificationResendLimiter, twoFactorLoginLimiter } = require('../middleware/rateLimitMiddleware');
 
 /**
  * POST /api/auth/signup
@@ -85,23 +95,32 @@ router.post('/auth/signup', authController.signup);
  *       userId, 
  *       accessToken (7일 유효), 
  *       refreshToken (30일 유효),
- *       isAdmin
+ *       isAdmin,
+ *       emailVerified,
+ *       twoFactorSetupRequired (관리자 2FA 필수인데 미등록)
  *     },
  *     message: '로그인 성공'
  *   }
+ * - 200 OK (2FA 사용자): { success: true, data: { twoFactorRequired: true, challengeToken } }
+ *   → challengeToken과 인증 코드로 POST /api/auth/login/2fa
  * - 400 Bad Request: 이메일 또는 비밀번호 누락
- * - 401 Unauthorized: 이메일 없음 또는 비밀번호 불일치
- * - 403 Forbidden: 계정 차단 또는 비활성화
+ * - 401 Unauthorized: INVALID_CREDENTIALS (이메일 없음/비밀번호 불일치 구분 없음)
+ * - 403 Forbidden: 계정 차단 또는 비활성화 (비밀번호가 맞은 경우에만)
+ * - 429 Too Many Requests: TOO_MANY_LOGIN_ATTEMPTS (Retry-After 헤더)
+ *   - 계정: 5회 연속 실패마다 잠금 (15분, 반복 시 2배, 최대 24시간)
+ *   - IP: 15분 내 3회 실패 이후 실패마다 대기 시간 2배 (1초 ~ 최대 5분)
  * - 500 Internal Server Error
  * 
  * @flow
  * 1. authController.login: 입력값 기본 검증
  * 2. authService.loginUser:
  *    a. Users 테이블에서 이메일로 사용자 조회
- *    b. 차단/비활성화 상태 확인
- *    c. bcrypt로 비밀번호 검증
- *    d. last_login 업데이트
- *    e. JWT 토큰 생성 (access + refresh)
+ *    b. IP 지연 / 계정 잠금 확인
+ *    c. bcrypt로 비밀번호 검증 (실패 기록)
+ *    d. 차단/비활성화 상태 확인
+ *    e. 2FA 사용자면 챌린지 토큰 반환 (여기서 종료)
+ *    f. 실패 기록 초기화, last_login 업데이트
+ *    g. JWT 토큰 생성 (access + refresh)
  * 3. 응답 반환
  * 
  * @example
@@ -125,6 +144,32 @@ router.post('/auth/signup', authController.signup);
  */
 router.post('/auth/login', authController.login);
 
+/**
+ * POST /api/auth/login/2fa
+ * 
+ * 설명: 2단계 인증 로그인 완료 (TOTP 코드 또는 복구 코드)
+ * 
+ * @request
+ * - Method: POST
+ * - Headers: Content-Type: application/json
+ * - Body: {
+ *     challengeToken: string (로그인 응답, 기본 5분 유효),
+ *     code: string (인증 앱 6자리) | recoveryCode: string (1회용 복구 코드)
+ *   }
+ * 
+ * @response
+ * - 200 OK: 로그인 응답과 동일 (accessToken, refreshToken, ...)
+ * - 400 Bad Request: 입력값 누락
+ * - 401 Unauthorized: INVALID_CHALLENGE_TOKEN (만료 → 다시 로그인) / INVALID_TWO_FACTOR_CODE
+ * - 403 Forbidden: 계정 차단 또는 비활성화
+ * - 429 Too Many Requests: IP당 15분 10회 초과
+ * 
+ * @note
+ * - 같은 TOTP 코드는 한 번만 사용 가능
+ * - 이 경로로 만든 세션만 관리자 2FA 필수 설정을 통과
+ */
+router.post('/auth/login/2fa', twoFactorLoginLimiter, authController.loginTwoFactor);
+
 /**
  * POST /api/auth/refresh-token
  * 
@@ -141,26 +186,31 @@ router.post('/auth/login', authController.login);
  * - 200 OK: { 
  *     success: true, 
  *     data: { 
- *       accessToken (새로운 7일 유효 토큰)
+ *       accessToken (새로운 7일 유효 토큰),
+ *       refreshToken (회전된 새 refresh token)
  *     },
  *     message: '토큰 갱신 성공'
  *   }
  * - 400 Bad Request: refreshToken 누락
- * - 401 Unauthorized: 유효하지 않은 또는 만료된 refreshToken
+ * - 401 Unauthorized: 유효하지 않은/만료된/폐기된 refreshToken (INVALID_REFRESH_TOKEN)
+ * - 401 Unauthorized: 이미 사용된 refreshToken 재제출 (REFRESH_TOKEN_REUSED)
+ * - 403 Forbidden: 차단 또는 비활성화된 계정
  * - 500 Internal Server Error
  * 
  * @flow
  * 1. authController.refreshToken: 입력값 검증
  * 2. authService.refreshAccessToken:
- *    a. refreshToken 검증 (JWT_REFRESH_SECRET 사용)
- *    b. 토큰에서 userId 추출
- *    c. 새로운 accessToken 생성
+ *    a. refreshToken 서명 검증 (JWT_REFRESH_SECRET 사용)
+ *    b. 사용자 차단/비활성화 확인
+ *    c. refreshTokenService.rotateRefreshToken: RefreshTokens 테이블 확인 후 회전
+ *    d. 새로운 accessToken 생성
  * 3. 응답 반환
  * 
  * @note
- * - Refresh Token은 갱신되지 않음 (30일 유효기간 유지)
- * - Access Token만 새로 생성됨
- * - 클라이언트는 새로운 accessToken으로 업데이트해야 함
+ * - Refresh Token은 호출마다 회전됨 (기존 토큰은 즉시 사용 불가)
+ * - 이미 사용된 토큰이 다시 제출되면 탈취로 간주하고 같은 family 전체 폐기
+ * - 관리자 차단, 비밀번호 변경 시 해당 사용자의 모든 refresh token 폐기
+ * - 클라이언트는 accessToken과 refreshToken 모두 교체 저장해야 함
  * 
  * @example
  * POST /api/auth/refresh-token
@@ -172,11 +222,147 @@ router.post('/auth/login', authController.login);
  * {
  *   "success": true,
  *   "data": {
- *     "accessToken": "eyJhbGciOiJIUzI1NiIsInR5cCI6IkpXVCJ9..."
+ *     "accessToken": "eyJhbGciOiJIUzI1NiIsInR5cCI6IkpXVCJ9...",
+ *     "refreshToken": "eyJhbGciOiJIUzI1NiIsInR5cCI6IkpXVCJ9..."
  *   },
  *   "message": "토큰 갱신 성공"
  * }
  */
 router.post('/auth/refresh-token', authController.refreshToken);
 
+/**
+ * POST /api/auth/logout
+ * 
+ * 설명: 현재 세션 로그아웃
+ * 
+ * @request
+ * - Method: POST
+ * - Headers: Authorization: Bearer {accessToken}
+ * 
+ * @response
+ * - 200 OK: { success: true, message: '로그아웃되었습니다.' }
+ * - 401 Unauthorized: 토큰 없음/유효하지 않음/이미 종료된 세션
+ * - 500 Internal Server Error
+ * 
+ * @flow
+ * 1. authMiddleware: 토큰 및 세션 유효성 확인
+ * 2. sessionService.revokeSession: UserSessions 종료 + 같은 family의 Refresh Token 폐기
+ * 
+ * @note
+ * - 로그아웃 직후부터 해당 Access Token은 모든 인증 API에서 401 (SESSION_REVOKED)
+ */
+router.post('/auth/logout', authMiddleware, authController.logout);
+
+/**
+ * POST /api/auth/logout-all
+ * 
+ * 설명: 모든 기기에서 로그아웃 (사용자의 모든 세션 종료)
+ * 
+ * @request
+ * - Method: POST
+ * - Headers: Authorization: Bearer {accessToken}
+ * 
+ * @response
+ * - 200 OK: { success: true, message: '모든 기기에서 로그아웃되었습니다.' }
+ * - 401 Unauthorized: 인증 실패
+ * - 500 Internal Server Error
+ * 
+ * @flow
+ * 1. authMiddleware: 토큰 및 세션 유효성 확인
+ * 2. sessionService.revokeAllSessions: 사용자의 모든 세션 종료 + 모든 Refresh Token 폐기
+ */
+router.post('/auth/logout-all', authMiddleware, authController.logoutAll);
+
+/**
+ * POST /api/auth/forgot-password
+ * 
+ * 설명: 비밀번호 재설정 링크 메일 발송
+ * 
+ * @request
+ * - Method: POST
+ * - Headers: Content-Type: application/json
+ * - Body: { email: string }
+ * 
+ * @response
+ * - 200 OK: 가입 여부와 관계없이 동일한 응답
+ * - 400 Bad Request: 이메일 누락 또는 형식 오류
+ * - 429 Too Many Requests: 15분 내 5회 초과
+ * - 500 Internal Server Error
+ * 
+ * @flow
+ * 1. passwordResetLimiter: IP 기준 요청 제한
+ * 2. passwordResetService.requestPasswordReset:
+ *    a. 활성 사용자인 경우에만 토큰 발급 (기존 미사용 토큰 무효화)
+ *    b. 토큰 해시 저장 (PasswordResetTokens)
+ *    c. mailService로 재설정 링크 발송 (MAIL_TRANSPORT: smtp/file/console)
+ * 
+ * @note
+ * - 링크: {APP_BASE_URL}/pages/auth/reset-password.html?token=...
+ * - 유효기간: PASSWORD_RESET_EXPIRE_MINUTES (기본 30분), 1회용
+ */
+router.post('/auth/forgot-password', passwordResetLimiter, authController.forgotPassword);
+
+/**
+ * POST /api/auth/reset-password
+ * 
+ * 설명: 재설정 토큰으로 새 비밀번호 설정
+ * 
+ * @request
+ * - Method: POST
+ * - Headers: Content-Type: application/json
+ * - Body: {
+ *     token: string (메일 링크의 token),
+ *     newPassword: string (최소 8자, 대소문자, 숫자, 특수문자),
+ *     confirmPassword: string
+ *   }
+ * 
+ * @response
+ * - 200 OK: 재설정 완료
+ * - 400 Bad Request: 입력값 오류 또는 INVALID_RESET_TOKEN (만료/사용됨/존재하지 않음)
+ * - 429 Too Many Requests: 15분 내 5회 초과
+ * - 500 Internal Server Error
+ * 
+ * @note
+ * - 재설정 성공 시 모든 세션 및 Refresh Token 폐기 (모든 기기 재로그인)
+ */
+router.post('/auth/reset-password', passwordResetLimiter, authController.resetPassword);
+
+/**
+ * POST /api/auth/verify-email
+ * 
+ * 설명: 인증 메일 링크의 토큰으로 이메일 인증 완료
+ * 
+ * @request
+ * - Method: POST
+ * - Headers: Content-Type: application/json
+ * - Body: { token: string }
+ * 
+ * @response
+ * - 200 OK: { success: true, data: { alreadyVerified } }
+ * - 400 Bad Request: INVALID_VERIFICATION_TOKEN (위조/만료/이메일 변경됨)
+ * - 500 Internal Server Error
+ * 
+ * @note
+ * - 가입 직후 발송되는 링크: {APP_BASE_URL}/pages/auth/verify-email.html?token=...
+ * - 인증 전에는 구독 신청, API Key 생성 시 403 (EMAIL_NOT_VERIFIED)
+ */
+router.post('/auth/verify-email', authController.verifyEmail);
+
+/**
+ * POST /api/auth/resend-verification
+ * 
+ * 설명: 인증 메일 재발송
+ * 
+ * @request
+ * - Method: POST
+ * - Headers: Authorization: Bearer {accessToken}
+ * 
+ * @response
+ * - 200 OK: 발송 완료
+ * - 409 Conflict: EMAIL_ALREADY_VERIFIED
+ * - 429 Too Many Requests: VERIFICATION_COOLDOWN (기본 60초 간격) 또는 1시간 5회 초과
+ * - 500 Internal Server Error
+ */
+router.post('/auth/resend-verification', authMiddleware, verificationResendLimiter, authController.resendVerification);
+
 module.exports = router;
\ No newline at end of file
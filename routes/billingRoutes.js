@@ -0,0 +1,147 @@
+/**
+ * Billing Routes - 청구서 / 결제 엔드포인트
+ * 
+ * 역할:
+ * - 선택된 조직의 결제 기간별 청구서 목록 / 상세 조회
+ * - 결제 대행사 결제 페이지 생성 (승인 대기 구독 / 발행된 청구서)
+ * - 결제 대행사 Webhook 수신 (결제 성공 → 구독 자동 활성화 / 청구서 paid)
+ * 
+ * 인증 미들웨어: Webhook을 제외한 모든 엔드포인트에 필수 (JWT 토큰)
+ * 조직: X-Organization-Id 헤더 (없으면 기본 조직), 모든 멤버 조회 가능, 결제는 owner
+ * 
+ * 청구서 생성 (services/invoiceService.js):
+ * - 기간 시작 (구독 승인 / 자동 갱신): draft + 기본 요금
+ * - 기간 종료 (갱신 / 만료 / 해지): 업그레이드 일할 계산, 세금 → open (합계 0이면 paid)
+ * - 인쇄용 화면: frontend/pages/user/invoice.html?id={invoiceId}
+ */
+
+const express = require('express');
+const router = express.Router();
+const billingController = require('../controllers/billingController');
+const { authMiddleware } = require('../middleware/authMiddleware');
+const { organizationContext, requireOrganizationRole } = require('../middleware/organizationMiddleware');
+
+/**
+ * GET /api/billing/invoices
+ * 
+ * 설명: 현재 조직의 청구서 목록 (기간 최신순)
+ * 
+ * @auth
+ * - 필수: JWT Access Token (조직 멤버)
+ * 
+ * @request
+ * - Query: {
+ *     status: "draft" | "open" | "paid" | "void" (선택),
+ *     page: number (기본 1),
+ *     limit: number (기본 20, 최대 100)
+ *   }
+ * 
+ * @response
+ * - 200 OK: {
+ *     success: true,
+ *     data: {
+ *       invoices: [{
+ *         id, invoice_number, subscription_id, tier_id, tier_name,
+ *         period_start, period_end, status, currency,
+ *         subtotal_usd, tax_usd, total_usd, issued_at, due_date, paid_at, created_at
+ *       }],
+ *       total, page, limit, totalPages
+ *     }
+ *   }
+ * - 400 Bad Request: 알 수 없는 status
+ * - 401 Unauthorized: 토큰 없음 또는 유효하지 않음
+ * 
+ * @note
+ * - draft는 진행 중인 기간 (기본 요금만, 금액 미확정)
+ */
+router.get('/billing/invoices', authMiddleware, organizationContext, billingController.listInvoices);
+
+/**
+ * GET /api/billing/invoices/:id
+ * 
+ * 설명: 청구서 상세 (청구 항목 포함)
+ * 
+ * @auth
+ * - 필수: JWT Access Token (조직 멤버)
+ * 
+ * @response
+ * - 200 OK: {
+ *     success: true,
+ *     data: {
+ *       id, invoice_number, organization_id, organization_name, subscriber_email,
+ *       subscription_id, tier_id, tier_name, period_start, period_end, status, currency,
+ *       subtotal_usd, tax_rate, tax_usd, total_usd, issued_at, due_date, paid_at, voided_at,
+ *       lineItems: [{
+ *         id, line_type: "base_plan" | "prepayment" | "proration",
+ *         description, quantity, unit_price_usd, amount_usd
+ *       }]
+ *     }
+ *   }
+ * - 404 Not Found: 청구서 없음 (다른 조직 청구서 포함)
+ */
+router.get('/billing/invoices/:id', authMiddleware, organizationContext, billingController.getInvoice);
+
+/**
+ * POST /api/billing/checkout
+ * 
+ * 설명: 결제 대행사 결제 페이지 생성 (PAYMENT_PROVIDER)
+ * 
+ * @auth
+ * - 필수: JWT Access Token (조직 owner)
+ * 
+ * @request
+ * - Body: {
+ *     invoiceId: string (선택) - 결제할 발행된 (open) 청구서, 없으면 승인 대기 구독
+ *   }
+ * 
+ * @response
+ * - 201 Created: {
+ *     success: true,
+ *     data: {
+ *       paymentId, provider, purpose: "subscription" | "invoice", amountUsd,
+ *       checkoutUrl: 대행사 결제 페이지 (브라우저를 이동)
+ *     }
+ *   }
+ * - 400 Bad Request: 결제 대기 청구서가 아님, 결제 금액 0 (무료 Tier는 관리자 승인)
+ * - 403 Forbidden: 조직 owner 아님
+ * - 404 Not Found: 승인 대기 구독 / 청구서 없음
+ * - 409 Conflict: 이미 결제 완료 (PAYMENT_ALREADY_COMPLETED), 결제 페이지 생성 중 (PAYMENT_IN_PROGRESS)
+ * - 502 Bad Gateway: 결제 대행사 요청 실패 (PAYMENT_PROVIDER_ERROR)
+ * 
+ * @note
+ * - 같은 구독 / 청구서의 진행 중인 (pending) 결제가 있으면 새로 만들지 않고 그 결제 페이지를 반환
+ * - 구독 결제 금액: Tier 가격 + 세금 (BILLING.TAX_RATE), 첫 기간 청구서 확정 시 세금 제외 금액 차감
+ * - 결제가 끝나면 대행사 Webhook으로 확인 (결제 페이지에서 돌아온 것만으로는 활성화하지 않음)
+ * - 돌아올 페이지: {APP_BASE_URL}/pages/user/subscription.html?checkout=success | cancelled
+ */
+router.post('/billing/checkout', authMiddleware, organizationContext, requireOrganizationRole('owner'), billingController.createCheckout);
+
+/**
+ * POST /api/billing/webhooks/:provider
+ * 
+ * 설명: 결제 대행사 Webhook 수신
+ * 
+ * @auth
+ * - 없음 (대행사 서명으로 확인: Stripe-Signature / X-Fake-Signature)
+ * 
+ * @request
+ * - Params: provider = 설정된 PAYMENT_PROVIDER (stripe / fake는 NODE_ENV=test 전용)
+ * - Body: 대행사 이벤트 원문 (서명은 원문 기준, req.rawBody)
+ * 
+ * @response
+ * - 200 OK: {
+ *     success: true,
+ *     data: { processed, type: "payment.succeeded" | "payment.failed" | "payment.refunded" | null, paymentId, status }
+ *   }
+ * - 400 Bad Request: 서명 불일치 / timestamp 만료 (INVALID_WEBHOOK_SIGNATURE)
+ * - 404 Not Found: 설정되지 않은 대행사
+ * 
+ * @note
+ * - 결제 성공: 승인 대기 구독 자동 활성화 (subscription_activated Webhook) / 청구서 paid
+ * - 같은 이벤트를 다시 받아도 한 번만 처리 (processed = false)
+ * - Stripe 등록 이벤트: checkout.session.completed, checkout.session.async_payment_succeeded,
+ *   checkout.session.async_payment_failed, checkout.session.expired, charge.refunded
+ */
+router.post('/billing/webhooks/:provider', billingController.handlePaymentWebhook);
+
+module.exports = router;
@@ -2,8 +2,9 @@ const express = require('express');
 const router = express.Router();
 const dashboardController = require('../controllers/dashboardController');
 const { authMiddleware } = require('../middleware/authMiddleware');
+const { organizationContext } = require('../middleware/organizationMiddleware');
 
-router.get('/dashboard/stats', authMiddleware, dashboardController.getDashboard);
-router.get('/dashboard/logs', authMiddleware, dashboardController.getApiLogs);
+router.get('/dashboard/stats', authMiddleware, organizationContext, dashboardController.getDashboard);
+router.get('/dashboard/logs', authMiddleware, organizationContext, dashboardController.getApiLogs);
 
 module.exports = router;
\ No newline at end of file
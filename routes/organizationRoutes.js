@@ -0,0 +1,22 @@
+const express = require('express');
+const router = express.Router();
+const organizationController = require('../controllers/organizationController');
+const { authMiddleware } = require('../middleware/authMiddleware');
+const { organizationContext, requireOrganizationRole } = require('../middleware/organizationMiddleware');
+
+const ownerOnly = requireOrganizationRole('owner');
+
+router.get('/organizations', authMiddleware, organizationController.getMyOrganizations);
+router.post('/organizations', authMiddleware, organizationController.createOrganization);
+router.post('/organizations/invitations/accept', authMiddleware, organizationController.acceptInvitation);
+
+router.get('/organizations/:organizationId/members', authMiddleware, organizationContext, organizationController.getMembers);
+router.put('/organizations/:organizationId/members/:userId', authMiddleware, organizationContext, ownerOnly, organizationController.updateMemberRole);
+// owner 또는 본인 탈퇴 (컨트롤러에서 확인)
+router.delete('/organizations/:organizationId/members/:userId', authMiddleware, organizationContext, organizationController.removeMember);
+
+router.post('/organizations/:organizationId/invitations', authMiddleware, organizationContext, ownerOnly, organizationController.createInvitation);
+router.get('/organizations/:organizationId/invitations', authMiddleware, organizationContext, ownerOnly, organizationController.getInvitations);
+router.delete('/organizations/:organizationId/invitations/:invitationId', authMiddleware, organizationContext, ownerOnly, organizationController.revokeInvitation);
+
+module.exports = router;
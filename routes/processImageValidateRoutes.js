@@ -8,6 +8,9 @@ const express = require('express');
 const router = express.Router();
 const processImageValidateController = require('../controllers/processImageValidateController');
 const { validateImageMiddleware } = require('../middleware/imageValidationMiddleware');
+const { adminAuthMiddleware, requirePermission } = require('../middleware/authMiddleware');
+const { authenticateApiKey, requireApiKeyScope } = require('../middleware/apiKeyMiddleware');
+const { apiKeyRateLimiter } = require('../middleware/rateLimitMiddleware');
 
 /**
 * POST /api/process-image-validate
@@ -15,10 +18,12 @@ const { validateImageMiddleware } = require('../middleware/imageValidationMiddle
 * 설명: API Key와 Secret을 검증한 후 이미지 분석 수행
 * 응답에는 OpenAI 응답 시간과 서버 처리 시간을 분리한 timing 객체 포함
 *
-* @public (인증 불필요)
-* @middleware imageValidationMiddleware (이미지 형식 및 크기 검증)
+* @public (JWT 인증 불필요)
+* @scope images:process (API Key에 scope 없으면 403 INSUFFICIENT_SCOPE)
+* @middleware authenticateApiKey, apiKeyRateLimiter (Key당 초당 / 시간당 제한), requireApiKeyScope, imageValidationMiddleware (이미지 형식 및 크기 검증)
 * @param {string} api_key - API Key (sk_... 형식)
 * @param {string} api_secret - API Secret
+*   (또는 서명 요청: X-Api-Key / X-Timestamp / X-Nonce / X-Signature 헤더, POST /api/validate-key 설명 참고)
 * @param {string} image - Base64 인코딩된 이미지
 * @param {string} url - 
 
@@ -46,14 +51,17 @@ const { validateImageMiddleware } = require('../middleware/imageValidationMiddle
 * }
 *
 * @returns {400} Bad Request
-* @returns {401} Unauthorized
-* @returns {403} Forbidden
-* @returns {429} Too Many Requests
+* @returns {401} Unauthorized (INVALID_API_KEY, INVALID_API_SECRET, INVALID_SIGNATURE, REQUEST_TIMESTAMP_EXPIRED, NONCE_REUSED)
+* @returns {403} Forbidden (API_KEY_INACTIVE, API_KEY_EXPIRED, IP_NOT_ALLOWED, USER_INACTIVE, SUBSCRIPTION_INACTIVE, INSUFFICIENT_SCOPE)
+* @returns {429} Too Many Requests (API_LIMIT_EXCEEDED, RATE_LIMIT_EXCEEDED + Retry-After 헤더)
 * @returns {500} Internal Server Error
 */
 
 router.post(
   '/process-image-validate',
+  authenticateApiKey,
+  apiKeyRateLimiter,
+  requireApiKeyScope('images:process'),
   validateImageMiddleware,
   processImageValidateController.processImageValidate
 );
@@ -62,6 +70,7 @@ router.post(
 * ✅ 추가: GET /api/admin/timing-logs
 *
 * 설명: 메모리 버퍼에 저장된 최근 타이밍 정보 조회 (관리자용)
+* 인증: 관리자 토큰 + logs:read 권한
 * 
 * @query {number} [limit=20] - 조회할 로그 개수 (최대 1000개까지 메모리에 저장)
 *
@@ -101,6 +110,8 @@ router.post(
 
 router.get(
   '/admin/timing-logs',
+  adminAuthMiddleware,
+  requirePermission('logs:read'),
   processImageValidateController.getTimingLogs
 );
 
@@ -108,6 +119,7 @@ router.get(
 * ✅ 추가: GET /api/admin/timing-statistics
 *
 * 설명: 메모리 버퍼의 타이밍 통계 조회 (관리자용)
+* 인증: 관리자 토큰 + logs:read 권한
 * 
 * @returns {200} 타이밍 통계
 * {
@@ -149,6 +161,8 @@ router.get(
 
 router.get(
   '/admin/timing-statistics',
+  adminAuthMiddleware,
+  requirePermission('logs:read'),
   processImageValidateController.getTimingStatistics
 );
 
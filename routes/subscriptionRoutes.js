@@ -3,10 +3,14 @@
  * 
  * 역할:
  * - 구독 신청 (Basic, Premium, Enterprise)
- * - 현재 사용자의 구독 정보 조회
+ * - 선택된 조직의 구독 정보 조회
  * - 이용 가능한 구독 Tier 목록 조회
+ * - 구독 Tier 변경 (업그레이드 즉시 + 일할 계산, 다운그레이드 기간 종료일) / 변경 이력
+ * - 구독 해지 (즉시 / 기간 종료 시) / 기간 종료 전 재활성화
  * 
  * 인증 미들웨어: 모든 엔드포인트에 필수 (JWT 토큰)
+ * 조직: X-Organization-Id 헤더 (없으면 기본 조직)
+ * - 구독 신청 / Tier 변경 / 해지 / 재활성화: owner / 구독 조회 / 변경 이력: 모든 멤버
  * 
  * 구독 Tier:
  * - Basic: 월 1,000 API 호출 (무료)
@@ -18,6 +22,7 @@ const express = require('express');
 const router = express.Router();
 const subscriptionController = require('../controllers/subscriptionController');
 const { authMiddleware } = require('../middleware/authMiddleware');
+const { organizationContext, requireOrganizationRole } = require('../middleware/organizationMiddleware');
 
 /**
  * POST /api/subscriptions/request
@@ -47,7 +52,7 @@ const { authMiddleware } = require('../middleware/authMiddleware');
  *   }
  * - 400 Bad Request: tierId 누락
  * - 401 Unauthorized: 토큰 없음 또는 유효하지 않음
- * - 409 Conflict: 이미 활성화된 구독이 있음
+ * - 409 Conflict: 이미 활성화된 구독 또는 승인 대기 중인 구독 신청이 있음
  * - 500 Internal Server Error
  * 
  * @flow
@@ -57,7 +62,7 @@ const { authMiddleware } = require('../middleware/authMiddleware');
  *    b. req.body.tierId 확인
  *    c. subscriptionService.requestSubscription 호출
  * 3. subscriptionService.requestSubscription:
- *    a. 사용자가 이미 활성화된 구독을 가졌는지 확인
+ *    a. 조직이 이미 활성화된 구독 / 승인 대기 구독을 가졌는지 확인
  *    b. 있으면 409 에러
  *    c. UserSubscriptions 테이블에 INSERT (status='pending')
  *    d. subscriptionId 반환
@@ -66,7 +71,7 @@ const { authMiddleware } = require('../middleware/authMiddleware');
  * @note
  * - 신청 직후 상태는 'pending' (관리자 승인 대기)
  * - 관리자가 승인하면 상태가 'active'로 변경
- * - 한 사용자는 동시에 1개의 활성 구독만 가능
+ * - 한 조직은 동시에 1개의 활성 구독만 가능
  * 
  * @example
  * POST /api/subscriptions/request
@@ -83,12 +88,12 @@ const { authMiddleware } = require('../middleware/authMiddleware');
  *   "message": "구독 신청이 완료되었습니다"
  * }
  */
-router.post('/subscriptions/request', authMiddleware, subscriptionController.requestSubscription);
+router.post('/subscriptions/request', authMiddleware, organizationContext, requireOrganizationRole('owner'), subscriptionController.requestSubscription);
 
 /**
  * GET /api/subscriptions/my-subscription
  * 
- * 설명: 현재 사용자의 구독 정보 조회
+ * 설명: 현재 조직의 구독 정보 조회
  * 
  * @auth
  * - 필수: JWT Access Token
@@ -123,10 +128,10 @@ router.post('/subscriptions/request', authMiddleware, subscriptionController.req
  * @flow
  * 1. authMiddleware: JWT 토큰 검증
  * 2. subscriptionController.getMySubscription:
- *    a. req.user.userId 추출
- *    b. subscriptionService.getUserSubscription 호출
- * 3. subscriptionService.getUserSubscription:
- *    a. UserSubscriptions 테이블에서 user_id로 조회
+ *    a. req.organization.id 추출
+ *    b. subscriptionService.getOrganizationSubscription 호출
+ * 3. subscriptionService.getOrganizationSubscription:
+ *    a. UserSubscriptions 테이블에서 organization_id로 조회
  *    b. SubscriptionTiers와 JOIN하여 tier 정보 포함
  *    c. 활성 구독만 반환
  * 4. 응답 반환
@@ -158,7 +163,7 @@ router.post('/subscriptions/request', authMiddleware, subscriptionController.req
  *   "message": "구독 정보 조회 성공"
  * }
  */
-router.get('/subscriptions/my-subscription', authMiddleware, subscriptionController.getMySubscription);
+router.get('/subscriptions/my-subscription', authMiddleware, organizationContext, subscriptionController.getMySubscription);
 
 /**
  * GET /api/subscriptions/tiers
@@ -257,4 +262,131 @@ router.get('/subscriptions/my-subscription', authMiddleware, subscriptionControl
 
 router.get('/subscriptions/tiers', authMiddleware, subscriptionController.getSubscriptionTiers);
 
+/**
+ * POST /api/subscriptions/change-tier
+ * 
+ * 설명: 활성 구독의 Tier 변경 (업그레이드 / 다운그레이드)
+ * 
+ * @auth
+ * - 필수: JWT Access Token
+ * - 조직 owner만 가능
+ * 
+ * @request
+ * - Body: {
+ *     tierId: number (변경할 Tier ID),
+ *     preview: boolean (선택, true면 계산 결과만 반환)
+ *   }
+ * 
+ * @response
+ * - 200 OK: {
+ *     success: true,
+ *     data: {
+ *       changeId: string | null (preview),
+ *       changeType: "upgrade" | "downgrade" | null (예약 취소),
+ *       status: "applied" | "scheduled" | "cancelled",
+ *       effectiveDate: date,
+ *       preview: boolean,
+ *       fromTier: { id, tierName, priceUsd, apiCallLimit },
+ *       toTier: { id, tierName, priceUsd, apiCallLimit },
+ *       proration: { remainingDays, periodDays, creditUsd, chargeUsd, amountDueUsd } | null
+ *     }
+ *   }
+ * - 400 Bad Request: tierId 누락, INVALID_TIER, TIER_UNCHANGED
+ * - 403 Forbidden: EMAIL_NOT_VERIFIED, 조직 owner 아님
+ * - 409 Conflict: SUBSCRIPTION_INACTIVE (활성 구독 없음), TIER_CHANGE_CONFLICT
+ * 
+ * @flow
+ * 1. 활성 구독 / 대상 Tier 조회 (SubscriptionTiers.price_usd)
+ * 2. 업그레이드 (가격이 높거나, 같으면 API 호출 한도가 큰 Tier):
+ *    a. 남은 기간 비율 = (end_date - 오늘) / (end_date - start_date)
+ *    b. credit = 기존 가격 × 비율, charge = 새 가격 × 비율, amountDue = charge - credit
+ *    c. 구독 Tier 즉시 변경, 변경 기록 (applied), subscription_tier_changed Webhook
+ * 3. 다운그레이드: 변경 기록 (scheduled, effective_date = end_date)
+ *    → 스케줄러(subscriptionLifecycle)가 기간 종료일에 적용 후 갱신
+ * 4. 현재 Tier 선택: 예약된 다운그레이드 취소
+ * 
+ * @note
+ * - 구독당 예약 변경은 하나 (새 변경 요청 시 기존 예약 취소)
+ * - 다운그레이드는 환급 없음 (현재 기간은 기존 Tier 유지)
+ */
+router.post('/subscriptions/change-tier', authMiddleware, organizationContext, requireOrganizationRole('owner'), subscriptionController.changeTier);
+
+/**
+ * GET /api/subscriptions/tier-changes
+ * 
+ * 설명: 현재 조직의 Tier 변경 이력 (최신 20건, 예약 / 취소 포함)
+ * 
+ * @auth
+ * - 필수: JWT Access Token (조직 멤버)
+ * 
+ * @response
+ * - 200 OK: {
+ *     success: true,
+ *     data: [{
+ *       id, change_type, status, from_tier_name, to_tier_name, effective_date,
+ *       remaining_days, period_days, proration_credit_usd, proration_charge_usd, amount_due_usd,
+ *       requested_by_email, created_at, applied_at, cancelled_at
+ *     }]
+ *   }
+ */
+router.get('/subscriptions/tier-changes', authMiddleware, organizationContext, subscriptionController.getTierChangeHistory);
+
+/**
+ * POST /api/subscriptions/cancel
+ * 
+ * 설명: 조직 구독 해지 (조직 owner)
+ * 
+ * @auth
+ * - 필수: JWT Access Token
+ * - 조직 owner만 가능
+ * 
+ * @request
+ * - Body: {
+ *     mode: "immediate" | "period_end",
+ *     reason: string (선택, 최대 500자)
+ *   }
+ * 
+ * @response
+ * - 200 OK: {
+ *     success: true,
+ *     data: {
+ *       subscriptionId: string,
+ *       mode: "immediate" | "period_end",
+ *       status: "cancelled" | "active" (period_end는 기간 종료일까지 active),
+ *       cancelAtPeriodEnd: boolean,
+ *       cancelAt: datetime (즉시 해지 일시 또는 해지 예정일 end_date)
+ *     }
+ *   }
+ * - 400 Bad Request: 잘못된 mode, INVALID_CANCEL_MODE (승인 대기 구독의 period_end), 사유 길이 초과
+ * - 403 Forbidden: 조직 owner 아님
+ * - 409 Conflict: SUBSCRIPTION_INACTIVE (해지할 활성 / 승인 대기 구독 없음)
+ * 
+ * @flow
+ * 1. 조직의 활성 / 승인 대기 구독 조회
+ * 2. immediate: status = cancelled, 예약된 Tier 변경 취소, subscription_cancelled Webhook
+ *    - 승인 대기 구독은 신청 철회
+ * 3. period_end: cancel_at_period_end = 1 (end_date까지 계속 사용, 자동 갱신 안 함)
+ *    → 스케줄러(subscriptionLifecycle)가 end_date에 status = cancelled + subscription_cancelled Webhook
+ */
+router.post('/subscriptions/cancel', authMiddleware, organizationContext, requireOrganizationRole('owner'), subscriptionController.cancelSubscription);
+
+/**
+ * POST /api/subscriptions/reactivate
+ * 
+ * 설명: 기간 종료 시 해지 예약 철회 (end_date 전까지)
+ * 
+ * @auth
+ * - 필수: JWT Access Token
+ * - 조직 owner만 가능
+ * 
+ * @response
+ * - 200 OK: { success: true, data: { subscriptionId, status: "active", endDate } }
+ * - 403 Forbidden: 조직 owner 아님
+ * - 409 Conflict: CANCELLATION_NOT_SCHEDULED (해지 예약 없음, 이미 해지 완료)
+ * 
+ * @note
+ * - 이미 해지가 완료된 구독은 재활성화할 수 없음 (새로 신청)
+ */
+router.post('/subscriptions/reactivate', authMiddleware, organizationContext, requireOrganizationRole('owner'), subscriptionController.reactivateSubscription);
+
 module.exports = router;
\ No newline at end of file
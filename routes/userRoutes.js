@@ -6,5 +6,12 @@ const { authMiddleware } = require('../middleware/authMiddleware');
 router.get('/users/profile', authMiddleware, userController.getProfile);
 router.put('/users/profile', authMiddleware, userController.updateProfile);
 router.post('/users/change-password', authMiddleware, userController.changePassword);
+router.get('/users/sessions', authMiddleware, userController.getSessions);
+router.delete('/users/sessions/:sessionId', authMiddleware, userController.deleteSession);
+router.get('/users/2fa', authMiddleware, userController.getTwoFactorStatus);
+router.post('/users/2fa/setup', authMiddleware, userController.setupTwoFactor);
+router.post('/users/2fa/confirm', authMiddleware, userController.confirmTwoFactor);
+router.post('/users/2fa/disable', authMiddleware, userController.disableTwoFactor);
+router.post('/users/2fa/recovery-codes', authMiddleware, userController.regenerateRecoveryCodes);
 
 module.exports = router;
\ No newline at end of file
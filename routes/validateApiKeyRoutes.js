@@ -8,17 +8,29 @@ const express = require('express');
 const router = express.Router();
 const validateApiKeyController = require('../controllers/validateApiKeyController');
 const adminValidationLogsController = require('../controllers/adminValidationLogsController');
-const { adminAuthMiddleware } = require('../middleware/authMiddleware');
+const { adminAuthMiddleware, requirePermission } = require('../middleware/authMiddleware');
+const { authenticateApiKey, requireApiKeyScope } = require('../middleware/apiKeyMiddleware');
+const { apiKeyRateLimiter } = require('../middleware/rateLimitMiddleware');
 
 /**
  * POST /api/validate-key
  * 
  * 설명: 제3의 사이트에서 API Key와 Secret을 검증하는 공개 엔드포인트
  * 
- * @public (인증 불필요)
+ * @public (JWT 인증 불필요)
+ * @middleware authenticateApiKey (Key/Secret, 만료, IP, 사용자, 구독, 월간 한도 확인)
+ * @middleware apiKeyRateLimiter (구독 Tier별 Key당 초당 / 시간당 제한, RateLimit-* 헤더)
+ * @scope validate:read (API Key에 scope 없으면 403 INSUFFICIENT_SCOPE)
  * @param {string} api_key - API Key (sk_... 형식)
  * @param {string} api_secret - API Secret (64자 16진수)
  * 
+ * 서명 요청 (api_secret을 보내지 않는 방식, 기존 body 방식도 계속 사용 가능):
+ * @header {string} X-Api-Key - API Key
+ * @header {string} X-Timestamp - 요청 시각 (Unix 초, 서버 시각과 ±300초 이내)
+ * @header {string} X-Nonce - 요청마다 새 임의 문자열 (16~64자, 재사용 시 401 NONCE_REUSED)
+ * @header {string} X-Signature - HMAC-SHA256(서명 Secret, "POST\n/api/validate-key\n{timestamp}\n{nonce}\n{SHA256(body)}") 16진수
+ *   (서명 문자열 형식: utils/requestSignatureUtils.js, 서명 Secret은 POST /api/api-keys/:keyId/signing-secret으로 발급)
+ * 
  * @returns {200} 검증 성공
  * {
  *   success: true,
@@ -41,7 +53,10 @@ const { adminAuthMiddleware } = require('../middleware/authMiddleware');
  *   timestamp: "2025-12-18T05:26:00.000Z"
  * }
  * 
- * @returns {401} Unauthorized - 잘못된 Key/Secret
+ * @returns {400} Bad Request - API Key 형식 오류 (INVALID_API_KEY_FORMAT)
+ * 
+ * @returns {401} Unauthorized - 잘못된 Key (INVALID_API_KEY) / Secret (INVALID_API_SECRET)
+ *   서명 요청: INVALID_SIGNATURE, REQUEST_TIMESTAMP_EXPIRED, NONCE_REUSED (헤더 형식 오류는 400 INVALID_SIGNATURE_HEADERS)
  * {
  *   success: false,
  *   message: "유효하지 않은 API Key입니다",
@@ -49,7 +64,7 @@ const { adminAuthMiddleware } = require('../middleware/authMiddleware');
  *   timestamp: "2025-12-18T05:26:00.000Z"
  * }
  * 
- * @returns {403} Forbidden - 비활성화된 API Key 또는 사용자
+ * @returns {403} Forbidden - API_KEY_INACTIVE, API_KEY_EXPIRED, IP_NOT_ALLOWED, USER_INACTIVE, SUBSCRIPTION_INACTIVE, INSUFFICIENT_SCOPE
  * {
  *   success: false,
  *   message: "비활성화된 API Key입니다",
@@ -57,7 +72,8 @@ const { adminAuthMiddleware } = require('../middleware/authMiddleware');
  *   timestamp: "2025-12-18T05:26:00.000Z"
  * }
  * 
- * @returns {429} Too Many Requests - 월간 API 호출 제한 초과
+ * @returns {429} Too Many Requests - 월간 API 호출 제한 초과 (API_LIMIT_EXCEEDED)
+ *   또는 Key당 초당 / 시간당 요청 속도 초과 (RATE_LIMIT_EXCEEDED, Retry-After 헤더)
  * {
  *   success: false,
  *   message: "API 호출 제한을 초과했습니다",
@@ -82,14 +98,14 @@ const { adminAuthMiddleware } = require('../middleware/authMiddleware');
  *   "api_secret": "a1b2c3d4e5f6g7h8i9j0k1l2m3n4o5p6..."
  * }
  */
-router.post('/validate-key', validateApiKeyController.validateApiKey);
+router.post('/validate-key', authenticateApiKey, apiKeyRateLimiter, requireApiKeyScope('validate:read'), validateApiKeyController.validateApiKey);
 
 /**
  * GET /api/admin/validation-logs
  * 
  * 설명: 관리자가 모든 API Key 검증 로그를 조회
  * 
- * @auth 필수 (JWT + adminAuthMiddleware)
+ * @auth 필수 (JWT + adminAuthMiddleware + logs:read 권한)
  * @query {number} [page=1] - 페이지 번호
  * @query {number} [limit=20] - 페이지당 아이템 수
  * 
@@ -123,7 +139,7 @@ router.post('/validate-key', validateApiKeyController.validateApiKey);
  * }
  * 
  * @throws {401} Unauthorized - 토큰 없음 또는 유효하지 않음
- * @throws {403} Forbidden - 관리자 권한 필요
+ * @throws {403} Forbidden - 관리자 권한 또는 logs:read 권한 필요
  * @throws {500} Internal Server Error - 서버 오류
  * 
  * @example
@@ -134,6 +150,7 @@ router.post('/validate-key', validateApiKeyController.validateApiKey);
 router.get(
     '/admin/validation-logs',
     adminAuthMiddleware,
+    requirePermission('logs:read'),
     adminValidationLogsController.getValidationLogs
 );
 
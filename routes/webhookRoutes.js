@@ -2,8 +2,9 @@ const express = require('express');
 const router = express.Router();
 const webhookController = require('../controllers/webhookController');
 const { authMiddleware } = require('../middleware/authMiddleware');
+const { organizationContext, requireOrganizationRole } = require('../middleware/organizationMiddleware');
 
-router.post('/webhooks', authMiddleware, webhookController.registerWebhook);
-router.get('/webhooks', authMiddleware, webhookController.getUserWebhooks);
+router.post('/webhooks', authMiddleware, organizationContext, requireOrganizationRole('owner', 'developer'), webhookController.registerWebhook);
+router.get('/webhooks', authMiddleware, organizationContext, webhookController.getUserWebhooks);
 
 module.exports = router;
\ No newline at end of file
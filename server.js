@@ -8,6 +8,8 @@ const path = require('path');
 const { initializePool } = require('./config/database');
 const errorHandler = require('./middleware/errorHandler');
 const { ipLimiter } = require('./middleware/rateLimitMiddleware');
+const { rejectBannedIp } = require('./middleware/abuseMiddleware');
+const schedulerService = require('./services/schedulerService');
 
 // 라우트 임포트 (첨부된 파일 구조에 맞게 수정)
 const authRoutes = require('./routes/authRoutes');
@@ -19,6 +21,8 @@ const dashboardRoutes = require('./routes/dashboardRoutes');
 const webhookRoutes = require('./routes/webhookRoutes');
 const validateApiKeyRoutes = require('./routes/validateApiKeyRoutes');
 const processImageValidateRoutes = require('./routes/processImageValidateRoutes');
+const organizationRoutes = require('./routes/organizationRoutes');
+const billingRoutes = require('./routes/billingRoutes');
 
 
 const app = express();
@@ -61,14 +65,18 @@ app.use(cors((req, callback) => {
         req.path === '/api/validate-key' ||
         req.path === '/api/process-image-validate' ||
         req.path === '/api/auth/login' ||
+        req.path === '/api/auth/login/2fa' ||
         req.path === '/api/auth/signup' ||
+        req.path === '/api/auth/forgot-password' ||
+        req.path === '/api/auth/reset-password' ||
+        req.path === '/api/auth/verify-email' ||
         req.path === '/api/api-keys' //||
 
     ) {
         return callback(null, {
             origin: true,  // ✅ 모든 origin 허용
             methods: ['GET', 'DELETE', 'POST', 'OPTIONS'],
-            allowedHeaders: ['Content-Type'],
+            allowedHeaders: ['Content-Type', 'X-Api-Key', 'X-Api-Secret', 'X-Timestamp', 'X-Nonce', 'X-Signature'],
             credentials: false,  // 공개 API이므로 credentials 불필요
             optionsSuccessStatus: 200
         });
@@ -84,7 +92,7 @@ app.use(cors((req, callback) => {
             origin: true,
             credentials: true,  // 보호된 API이므로 credentials 필요
             methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
-            allowedHeaders: ['Content-Type', 'Authorization'],
+            allowedHeaders: ['Content-Type', 'Authorization', 'X-Organization-Id'],
             optionsSuccessStatus: 200
         });
     } else {
@@ -94,11 +102,18 @@ app.use(cors((req, callback) => {
 }));
 
 app.use(morgan('combined')); // 로그 기록
+app.use(rejectBannedIp); // 반복 위반으로 정지된 IP 차단
 app.use(ipLimiter); // IP 기반 Rate Limiting
 
 // Body Parser 설정 (JSON 및 URL-encoded 데이터 처리)
-app.use(express.json({ limit: '10mb' }));
-app.use(express.urlencoded({ limit: '10mb', extended: true }));
+// - rawBody: API Key 서명 요청의 body 해시 계산용 (middleware/apiKeyMiddleware.js)
+//   → 파싱하는 모든 형식에 저장 (서명 없이 form body를 끼워 넣지 못하도록)
+const keepRawBody = (req, res, buf) => {
+    req.rawBody = buf;
+};
+
+app.use(express.json({ limit: '10mb', verify: keepRawBody }));
+app.use(express.urlencoded({ limit: '10mb', extended: true, verify: keepRawBody }));
 
 // --- 2. 헬스 체크 엔드포인트 ---
 app.get('/health', (req, res) => {
@@ -118,6 +133,8 @@ app.use('/api', apiKeyRoutes);       // /api/api-keys/...
 app.use('/api', adminRoutes);        // /api/admin/...
 app.use('/api', dashboardRoutes);    // /api/dashboard/...
 app.use('/api', webhookRoutes);      // /api/webhooks/...
+app.use('/api', organizationRoutes); // /api/organizations/...
+app.use('/api', billingRoutes);      // /api/billing/...
 app.use('/api', processImageValidateRoutes);
 
 app.use('/api', validateApiKeyRoutes);
@@ -165,6 +182,9 @@ async function startServer() {
             console.log(`🚀 서버가 포트 ${PORT}에서 시작되었습니다`);
             console.log(`📂 프론트엔드 경로: ${path.join(__dirname, 'frontend')}`);
             console.log(`🌍 환경: ${process.env.NODE_ENV || 'development'}`);
+
+            // 주기 작업 (API Key 만료 알림 등)
+            schedulerService.start();
         });
     } catch (err) {
         console.error('❌ 서버 시작 실패 (DB 연결 오류 등):', err);
@@ -0,0 +1,418 @@
+/**
+ * Abuse Service - 반복 위반 자동 대응
+ *
+ * 역할:
+ * - RateLimitLogs 반복 위반을 평가해 API Key / IP를 일시 정지 (AbuseBans)
+ *   - API Key: RateLimitLog.getRepeatedViolationsQuery (Key별 위반 합산)
+ *   - IP: RateLimitLog.getRepeatedIpViolationsQuery
+ * - 정지 시간은 최근 정지가 반복될 때마다 2배 (최대 BAN_MAX_MINUTES), 만료되면 자동 해제
+ * - 정지 중인 대상 확인 (IP: middleware/abuseMiddleware.js, API Key: apiKeyService.authenticateApiKey)
+ * - API Key 정지 시 소유 조직에 api_key_suspended Webhook 발송
+ * - 관리자 수동 정지 / 해제 (adminService에서 감사 로그와 함께 호출)
+ *
+ * 평가 시점:
+ * - 위반 기록 직후 (rateLimitService.logRateLimitViolation → scheduleEvaluation, 인스턴스당 최소 간격)
+ * - 스케줄러 주기 실행 (schedulerService abuseEvaluation)
+ *
+ * 기준값: config/constants.js ABUSE_PROTECTION (.env로 덮어쓰기)
+ *
+ * 참고:
+ * - 정지가 끝난 뒤에는 그 이후의 위반만 다시 집계 (정지 직전 위반으로 곧바로 재정지되지 않음)
+ * - 활성 정지 목록은 인스턴스 메모리에 CACHE_SECONDS 동안 캐시
+ *   (다른 인스턴스의 정지 / 해제는 최대 CACHE_SECONDS 늦게 반영)
+ */
+
+const crypto = require('crypto');
+const { executeQuery } = require('../config/database');
+const {
+    ABUSE_PROTECTION, ABUSE_BAN_TARGET, AUDIT_ACTIONS, AUDIT_ACTOR_TYPE, WEBHOOK_EVENTS
+} = require('../config/constants');
+const AbuseBan = require('../models/AbuseBan');
+const RateLimitLog = require('../models/RateLimitLog');
+const auditService = require('./auditService');
+const { triggerWebhook } = require('./webhookService');
+
+// 활성 정지 캐시: 'targetType:targetId' → { id, target_type, target_id, reason, banned_until }
+let activeBans = new Map();
+let cacheLoadedAt = 0;
+let cacheLoading = null;
+
+let lastEvaluatedAt = 0;
+let evaluating = false;
+
+/**
+ * 기준값 (.env 우선)
+ */
+function getConfig() {
+    const readInt = (name, fallback) => parseInt(process.env[name], 10) || fallback;
+
+    return {
+        windowHours: readInt('ABUSE_WINDOW_HOURS', ABUSE_PROTECTION.WINDOW_HOURS),
+        keyThreshold: readInt('ABUSE_KEY_THRESHOLD', ABUSE_PROTECTION.KEY_VIOLATION_THRESHOLD),
+        ipThreshold: readInt('ABUSE_IP_THRESHOLD', ABUSE_PROTECTION.IP_VIOLATION_THRESHOLD),
+        banMinutes: readInt('ABUSE_BAN_MINUTES', ABUSE_PROTECTION.BAN_MINUTES),
+        banMaxMinutes: readInt('ABUSE_BAN_MAX_MINUTES', ABUSE_PROTECTION.BAN_MAX_MINUTES)
+    };
+}
+
+/**
+ * statusCode / errorCode가 지정된 에러 생성
+ */
+function createError(message, statusCode, errorCode) {
+    const error = new Error(message);
+    error.statusCode = statusCode;
+    error.errorCode = errorCode;
+    return error;
+}
+
+function toCacheKey(targetType, targetId) {
+    return `${targetType}:${targetId}`;
+}
+
+/**
+ * n번째 정지의 정지 시간 (분) - 반복될 때마다 2배
+ */
+function getBanMinutes(banNumber, config) {
+    return Math.min(config.banMinutes * (2 ** (banNumber - 1)), config.banMaxMinutes);
+}
+
+/**
+ * 활성 정지 캐시 다시 적재 (동시 호출은 하나의 조회를 공유)
+ */
+async function loadActiveBans() {
+    if (!cacheLoading) {
+        cacheLoading = executeQuery(AbuseBan.getActiveBansQuery())
+            .then(rows => {
+                activeBans = new Map(rows.map(row => [toCacheKey(row.target_type, row.target_id), row]));
+            })
+            .finally(() => {
+                // 실패해도 CACHE_SECONDS 동안은 다시 조회하지 않음 (DB 장애 시 요청마다 조회 방지)
+                cacheLoadedAt = Date.now();
+                cacheLoading = null;
+            });
+    }
+
+    return cacheLoading;
+}
+
+/**
+ * 대상의 현재 정지 (캐시 기준)
+ *
+ * @param {string} targetType - ABUSE_BAN_TARGET (ip, api_key)
+ * @param {string} targetId - IP 주소 또는 API Key ID
+ * @returns {Promise<Object|null>} { id, reason, banned_until, ... } 또는 null
+ *
+ * @note
+ * - 조회 실패 시 마지막 캐시 기준으로 판단 (안정성 우선, 요청을 막지 않음)
+ */
+async function getActiveBan(targetType, targetId) {
+    if (Date.now() - cacheLoadedAt > ABUSE_PROTECTION.CACHE_SECONDS * 1000) {
+        try {
+            await loadActiveBans();
+        } catch (err) {
+            console.error('[ABUSE_BAN_CACHE_ERROR]', err);
+        }
+    }
+
+    const ban = activeBans.get(toCacheKey(targetType, targetId));
+
+    return ban && new Date(ban.banned_until) > new Date() ? ban : null;
+}
+
+/**
+ * 정지 생성
+ *
+ * @param {Object} params
+ *   - targetType, targetId
+ *   - reason: 정지 사유
+ *   - minutes: 정지 시간 (분, 없으면 반복 횟수 기준으로 계산)
+ *   - violationCount: 정지 시점 위반 수 (자동 정지)
+ *   - createdBy: 관리자 ID (자동 정지는 null)
+ * @returns {Promise<Object|null>} 생성된 정지 (이미 정지 중이면 null)
+ */
+async function createBan({ targetType, targetId, reason, minutes = null, violationCount = null, createdBy = null }) {
+    try {
+        const config = getConfig();
+
+        const history = await executeQuery(AbuseBan.getBanHistoryQuery(), {
+            targetType,
+            targetId,
+            historyDays: ABUSE_PROTECTION.HISTORY_DAYS
+        });
+        const banNumber = (history[0] && history[0].recent_bans ? history[0].recent_bans : 0) + 1;
+        const banMinutes = minutes || getBanMinutes(banNumber, config);
+
+        const created = await executeQuery(AbuseBan.getCreateIfNotBannedQuery(), {
+            id: crypto.randomUUID(),
+            targetType,
+            targetId,
+            reason: reason ? String(reason).substring(0, 500) : null,
+            violationCount,
+            banNumber,
+            bannedUntil: new Date(Date.now() + banMinutes * 60 * 1000),
+            createdBy
+        });
+
+        if (created.length === 0) {
+            return null;
+        }
+
+        const ban = created[0];
+        activeBans.set(toCacheKey(targetType, targetId), ban);
+
+        console.warn('[ABUSE_BAN]', { targetType, targetId, banNumber, banMinutes, createdBy });
+
+        // API Key 소유 조직에 알림 (triggerWebhook은 실패를 WebhookLogs에 기록)
+        if (targetType === ABUSE_BAN_TARGET.API_KEY && ban.organization_id) {
+            notifyApiKeySuspended(ban).catch(err => {
+                console.error('[ABUSE_BAN_WEBHOOK_ERROR]', err);
+            });
+        }
+
+        return ban;
+    } catch (err) {
+        throw err;
+    }
+}
+
+/**
+ * api_key_suspended Webhook 발송
+ */
+async function notifyApiKeySuspended(ban) {
+    const keys = await executeQuery(
+        'SELECT key_name, LEFT(api_key, 10) as key_preview FROM [ApiKeys] WHERE id = @id',
+        { id: ban.target_id }
+    );
+
+    await triggerWebhook(ban.organization_id, WEBHOOK_EVENTS.API_KEY_SUSPENDED, {
+        event: WEBHOOK_EVENTS.API_KEY_SUSPENDED,
+        apiKeyId: ban.target_id,
+        keyName: keys[0] ? keys[0].key_name : null,
+        keyPreview: keys[0] ? keys[0].key_preview : null,
+        reason: ban.reason,
+        violationCount: ban.violation_count,
+        suspendedAt: ban.created_at,
+        suspendedUntil: ban.banned_until,
+        automatic: !ban.created_by
+    });
+}
+
+/**
+ * 대상 1건 평가 → 기준 이상이면 자동 정지
+ * @returns {Promise<boolean>} 정지 생성 여부
+ */
+async function evaluateTarget(targetType, targetId, violationCount, threshold, config) {
+    const active = await executeQuery(AbuseBan.getActiveBanByTargetQuery(), { targetType, targetId });
+    if (active.length > 0) {
+        return false;
+    }
+
+    // 집계 기간 안에 정지가 끝났으면 그 이후 위반만 다시 집계
+    const history = await executeQuery(AbuseBan.getBanHistoryQuery(), {
+        targetType,
+        targetId,
+        historyDays: ABUSE_PROTECTION.HISTORY_DAYS
+    });
+    const lastEndedAt = history[0] && history[0].last_ended_at ? new Date(history[0].last_ended_at) : null;
+    let count = violationCount;
+
+    if (lastEndedAt && lastEndedAt > new Date(Date.now() - config.windowHours * 60 * 60 * 1000)) {
+        const recount = await executeQuery(RateLimitLog.getViolationCountSinceQuery(targetType), {
+            targetId,
+            since: lastEndedAt
+        });
+        count = recount[0].count;
+    }
+
+    if (count < threshold) {
+        return false;
+    }
+
+    const reason = `최근 ${config.windowHours}시간 동안 요청 제한 위반 ${count}회`;
+    const ban = await createBan({ targetType, targetId, reason, violationCount: count });
+
+    if (!ban) {
+        return false;
+    }
+
+    await auditService.recordEvent({
+        action: AUDIT_ACTIONS.ABUSE_AUTO_BANNED,
+        actorType: AUDIT_ACTOR_TYPE.SYSTEM,
+        targetType,
+        targetId,
+        reason,
+        metadata: { banId: ban.id, banNumber: ban.ban_number, bannedUntil: ban.banned_until, violationCount: count }
+    });
+
+    return true;
+}
+
+/**
+ * 반복 위반 평가 (전체)
+ *
+ * @returns {Promise<Object>} { bannedKeys, bannedIps }
+ *
+ * @flow
+ * 1. WINDOW_HOURS 내 위반이 KEY_VIOLATION_THRESHOLD 이상인 API Key (Key별 합산)
+ * 2. WINDOW_HOURS 내 위반이 IP_VIOLATION_THRESHOLD 이상인 IP
+ * 3. 대상별로 이미 정지 중이면 건너뜀, 최근 정지가 끝난 뒤의 위반만 다시 집계
+ * 4. 기준 이상이면 정지 생성 + 감사 로그 (+ API Key는 Webhook)
+ */
+async function evaluateViolations() {
+    try {
+        const config = getConfig();
+        let bannedKeys = 0;
+        let bannedIps = 0;
+
+        // 1. API Key (사용자별로 나뉜 행을 Key별로 합산)
+        const keyRows = await executeQuery(RateLimitLog.getRepeatedViolationsQuery(config.windowHours, 1));
+        const keyCounts = new Map();
+
+        for (const row of keyRows) {
+            keyCounts.set(row.api_key_id, (keyCounts.get(row.api_key_id) || 0) + row.violation_count);
+        }
+
+        for (const [keyId, count] of keyCounts) {
+            if (count >= config.keyThreshold
+                && await evaluateTarget(ABUSE_BAN_TARGET.API_KEY, keyId, count, config.keyThreshold, config)) {
+                bannedKeys++;
+            }
+        }
+
+        // 2. IP
+        const ipRows = await executeQuery(RateLimitLog.getRepeatedIpViolationsQuery(config.windowHours, config.ipThreshold));
+
+        for (const row of ipRows) {
+            if (await evaluateTarget(ABUSE_BAN_TARGET.IP, row.ip_address, row.violation_count, config.ipThreshold, config)) {
+                bannedIps++;
+            }
+        }
+
+        lastEvaluatedAt = Date.now();
+
+        return { bannedKeys, bannedIps };
+    } catch (err) {
+        throw err;
+    }
+}
+
+/**
+ * 위반 기록 직후 평가 예약 (인스턴스당 EVALUATE_INTERVAL_SECONDS에 한 번, 진행 중이면 건너뜀)
+ */
+function scheduleEvaluation() {
+    if (evaluating || Date.now() - lastEvaluatedAt < ABUSE_PROTECTION.EVALUATE_INTERVAL_SECONDS * 1000) {
+        return;
+    }
+
+    evaluating = true;
+    lastEvaluatedAt = Date.now();
+
+    evaluateViolations()
+        .catch(err => {
+            console.error('[ABUSE_EVALUATION_ERROR]', err);
+        })
+        .finally(() => {
+            evaluating = false;
+        });
+}
+
+/**
+ * 정지 목록 (관리자)
+ * @param {boolean} activeOnly - 정지 중인 항목만
+ * @param {number} page - 페이지 번호
+ * @param {number} limit - 페이지당 건수
+ * @returns {Promise<Object>} { bans, total, page, limit, totalPages }
+ */
+async function listBans(activeOnly = true, page = 1, limit = 50) {
+    try {
+        const bans = await executeQuery(AbuseBan.getListQuery(activeOnly), {
+            offset: (page - 1) * limit,
+            limit
+        });
+        const countResult = await executeQuery(AbuseBan.getListCountQuery(activeOnly));
+        const total = countResult[0].total;
+
+        return {
+            bans: bans.map(ban => ({ ...ban, is_active: !!ban.is_active })),
+            total,
+            page,
+            limit,
+            totalPages: Math.ceil(total / limit)
+        };
+    } catch (err) {
+        throw err;
+    }
+}
+
+/**
+ * 관리자 수동 정지
+ *
+ * @param {string} targetType - ABUSE_BAN_TARGET
+ * @param {string} targetId - IP 주소 또는 API Key ID
+ * @param {number} minutes - 정지 시간 (분)
+ * @param {string} reason - 정지 사유
+ * @param {string} adminId - 관리자 ID
+ * @returns {Promise<Object>} 생성된 정지
+ *
+ * @throws {Error} 404 NOT_FOUND - 존재하지 않는 API Key
+ * @throws {Error} 400 VALIDATION_ERROR - 이미 정지 중
+ */
+async function banManually(targetType, targetId, minutes, reason, adminId) {
+    try {
+        if (targetType === ABUSE_BAN_TARGET.API_KEY) {
+            const keys = await executeQuery('SELECT id FROM [ApiKeys] WHERE id = @targetId', { targetId });
+
+            if (keys.length === 0) {
+                throw createError('API Key를 찾을 수 없습니다', 404, 'NOT_FOUND');
+            }
+        }
+
+        const ban = await createBan({ targetType, targetId, reason, minutes, createdBy: adminId });
+
+        if (!ban) {
+            throw createError('이미 정지 중인 대상입니다', 400, 'VALIDATION_ERROR');
+        }
+
+        return ban;
+    } catch (err) {
+        throw err;
+    }
+}
+
+/**
+ * 관리자 정지 해제 (만료 전 해제, 해제된 정지는 반복 횟수에서 제외)
+ *
+ * @param {string} banId - 정지 ID
+ * @param {string} reason - 해제 사유
+ * @param {string} adminId - 관리자 ID
+ * @returns {Promise<Object|null>} 해제된 정지 (없거나 이미 끝난 정지면 null)
+ */
+async function liftBan(banId, reason, adminId) {
+    try {
+        const lifted = await executeQuery(AbuseBan.getLiftQuery(), {
+            id: banId,
+            liftedBy: adminId,
+            liftReason: reason ? String(reason).substring(0, 500) : null
+        });
+
+        if (lifted.length === 0) {
+            return null;
+        }
+
+        const ban = lifted[0];
+        activeBans.delete(toCacheKey(ban.target_type, ban.target_id));
+
+        return ban;
+    } catch (err) {
+        throw err;
+    }
+}
+
+module.exports = {
+    getActiveBan,
+    evaluateViolations,
+    scheduleEvaluation,
+    listBans,
+    banManually,
+    liftBan
+};
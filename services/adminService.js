@@ -1,5 +1,15 @@
 const { executeQuery, executeNonQuery } = require('../config/database');
-const { SUBSCRIPTION_STATUS } = require('../config/constants');
+const { SUBSCRIPTION_STATUS, AUDIT_ACTIONS, AUDIT_ACTOR_TYPE, ERROR_CODES } = require('../config/constants');
+const sessionService = require('./sessionService');
+const emailVerificationService = require('./emailVerificationService');
+const settingsService = require('./settingsService');
+const loginProtectionService = require('./loginProtectionService');
+const permissionService = require('./permissionService');
+const auditService = require('./auditService');
+const rateLimitService = require('./rateLimitService');
+const abuseService = require('./abuseService');
+const { activateSubscription } = require('./subscriptionService');
+const paymentService = require('./paymentService');
 
 async function getAllUsers(page = 1, limit = 20) {
     try {
@@ -7,6 +17,9 @@ async function getAllUsers(page = 1, limit = 20) {
 
         const users = await executeQuery(
             `SELECT u.id, u.first_name, u.last_name, u.email, u.is_active, u.is_blocked, 
+                    u.email_verified_at, u.failed_login_count, u.locked_until,
+                    CASE WHEN u.locked_until > GETDATE() THEN 1 ELSE 0 END as is_locked,
+                    (SELECT STRING_AGG(ur.role_code, ',') FROM [UserRoles] ur WHERE ur.user_id = u.id) as roles,
                     u.created_at, us.tier_id, st.tier_name, us.status as subscription_status
              FROM [Users] u
              LEFT JOIN [UserSubscriptions] us ON u.id = us.user_id
@@ -66,29 +79,100 @@ async function getPendingSubscriptions(page = 1, limit = 20) {
     }
 }
 
-async function approveSubscription(subscriptionId, adminId) {
+/**
+ * 관리자 작업 감사 로그 기록 (공통)
+ * @param {string} action - AUDIT_ACTIONS
+ * @param {string} adminId - 처리한 관리자 ID
+ * @param {string} targetType - 대상 종류 (user, subscription, setting)
+ * @param {string} targetId - 대상 ID
+ * @param {Object} change - { before, after, reason }
+ * @param {Object} [context] - { ipAddress, userAgent }
+ */
+async function recordAdminAction(action, adminId, targetType, targetId, change, context = {}) {
+    await auditService.recordEvent({
+        action,
+        actorType: AUDIT_ACTOR_TYPE.ADMIN,
+        actorId: adminId,
+        targetType,
+        targetId,
+        ipAddress: context.ipAddress,
+        userAgent: context.userAgent,
+        reason: change.reason,
+        before: change.before,
+        after: change.after
+    });
+}
+
+/**
+ * 구독 승인 (결제 대행사 대신 청구서로 결제하는 고객)
+ * - subscriptionService.activateSubscription: 첫 결제 기간 설정, 첫 기간 draft 청구서, subscription_activated Webhook
+ * - 결제 대행사로 결제한 구독은 Webhook으로 자동 활성화 (services/paymentService.js)
+ * - 승인 대기 (pending) 구독만 승인 (활성 구독의 결제 기간 재설정 / 해지·만료 구독 부활 방지)
+ * @param {string} subscriptionId - 구독 ID
+ * @param {string} adminId - 승인한 관리자 ID
+ * @param {Object} [context] - { ipAddress, userAgent }
+ * @returns {Promise<boolean>} 구독 존재 여부
+ * @throws {Error} 409 SUBSCRIPTION_NOT_PENDING - 승인 대기 상태가 아닌 구독
+ * @throws {Error} 409 SUBSCRIPTION_ALREADY_EXISTS - 조직에 이미 활성 구독이 있음
+ */
+async function approveSubscription(subscriptionId, adminId, context = {}) {
     try {
-        await executeNonQuery(
-            `UPDATE [UserSubscriptions] 
-             SET status = @status, approval_date = GETDATE(), approved_by = @adminId
-             WHERE id = @subscriptionId`,
-            {
-                subscriptionId,
-                status: SUBSCRIPTION_STATUS.ACTIVE,
-                adminId,
-                startDate: new Date()
+        const subscription = await activateSubscription(subscriptionId, { approvedBy: adminId, pendingOnly: true });
+
+        if (!subscription) {
+            const existing = await executeQuery(
+                'SELECT status FROM [UserSubscriptions] WHERE id = @subscriptionId',
+                { subscriptionId }
+            );
+
+            if (existing.length === 0) {
+                return false;
             }
-        );
+
+            if (existing[0].status === SUBSCRIPTION_STATUS.PENDING) {
+                const error = new Error('조직에 이미 활성화된 구독이 있습니다');
+                error.statusCode = 409;
+                error.errorCode = 'SUBSCRIPTION_ALREADY_EXISTS';
+                throw error;
+            }
+
+            const error = new Error(`승인 대기 상태인 구독만 승인할 수 있습니다 (현재: ${existing[0].status})`);
+            error.statusCode = 409;
+            error.errorCode = ERROR_CODES.SUBSCRIPTION_NOT_PENDING;
+            throw error;
+        }
+
+        await recordAdminAction(AUDIT_ACTIONS.SUBSCRIPTION_APPROVED, adminId, 'subscription', subscriptionId, {
+            before: { status: subscription.before_status },
+            after: {
+                status: subscription.after_status,
+                approvalDate: subscription.approval_date,
+                startDate: subscription.start_date,
+                endDate: subscription.end_date
+            }
+        }, context);
+
+        return true;
     } catch (err) {
         throw err;
     }
 }
 
-async function rejectSubscription(subscriptionId, reason) {
+/**
+ * 구독 거절
+ * @param {string} subscriptionId - 구독 ID
+ * @param {string} reason - 거절 사유
+ * @param {string} adminId - 거절한 관리자 ID
+ * @param {Object} [context] - { ipAddress, userAgent }
+ * @returns {Promise<boolean>} 구독 존재 여부
+ */
+async function rejectSubscription(subscriptionId, reason, adminId, context = {}) {
     try {
-        await executeNonQuery(
+        const updated = await executeQuery(
             `UPDATE [UserSubscriptions] 
              SET status = @status, rejection_reason = @reason
+             OUTPUT DELETED.status as before_status, DELETED.rejection_reason as before_reason,
+                    INSERTED.status as after_status
              WHERE id = @subscriptionId`,
             {
                 subscriptionId,
@@ -96,32 +180,118 @@ async function rejectSubscription(subscriptionId, reason) {
                 reason
             }
         );
+
+        if (updated.length === 0) {
+            return false;
+        }
+
+        await recordAdminAction(AUDIT_ACTIONS.SUBSCRIPTION_REJECTED, adminId, 'subscription', subscriptionId, {
+            reason,
+            before: { status: updated[0].before_status, rejectionReason: updated[0].before_reason },
+            after: { status: updated[0].after_status, rejectionReason: reason || null }
+        }, context);
+
+        return true;
     } catch (err) {
         throw err;
     }
 }
 
-async function blockUser(userId, reason) {
+/**
+ * 사용자 차단 (기존 로그인 세션 모두 폐기)
+ * @param {string} userId - 대상 사용자 ID
+ * @param {string} reason - 차단 사유
+ * @param {string} adminId - 처리한 관리자 ID
+ * @param {Object} [context] - { ipAddress, userAgent }
+ * @returns {Promise<boolean>} 사용자 존재 여부
+ */
+async function blockUser(userId, reason, adminId, context = {}) {
     try {
-        await executeNonQuery(
+        const updated = await executeQuery(
             `UPDATE [Users] 
              SET is_blocked = 1, blocked_reason = @reason
+             OUTPUT DELETED.is_blocked as before_blocked, DELETED.blocked_reason as before_reason
              WHERE id = @userId`,
             { userId, reason }
         );
+
+        if (updated.length === 0) {
+            return false;
+        }
+
+        // 차단된 사용자의 기존 로그인 세션 모두 폐기
+        await sessionService.revokeAllSessions(userId, 'user_blocked');
+
+        await recordAdminAction(AUDIT_ACTIONS.USER_BLOCKED, adminId, 'user', userId, {
+            reason,
+            before: { isBlocked: Boolean(updated[0].before_blocked), blockedReason: updated[0].before_reason },
+            after: { isBlocked: true, blockedReason: reason || null }
+        }, context);
+
+        return true;
     } catch (err) {
         throw err;
     }
 }
 
-async function unblockUser(userId) {
+/**
+ * 사용자 차단 해제
+ * @param {string} userId - 대상 사용자 ID
+ * @param {string} adminId - 처리한 관리자 ID
+ * @param {Object} [context] - { ipAddress, userAgent }
+ * @returns {Promise<boolean>} 사용자 존재 여부
+ */
+async function unblockUser(userId, adminId, context = {}) {
     try {
-        await executeNonQuery(
+        const updated = await executeQuery(
             `UPDATE [Users] 
              SET is_blocked = 0, blocked_reason = NULL
+             OUTPUT DELETED.is_blocked as before_blocked, DELETED.blocked_reason as before_reason
              WHERE id = @userId`,
             { userId }
         );
+
+        if (updated.length === 0) {
+            return false;
+        }
+
+        await recordAdminAction(AUDIT_ACTIONS.USER_UNBLOCKED, adminId, 'user', userId, {
+            before: { isBlocked: Boolean(updated[0].before_blocked), blockedReason: updated[0].before_reason },
+            after: { isBlocked: false, blockedReason: null }
+        }, context);
+
+        return true;
+    } catch (err) {
+        throw err;
+    }
+}
+
+/**
+ * 관리자 이메일 인증 처리 (인증 메일을 받지 못한 사용자 등)
+ * @param {string} userId - 대상 사용자 ID
+ * @param {string} adminId - 처리한 관리자 ID
+ * @param {Object} [context] - { ipAddress, userAgent }
+ * @returns {Promise<boolean>} 사용자 존재 여부
+ */
+async function verifyUserEmail(userId, adminId, context = {}) {
+    try {
+        const users = await executeQuery(
+            'SELECT email_verified_at FROM [Users] WHERE id = @userId',
+            { userId }
+        );
+
+        const found = await emailVerificationService.markEmailVerified(userId);
+
+        if (found) {
+            const previous = users.length > 0 ? users[0].email_verified_at : null;
+
+            await recordAdminAction(AUDIT_ACTIONS.EMAIL_VERIFIED, adminId, 'user', userId, {
+                before: { emailVerified: Boolean(previous), emailVerifiedAt: previous },
+                after: { emailVerified: true }
+            }, context);
+        }
+
+        return found;
     } catch (err) {
         throw err;
     }
@@ -163,6 +333,325 @@ async function getSystemStats() {
     }
 }
 
+/**
+ * 로그인 잠금 해제 (연속 실패 횟수 초기화, 감사 로그 기록)
+ * @param {string} userId - 대상 사용자 ID
+ * @param {string} adminId - 처리한 관리자 ID
+ * @param {Object} [context] - { ipAddress, userAgent }
+ * @returns {Promise<boolean>} 사용자 존재 여부
+ */
+async function unlockUserLogin(userId, adminId, context = {}) {
+    try {
+        const found = await loginProtectionService.unlockAccount(userId, adminId, context);
+
+        if (found) {
+            console.log('[로그인 잠금 해제]', {
+                userId,
+                adminId,
+                timestamp: new Date().toISOString()
+            });
+        }
+
+        return found;
+    } catch (err) {
+        throw err;
+    }
+}
+
+/**
+ * 보안 설정 조회
+ * @returns {Promise<Object>} { requireAdminTwoFactor, adminsWithoutTwoFactor }
+ */
+async function getSecuritySettings() {
+    try {
+        const pendingAdmins = await executeQuery(
+            `SELECT COUNT(*) as count FROM [Users]
+             WHERE is_admin = 1 AND is_blocked = 0 AND two_factor_enabled_at IS NULL`
+        );
+
+        return {
+            requireAdminTwoFactor: await settingsService.isAdminTwoFactorRequired(),
+            adminsWithoutTwoFactor: pendingAdmins[0].count
+        };
+    } catch (err) {
+        throw err;
+    }
+}
+
+/**
+ * 관리자 2FA 필수 여부 변경
+ *
+ * @param {boolean} required - 필수 여부
+ * @param {string} adminId - 변경하는 관리자 ID
+ * @param {Object} [context] - { ipAddress, userAgent }
+ *
+ * @throws {Error} 409 TWO_FACTOR_SETUP_REQUIRED - 본인이 2FA를 등록하지 않은 상태에서 활성화 시도
+ *
+ * @note
+ * - 활성화 즉시 2단계 인증을 거치지 않은 관리자 세션은 관리자 API 거부 (403 TWO_FACTOR_REQUIRED)
+ * - 미등록 관리자는 프로필에서 등록 후 계속 사용 가능
+ */
+async function updateAdminTwoFactorRequirement(required, adminId, context = {}) {
+    try {
+        if (required) {
+            const admins = await executeQuery(
+                'SELECT two_factor_enabled_at FROM [Users] WHERE id = @adminId',
+                { adminId }
+            );
+
+            if (admins.length === 0 || !admins[0].two_factor_enabled_at) {
+                const error = new Error('먼저 본인 계정에 2단계 인증을 등록하세요');
+                error.statusCode = 409;
+                error.errorCode = 'TWO_FACTOR_SETUP_REQUIRED';
+                throw error;
+            }
+        }
+
+        const previous = await settingsService.isAdminTwoFactorRequired();
+
+        await settingsService.setSetting(
+            settingsService.SETTING_KEYS.REQUIRE_ADMIN_2FA,
+            required ? 'true' : 'false',
+            adminId
+        );
+
+        await recordAdminAction(
+            AUDIT_ACTIONS.SETTINGS_UPDATED,
+            adminId,
+            'setting',
+            settingsService.SETTING_KEYS.REQUIRE_ADMIN_2FA,
+            { before: previous, after: required },
+            context
+        );
+
+        console.log('[관리자 2FA 필수 설정 변경]', {
+            required,
+            adminId,
+            timestamp: new Date().toISOString()
+        });
+
+        return await getSecuritySettings();
+    } catch (err) {
+        throw err;
+    }
+}
+
+/**
+ * 현재 관리자의 역할/권한 조회 (관리자 화면에서 버튼 표시 여부 결정)
+ * @param {string} adminId - 관리자 ID
+ * @returns {Promise<Object>} { roles, permissions }
+ */
+async function getMyPermissions(adminId) {
+    try {
+        const roles = await permissionService.getUserRoles(adminId);
+        const permissions = await permissionService.getUserPermissions(adminId);
+
+        return {
+            roles,
+            permissions: Array.from(permissions).sort()
+        };
+    } catch (err) {
+        throw err;
+    }
+}
+
+/**
+ * 역할 목록 조회 (역할별 권한 포함)
+ * @returns {Promise<Array>} [{ code, name, description, permissions }]
+ */
+async function getRoles() {
+    try {
+        return await permissionService.listRoles();
+    } catch (err) {
+        throw err;
+    }
+}
+
+/**
+ * 사용자 역할 변경
+ *
+ * @param {string} userId - 대상 사용자 ID
+ * @param {string[]} roleCodes - 새 역할 코드 목록 (빈 배열 = 관리자 권한 회수)
+ * @param {string} adminId - 변경하는 관리자 ID
+ * @param {Object} [context] - { ipAddress, userAgent }
+ * @returns {Promise<Object>} { userId, roles, permissions }
+ */
+async function updateUserRoles(userId, roleCodes, adminId, context = {}) {
+    try {
+        const result = await permissionService.setUserRoles(userId, roleCodes, adminId, context);
+
+        console.log('[사용자 역할 변경]', {
+            userId,
+            roles: result.roles,
+            adminId,
+            timestamp: new Date().toISOString()
+        });
+
+        return result;
+    } catch (err) {
+        throw err;
+    }
+}
+
+/**
+ * 감사 로그 검색
+ * @param {Object} filters - { actor, action, targetType, targetId, from, to }
+ * @param {number} page - 페이지 번호
+ * @param {number} limit - 페이지당 건수
+ * @returns {Promise<Object>} { logs, total, page, limit, totalPages, actions }
+ */
+async function getAuditLogs(filters, page = 1, limit = 50) {
+    try {
+        const result = await auditService.searchEvents(filters, page, limit);
+        const actions = await auditService.listActions();
+
+        return { ...result, actions };
+    } catch (err) {
+        throw err;
+    }
+}
+
+/**
+ * Rate Limit 위반 로그 검색
+ * @param {Object} filters - { hours, apiKeyId, userId, ipAddress, limitType }
+ * @param {number} page - 페이지 번호
+ * @param {number} limit - 페이지당 건수
+ * @returns {Promise<Object>} { violations, total, page, limit, totalPages }
+ */
+async function getRateLimitViolations(filters, page = 1, limit = 50) {
+    try {
+        return await rateLimitService.searchViolations(filters, page, limit);
+    } catch (err) {
+        throw err;
+    }
+}
+
+/**
+ * Rate Limit 위반 요약 (유형별, 반복 위반 Key / 사용자, IP 패턴)
+ * @param {number} hours - 조회 기간 (시간)
+ * @returns {Promise<Object>} { hours, byType, repeatedKeys, ipPatterns }
+ */
+async function getRateLimitViolationSummary(hours = 24) {
+    try {
+        return await rateLimitService.getViolationSummary(hours);
+    } catch (err) {
+        throw err;
+    }
+}
+
+/**
+ * IP / API Key 정지 목록
+ * @param {boolean} activeOnly - 정지 중인 항목만
+ * @param {number} page - 페이지 번호
+ * @param {number} limit - 페이지당 건수
+ * @returns {Promise<Object>} { bans, total, page, limit, totalPages }
+ */
+async function getAbuseBans(activeOnly = true, page = 1, limit = 50) {
+    try {
+        return await abuseService.listBans(activeOnly, page, limit);
+    } catch (err) {
+        throw err;
+    }
+}
+
+/**
+ * IP / API Key 수동 정지
+ * @param {string} targetType - ip / api_key
+ * @param {string} targetId - IP 주소 또는 API Key ID
+ * @param {number} minutes - 정지 시간 (분)
+ * @param {string} reason - 정지 사유
+ * @param {string} adminId - 처리한 관리자 ID
+ * @param {Object} [context] - { ipAddress, userAgent }
+ * @returns {Promise<Object>} 생성된 정지
+ */
+async function banAbuseTarget(targetType, targetId, minutes, reason, adminId, context = {}) {
+    try {
+        const ban = await abuseService.banManually(targetType, targetId, minutes, reason, adminId);
+
+        await recordAdminAction(AUDIT_ACTIONS.ABUSE_BANNED, adminId, targetType, targetId, {
+            reason,
+            before: { banned: false },
+            after: { banned: true, banId: ban.id, bannedUntil: ban.banned_until }
+        }, context);
+
+        return ban;
+    } catch (err) {
+        throw err;
+    }
+}
+
+/**
+ * IP / API Key 정지 해제 (만료 전 수동 해제)
+ * @param {string} banId - 정지 ID
+ * @param {string} reason - 해제 사유
+ * @param {string} adminId - 처리한 관리자 ID
+ * @param {Object} [context] - { ipAddress, userAgent }
+ * @returns {Promise<boolean>} 정지 중인 항목 존재 여부
+ */
+async function liftAbuseBan(banId, reason, adminId, context = {}) {
+    try {
+        const ban = await abuseService.liftBan(banId, reason, adminId);
+
+        if (!ban) {
+            return false;
+        }
+
+        await recordAdminAction(AUDIT_ACTIONS.ABUSE_BAN_LIFTED, adminId, ban.target_type, ban.target_id, {
+            reason,
+            before: { banned: true, banId: ban.id, bannedUntil: ban.banned_until },
+            after: { banned: false }
+        }, context);
+
+        return true;
+    } catch (err) {
+        throw err;
+    }
+}
+
+/**
+ * 결제 대행사 결제 목록
+ * @param {Object} filters - { organizationId, status } (모두 선택)
+ * @param {number} page - 페이지
+ * @param {number} limit - 페이지당 개수
+ * @returns {Promise<Object>} { payments, total, page, limit, totalPages }
+ */
+async function getPayments(filters = {}, page = 1, limit = 50) {
+    try {
+        return await paymentService.listPayments(filters, page, limit);
+    } catch (err) {
+        throw err;
+    }
+}
+
+/**
+ * 결제 전액 환불
+ * - 구독 / 청구서 상태는 바꾸지 않음 (필요하면 구독 거절 / 해지를 따로 처리)
+ * @param {string} paymentId - 결제 ID
+ * @param {string} reason - 환불 사유
+ * @param {string} adminId - 처리한 관리자 ID
+ * @param {Object} [context] - { ipAddress, userAgent }
+ * @returns {Promise<Object>} { payment, completed }
+ */
+async function refundPayment(paymentId, reason, adminId, context = {}) {
+    try {
+        const result = await paymentService.refundPayment(paymentId, adminId, reason);
+
+        await recordAdminAction(AUDIT_ACTIONS.PAYMENT_REFUNDED, adminId, 'payment', paymentId, {
+            reason,
+            before: { status: result.previousStatus },
+            after: {
+                status: result.payment.status,
+                amountUsd: result.payment.amount_usd,
+                providerRefundId: result.payment.provider_refund_id
+            }
+        }, context);
+
+        return result;
+    } catch (err) {
+        throw err;
+    }
+}
+
 module.exports = {
     getAllUsers,
     getPendingSubscriptions,
@@ -170,5 +659,20 @@ module.exports = {
     rejectSubscription,
     blockUser,
     unblockUser,
-    getSystemStats
+    verifyUserEmail,
+    unlockUserLogin,
+    getSystemStats,
+    getSecuritySettings,
+    updateAdminTwoFactorRequirement,
+    getMyPermissions,
+    getRoles,
+    updateUserRoles,
+    getAuditLogs,
+    getRateLimitViolations,
+    getRateLimitViolationSummary,
+    getAbuseBans,
+    banAbuseTarget,
+    liftAbuseBan,
+    getPayments,
+    refundPayment
 };
\ No newline at end of file
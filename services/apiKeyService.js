@@ -3,39 +3,331 @@
  * 
  * 역할:
  * - API Key 생성 (고유한 key + secret 쌍)
- * - API Key 검증 (요청 시 검증)
+ * - API Key 인증 파이프라인 (Key/Secret, 상태, IP, 사용자, 구독, 월간 한도)
  * - API Key 비활성화 (삭제)
- * - 사용자의 API Key 목록 조회
+ * - 조직의 API Key 목록 조회
+ * - API Key 권한 범위(scope) 지정 / 변경 / 확인
+ * - API Key IP 화이트리스트 지정 / 변경 / 확인
+ * - API Key 만료일 지정, Secret 교체 (유예 기간 동안 이전 Secret 허용)
+ * - 서명 Secret 발급 (Key별 선택, API Secret과 별개) 및 서명 요청 검증 (X-Signature)
+ * - 만료 예정 Key 알림 (schedulerService에서 주기 실행)
+ * 
+ * 소유:
+ * - API Key는 조직 소유 (organization_id), user_id는 생성한 사용자
  * 
  * 주요 의존성:
  * - database.js: executeQuery, executeNonQuery
- * - cryptoUtils.js: generateApiKey, generateApiSecret, encryptApiSecret
- * - subscriptionService.js: isSubscriptionActive
+ * - cryptoUtils.js: generateApiKey, generateApiSecret, hashApiSecret, verifyApiSecret,
+ *   encryptSecret / decryptSecret (서명 Secret)
+ * - requestSignatureUtils.js: 서명 계산, nonce 재사용 확인
+ * - ipAllowlistUtils.js: 화이트리스트 정규화 / IP 매칭
+ * - subscriptionService.js: isSubscriptionActive (조직 구독)
+ * - emailVerificationService.js: assertEmailVerified
+ * - webhookService.js: triggerWebhook (api_key_expiring)
  */
 
 const { executeQuery, executeNonQuery } = require('../config/database');
-const { generateApiKey, generateApiSecret, encryptApiSecret } = require('../utils/cryptoUtils');
+const {
+    generateApiKey, generateApiSecret, hashApiSecret, verifyApiSecret, encryptSecret, decryptSecret, safeEqual
+} = require('../utils/cryptoUtils');
+const { computeRequestSignature, rememberNonce, isNonceCacheFull } = require('../utils/requestSignatureUtils');
+const { MAX_ENTRIES, normalizeIpWhitelist, parseIpWhitelist, isIpAllowed } = require('../utils/ipAllowlistUtils');
 const { isSubscriptionActive } = require('./subscriptionService');
+const { assertEmailVerified } = require('./emailVerificationService');
+const { triggerWebhook } = require('./webhookService');
+const { logRateLimitViolation } = require('./rateLimitService');
+const { getActiveBan } = require('./abuseService');
+const {
+    API_KEY_SCOPES, API_KEY_LIFECYCLE, WEBHOOK_EVENTS, SUBSCRIPTION_STATUS, RATE_LIMIT_TYPE, ABUSE_BAN_TARGET, ERROR_CODES
+} = require('../config/constants');
+
+const VALID_SCOPES = Object.values(API_KEY_SCOPES);
+
+/**
+ * statusCode / errorCode가 지정된 에러 생성
+ */
+function createError(message, statusCode, errorCode) {
+    const error = new Error(message);
+    error.statusCode = statusCode;
+    error.errorCode = errorCode;
+    return error;
+}
+
+/**
+ * scope 목록 검증 및 정규화 (중복 제거, 정렬)
+ *
+ * @param {string[]} scopes - 요청한 scope 목록
+ * @returns {string[]} 정규화된 scope 목록
+ * @throws {Error} 400 INVALID_SCOPE - 비어 있거나 알 수 없는 scope 포함
+ */
+function normalizeScopes(scopes) {
+    if (!Array.isArray(scopes) || scopes.length === 0) {
+        throw createError('scopes는 1개 이상 지정해야 합니다', 400, 'INVALID_SCOPE');
+    }
+
+    const unknown = scopes.filter(scope => !VALID_SCOPES.includes(scope));
+
+    if (unknown.length > 0) {
+        throw createError(`알 수 없는 scope입니다: ${unknown.join(', ')}`, 400, 'INVALID_SCOPE');
+    }
+
+    return Array.from(new Set(scopes)).sort();
+}
+
+/**
+ * DB 저장값(콤마 구분) → scope 배열
+ * @param {string|null} value - ApiKeys.scopes
+ * @returns {string[]}
+ */
+function parseScopes(value) {
+    return value ? value.split(',').map(scope => scope.trim()).filter(Boolean) : [];
+}
+
+/**
+ * IP 화이트리스트 입력 검증 및 정규화
+ *
+ * @param {string[]|undefined} ipWhitelist - 주소 / CIDR 목록 (없거나 빈 배열이면 제한 없음)
+ * @returns {string[]} 정규화된 항목
+ * @throws {Error} 400 INVALID_IP_WHITELIST - 배열이 아니거나, 항목 수 초과, 잘못된 형식 포함
+ */
+function normalizeIpWhitelistInput(ipWhitelist) {
+    if (ipWhitelist === undefined || ipWhitelist === null) {
+        return [];
+    }
+
+    if (!Array.isArray(ipWhitelist)) {
+        throw createError('ipWhitelist는 배열이어야 합니다', 400, 'INVALID_IP_WHITELIST');
+    }
+
+    if (ipWhitelist.length > MAX_ENTRIES) {
+        throw createError(`IP 화이트리스트는 최대 ${MAX_ENTRIES}개까지 등록할 수 있습니다`, 400, 'INVALID_IP_WHITELIST');
+    }
+
+    const { entries, invalid } = normalizeIpWhitelist(ipWhitelist);
+
+    if (invalid.length > 0) {
+        throw createError(`잘못된 IP 주소 또는 CIDR입니다: ${invalid.join(', ')}`, 400, 'INVALID_IP_WHITELIST');
+    }
+
+    return entries;
+}
+
+/**
+ * 만료 기간 입력 검증
+ *
+ * @param {number|undefined} expiresInDays - 만료까지 일수 (없으면 만료 없음)
+ * @returns {number|null}
+ * @throws {Error} 400 INVALID_EXPIRY - API_KEY_LIFECYCLE.EXPIRY_DAYS_OPTIONS에 없는 값
+ */
+function normalizeExpiresInDays(expiresInDays) {
+    if (expiresInDays === undefined || expiresInDays === null || expiresInDays === '') {
+        return null;
+    }
+
+    const days = Number(expiresInDays);
+
+    if (!API_KEY_LIFECYCLE.EXPIRY_DAYS_OPTIONS.includes(days)) {
+        throw createError(
+            `만료 기간은 ${API_KEY_LIFECYCLE.EXPIRY_DAYS_OPTIONS.join(', ')}일 중 하나여야 합니다`,
+            400,
+            'INVALID_EXPIRY'
+        );
+    }
+
+    return days;
+}
+
+/**
+ * Secret 교체 유예 시간 입력 검증 (.env API_KEY_ROTATION_GRACE_HOURS 기본값)
+ *
+ * @param {number|undefined} gracePeriodHours - 이전 Secret 허용 시간 (0이면 즉시 폐기)
+ * @returns {number}
+ * @throws {Error} 400 INVALID_GRACE_PERIOD - 0 ~ ROTATION_MAX_GRACE_HOURS 범위 밖
+ */
+function normalizeGracePeriodHours(gracePeriodHours) {
+    if (gracePeriodHours === undefined || gracePeriodHours === null || gracePeriodHours === '') {
+        const configured = parseInt(process.env.API_KEY_ROTATION_GRACE_HOURS, 10);
+        return Number.isInteger(configured) && configured >= 0
+            ? Math.min(configured, API_KEY_LIFECYCLE.ROTATION_MAX_GRACE_HOURS)
+            : API_KEY_LIFECYCLE.ROTATION_GRACE_HOURS;
+    }
+
+    const hours = Number(gracePeriodHours);
+
+    if (!Number.isInteger(hours) || hours < 0 || hours > API_KEY_LIFECYCLE.ROTATION_MAX_GRACE_HOURS) {
+        throw createError(
+            `유예 시간은 0 ~ ${API_KEY_LIFECYCLE.ROTATION_MAX_GRACE_HOURS}시간 사이의 정수여야 합니다`,
+            400,
+            'INVALID_GRACE_PERIOD'
+        );
+    }
+
+    return hours;
+}
+
+/**
+ * v1(SHA256) 해시를 v2(HMAC + pepper)로 교체 (비동기, 실패해도 인증 결과에 영향 없음)
+ *
+ * @param {string} keyId - API Key ID
+ * @param {string} column - 'api_secret_hash' 또는 'previous_secret_hash'
+ * @param {string} oldHash - 검증에 사용된 v1 해시 (그 사이 Secret이 교체되었으면 건너뜀)
+ * @param {string} apiSecret - 검증된 Secret 원문
+ */
+function upgradeSecretHash(keyId, column, oldHash, apiSecret) {
+    const target = column === 'previous_secret_hash' ? 'previous_secret_hash' : 'api_secret_hash';
+
+    // hashApiSecret은 pepper 미설정 시 throw → 인증 흐름에 영향 없도록 Promise 안에서 실행
+    Promise.resolve().then(() => executeNonQuery(
+        `UPDATE [ApiKeys] SET ${target} = @newHash WHERE id = @keyId AND ${target} = @oldHash`,
+        { keyId, oldHash, newHash: hashApiSecret(apiSecret) }
+    )).catch(err => {
+        console.error('[API_SECRET_HASH_UPGRADE_ERROR]', err);
+    });
+}
+
+/**
+ * 요청 Secret이 Key의 현재 Secret 또는 유예 기간 내 이전 Secret과 일치하는지 확인
+ *
+ * @param {Object} keyRecord - ApiKeys 행 (id, api_secret_hash, previous_secret_hash, previous_secret_expires_at)
+ * @param {string} apiSecret - 요청된 API Secret
+ * @returns {boolean}
+ *
+ * @note
+ * - 상수 시간 비교 (cryptoUtils.verifyApiSecret)
+ * - v1 해시로 일치하면 v2 해시로 자동 교체
+ */
+function matchesApiSecret(keyRecord, apiSecret) {
+    const current = verifyApiSecret(apiSecret, keyRecord.api_secret_hash);
+
+    if (current.valid) {
+        if (current.needsUpgrade) {
+            upgradeSecretHash(keyRecord.id, 'api_secret_hash', keyRecord.api_secret_hash, apiSecret);
+        }
+        return true;
+    }
+
+    const inGracePeriod = !!keyRecord.previous_secret_expires_at
+        && new Date(keyRecord.previous_secret_expires_at) > new Date();
+
+    if (!inGracePeriod) {
+        return false;
+    }
+
+    const previous = verifyApiSecret(apiSecret, keyRecord.previous_secret_hash);
+
+    if (previous.valid && previous.needsUpgrade) {
+        upgradeSecretHash(keyRecord.id, 'previous_secret_hash', keyRecord.previous_secret_hash, apiSecret);
+    }
+
+    return previous.valid;
+}
+
+/**
+ * 서명 Secret 암호화
+ * - DATA_ENCRYPTION_KEY 미설정이면 null (서명 요청 사용 불가)
+ * - 그 외 오류 (잘못된 DATA_ENCRYPTION_KEY 등)는 그대로 throw
+ *
+ * @param {string} signingSecret - 서명 Secret 원문
+ * @returns {string|null}
+ */
+function encryptSigningSecret(signingSecret) {
+    if (!process.env.DATA_ENCRYPTION_KEY) {
+        return null;
+    }
+
+    return encryptSecret(signingSecret);
+}
+
+/**
+ * 서명 요청 검증 (현재 서명 Secret 또는 유예 기간 내 이전 서명 Secret으로 서명했는지) 후 nonce 기록
+ *
+ * @param {Object} keyRecord - ApiKeys 행 (id, signing_secret_encrypted, previous_signing_secret_encrypted,
+ *                             previous_signing_secret_expires_at)
+ * @param {Object} signedRequest - { method, path, timestamp, nonce, bodyHash, signature }
+ *
+ * @throws {Error} 401 INVALID_SIGNATURE - 서명 불일치, 서명 Secret을 발급하지 않은 Key
+ * @throws {Error} 401 NONCE_REUSED - 이미 사용된 nonce (재전송)
+ * @throws {Error} 503 - nonce 캐시가 가득 참 (재전송 방지를 보장할 수 없음)
+ *
+ * @note
+ * - X-Timestamp 허용 범위는 미들웨어에서 DB 조회 전에 확인
+ * - nonce는 서명이 맞을 때만 기록 (다른 사람이 nonce를 미리 소모할 수 없음)
+ */
+function verifyRequestSignature(keyRecord, signedRequest) {
+    const inGracePeriod = !!keyRecord.previous_signing_secret_expires_at
+        && new Date(keyRecord.previous_signing_secret_expires_at) > new Date();
+
+    const encryptedSecrets = [
+        keyRecord.signing_secret_encrypted,
+        inGracePeriod ? keyRecord.previous_signing_secret_encrypted : null
+    ].filter(Boolean);
+
+    if (encryptedSecrets.length === 0) {
+        throw createError(
+            '이 API Key는 서명 요청을 사용할 수 없습니다. 서명 Secret을 발급하세요',
+            401,
+            ERROR_CODES.INVALID_SIGNATURE
+        );
+    }
+
+    const signature = signedRequest.signature.toLowerCase();
+
+    const matched = encryptedSecrets.some(encrypted => {
+        try {
+            return safeEqual(computeRequestSignature(decryptSecret(encrypted), signedRequest), signature);
+        } catch (err) {
+            // DATA_ENCRYPTION_KEY 변경 / 미설정
+            console.error('[API_SIGNING_SECRET_DECRYPT_ERROR]', { apiKeyId: keyRecord.id, error: err.message });
+            return false;
+        }
+    });
+
+    if (!matched) {
+        throw createError('유효하지 않은 서명입니다', 401, ERROR_CODES.INVALID_SIGNATURE);
+    }
+
+    if (isNonceCacheFull()) {
+        console.error('[API_SIGNATURE_NONCE_CACHE_FULL]');
+        throw createError('요청이 많아 잠시 처리할 수 없습니다. 잠시 후 다시 시도해주세요', 503, ERROR_CODES.INTERNAL_ERROR);
+    }
+
+    if (!rememberNonce(keyRecord.id, signedRequest.nonce)) {
+        throw createError('이미 사용된 nonce입니다', 401, ERROR_CODES.NONCE_REUSED);
+    }
+}
 
 /**
  * 새로운 API Key 생성
  * 
- * @param {string} userId - 사용자 ID
+ * @param {string} organizationId - 조직 ID (소유 조직)
+ * @param {string} userId - 생성하는 사용자 ID
  * @param {string} keyName - API Key 이름 (예: "Production API")
+ * @param {string[]} scopes - 허용할 scope 목록 (API_KEY_SCOPES, 1개 이상)
+ * @param {string[]} [ipWhitelist] - 허용할 IP 주소 / CIDR (생략 시 제한 없음)
+ * @param {number} [expiresInDays] - 만료까지 일수 (API_KEY_LIFECYCLE.EXPIRY_DAYS_OPTIONS, 생략 시 만료 없음)
  * 
  * @returns {Promise<Object>}
  *   - keyId: string (UUID)
  *   - apiKey: string ("sk_" + 48자 랜덤)
  *   - apiSecret: string (64자 랜덤)
+ *   - scopes: string[] (정규화된 scope 목록)
+ *   - ipWhitelist: string[] (정규화된 IP 화이트리스트)
+ *   - expiresAt: datetime|null (만료 시각)
  *   - warning: string ("API Secret은 한 번만 표시됩니다...")
  * 
  * @throws {Error}
+ *   - 'scopes는 1개 이상...' / '알 수 없는 scope...' (400, INVALID_SCOPE)
+ *   - '잘못된 IP 주소 또는 CIDR입니다...' (400, INVALID_IP_WHITELIST)
+ *   - '만료 기간은 ...' (400, INVALID_EXPIRY)
+ *   - '이메일 인증이 필요합니다...' (403, EMAIL_NOT_VERIFIED)
  *   - '활성화된 구독이 없습니다'
  *   - DB 에러
  * 
  * @flow
- * 1. 사용자의 활성화된 구독 확인
- *    - subscriptionService.isSubscriptionActive(userId)
+ * 0. 이메일 인증 여부 확인
+ * 
+ * 1. 조직의 활성화된 구독 확인
+ *    - subscriptionService.isSubscriptionActive(organizationId)
  *    - 구독이 없으면 에러
  * 
  * 2. API Key 생성
@@ -47,40 +339,51 @@ const { isSubscriptionActive } = require('./subscriptionService');
  *    - 예: "a1b2c3d4e5f6g7h8i9j0k1l2m3n4o5p6q7r8s9t0u1v2w3x4y5z6"
  * 
  * 4. API Secret 해싱
- *    - encryptApiSecret(secret) → SHA256 해시
- *    - secretHash만 DB에 저장
+ *    - hashApiSecret(secret) → 'v2$' + HMAC-SHA256(API_SECRET_PEPPER)
  *    - 원본 secret은 이 응답에만 포함
+ *    - 서명 요청을 쓰려면 서명 Secret을 따로 발급 (issueSigningSecret)
  * 
  * 5. keyId 생성 (UUID)
  * 
  * 6. ApiKeys 테이블에 INSERT
- *    - id, user_id, key_name, api_key, api_secret_hash, is_active
+ *    - id, organization_id, user_id, key_name, api_key, api_secret_hash, scopes, ip_whitelist, is_active
+ *    - expires_at: GETDATE() + expiresInDays (생략 시 NULL)
  *    - created_at: GETDATE() (기본값)
  * 
- * 7. { keyId, apiKey, apiSecret, warning } 반환
+ * 7. { keyId, apiKey, apiSecret, scopes, ipWhitelist, expiresAt, warning } 반환
  * 
  * @important
  * - API Secret은 이 응답 외에는 노출되지 않음
  * - Secret을 잃어버리면 새로 생성해야 함
- * - Secret은 SHA256 해싱되어 저장되므로 복구 불가능
+ * - Secret은 HMAC-SHA256(pepper)으로 해싱되어 저장되므로 복구 불가능
  * 
  * @example
  * const result = await generateNewApiKey(
+ *   '770e8400-e29b-41d4-a716-446655440000',
  *   '550e8400-e29b-41d4-a716-446655440000',
- *   'Production API'
+ *   'Production API',
+ *   ['validate:read', 'usage:read']
  * );
  * // {
  * //   keyId: '660e8400-e29b-41d4-a716-446655440001',
  * //   apiKey: 'sk_f8c4a9b2d1e7f5c3a8b9d0e1f2a3b4c5d6e7f8a9b0c1d2e',
  * //   apiSecret: 'a1b2c3d4e5f6g7h8i9j0k1l2m3n4o5p6q7r8s9t0u1v2w3x4y5z6',
+ * //   scopes: ['usage:read', 'validate:read'],
  * //   warning: 'API Secret은 한 번만 표시됩니다. 안전한 곳에 저장하세요'
  * // }
  */
-async function generateNewApiKey(userId, keyName) {
+async function generateNewApiKey(organizationId, userId, keyName, scopes, ipWhitelist, expiresInDays) {
     try {
-        // 1. 구독 활성화 확인
+        const normalizedScopes = normalizeScopes(scopes);
+        const normalizedIpWhitelist = normalizeIpWhitelistInput(ipWhitelist);
+        const expiryDays = normalizeExpiresInDays(expiresInDays);
+
+        // 0. 이메일 인증 확인 (미인증이면 403)
+        await assertEmailVerified(userId);
+
+        // 1. 조직 구독 활성화 확인
         // - 구독 없으면 API Key 생성 불가
-        const isActive = await isSubscriptionActive(userId);
+        const isActive = await isSubscriptionActive(organizationId);
         
         if (!isActive) {
             throw new Error('활성화된 구독이 없습니다');
@@ -97,10 +400,10 @@ async function generateNewApiKey(userId, keyName) {
         const apiSecret = generateApiSecret();
 
         // 4. API Secret 해싱
-        // - SHA256 알고리즘 사용
+        // - HMAC-SHA256 + 서버 pepper (v2)
         // - 단방향 암호화 (복호화 불가)
         // - DB에 저장되는 값
-        const secretHash = encryptApiSecret(apiSecret);
+        const secretHash = hashApiSecret(apiSecret);
 
         // 5. UUID 생성
         const keyId = require('crypto').randomUUID();
@@ -109,16 +412,23 @@ async function generateNewApiKey(userId, keyName) {
         // - api_key: 평문 저장 (요청 시 사용)
         // - api_secret_hash: 해시 저장 (검증용)
         // - is_active: 1 (활성화)
-        await executeNonQuery(
+        // - expires_at: 만료 기간 지정 시 DB 시각 기준으로 계산
+        const inserted = await executeQuery(
             `INSERT INTO [ApiKeys] 
-             (id, user_id, key_name, api_key, api_secret_hash, is_active)
-             VALUES (@id, @userId, @keyName, @apiKey, @secretHash, 1)`,
+             (id, organization_id, user_id, key_name, api_key, api_secret_hash, scopes, ip_whitelist, expires_at, is_active)
+             OUTPUT INSERTED.expires_at
+             VALUES (@id, @organizationId, @userId, @keyName, @apiKey, @secretHash, @scopes, @ipWhitelist,
+                     CASE WHEN @expiryDays IS NULL THEN NULL ELSE DATEADD(DAY, @expiryDays, GETDATE()) END, 1)`,
             {
                 id: keyId,
+                organizationId,
                 userId,
                 keyName,
                 apiKey,
-                secretHash
+                secretHash,
+                scopes: normalizedScopes.join(','),
+                ipWhitelist: normalizedIpWhitelist.length > 0 ? normalizedIpWhitelist.join(',') : null,
+                expiryDays
             }
         );
         
@@ -129,6 +439,9 @@ async function generateNewApiKey(userId, keyName) {
             keyId,
             apiKey,
             apiSecret,
+            scopes: normalizedScopes,
+            ipWhitelist: normalizedIpWhitelist,
+            expiresAt: inserted[0] ? inserted[0].expires_at : null,
             warning: 'API Secret은 한 번만 표시됩니다. 안전한 곳에 저장하세요'
         };
     } catch (err) {
@@ -137,9 +450,9 @@ async function generateNewApiKey(userId, keyName) {
 }
 
 /**
- * 사용자의 API Key 목록 조회
+ * 조직의 API Key 목록 조회
  * 
- * @param {string} userId - 사용자 ID
+ * @param {string} organizationId - 조직 ID
  * 
  * @returns {Promise<Array>} - API Key 배열
  *   - id: string
@@ -148,6 +461,12 @@ async function generateNewApiKey(userId, keyName) {
  *   - is_active: boolean
  *   - last_used: datetime (null 가능)
  *   - created_at: datetime
+ *   - created_by_email: string (생성한 멤버)
+ *   - scopes: string[] (허용된 scope)
+ *   - ip_whitelist: string[] (허용된 IP / CIDR, 빈 배열이면 제한 없음)
+ *   - expires_at: datetime (null이면 만료 없음)
+ *   - rotated_at: datetime (마지막 Secret 교체)
+ *   - previous_secret_expires_at: datetime (이전 Secret 유예 종료, 유예 중일 때만)
  * 
  * @note
  * - API Secret은 절대 반환하지 않음 (보안)
@@ -155,7 +474,7 @@ async function generateNewApiKey(userId, keyName) {
  * - 최신 생성순으로 정렬
  * 
  * @example
- * const keys = await getUserApiKeys('550e8400-e29b-41d4-a716-446655440000');
+ * const keys = await getOrganizationApiKeys('770e8400-e29b-41d4-a716-446655440000');
  * // [
  * //   {
  * //     id: '660e8400-e29b-41d4-a716-446655440001',
@@ -167,22 +486,31 @@ async function generateNewApiKey(userId, keyName) {
  * //   }
  * // ]
  */
-async function getUserApiKeys(userId) {
+async function getOrganizationApiKeys(organizationId) {
     try {
         // 1. ApiKeys 테이블에서 조회
         // - LEFT(api_key, 10): 처음 10자만 추출
         // - api_secret_hash는 제외 (보안)
         // - created_at 기준 내림차순 (최신순)
         const keys = await executeQuery(
-            `SELECT id, key_name, api_key, is_active, last_used, created_at 
-             FROM [ApiKeys]
-             WHERE user_id = @userId
-             ORDER BY created_at DESC`,
-            { userId }
+            `SELECT ak.id, ak.key_name, ak.api_key, ak.is_active, ak.last_used, ak.created_at,
+                    ak.scopes, ak.ip_whitelist, ak.expires_at, ak.rotated_at,
+                    CASE WHEN ak.previous_secret_expires_at > GETDATE() THEN ak.previous_secret_expires_at END as previous_secret_expires_at,
+                    CAST(CASE WHEN ak.signing_secret_encrypted IS NOT NULL THEN 1 ELSE 0 END AS BIT) as signing_enabled,
+                    u.email as created_by_email
+             FROM [ApiKeys] ak
+             LEFT JOIN [Users] u ON ak.user_id = u.id
+             WHERE ak.organization_id = @organizationId
+             ORDER BY ak.created_at DESC`,
+            { organizationId }
         );
         
-        // 2. 결과 반환
-        return keys;
+        // 2. scope / IP 화이트리스트 문자열 → 배열
+        return keys.map(key => ({
+            ...key,
+            scopes: parseScopes(key.scopes),
+            ip_whitelist: parseIpWhitelist(key.ip_whitelist)
+        }));
     } catch (err) {
         throw err;
     }
@@ -191,7 +519,7 @@ async function getUserApiKeys(userId) {
 /**
  * API Key 비활성화 (삭제 아님)
  * 
- * @param {string} userId - 사용자 ID (소유권 확인용)
+ * @param {string} organizationId - 조직 ID (소유권 확인용)
  * @param {string} keyId - API Key ID
  * 
  * @throws {Error}
@@ -199,8 +527,8 @@ async function getUserApiKeys(userId) {
  *   - DB 에러
  * 
  * @flow
- * 1. 해당 keyId와 userId로 ApiKeys 테이블 조회
- *    - 소유권 확인 (다른 사용자가 삭제하지 못하도록)
+ * 1. 해당 keyId와 organizationId로 ApiKeys 테이블 조회
+ *    - 소유권 확인 (다른 조직이 삭제하지 못하도록)
  * 
  * 2. 데이터 없으면 에러
  * 
@@ -215,17 +543,17 @@ async function getUserApiKeys(userId) {
  * 
  * @example
  * await revokeApiKey(
- *   '550e8400-e29b-41d4-a716-446655440000',
+ *   '770e8400-e29b-41d4-a716-446655440000',
  *   '660e8400-e29b-41d4-a716-446655440001'
  * );
  */
-async function revokeApiKey(userId, keyId) {
+async function revokeApiKey(organizationId, keyId) {
     try {
         // 1. 소유권 확인
-        // - user_id와 keyId 모두 일치해야 함
+        // - organization_id와 keyId 모두 일치해야 함
         const keys = await executeQuery(
-            'SELECT id FROM [ApiKeys] WHERE id = @keyId AND user_id = @userId',
-            { keyId, userId }
+            'SELECT id FROM [ApiKeys] WHERE id = @keyId AND organization_id = @organizationId',
+            { keyId, organizationId }
         );
         
         // 2. 소유권 없음 → 에러
@@ -244,79 +572,441 @@ async function revokeApiKey(userId, keyId) {
 }
 
 /**
- * API Key 및 Secret 검증
+ * API Key 인증 파이프라인 (모든 API Key 인증 라우트 공통)
  * 
- * @param {string} apiKey - x-api-key 헤더 값
- * @param {string} apiSecret - x-api-secret 헤더 값 (평문)
+ * @param {string} apiKey - API Key (sk_...)
+ * @param {Object} credentials - 둘 중 하나
+ *   - { apiSecret }: body / 헤더로 받은 API Secret
+ *   - { signedRequest: { method, path, timestamp, nonce, bodyHash, signature } }: 서명 요청
+ * @param {string} clientIp - 클라이언트 IP (trust proxy 적용된 req.ip)
  * 
- * @returns {Promise<Object>} - API Key 정보
- *   - id: string
- *   - user_id: string
- *   - is_active: boolean
- *   - (기타 필드)
+ * @returns {Promise<Object>}
+ *   - apiKey: { id, keyName, keyPreview, organizationId, userId, scopes, isActive, createdAt, expiresAt }
+ *   - user: { id, email }
+ *   - subscription: { id, tierName, apiCallLimit, rateLimitPerSecond, rateLimitPerHour, currentUsage }
  * 
- * @throws {Error}
- *   - '유효하지 않은 API Key 또는 Secret입니다'
- *   - DB 에러
+ * @throws {Error} statusCode / errorCode (config/constants.js ERROR_CODES)
+ *   - 401 INVALID_API_KEY / INVALID_API_SECRET / INVALID_SIGNATURE / NONCE_REUSED
+ *   - 403 API_KEY_INACTIVE / API_KEY_EXPIRED / API_KEY_SUSPENDED / IP_NOT_ALLOWED
+ *   - 403 USER_NOT_FOUND / USER_INACTIVE / USER_BLOCKED
+ *   - 403 SUBSCRIPTION_INACTIVE
+ *   - 429 API_LIMIT_EXCEEDED (RateLimitLogs에 monthly 위반 기록)
+ *   - DB 에러 (statusCode 없음)
  * 
  * @flow
- * 1. API Secret을 SHA256으로 해싱
- *    - DB에 저장된 해시와 비교하기 위해
- * 
- * 2. ApiKeys 테이블에서 조회
- *    - api_key = @apiKey 정확히 일치
- *    - api_secret_hash = @secretHash 정확히 일치
- *    - is_active = 1 활성화된 것만
- * 
- * 3. 데이터 없으면 에러
- *    - Key가 없거나 Secret 불일치 또는 비활성화
- * 
- * 4. last_used 업데이트
- *    - API 사용 시간 추적
- * 
- * 5. API Key 정보 반환
+ * 1. api_key로 ApiKeys 조회
+ * 2. Secret 검증 (matchesApiSecret: 상수 시간 비교, 교체 유예 기간의 이전 Secret 허용, v1 해시 자동 교체)
+ *    또는 서명 검증 (verifyRequestSignature: 유예 기간의 이전 Secret 허용, nonce 재사용 거부)
+ * 3. 활성화 / 만료 / 반복 위반 정지 확인 (abuseService.getActiveBan)
+ * 4. IP 화이트리스트 확인
+ * 5. Key를 만든 사용자 상태 확인 (존재, 활성화, 차단)
+ * 6. Key 소유 조직의 활성 구독 확인
+ * 7. 월간 API 호출 제한 확인 (조직의 모든 Key 합산, ApiLogs 기준)
+ * 8. last_used 업데이트 (비동기)
  * 
  * @note
- * - 이 함수는 apiKeyMiddleware에서 호출됨
- * - API 요청 시마다 검증됨
- * - 보안상 key와 secret 모두 일치해야 통과
- * 
- * @example
- * const keyInfo = await validateApiKey(
- *   'sk_f8c4a9b2d1e7f5c3a8b9d0e1f2a3b4c5d6e7f8a9b0c1d2e',
- *   'a1b2c3d4e5f6g7h8i9j0k1l2m3n4o5p6q7r8s9t0u1v2w3x4y5z6'
- * );
- * // { id: '660e8400-e29b-41d4-a716-446655440001', user_id: '...' }
+ * - middleware/apiKeyMiddleware.js authenticateApiKey에서 호출
+ * - scope 확인은 requireApiKeyScope 미들웨어에서 별도로 수행
  */
-async function validateApiKey(apiKey, apiSecret) {
+async function authenticateApiKey(apiKey, credentials, clientIp) {
     try {
-        // 1. API Secret 해싱
-        // - DB에 저장된 해시와 비교
-        const secretHash = encryptApiSecret(apiSecret);
-        
-        // 2. ApiKeys 테이블에서 조회
-        // - key와 secret 모두 일치
-        // - 활성화된 것만
+        // 1. API Key 조회
         const keys = await executeQuery(
-            `SELECT id, user_id, is_active FROM [ApiKeys] 
-             WHERE api_key = @apiKey AND api_secret_hash = @secretHash AND is_active = 1`,
-            { apiKey, secretHash }
+            `SELECT id, key_name, LEFT(api_key, 10) as key_preview, organization_id, user_id, scopes, ip_whitelist,
+                    is_active, created_at, expires_at,
+                    api_secret_hash, previous_secret_hash, previous_secret_expires_at,
+                    signing_secret_encrypted, previous_signing_secret_encrypted, previous_signing_secret_expires_at
+             FROM [ApiKeys]
+             WHERE api_key = @apiKey`,
+            { apiKey }
         );
-        
-        // 3. 검증 실패
+
         if (keys.length === 0) {
-            throw new Error('유효하지 않은 API Key 또는 Secret입니다');
+            throw createError('유효하지 않은 API Key입니다', 401, ERROR_CODES.INVALID_API_KEY);
         }
-        
-        // 4. last_used 업데이트
-        // - API 사용 시간 추적
-        await executeNonQuery(
+
+        const keyRecord = keys[0];
+
+        // 2. Secret 또는 서명 검증
+        if (credentials.signedRequest) {
+            verifyRequestSignature(keyRecord, credentials.signedRequest);
+        } else if (!matchesApiSecret(keyRecord, credentials.apiSecret)) {
+            throw createError('유효하지 않은 API Secret입니다', 401, ERROR_CODES.INVALID_API_SECRET);
+        }
+
+        // 3. 활성화 / 만료 / 일시 정지
+        if (!keyRecord.is_active) {
+            throw createError('비활성화된 API Key입니다', 403, ERROR_CODES.API_KEY_INACTIVE);
+        }
+
+        if (keyRecord.expires_at && new Date(keyRecord.expires_at) <= new Date()) {
+            throw createError('만료된 API Key입니다', 403, ERROR_CODES.API_KEY_EXPIRED);
+        }
+
+        const ban = await getActiveBan(ABUSE_BAN_TARGET.API_KEY, keyRecord.id);
+
+        if (ban) {
+            throw createError(
+                `반복된 요청 제한 위반으로 일시 정지된 API Key입니다 (해제 예정: ${new Date(ban.banned_until).toISOString()})`,
+                403,
+                ERROR_CODES.API_KEY_SUSPENDED
+            );
+        }
+
+        // 4. IP 화이트리스트
+        if (!isIpAllowed(clientIp, parseIpWhitelist(keyRecord.ip_whitelist))) {
+            console.warn('[API_KEY_IP_REJECTED]', { apiKeyId: keyRecord.id, ip: clientIp });
+            throw createError('허용되지 않은 IP에서의 요청입니다', 403, ERROR_CODES.IP_NOT_ALLOWED);
+        }
+
+        // 5. 사용자 상태
+        const users = await executeQuery(
+            'SELECT id, email, is_active, is_blocked FROM [Users] WHERE id = @userId',
+            { userId: keyRecord.user_id }
+        );
+
+        if (users.length === 0) {
+            throw createError('사용자를 찾을 수 없습니다', 403, ERROR_CODES.USER_NOT_FOUND);
+        }
+
+        const user = users[0];
+
+        if (!user.is_active) {
+            throw createError('비활성화된 사용자 계정입니다', 403, ERROR_CODES.USER_INACTIVE);
+        }
+
+        if (user.is_blocked) {
+            throw createError('차단된 사용자입니다', 403, ERROR_CODES.USER_BLOCKED);
+        }
+
+        // 6. 조직 구독
+        const subscriptions = await executeQuery(
+            `SELECT TOP 1 us.id, st.tier_name, st.api_call_limit, st.rate_limit_per_second, st.rate_limit_per_hour
+             FROM [UserSubscriptions] us
+             JOIN [SubscriptionTiers] st ON us.tier_id = st.id
+             WHERE us.organization_id = @organizationId AND us.status = @status`,
+            { organizationId: keyRecord.organization_id, status: SUBSCRIPTION_STATUS.ACTIVE }
+        );
+
+        if (subscriptions.length === 0) {
+            throw createError('활성화된 구독이 없습니다', 403, ERROR_CODES.SUBSCRIPTION_INACTIVE);
+        }
+
+        const subscription = subscriptions[0];
+
+        // 7. 월간 호출 제한 (조직 합산)
+        const now = new Date();
+        const firstDayOfMonth = new Date(now.getFullYear(), now.getMonth(), 1);
+
+        const usage = await executeQuery(
+            `SELECT COUNT(*) as count FROM [ApiLogs]
+             WHERE organization_id = @organizationId AND created_at >= @firstDay`,
+            { organizationId: keyRecord.organization_id, firstDay: firstDayOfMonth }
+        );
+
+        const currentUsage = usage[0] ? usage[0].count : 0;
+
+        if (currentUsage >= subscription.api_call_limit) {
+            // 위반 기록 (실패해도 인증 결과에 영향 없음)
+            logRateLimitViolation(keyRecord.id, user.id, clientIp, RATE_LIMIT_TYPE.MONTHLY).catch(err => {
+                console.error('[RATE_LIMIT_LOG_ERROR]', err);
+            });
+
+            throw createError('API 호출 제한을 초과했습니다', 429, ERROR_CODES.API_LIMIT_EXCEEDED);
+        }
+
+        // 8. last_used (실패해도 인증 결과에 영향 없음)
+        executeNonQuery(
             'UPDATE [ApiKeys] SET last_used = GETDATE() WHERE id = @id',
-            { id: keys.id }
+            { id: keyRecord.id }
+        ).catch(err => {
+            console.error('[UPDATE_LAST_USED_ERROR]', err);
+        });
+
+        return {
+            apiKey: {
+                id: keyRecord.id,
+                keyName: keyRecord.key_name,
+                keyPreview: keyRecord.key_preview,
+                organizationId: keyRecord.organization_id,
+                userId: keyRecord.user_id,
+                scopes: parseScopes(keyRecord.scopes),
+                isActive: !!keyRecord.is_active,
+                createdAt: keyRecord.created_at,
+                expiresAt: keyRecord.expires_at
+            },
+            user: {
+                id: user.id,
+                email: user.email
+            },
+            subscription: {
+                id: subscription.id,
+                tierName: subscription.tier_name,
+                apiCallLimit: subscription.api_call_limit,
+                rateLimitPerSecond: subscription.rate_limit_per_second,
+                rateLimitPerHour: subscription.rate_limit_per_hour,
+                currentUsage
+            }
+        };
+    } catch (err) {
+        throw err;
+    }
+}
+
+/**
+ * API Key scope 변경
+ *
+ * @param {string} organizationId - 조직 ID
+ * @param {string} keyId - API Key ID
+ * @param {string[]} scopes - 새 scope 목록 (전체 교체)
+ * @returns {Promise<string[]>} 정규화된 scope 목록
+ *
+ * @throws {Error} 400 INVALID_SCOPE - 비어 있거나 알 수 없는 scope
+ * @throws {Error} 404 API_KEY_NOT_FOUND - Key 없음 (또는 다른 조직의 Key)
+ *
+ * @note
+ * - 다음 요청부터 즉시 적용 (Secret 재발급 불필요)
+ */
+async function updateApiKeyScopes(organizationId, keyId, scopes) {
+    try {
+        const normalizedScopes = normalizeScopes(scopes);
+
+        const updated = await executeQuery(
+            `UPDATE [ApiKeys] SET scopes = @scopes
+             OUTPUT INSERTED.id
+             WHERE id = @keyId AND organization_id = @organizationId`,
+            { keyId, organizationId, scopes: normalizedScopes.join(',') }
         );
-        
-        // 5. API Key 정보 반환
-        return keys;
+
+        if (updated.length === 0) {
+            throw createError('API Key를 찾을 수 없습니다', 404, 'API_KEY_NOT_FOUND');
+        }
+
+        return normalizedScopes;
+    } catch (err) {
+        throw err;
+    }
+}
+
+/**
+ * API Key IP 화이트리스트 변경
+ *
+ * @param {string} organizationId - 조직 ID
+ * @param {string} keyId - API Key ID
+ * @param {string[]} ipWhitelist - 새 IP 주소 / CIDR 목록 (전체 교체, 빈 배열이면 제한 해제)
+ * @returns {Promise<string[]>} 정규화된 화이트리스트
+ *
+ * @throws {Error} 400 INVALID_IP_WHITELIST - 배열 아님, 항목 수 초과, 잘못된 형식
+ * @throws {Error} 404 API_KEY_NOT_FOUND - Key 없음 (또는 다른 조직의 Key)
+ */
+async function updateApiKeyIpWhitelist(organizationId, keyId, ipWhitelist) {
+    try {
+        if (!Array.isArray(ipWhitelist)) {
+            throw createError('ipWhitelist는 배열이어야 합니다', 400, 'INVALID_IP_WHITELIST');
+        }
+
+        const entries = normalizeIpWhitelistInput(ipWhitelist);
+
+        const updated = await executeQuery(
+            `UPDATE [ApiKeys] SET ip_whitelist = @ipWhitelist
+             OUTPUT INSERTED.id
+             WHERE id = @keyId AND organization_id = @organizationId`,
+            { keyId, organizationId, ipWhitelist: entries.length > 0 ? entries.join(',') : null }
+        );
+
+        if (updated.length === 0) {
+            throw createError('API Key를 찾을 수 없습니다', 404, 'API_KEY_NOT_FOUND');
+        }
+
+        return entries;
+    } catch (err) {
+        throw err;
+    }
+}
+
+/**
+ * API Key Secret 교체 (rotation)
+ *
+ * @param {string} organizationId - 조직 ID
+ * @param {string} keyId - API Key ID
+ * @param {Object} [options]
+ * @param {number} [options.gracePeriodHours] - 이전 Secret을 계속 허용할 시간 (0 ~ 168, 기본 .env / 24시간)
+ * @param {number} [options.expiresInDays] - 새 만료 기간 (지정 시 만료일 재설정, 생략 시 기존 만료일 유지)
+ *
+ * @returns {Promise<Object>}
+ *   - keyId, apiKey (변경 없음), apiSecret (새 Secret, 한 번만 표시)
+ *   - previousSecretExpiresAt: 이전 Secret 사용 종료 시각 (유예 0이면 null)
+ *   - expiresAt: Key 만료 시각
+ *   - warning
+ *
+ * @throws {Error} 400 INVALID_GRACE_PERIOD / INVALID_EXPIRY
+ * @throws {Error} 404 API_KEY_NOT_FOUND - Key 없음, 다른 조직의 Key, 비활성화된 Key
+ *
+ * @flow
+ * 1. 새 Secret 생성 및 해싱
+ * 2. 한 번의 UPDATE로 현재 Secret 해시 → previous_secret_hash 이동, 새 해시 저장
+ *    - 서명 Secret은 그대로 (issueSigningSecret으로 따로 재발급)
+ *    - 유예 기간 동안 이전 / 새 Secret 모두 인증 통과
+ *    - 유예 중 다시 교체하면 직전 Secret만 유예 (그 이전 Secret은 즉시 폐기)
+ * 3. 만료 기간을 지정했으면 expires_at 재설정, 만료 알림 기록 초기화
+ */
+async function rotateApiKey(organizationId, keyId, options = {}) {
+    try {
+        const graceHours = normalizeGracePeriodHours(options.gracePeriodHours);
+        const expiryDays = normalizeExpiresInDays(options.expiresInDays);
+
+        // 1. 새 Secret
+        const apiSecret = generateApiSecret();
+
+        // 2. Secret 교체 (+ 만료일 재설정)
+        const updated = await executeQuery(
+            `UPDATE [ApiKeys]
+             SET previous_secret_hash = CASE WHEN @graceHours > 0 THEN api_secret_hash END,
+                 previous_secret_expires_at = CASE WHEN @graceHours > 0 THEN DATEADD(HOUR, @graceHours, GETDATE()) END,
+                 api_secret_hash = @secretHash,
+                 rotated_at = GETDATE(),
+                 expires_at = CASE WHEN @expiryDays IS NULL THEN expires_at ELSE DATEADD(DAY, @expiryDays, GETDATE()) END,
+                 expiry_notified_at = CASE WHEN @expiryDays IS NULL THEN expiry_notified_at END
+             OUTPUT INSERTED.api_key, INSERTED.previous_secret_expires_at, INSERTED.expires_at
+             WHERE id = @keyId AND organization_id = @organizationId AND is_active = 1`,
+            {
+                keyId,
+                organizationId,
+                graceHours,
+                expiryDays,
+                secretHash: hashApiSecret(apiSecret)
+            }
+        );
+
+        if (updated.length === 0) {
+            throw createError('API Key를 찾을 수 없습니다', 404, 'API_KEY_NOT_FOUND');
+        }
+
+        return {
+            keyId,
+            apiKey: updated[0].api_key,
+            apiSecret,
+            previousSecretExpiresAt: updated[0].previous_secret_expires_at,
+            expiresAt: updated[0].expires_at,
+            warning: 'API Secret은 한 번만 표시됩니다. 안전한 곳에 저장하세요'
+        };
+    } catch (err) {
+        throw err;
+    }
+}
+
+/**
+ * 서명 Secret 발급 / 재발급 (서명 요청을 쓰는 Key만 선택적으로)
+ *
+ * @param {string} organizationId - 조직 ID
+ * @param {string} keyId - API Key ID
+ * @param {Object} [options]
+ * @param {number} [options.gracePeriodHours] - 재발급 시 이전 서명 Secret을 계속 허용할 시간 (0 ~ 168, 기본 .env / 24시간)
+ *
+ * @returns {Promise<Object>}
+ *   - keyId, signingSecret (한 번만 표시)
+ *   - previousSigningSecretExpiresAt: 이전 서명 Secret 사용 종료 시각 (첫 발급 / 유예 0이면 null)
+ *   - warning
+ *
+ * @throws {Error} 400 INVALID_GRACE_PERIOD
+ * @throws {Error} 404 API_KEY_NOT_FOUND - Key 없음, 다른 조직의 Key, 비활성화된 Key
+ * @throws {Error} 503 SIGNING_UNAVAILABLE - DATA_ENCRYPTION_KEY 미설정
+ *
+ * @note
+ * - API Secret과 별개의 무작위 값 → 서명 Secret이 유출되어도 api_secret_hash는 그대로 단방향
+ * - 서버가 서명을 다시 계산해야 하므로 AES-256-GCM 암호문으로 저장 (DATA_ENCRYPTION_KEY)
+ */
+async function issueSigningSecret(organizationId, keyId, options = {}) {
+    try {
+        const graceHours = normalizeGracePeriodHours(options.gracePeriodHours);
+
+        const signingSecret = generateApiSecret();
+        const encrypted = encryptSigningSecret(signingSecret);
+
+        if (!encrypted) {
+            throw createError('서버에 암호화 키가 설정되지 않아 서명 Secret을 발급할 수 없습니다', 503, 'SIGNING_UNAVAILABLE');
+        }
+
+        const updated = await executeQuery(
+            `UPDATE [ApiKeys]
+             SET previous_signing_secret_encrypted = CASE WHEN @graceHours > 0 THEN signing_secret_encrypted END,
+                 previous_signing_secret_expires_at = CASE WHEN @graceHours > 0 AND signing_secret_encrypted IS NOT NULL
+                                                           THEN DATEADD(HOUR, @graceHours, GETDATE()) END,
+                 signing_secret_encrypted = @signingSecret
+             OUTPUT INSERTED.previous_signing_secret_expires_at
+             WHERE id = @keyId AND organization_id = @organizationId AND is_active = 1`,
+            { keyId, organizationId, graceHours, signingSecret: encrypted }
+        );
+
+        if (updated.length === 0) {
+            throw createError('API Key를 찾을 수 없습니다', 404, 'API_KEY_NOT_FOUND');
+        }
+
+        return {
+            keyId,
+            signingSecret,
+            previousSigningSecretExpiresAt: updated[0].previous_signing_secret_expires_at,
+            warning: '서명 Secret은 한 번만 표시됩니다. 안전한 곳에 저장하세요'
+        };
+    } catch (err) {
+        throw err;
+    }
+}
+
+/**
+ * 만료 예정 API Key 알림 (schedulerService에서 주기 실행)
+ *
+ * @returns {Promise<number>} 알림 발송한 Key 수
+ *
+ * @flow
+ * 1. 만료 N일 전(.env API_KEY_EXPIRY_NOTICE_DAYS, 기본 7일)이면서 아직 알리지 않은 활성 Key를
+ *    UPDATE ... OUTPUT으로 선점 (여러 인스턴스가 동시에 실행해도 한 번만 발송)
+ * 2. 소유 조직의 api_key_expiring Webhook 발송
+ * 3. 유예 기간이 끝난 이전 Secret 해시 / 이전 서명 Secret 정리
+ */
+async function notifyExpiringApiKeys() {
+    try {
+        const noticeDays = parseInt(process.env.API_KEY_EXPIRY_NOTICE_DAYS, 10) || API_KEY_LIFECYCLE.EXPIRY_NOTICE_DAYS;
+
+        // 1. 알림 대상 선점
+        const expiringKeys = await executeQuery(
+            `UPDATE [ApiKeys]
+             SET expiry_notified_at = GETDATE()
+             OUTPUT INSERTED.id, INSERTED.organization_id, INSERTED.key_name,
+                    LEFT(INSERTED.api_key, 10) as key_preview, INSERTED.expires_at
+             WHERE is_active = 1
+               AND expiry_notified_at IS NULL
+               AND expires_at > GETDATE()
+               AND expires_at <= DATEADD(DAY, @noticeDays, GETDATE())`,
+            { noticeDays }
+        );
+
+        // 2. Webhook 발송 (triggerWebhook은 실패를 WebhookLogs에 기록하고 throw하지 않음)
+        for (const key of expiringKeys) {
+            await triggerWebhook(key.organization_id, WEBHOOK_EVENTS.API_KEY_EXPIRING, {
+                event: WEBHOOK_EVENTS.API_KEY_EXPIRING,
+                apiKeyId: key.id,
+                keyName: key.key_name,
+                keyPreview: key.key_preview,
+                expiresAt: key.expires_at,
+                daysRemaining: Math.max(0, Math.ceil((new Date(key.expires_at) - Date.now()) / (24 * 60 * 60 * 1000)))
+            });
+        }
+
+        // 3. 유예 기간이 끝난 이전 Secret 정리
+        await executeNonQuery(
+            `UPDATE [ApiKeys]
+             SET previous_secret_hash = NULL, previous_secret_expires_at = NULL
+             WHERE previous_secret_expires_at <= GETDATE()`
+        );
+
+        await executeNonQuery(
+            `UPDATE [ApiKeys]
+             SET previous_signing_secret_encrypted = NULL, previous_signing_secret_expires_at = NULL
+             WHERE previous_signing_secret_expires_at <= GETDATE()`
+        );
+
+        return expiringKeys.length;
     } catch (err) {
         throw err;
     }
@@ -324,7 +1014,12 @@ async function validateApiKey(apiKey, apiSecret) {
 
 module.exports = {
     generateNewApiKey,
-    getUserApiKeys,
+    getOrganizationApiKeys,
     revokeApiKey,
-    validateApiKey
+    authenticateApiKey,
+    updateApiKeyScopes,
+    updateApiKeyIpWhitelist,
+    rotateApiKey,
+    issueSigningSecret,
+    notifyExpiringApiKeys
 };
\ No newline at end of file
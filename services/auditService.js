@@ -0,0 +1,157 @@
+/**
+ * Audit Service - 감사 로그 기록
+ *
+ * 역할:
+ * - 보안/관리 이벤트를 AuditLogs 테이블에 기록
+ * - 관리자 화면용 감사 로그 검색 (행위자, 작업, 대상, 기간)
+ *
+ * 특징:
+ * - 기록 실패가 원래 요청을 실패시키지 않도록 에러를 던지지 않음 (로그만 출력)
+ * - AuditLogs는 추가 전용 (DB 트리거가 UPDATE/DELETE 거부 - migrations/010)
+ *
+ * 주요 의존성:
+ * - AuditLog 모델: 쿼리 생성
+ */
+
+const { executeQuery, executeNonQuery } = require('../config/database');
+const { generateUUID } = require('../utils/cryptoUtils');
+const AuditLog = require('../models/AuditLog');
+
+/**
+ * 감사 이벤트 기록
+ *
+ * @param {Object} event
+ * @param {string} event.action - 이벤트 (AUDIT_ACTIONS)
+ * @param {string} event.actorType - 행위자 종류 (AUDIT_ACTOR_TYPE)
+ * @param {string} [event.actorId] - 행위자 ID
+ * @param {string} [event.targetType] - 대상 종류
+ * @param {string} [event.targetId] - 대상 ID
+ * @param {string} [event.ipAddress] - 요청 IP
+ * @param {string} [event.userAgent] - 요청 User-Agent
+ * @param {Object} [event.metadata] - 추가 정보 (JSON으로 저장)
+ * @param {string} [event.reason] - 관리자가 입력한 사유
+ * @param {*} [event.before] - 변경 전 값 (JSON으로 저장)
+ * @param {*} [event.after] - 변경 후 값 (JSON으로 저장)
+ *
+ * @returns {Promise<void>}
+ */
+async function recordEvent({
+    action,
+    actorType,
+    actorId = null,
+    targetType = null,
+    targetId = null,
+    ipAddress = null,
+    userAgent = null,
+    metadata = null,
+    reason = null,
+    before = undefined,
+    after = undefined
+}) {
+    try {
+        const logData = {
+            id: generateUUID(),
+            actorId,
+            actorType,
+            action,
+            targetType,
+            targetId,
+            ipAddress,
+            userAgent: userAgent ? userAgent.substring(0, 500) : null,
+            metadata: metadata ? JSON.stringify(metadata) : null,
+            reason: reason ? String(reason).substring(0, 500) : null,
+            beforeValue: before === undefined ? null : JSON.stringify(before),
+            afterValue: after === undefined ? null : JSON.stringify(after)
+        };
+
+        await executeNonQuery(AuditLog.getSaveQuery(logData), logData);
+    } catch (err) {
+        console.error('[AUDIT LOG ERROR]', { action, targetId, error: err.message });
+    }
+}
+
+/**
+ * 저장된 JSON 문자열 복원 (파싱 실패 시 원문 유지)
+ */
+function parseJson(value) {
+    if (value === null || value === undefined) {
+        return null;
+    }
+
+    try {
+        return JSON.parse(value);
+    } catch (err) {
+        return value;
+    }
+}
+
+/**
+ * 감사 로그 검색
+ *
+ * @param {Object} filters
+ * @param {string} [filters.actor] - 행위자 ID 또는 이메일 일부
+ * @param {string} [filters.action] - 작업 (AUDIT_ACTIONS)
+ * @param {string} [filters.targetType] - 대상 종류 (user, subscription 등)
+ * @param {string} [filters.targetId] - 대상 ID
+ * @param {Date} [filters.from] - 시작 시각 (포함)
+ * @param {Date} [filters.to] - 종료 시각 (미포함)
+ * @param {number} [page=1] - 페이지 번호
+ * @param {number} [limit=50] - 페이지당 건수
+ *
+ * @returns {Promise<Object>} { logs, total, page, limit, totalPages }
+ */
+async function searchEvents(filters = {}, page = 1, limit = 50) {
+    try {
+        const params = {
+            actor: filters.actor || null,
+            actorPattern: filters.actor ? `%${filters.actor}%` : null,
+            action: filters.action || null,
+            targetType: filters.targetType || null,
+            targetId: filters.targetId || null,
+            from: filters.from || null,
+            to: filters.to || null
+        };
+
+        const rows = await executeQuery(AuditLog.getSearchQuery(filters), {
+            ...params,
+            offset: (page - 1) * limit,
+            limit
+        });
+        const countResult = await executeQuery(AuditLog.getSearchCountQuery(filters), params);
+        const total = countResult[0].total;
+
+        return {
+            logs: rows.map(row => ({
+                ...row,
+                before_value: parseJson(row.before_value),
+                after_value: parseJson(row.after_value),
+                metadata: parseJson(row.metadata)
+            })),
+            total,
+            page,
+            limit,
+            totalPages: Math.ceil(total / limit)
+        };
+    } catch (err) {
+        throw err;
+    }
+}
+
+/**
+ * 기록된 작업 종류 목록 (검색 필터 선택지)
+ * @returns {Promise<string[]>}
+ */
+async function listActions() {
+    try {
+        const rows = await executeQuery(AuditLog.getDistinctActionsQuery());
+        return rows.map(row => row.action);
+    } catch (err) {
+        throw err;
+    }
+}
+
+module.exports = {
+    recordEvent,
+    searchEvents,
+    listActions
+};
@@ -4,18 +4,41 @@
  * 역할:
  * - 사용자 등록 (회원가입)
  * - 사용자 로그인 및 토큰 발급
+ * - 2단계 인증 로그인 (챌린지 토큰 → TOTP/복구 코드 확인 후 토큰 발급)
  * - 토큰 갱신
  * 
  * 주요 의존성:
  * - database.js: executeQuery, executeNonQuery
  * - cryptoUtils.js: hashPassword, verifyPassword, generateApiKey 등
- * - tokenUtils.js: generateAccessToken, generateRefreshToken
+ * - tokenUtils.js: generateAccessToken, verifyToken
+ * - refreshTokenService.js: Refresh Token 발급/회전 (서버 측 저장)
+ * - sessionService.js: 로그인 세션 생성 (세션 ID = Refresh Token family ID)
+ * - emailVerificationService.js: 가입 직후 인증 메일 발송
+ * - twoFactorService.js: 2단계 코드 검증
+ * - settingsService.js: 관리자 2FA 필수 여부
+ * - loginProtectionService.js: 로그인 실패 누적 시 IP 지연 / 계정 잠금
+ * - organizationService.js: 가입 시 개인 조직 생성
  * - validationUtils.js: validateEmail
  */
 
 const { executeQuery, executeNonQuery } = require('../config/database');
 const { hashPassword, verifyPassword, generateApiKey, generateApiSecret, encryptApiSecret } = require('../utils/cryptoUtils');
-const { generateAccessToken, generateRefreshToken } = require('../utils/tokenUtils');
+const { generateAccessToken, verifyToken, generateTwoFactorChallengeToken, verifyTwoFactorChallengeToken } = require('../utils/tokenUtils');
+const refreshTokenService = require('./refreshTokenService');
+const sessionService = require('./sessionService');
+const emailVerificationService = require('./emailVerificationService');
+const twoFactorService = require('./twoFactorService');
+const settingsService = require('./settingsService');
+const loginProtectionService = require('./loginProtectionService');
+const organizationService = require('./organizationService');
+
+// 미가입 이메일 로그인 시에도 bcrypt 비교를 수행하기 위한 더미 해시
+// (응답 시간 차이로 가입 여부가 드러나지 않도록)
+const DUMMY_PASSWORD_HASH = '$2a$10$9/VoX7ljEjVfm0DWbXfoF.U4YYslf5P6v1Q/w.H5.AIZ83EgMrAAS';
+
+// 계정 잠금 남은 시간(초) 계산 - DB 시각 기준으로 비교하여 시간대 차이 방지
+const LOCK_REMAINING_SELECT =
+    'CASE WHEN locked_until > GETDATE() THEN DATEDIFF(SECOND, GETDATE(), locked_until) ELSE 0 END AS lock_remaining_seconds';
 const { validateEmail } = require('../utils/validationUtils');
 
 /**
@@ -51,7 +74,13 @@ const { validateEmail } = require('../utils/validationUtils');
  *    - is_active 기본값: 1 (true)
  *    - created_at: GETDATE()
  * 
- * 5. userId 반환
+ * 5. 개인 조직 생성 (사용자가 owner, API Key/구독의 기본 소유 조직)
+ * 
+ * 6. 이메일 인증 메일 발송 (비동기, 실패 시 로그만 기록 → 재발송 API로 재시도)
+ *    - email_verified_at = NULL (미인증 상태로 시작)
+ *    - 인증 전에는 구독 신청 / API Key 생성 불가
+ * 
+ * 7. userId 반환
  * 
  * @example
  * const userId = await registerUser({
@@ -102,7 +131,15 @@ async function registerUser(userData) {
             }
         );
 
-        // 6. 생성된 userId 반환
+        // 6. 개인 조직 생성 (API Key, 구독, Webhook은 조직 소유)
+        await organizationService.createOrganization(userId, `${userData.firstName} ${userData.lastName}`.trim());
+
+        // 7. 이메일 인증 메일 발송 (가입 응답을 지연시키지 않도록 기다리지 않음)
+        emailVerificationService.sendVerificationEmail(userId).catch(mailErr => {
+            console.error('[SIGNUP] 인증 메일 발송 실패', { userId, error: mailErr.message });
+        });
+
+        // 8. 생성된 userId 반환
         return userId;
     } catch (err) {
         throw err;
@@ -114,45 +151,57 @@ async function registerUser(userData) {
  * 
  * @param {string} email - 사용자 이메일
  * @param {string} password - 사용자 비밀번호 (평문)
+ * @param {Object} [context] - 접속 정보 (세션 기록용)
+ *   - userAgent: string (User-Agent 헤더)
+ *   - ipAddress: string (클라이언트 IP)
  * 
- * @returns {Promise<Object>} - { userId, accessToken, refreshToken, isAdmin }
+ * @returns {Promise<Object>} - { userId, accessToken, refreshToken, isAdmin, emailVerified, twoFactorSetupRequired }
  *   - userId: string (UUID)
  *   - accessToken: string (JWT, 7일 유효)
  *   - refreshToken: string (JWT, 30일 유효)
  *   - isAdmin: boolean
+ *   - emailVerified: boolean (미인증이어도 로그인은 가능)
+ *   - twoFactorSetupRequired: boolean (관리자 2FA 필수인데 미등록 → 등록 전까지 관리자 API 거부)
+ * 
+ *   2FA 사용자는 토큰 대신 { twoFactorRequired: true, challengeToken } 반환
+ *   → completeTwoFactorLogin으로 2단계 진행
  * 
  * @throws {Error}
- *   - '가입되지 않은 이메일입니다' (401)
- *   - '차단된 계정입니다' (403)
- *   - '비활성화된 계정입니다' (403)
- *   - '비밀번호가 일치하지 않습니다' (401)
+ *   - 401 INVALID_CREDENTIALS: 미가입 이메일 또는 비밀번호 불일치 (같은 메시지)
+ *   - 429 TOO_MANY_LOGIN_ATTEMPTS: IP 지연 또는 계정 잠금 (error.retryAfter 초)
+ *   - 403 ACCOUNT_BLOCKED / ACCOUNT_INACTIVE: 비밀번호가 맞은 경우에만 노출
  * 
  * @flow
- * 1. Users 테이블에서 이메일로 사용자 조회
- *    - password_hash, is_active, is_blocked, is_admin 포함
+ * 1. IP 지연 확인 (실패 누적 IP는 다음 시도까지 대기)
  * 
- * 2. 사용자 존재 확인
- *    - 없으면 에러 발생
+ * 2. Users 테이블에서 이메일로 사용자 조회
+ *    - password_hash, is_active, is_blocked, is_admin, 잠금 상태 포함
  * 
- * 3. 차단 상태 확인
- *    - is_blocked = 1 이면 에러
+ * 3. 미가입 이메일
+ *    - 더미 해시로 bcrypt 비교 (응답 시간 균일화)
+ *    - 실패 기록 후 401 (가입 계정과 같은 메시지, 같은 잠금 기준)
  * 
- * 4. 활성화 상태 확인
- *    - is_active = 0 이면 에러
+ * 4. 계정 잠금 확인
+ *    - locked_until이 지나지 않았으면 429
  * 
  * 5. 비밀번호 검증
- *    - bcryptjs.compare(평문, 해시)
- *    - 일치 확인
+ *    - 불일치 시 IP/계정 실패 기록 (기준 횟수 도달 시 계정 잠금) 후 401
+ * 
+ * 6. 차단 / 비활성화 상태 확인
  * 
- * 6. 마지막 로그인 시간 업데이트
+ * 7. 2FA 활성화 사용자 → 챌린지 토큰 반환 (세션/토큰 발급 없음, 실패 기록은 2단계 완료 시 초기화)
+ * 
+ * 8. 실패 기록 초기화, 마지막 로그인 시간 업데이트
  *    - last_login = GETDATE()
  * 
- * 7. JWT 토큰 생성
- *    - Access Token: 7일 유효 (API 요청용)
- *    - Refresh Token: 30일 유효 (토큰 갱신용)
- *    - 페이로드: { userId, isAdmin, type: 'access' }
+ * 9. 세션 생성 (UserSessions, User-Agent/IP 기록)
+ * 
+ * 10. JWT 토큰 생성
+ *    - Access Token: 7일 유효 (API 요청용, sid = 세션 ID)
+ *    - Refresh Token: 30일 유효 (토큰 갱신용, family = 세션 ID로 RefreshTokens에 해시 저장)
+ *    - 페이로드: { userId, isAdmin, sid }
  * 
- * 8. 응답 객체 반환
+ * 11. 응답 객체 반환
  * 
  * @example
  * const result = await loginUser('kim@example.com', 'SecurePass123!');
@@ -163,111 +212,252 @@ async function registerUser(userData) {
  * //   isAdmin: false
  * // }
  */
-async function loginUser(email, password) {
+async function loginUser(email, password, context = {}) {
     try {
+        loginProtectionService.assertIpAllowed(context.ipAddress);
+
         const users = await executeQuery(
-            `SELECT id, first_name, last_name, email, password_hash, is_active, is_blocked, is_admin 
+            `SELECT id, first_name, last_name, email, password_hash, is_active, is_blocked, is_admin, email_verified_at,
+                    two_factor_secret, two_factor_enabled_at, failed_login_count, ${LOCK_REMAINING_SELECT}
              FROM [Users] WHERE email = @email`,
             { email }
         );
 
         if (users.length === 0) {
-            throw new Error('가입되지 않은 이메일입니다');
+            loginProtectionService.assertUnknownEmailAllowed(email);
+            await verifyPassword(password, DUMMY_PASSWORD_HASH);
+
+            loginProtectionService.recordIpFailure(context);
+            loginProtectionService.recordUnknownEmailFailure(email);
+            throw loginProtectionService.createInvalidCredentialsError();
         }
 
         const user = users[0];
-        console.log('[LOGIN] 사용자 조회', users);
+        console.log('[LOGIN] 사용자 조회', { userId: user.id });
+
+        loginProtectionService.assertAccountNotLocked(user);
+
+        const isPasswordValid = await verifyPassword(password, user.password_hash);
+
+        if (!isPasswordValid) {
+            loginProtectionService.recordIpFailure(context);
+            await loginProtectionService.recordAccountFailure(user.id, context);
+            throw loginProtectionService.createInvalidCredentialsError();
+        }
 
         if (user.is_blocked) {
-            throw new Error('차단된 계정입니다');
+            const error = new Error('차단된 계정입니다');
+            error.statusCode = 403;
+            error.errorCode = 'ACCOUNT_BLOCKED';
+            throw error;
         }
 
         if (!user.is_active) {
-            throw new Error('비활성화된 계정입니다');
+            const error = new Error('비활성화된 계정입니다');
+            error.statusCode = 403;
+            error.errorCode = 'ACCOUNT_INACTIVE';
+            throw error;
         }
 
-        const isPasswordValid = await verifyPassword(password, user.password_hash);
+        // 2FA 사용자: 비밀번호 확인만으로는 토큰을 발급하지 않음
+        if (twoFactorService.isEnabled(user)) {
+            console.log('[LOGIN] 2단계 인증 필요', { userId: user.id });
 
-        if (!isPasswordValid) {
-            throw new Error('비밀번호가 일치하지 않습니다');
+            return {
+                twoFactorRequired: true,
+                challengeToken: generateTwoFactorChallengeToken(user.id)
+            };
         }
 
-        await executeNonQuery(
-            'UPDATE [Users] SET last_login = GETDATE() WHERE id = @id',
-            { id: user.id }
+        await loginProtectionService.resetAccountFailures(user);
+
+        return await issueLoginResult(user, context, false);
+
+    } catch (err) {
+        console.error('[LOGIN SERVICE ERROR]', err.message);
+        throw err;
+    }
+}
+
+/**
+ * 2단계 인증 로그인 완료
+ * 
+ * @param {string} challengeToken - loginUser가 반환한 챌린지 토큰 (기본 5분 유효)
+ * @param {Object} factor - { code } (인증 앱 6자리) 또는 { recoveryCode }
+ * @param {Object} [context] - 접속 정보 (loginUser와 동일)
+ * 
+ * @returns {Promise<Object>} - loginUser의 토큰 발급 결과와 동일
+ * 
+ * @throws {Error}
+ *   - 401 INVALID_CHALLENGE_TOKEN: 위조/만료된 챌린지 토큰
+ *   - 401 INVALID_TWO_FACTOR_CODE: 코드 불일치 또는 이미 사용된 코드 (로그인 실패로 기록)
+ *   - 403 ACCOUNT_BLOCKED / ACCOUNT_INACTIVE
+ *   - 429 TOO_MANY_LOGIN_ATTEMPTS: IP 지연 또는 계정 잠금
+ * 
+ * @flow
+ * 1. 챌린지 토큰 검증
+ * 2. 사용자 상태 재확인 (챌린지 발급 이후 차단되었을 수 있음)
+ * 3. 계정 잠금 확인 후 TOTP 코드 또는 복구 코드 검증 (실패 시 IP/계정 실패 기록)
+ * 4. 실패 기록 초기화 후 2단계 인증 완료 세션으로 토큰 발급
+ */
+async function completeTwoFactorLogin(challengeToken, factor, context = {}) {
+    try {
+        loginProtectionService.assertIpAllowed(context.ipAddress);
+
+        const decoded = verifyTwoFactorChallengeToken(challengeToken);
+
+        if (!decoded) {
+            const error = new Error('인증 시간이 만료되었습니다. 다시 로그인하세요');
+            error.statusCode = 401;
+            error.errorCode = 'INVALID_CHALLENGE_TOKEN';
+            throw error;
+        }
+
+        const users = await executeQuery(
+            `SELECT id, first_name, last_name, email, is_active, is_blocked, is_admin, email_verified_at,
+                    failed_login_count, ${LOCK_REMAINING_SELECT}
+             FROM [Users] WHERE id = @userId`,
+            { userId: decoded.userId }
         );
 
-        const accessToken = generateAccessToken(user.id, user.is_admin);
-        const refreshToken = generateRefreshToken(user.id, user.is_admin);
-
-        // ✅ 명시적으로 result 변수에 할당
-        const result = {
-            userId: user.id,
-            firstName: user.first_name,
-            lastName: user.last_name,
-            email: user.email,
-            accessToken: accessToken,
-            refreshToken: refreshToken,
-            isAdmin: user.is_admin === 1 ? true : false
-        };
+        if (users.length === 0) {
+            const error = new Error('인증 시간이 만료되었습니다. 다시 로그인하세요');
+            error.statusCode = 401;
+            error.errorCode = 'INVALID_CHALLENGE_TOKEN';
+            throw error;
+        }
 
-        console.log('[LOGIN SERVICE] 결과 반환:', {
-            userId: result.userId,
-            isAdmin: result.isAdmin
-        });
+        const user = users[0];
+
+        if (user.is_blocked) {
+            const error = new Error('차단된 계정입니다');
+            error.statusCode = 403;
+            error.errorCode = 'ACCOUNT_BLOCKED';
+            throw error;
+        }
+
+        if (!user.is_active) {
+            const error = new Error('비활성화된 계정입니다');
+            error.statusCode = 403;
+            error.errorCode = 'ACCOUNT_INACTIVE';
+            throw error;
+        }
+
+        loginProtectionService.assertAccountNotLocked(user);
+
+        let method;
+        try {
+            method = await twoFactorService.verifyLoginFactor(user.id, factor);
+        } catch (factorErr) {
+            if (factorErr.errorCode === 'INVALID_TWO_FACTOR_CODE') {
+                loginProtectionService.recordIpFailure(context);
+                await loginProtectionService.recordAccountFailure(user.id, context);
+            }
+            throw factorErr;
+        }
+
+        console.log('[LOGIN] 2단계 인증 완료', { userId: user.id, method });
 
-        return result;  // ✅ return 명확하게!
+        await loginProtectionService.resetAccountFailures(user);
 
+        return await issueLoginResult(user, context, true);
     } catch (err) {
-        console.error('[LOGIN SERVICE ERROR]', err.message);
+        console.error('[2FA LOGIN ERROR]', err.message);
         throw err;
     }
 }
 
+/**
+ * 로그인 성공 처리 (세션 생성 + 토큰 발급)
+ * loginUser(2FA 미사용), completeTwoFactorLogin 공통
+ * 
+ * @param {Object} user - Users 행 (id, first_name, last_name, email, is_admin, email_verified_at)
+ * @param {Object} context - { userAgent, ipAddress }
+ * @param {boolean} twoFactorVerified - 2단계 인증을 거쳤는지 여부
+ * @returns {Promise<Object>} 로그인 응답 객체
+ */
+async function issueLoginResult(user, context, twoFactorVerified) {
+    await executeNonQuery(
+        'UPDATE [Users] SET last_login = GETDATE() WHERE id = @id',
+        { id: user.id }
+    );
+
+    const sessionId = await sessionService.createSession(user.id, { ...context, twoFactorVerified });
+
+    const accessToken = generateAccessToken(user.id, user.is_admin, sessionId);
+    const { refreshToken } = await refreshTokenService.issueRefreshToken(user.id, user.is_admin, {
+        familyId: sessionId
+    });
+
+    const isAdmin = user.is_admin === 1 || user.is_admin === true;
+
+    // ✅ 명시적으로 result 변수에 할당
+    const result = {
+        userId: user.id,
+        firstName: user.first_name,
+        lastName: user.last_name,
+        email: user.email,
+        accessToken: accessToken,
+        refreshToken: refreshToken,
+        isAdmin,
+        emailVerified: Boolean(user.email_verified_at),
+        twoFactorSetupRequired: isAdmin && !twoFactorVerified && await settingsService.isAdminTwoFactorRequired()
+    };
+
+    console.log('[LOGIN SERVICE] 결과 반환:', {
+        userId: result.userId,
+        isAdmin: result.isAdmin
+    });
+
+    return result;
+}
+
 
 /**
- * Access Token 갱신 (Refresh Token 사용)
+ * Access Token 갱신 (Refresh Token 회전)
  * 
  * @param {string} refreshToken - 유효한 Refresh Token
  * 
- * @returns {Promise<string>} - 새로운 Access Token
+ * @returns {Promise<Object>} - { accessToken, refreshToken, userId, isAdmin }
+ *   - refreshToken: 새로 발급된 Refresh Token (기존 토큰은 더 이상 사용 불가)
  * 
  * @throws {Error}
- *   - '유효하지 않은 리프레시 토큰입니다'
+ *   - '유효하지 않은 리프레시 토큰입니다' (401, INVALID_REFRESH_TOKEN)
+ *   - '이미 사용된 리프레시 토큰입니다...' (401, REFRESH_TOKEN_REUSED)
+ *   - '차단된 계정입니다' / '비활성화된 계정입니다' (403)
  * 
  * @flow
- * 1. Refresh Token 검증
+ * 1. Refresh Token 서명 검증
  *    - JWT_REFRESH_SECRET으로 서명 검증
  *    - 만료 여부 확인
  * 
- * 2. Refresh Token 페이로드 추출
- *    - userId, isAdmin 추출
+ * 2. 사용자 상태 확인
+ *    - 차단/비활성화 상태면 거부
  * 
- * 3. 새로운 Access Token 생성
- *    - 같은 userId, isAdmin으로 새 토큰 생성
- *    - 유효기간: 7일
+ * 3. Refresh Token 회전 (refreshTokenService.rotateRefreshToken)
+ *    - DB에 저장된 토큰인지, 폐기/사용되지 않았는지 확인
+ *    - 이미 사용된 토큰이면 family 전체 폐기 (탈취 의심)
+ *    - 기존 토큰 사용 처리 후 같은 family로 새 토큰 발급
  * 
- * 4. Access Token 반환
- *    - Refresh Token은 갱신되지 않음
- *    - 유효기간 30일로 유지
+ * 4. 새로운 Access Token 생성 후 반환 (sid = 기존 세션 ID 유지)
  * 
  * @note
- * - Refresh Token 자체는 갱신되지 않음
- * - 30일 동안 유효한 Refresh Token으로 Access Token만 계속 갱신 가능
- * - 30일 후 새로 로그인 필요
+ * - 클라이언트는 응답의 refreshToken으로 반드시 교체 저장해야 함
+ * - 이전 Refresh Token을 다시 사용하면 해당 로그인 세션 전체가 폐기됨
  * 
  * @example
- * const newAccessToken = await refreshAccessToken(refreshToken);
- * // newAccessToken: 'eyJhbGciOiJIUzI1NiIsInR5cCI6IkpXVCJ9...'
+ * const result = await refreshAccessToken(refreshToken);
+ * // { accessToken: 'eyJ...', refreshToken: 'eyJ...', userId: '...', isAdmin: false }
  */
 async function refreshAccessToken(refreshToken) {
     try {
-        const { verifyToken } = require('../utils/tokenUtils');
-
         const decoded = verifyToken(refreshToken, true);
 
         if (!decoded) {
-            throw new Error('유효하지 않은 리프레시 토큰입니다');
+            const error = new Error('유효하지 않은 리프레시 토큰입니다');
+            error.statusCode = 401;
+            error.errorCode = 'INVALID_REFRESH_TOKEN';
+            throw error;
         }
 
         // ✅ 사용자 상태 확인
@@ -277,24 +467,37 @@ async function refreshAccessToken(refreshToken) {
         );
 
         if (users.length === 0) {
-            throw new Error('사용자를 찾을 수 없습니다');
+            const error = new Error('사용자를 찾을 수 없습니다');
+            error.statusCode = 401;
+            error.errorCode = 'INVALID_REFRESH_TOKEN';
+            throw error;
         }
 
         const user = users[0];
 
         if (user.is_blocked) {
-            throw new Error('차단된 계정입니다');
+            const error = new Error('차단된 계정입니다');
+            error.statusCode = 403;
+            error.errorCode = 'ACCOUNT_BLOCKED';
+            throw error;
         }
 
         if (!user.is_active) {
-            throw new Error('비활성화된 계정입니다');
+            const error = new Error('비활성화된 계정입니다');
+            error.statusCode = 403;
+            error.errorCode = 'ACCOUNT_INACTIVE';
+            throw error;
         }
 
-        const newAccessToken = generateAccessToken(decoded.userId, user.is_admin);
+        // ✅ Refresh Token 회전 (재사용 탐지 포함)
+        const rotated = await refreshTokenService.rotateRefreshToken(refreshToken, user.is_admin);
+
+        const newAccessToken = generateAccessToken(decoded.userId, user.is_admin, rotated.familyId);
 
         // ✅ 객체로 반환
         return {
             accessToken: newAccessToken,
+            refreshToken: rotated.refreshToken,
             userId: decoded.userId,
             isAdmin: user.is_admin === 1 ? true : false
         };
@@ -310,5 +513,6 @@ async function refreshAccessToken(refreshToken) {
 module.exports = {
     registerUser,
     loginUser,
+    completeTwoFactorLogin,
     refreshAccessToken
 };
\ No newline at end of file
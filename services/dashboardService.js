@@ -1,29 +1,32 @@
 const { executeQuery } = require('../config/database');
+const { API_KEY_USAGE_RANGES, ERROR_CODES } = require('../config/constants');
 
-async function getDashboardStats(userId) {
+// 사용량은 조직 단위 (ApiLogs.organization_id = 호출한 API Key의 조직)
+
+async function getDashboardStats(organizationId) {
     try {
         // 사용자 기본 정보
         const userInfo = await executeQuery(
-            `SELECT COUNT(*) as total_api_calls FROM [ApiLogs] WHERE user_id = @userId`,
-            { userId }
+            `SELECT COUNT(*) as total_api_calls FROM [ApiLogs] WHERE organization_id = @organizationId`,
+            { organizationId }
         );
         
         // 월별 사용량
         const monthlyUsage = await executeQuery(
             `SELECT DATEPART(MONTH, created_at) as month, COUNT(*) as calls
              FROM [ApiLogs]
-             WHERE user_id = @userId AND DATEPART(YEAR, created_at) = YEAR(GETDATE())
+             WHERE organization_id = @organizationId AND DATEPART(YEAR, created_at) = YEAR(GETDATE())
              GROUP BY DATEPART(MONTH, created_at)
              ORDER BY month`,
-            { userId }
+            { organizationId }
         );
         
         // 상태 코드별 분포
         const statusCodeDistribution = await executeQuery(
             `SELECT status_code, COUNT(*) as count FROM [ApiLogs] 
-             WHERE user_id = @userId AND created_at > DATEADD(DAY, -30, GETDATE())
+             WHERE organization_id = @organizationId AND created_at > DATEADD(DAY, -30, GETDATE())
              GROUP BY status_code`,
-            { userId }
+            { organizationId }
         );
         
         // API Key별 사용량
@@ -31,9 +34,9 @@ async function getDashboardStats(userId) {
             `SELECT ak.key_name, COUNT(*) as calls, AVG(al.response_time_ms) as avg_response_time
              FROM [ApiLogs] al
              JOIN [ApiKeys] ak ON al.api_key_id = ak.id
-             WHERE al.user_id = @userId
+             WHERE al.organization_id = @organizationId
              GROUP BY ak.key_name`,
-            { userId }
+            { organizationId }
         );
         
         return {
@@ -46,23 +49,23 @@ async function getDashboardStats(userId) {
         throw err;
     }
 }
-async function getApiLogs(userId, page = 1, limit = 20) {
+async function getApiLogs(organizationId, page = 1, limit = 20) {
     try {
         const offset = (page - 1) * limit;
         
         const logs = await executeQuery(
             `SELECT al.endpoint, al.method, al.status_code, al.response_time_ms, al.ip_address, al.created_at
              FROM [ApiLogs] al
-             WHERE al.user_id = @userId
+             WHERE al.organization_id = @organizationId
              ORDER BY al.created_at DESC
              OFFSET @offset ROWS
              FETCH NEXT @limit ROWS ONLY`,
-            { userId, limit, offset }
+            { organizationId, limit, offset }
         );
         
         const countResult = await executeQuery(
-            'SELECT COUNT(*) as total FROM [ApiLogs] WHERE user_id = @userId',
-            { userId }
+            'SELECT COUNT(*) as total FROM [ApiLogs] WHERE organization_id = @organizationId',
+            { organizationId }
         );
         
         return {
@@ -77,7 +80,186 @@ async function getApiLogs(userId, page = 1, limit = 20) {
         throw err;
     }
 }
+
+// 집계 단위별 SQL 식 / 길이 (ms) - created_at을 단위 시작 시각으로 내림
+const USAGE_BUCKETS = {
+    hour: { sql: 'DATEADD(HOUR, DATEDIFF(HOUR, 0, created_at), 0)', ms: 60 * 60 * 1000 },
+    day: { sql: 'DATEADD(DAY, DATEDIFF(DAY, 0, created_at), 0)', ms: 24 * 60 * 60 * 1000 }
+};
+
+/**
+ * statusCode / errorCode가 지정된 에러 생성
+ */
+function createError(message, statusCode, errorCode) {
+    const error = new Error(message);
+    error.statusCode = statusCode;
+    error.errorCode = errorCode;
+    return error;
+}
+
+function toErrorRate(errors, calls) {
+    return calls > 0 ? Math.round((errors / calls) * 10000) / 100 : 0;
+}
+
+/**
+ * API Key별 사용량 분석
+ *
+ * @param {string} organizationId - 조직 ID (Key 소유 확인)
+ * @param {string} keyId - API Key ID
+ * @param {string} [range='24h'] - 조회 기간 (API_KEY_USAGE_RANGES: 24h / 7d / 30d / 90d)
+ *
+ * @returns {Promise<Object>}
+ *   - keyId, keyName, range, bucket ('hour' | 'day'), from, to
+ *   - summary: { totalCalls, errorCalls, errorRate(%), avgResponseTimeMs, p50ResponseTimeMs, p95ResponseTimeMs }
+ *   - timeline: [{ bucket, calls, errors, errorRate }] (호출 없는 구간도 0으로 포함)
+ *   - topIps: [{ ipAddress, calls, errors }] (호출 수 상위 10개)
+ *   - statusCodes: [{ statusCode, count }]
+ *
+ * @throws {Error} 400 INVALID_RANGE - 지원하지 않는 기간
+ * @throws {Error} 404 API_KEY_NOT_FOUND - Key 없음 (또는 다른 조직의 Key)
+ *
+ * @note
+ * - ApiLogs.api_key_id 기준 → 인증을 통과한 요청만 집계
+ *   (인증 실패 요청은 api_key_id 없이 기록되므로 포함되지 않음)
+ * - 기간 / 구간은 DB 시각(GETDATE()) 기준
+ */
+async function getApiKeyUsage(organizationId, keyId, range = '24h') {
+    try {
+        // ?range=constructor 등 상속된 속성 / 배열 (?range=a&range=b)은 지원하지 않는 기간
+        const isSupportedRange = typeof range === 'string'
+            && Object.prototype.hasOwnProperty.call(API_KEY_USAGE_RANGES, range);
+
+        if (!isSupportedRange) {
+            throw createError(
+                `range는 ${Object.keys(API_KEY_USAGE_RANGES).join(', ')} 중 하나여야 합니다`,
+                400,
+                ERROR_CODES.INVALID_RANGE
+            );
+        }
+
+        const rangeConfig = API_KEY_USAGE_RANGES[range];
+
+        const keys = await executeQuery(
+            'SELECT id, key_name FROM [ApiKeys] WHERE id = @keyId AND organization_id = @organizationId',
+            { keyId, organizationId }
+        );
+
+        if (keys.length === 0) {
+            throw createError('API Key를 찾을 수 없습니다', 404, 'API_KEY_NOT_FOUND');
+        }
+
+        const bucket = USAGE_BUCKETS[rangeConfig.bucket];
+        const params = { keyId, hours: rangeConfig.hours };
+        const where = 'WHERE api_key_id = @keyId AND created_at >= DATEADD(HOUR, -@hours, GETDATE())';
+
+        // 요약
+        const summaryResult = await executeQuery(
+            `SELECT COUNT(*) as total_calls,
+                    SUM(CASE WHEN status_code >= 400 THEN 1 ELSE 0 END) as error_calls,
+                    AVG(CAST(response_time_ms AS FLOAT)) as avg_response_time,
+                    GETDATE() as db_now
+             FROM [ApiLogs] ${where}`,
+            params
+        );
+
+        // 응답 시간 백분위
+        const percentiles = await executeQuery(
+            `SELECT TOP 1
+                    PERCENTILE_CONT(0.5) WITHIN GROUP (ORDER BY response_time_ms) OVER () as p50,
+                    PERCENTILE_CONT(0.95) WITHIN GROUP (ORDER BY response_time_ms) OVER () as p95
+             FROM [ApiLogs] ${where} AND response_time_ms IS NOT NULL`,
+            params
+        );
+
+        // 구간별 호출 / 에러
+        const buckets = await executeQuery(
+            `SELECT ${bucket.sql} as bucket, COUNT(*) as calls,
+                    SUM(CASE WHEN status_code >= 400 THEN 1 ELSE 0 END) as errors
+             FROM [ApiLogs] ${where}
+             GROUP BY ${bucket.sql}
+             ORDER BY bucket`,
+            params
+        );
+
+        // 상위 요청 IP
+        const topIps = await executeQuery(
+            `SELECT TOP 10 ip_address, COUNT(*) as calls,
+                    SUM(CASE WHEN status_code >= 400 THEN 1 ELSE 0 END) as errors
+             FROM [ApiLogs] ${where}
+             GROUP BY ip_address
+             ORDER BY calls DESC`,
+            params
+        );
+
+        // 상태 코드별 분포
+        const statusCodes = await executeQuery(
+            `SELECT status_code, COUNT(*) as count
+             FROM [ApiLogs] ${where}
+             GROUP BY status_code
+             ORDER BY count DESC`,
+            params
+        );
+
+        const summary = summaryResult[0];
+        const totalCalls = summary.total_calls || 0;
+        const errorCalls = summary.error_calls || 0;
+
+        // 호출 없는 구간을 0으로 채움 (DB 시각 기준 내림)
+        const to = new Date(summary.db_now);
+        const from = new Date(to.getTime() - rangeConfig.hours * 60 * 60 * 1000);
+        const countsByBucket = new Map(buckets.map(row => [new Date(row.bucket).getTime(), row]));
+        const timeline = [];
+
+        for (
+            let time = Math.floor(from.getTime() / bucket.ms) * bucket.ms;
+            time <= to.getTime();
+            time += bucket.ms
+        ) {
+            const row = countsByBucket.get(time);
+            const calls = row ? row.calls : 0;
+            const errors = row ? row.errors : 0;
+
+            timeline.push({
+                bucket: new Date(time).toISOString(),
+                calls,
+                errors,
+                errorRate: toErrorRate(errors, calls)
+            });
+        }
+
+        return {
+            keyId,
+            keyName: keys[0].key_name,
+            range,
+            bucket: rangeConfig.bucket,
+            from,
+            to,
+            summary: {
+                totalCalls,
+                errorCalls,
+                errorRate: toErrorRate(errorCalls, totalCalls),
+                avgResponseTimeMs: summary.avg_response_time !== null ? Math.round(summary.avg_response_time) : null,
+                p50ResponseTimeMs: percentiles[0] ? Math.round(percentiles[0].p50) : null,
+                p95ResponseTimeMs: percentiles[0] ? Math.round(percentiles[0].p95) : null
+            },
+            timeline,
+            topIps: topIps.map(row => ({
+                ipAddress: row.ip_address,
+                calls: row.calls,
+                errors: row.errors
+            })),
+            statusCodes: statusCodes.map(row => ({
+                statusCode: row.status_code,
+                count: row.count
+            }))
+        };
+    } catch (err) {
+        throw err;
+    }
+}
+
 module.exports = {
     getDashboardStats,
-    getApiLogs
+    getApiLogs,
+    getApiKeyUsage
 };
\ No newline at end of file
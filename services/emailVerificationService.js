@@ -0,0 +1,238 @@
+/**
+ * Email Verification Service - 이메일 인증
+ *
+ * 역할:
+ * - 인증 메일 발송 (회원가입 직후, 재발송 요청)
+ * - 인증 링크 검증 후 Users.email_verified_at 기록
+ * - 미인증 사용자의 구독 신청 / API Key 생성 차단 (assertEmailVerified)
+ * - 관리자 수동 인증 처리
+ *
+ * 인증 토큰:
+ * - JWT (aud: email-verification, { userId, email })
+ * - 유효기간: EMAIL_VERIFICATION_EXPIRE (기본 24h)
+ * - DB 저장 없음: 이메일이 바뀌거나 이미 인증되면 자연히 무효
+ *
+ * 재발송 제한:
+ * - 사용자당 EMAIL_VERIFICATION_RESEND_COOLDOWN_SECONDS (기본 60초) 간격
+ * - 라우트에서 사용자 기준 rate limit 추가 적용
+ *
+ * 주요 의존성:
+ * - tokenUtils.js: generateEmailVerificationToken, verifyEmailVerificationToken
+ * - mailService.js: sendMail
+ */
+
+const { executeQuery, executeNonQuery } = require('../config/database');
+const { generateEmailVerificationToken, verifyEmailVerificationToken } = require('../utils/tokenUtils');
+const mailService = require('./mailService');
+
+/**
+ * 재발송 쿨다운 (초)
+ */
+function getResendCooldownSeconds() {
+    return parseInt(process.env.EMAIL_VERIFICATION_RESEND_COOLDOWN_SECONDS, 10) || 60;
+}
+
+/**
+ * statusCode / errorCode가 지정된 에러 생성
+ */
+function createError(message, statusCode, errorCode) {
+    const error = new Error(message);
+    error.statusCode = statusCode;
+    error.errorCode = errorCode;
+    return error;
+}
+
+/**
+ * 인증 메일 본문 생성
+ * @param {string} verifyUrl - 인증 페이지 링크
+ * @returns {Object} { subject, text, html }
+ */
+function buildVerificationMail(verifyUrl) {
+    const subject = '[Booster] 이메일 인증 안내';
+
+    const text = [
+        'Booster에 가입해주셔서 감사합니다.',
+        '',
+        '아래 링크에서 이메일 인증을 완료하세요.',
+        verifyUrl,
+        '',
+        '인증을 완료해야 구독 신청 및 API Key 생성이 가능합니다.'
+    ].join('\n');
+
+    const html = `
+        <p>Booster에 가입해주셔서 감사합니다.</p>
+        <p><a href="${verifyUrl}">이메일 인증하기</a></p>
+        <p>인증을 완료해야 구독 신청 및 API Key 생성이 가능합니다.</p>
+    `;
+
+    return { subject, text, html };
+}
+
+/**
+ * 인증 메일 발송
+ *
+ * @param {string} userId - 사용자 ID
+ *
+ * @returns {Promise<void>}
+ *
+ * @throws {Error}
+ *   - 404 USER_NOT_FOUND: 사용자 없음
+ *   - 409 EMAIL_ALREADY_VERIFIED: 이미 인증됨
+ *   - 429 VERIFICATION_COOLDOWN: 쿨다운 중 (error.retryAfter 초)
+ *
+ * @flow
+ * 1. 미인증 + 쿨다운 경과 조건으로 verification_sent_at을 원자적으로 갱신
+ * 2. 갱신되지 않았다면 원인 판별 후 에러
+ * 3. 인증 토큰 생성 후 메일 발송
+ */
+async function sendVerificationEmail(userId) {
+    try {
+        const cooldown = getResendCooldownSeconds();
+
+        const updated = await executeQuery(
+            `UPDATE [Users]
+             SET verification_sent_at = GETDATE()
+             OUTPUT INSERTED.email
+             WHERE id = @userId
+               AND email_verified_at IS NULL
+               AND (verification_sent_at IS NULL
+                    OR verification_sent_at < DATEADD(SECOND, -@cooldown, GETDATE()))`,
+            { userId, cooldown }
+        );
+
+        if (updated.length === 0) {
+            const users = await executeQuery(
+                `SELECT email_verified_at,
+                        DATEDIFF(SECOND, verification_sent_at, GETDATE()) AS elapsed_seconds
+                 FROM [Users] WHERE id = @userId`,
+                { userId }
+            );
+
+            if (users.length === 0) {
+                throw createError('사용자를 찾을 수 없습니다', 404, 'USER_NOT_FOUND');
+            }
+
+            if (users[0].email_verified_at) {
+                throw createError('이미 인증된 이메일입니다', 409, 'EMAIL_ALREADY_VERIFIED');
+            }
+
+            const error = createError('잠시 후 다시 요청하세요', 429, 'VERIFICATION_COOLDOWN');
+            error.retryAfter = Math.max(cooldown - (users[0].elapsed_seconds || 0), 1);
+            throw error;
+        }
+
+        const email = updated[0].email;
+        const token = generateEmailVerificationToken(userId, email);
+
+        const baseUrl = process.env.APP_BASE_URL || 'http://localhost:3000';
+        const verifyUrl = `${baseUrl}/pages/auth/verify-email.html?token=${encodeURIComponent(token)}`;
+
+        await mailService.sendMail({
+            to: email,
+            ...buildVerificationMail(verifyUrl)
+        });
+    } catch (err) {
+        throw err;
+    }
+}
+
+/**
+ * 이메일 인증 처리
+ *
+ * @param {string} token - 인증 링크의 토큰
+ *
+ * @returns {Promise<Object>} { userId, alreadyVerified }
+ *
+ * @throws {Error} 400 INVALID_VERIFICATION_TOKEN - 위조/만료/이메일 변경됨
+ */
+async function verifyEmail(token) {
+    try {
+        const decoded = verifyEmailVerificationToken(token);
+
+        if (!decoded) {
+            throw createError('유효하지 않거나 만료된 인증 링크입니다', 400, 'INVALID_VERIFICATION_TOKEN');
+        }
+
+        const users = await executeQuery(
+            'SELECT email, email_verified_at FROM [Users] WHERE id = @userId',
+            { userId: decoded.userId }
+        );
+
+        // 토큰 발급 이후 이메일이 바뀌었으면 무효
+        if (users.length === 0 || users[0].email !== decoded.email) {
+            throw createError('유효하지 않거나 만료된 인증 링크입니다', 400, 'INVALID_VERIFICATION_TOKEN');
+        }
+
+        // 이미 인증된 경우 성공으로 처리 (링크 중복 클릭)
+        if (users[0].email_verified_at) {
+            return { userId: decoded.userId, alreadyVerified: true };
+        }
+
+        await executeNonQuery(
+            `UPDATE [Users] SET email_verified_at = GETDATE()
+             WHERE id = @userId AND email_verified_at IS NULL`,
+            { userId: decoded.userId }
+        );
+
+        console.log('[이메일 인증]', {
+            userId: decoded.userId,
+            timestamp: new Date().toISOString()
+        });
+
+        return { userId: decoded.userId, alreadyVerified: false };
+    } catch (err) {
+        throw err;
+    }
+}
+
+/**
+ * 이메일 인증 여부 확인 (미인증이면 에러)
+ *
+ * @param {string} userId - 사용자 ID
+ *
+ * @throws {Error} 403 EMAIL_NOT_VERIFIED
+ */
+async function assertEmailVerified(userId) {
+    try {
+        const users = await executeQuery(
+            'SELECT email_verified_at FROM [Users] WHERE id = @userId',
+            { userId }
+        );
+
+        if (users.length === 0 || !users[0].email_verified_at) {
+            throw createError('이메일 인증이 필요합니다. 메일함의 인증 링크를 확인하세요', 403, 'EMAIL_NOT_VERIFIED');
+        }
+    } catch (err) {
+        throw err;
+    }
+}
+
+/**
+ * 관리자 수동 인증 처리
+ *
+ * @param {string} userId - 사용자 ID
+ *
+ * @returns {Promise<boolean>} 사용자 존재 여부
+ */
+async function markEmailVerified(userId) {
+    try {
+        const updated = await executeQuery(
+            `UPDATE [Users]
+             SET email_verified_at = COALESCE(email_verified_at, GETDATE())
+             OUTPUT INSERTED.id
+             WHERE id = @userId`,
+            { userId }
+        );
+
+        return updated.length > 0;
+    } catch (err) {
+        throw err;
+    }
+}
+
+module.exports = {
+    sendVerificationEmail,
+    verifyEmail,
+    assertEmailVerified,
+    markEmailVerified
+};
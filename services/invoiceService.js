@@ -0,0 +1,310 @@
+/**
+ * Invoice Service - 결제 기간별 청구서
+ *
+ * 역할:
+ * - 기간 시작 시 draft 청구서 생성 (기본 요금 = 기간 시작 시점 Tier의 price_usd)
+ *   - 구독 승인 (adminService.approveSubscription), 자동 갱신 (subscriptionService.processSubscriptionLifecycle)
+ * - 기간 종료 시 청구서 확정 (갱신 / 만료 / 해지)
+ *   - 기간 중 업그레이드 일할 계산 항목 (SubscriptionTierChanges.amount_due_usd)
+ *   - 결제 대행사로 선결제한 첫 기간 기본 요금 차감 (Payments, services/paymentService.js)
+ *   - 세금 (BILLING.TAX_RATE), open (합계 0이면 paid)
+ * - 청구서 결제 완료 처리 (결제 대행사 Webhook)
+ * - 조직 청구서 목록 / 상세 조회 (GET /api/billing/invoices)
+ *
+ * 기준값: config/constants.js BILLING (.env로 덮어쓰기)
+ *
+ * 참고:
+ * - 청구서는 구독 / 기간 시작일당 1건 (UX_Invoices_SubscriptionPeriod)
+ * - 기간 시작 시 draft가 없던 구독 (이 기능 이전에 시작된 기간)은 확정할 때 draft부터 생성
+ * - 초과 사용 요금 없음: Tier 월간 한도를 넘는 호출은 인증 단계에서 거부 (429 API_LIMIT_EXCEEDED)
+ */
+
+const crypto = require('crypto');
+const { executeQuery } = require('../config/database');
+const {
+    BILLING,
+    INVOICE_STATUS,
+    INVOICE_LINE_TYPE,
+    TIER_CHANGE_TYPE,
+    TIER_CHANGE_STATUS,
+    PAYMENT_STATUS,
+    PAYMENT_PURPOSE,
+    ERROR_CODES
+} = require('../config/constants');
+const Invoice = require('../models/Invoice');
+const Payment = require('../models/Payment');
+const SubscriptionTierChange = require('../models/SubscriptionTierChange');
+
+function createError(message, statusCode, errorCode) {
+    const error = new Error(message);
+    error.statusCode = statusCode;
+    error.errorCode = errorCode;
+    return error;
+}
+
+/**
+ * 청구 설정 (.env 우선, 없으면 BILLING 기본값)
+ * @returns {Object} { taxRate, dueDays }
+ */
+function getBillingConfig() {
+    const readNumber = (name, fallback) => {
+        const value = parseFloat(process.env[name]);
+        return Number.isFinite(value) && value >= 0 ? value : fallback;
+    };
+
+    return {
+        taxRate: readNumber('BILLING_TAX_RATE', BILLING.TAX_RATE),
+        dueDays: parseInt(process.env.BILLING_INVOICE_DUE_DAYS, 10) || BILLING.INVOICE_DUE_DAYS
+    };
+}
+
+function toUsd(amount) {
+    return Math.round(amount * 100) / 100;
+}
+
+// INV-YYYYMMDD-XXXXXX
+function createInvoiceNumber() {
+    const date = new Date().toISOString().slice(0, 10).replace(/-/g, '');
+    return `INV-${date}-${crypto.randomBytes(3).toString('hex').toUpperCase()}`;
+}
+
+/**
+ * 기간 시작 시 draft 청구서 생성 (기본 요금 항목 포함)
+ * @param {Object} subscription - { id, organization_id, tier_id }
+ * @param {Date} periodStart - 기간 시작일 (start_date)
+ * @param {Date} periodEnd - 기간 종료일 (end_date)
+ * @returns {Promise<boolean>} 생성 여부 (이미 있으면 false)
+ */
+async function createDraftInvoice(subscription, periodStart, periodEnd) {
+    try {
+        const tiers = await executeQuery(
+            'SELECT tier_name, price_usd FROM [SubscriptionTiers] WHERE id = @tierId',
+            { tierId: subscription.tier_id }
+        );
+        const tier = tiers[0] || { tier_name: String(subscription.tier_id), price_usd: 0 };
+
+        const result = await executeQuery(Invoice.getCreateDraftQuery(), {
+            id: crypto.randomUUID(),
+            invoiceNumber: createInvoiceNumber(),
+            organizationId: subscription.organization_id,
+            subscriptionId: subscription.id,
+            tierId: String(subscription.tier_id),
+            periodStart,
+            periodEnd,
+            status: INVOICE_STATUS.DRAFT,
+            currency: BILLING.CURRENCY,
+            lineId: crypto.randomUUID(),
+            lineType: INVOICE_LINE_TYPE.BASE_PLAN,
+            description: `${tier.tier_name} 기본 요금`,
+            unitPriceUsd: Number(tier.price_usd) || 0
+        });
+
+        return Boolean(result[0] && result[0].created);
+    } catch (err) {
+        throw err;
+    }
+}
+
+/**
+ * 기간 종료 시 청구서 확정
+ *
+ * @param {Object} subscription - { id, organization_id, tier_id }
+ * @param {Date} periodStart - 기간 시작일
+ * @param {Date} periodEnd - 기간 종료일 (즉시 해지는 해지일)
+ * @returns {Promise<Object|null>} 확정된 청구서 (이미 확정 / 취소된 경우 null)
+ *
+ * @flow
+ * 1. 기간 청구서 조회 (없으면 draft 생성)
+ * 2. 기간 중 업그레이드 → proration 항목
+ * 3. 구독 결제로 선결제한 기본 요금 → prepayment 항목 (음수, 기존 항목 합계까지만)
+ * 4. 합계 / 세금 계산 후 open (합계 0이면 paid)
+ */
+async function finalizeInvoice(subscription, periodStart, periodEnd) {
+    try {
+        const config = getBillingConfig();
+
+        // 1. 기간 청구서
+        let invoices = await executeQuery(Invoice.getByPeriodQuery(), {
+            subscriptionId: subscription.id,
+            periodStart
+        });
+
+        if (invoices.length === 0) {
+            await createDraftInvoice(subscription, periodStart, periodEnd);
+            invoices = await executeQuery(Invoice.getByPeriodQuery(), {
+                subscriptionId: subscription.id,
+                periodStart
+            });
+        }
+
+        const invoice = invoices[0];
+        if (!invoice || invoice.status !== INVOICE_STATUS.DRAFT) {
+            return null;
+        }
+
+        const lines = [];
+
+        // 2. 업그레이드 일할 계산
+        const upgrades = await executeQuery(SubscriptionTierChange.getAppliedUpgradesQuery(), {
+            subscriptionId: subscription.id,
+            changeType: TIER_CHANGE_TYPE.UPGRADE,
+            appliedStatus: TIER_CHANGE_STATUS.APPLIED,
+            periodStart,
+            periodEnd
+        });
+
+        for (const upgrade of upgrades) {
+            const amount = Number(upgrade.amount_due_usd) || 0;
+            if (amount <= 0) continue;
+
+            lines.push({
+                type: INVOICE_LINE_TYPE.PRORATION,
+                description: `${upgrade.from_tier_name} → ${upgrade.to_tier_name} 업그레이드 일할 계산 `
+                    + `(${upgrade.remaining_days}/${upgrade.period_days}일)`,
+                quantity: 1,
+                unitPriceUsd: amount,
+                amountUsd: amount
+            });
+        }
+
+        // 3. 선결제 차감 (세금은 결제 시 따로 받았으므로 세금 제외 금액만)
+        const prepayments = await executeQuery(Payment.getLinkPrepaymentsQuery(), {
+            invoiceId: invoice.id,
+            subscriptionId: subscription.id,
+            purpose: PAYMENT_PURPOSE.SUBSCRIPTION,
+            succeededStatus: PAYMENT_STATUS.SUCCEEDED
+        });
+
+        if (prepayments.length > 0) {
+            const existingLines = await executeQuery(Invoice.getLineItemsQuery(), { invoiceId: invoice.id });
+            let remaining = toUsd(
+                existingLines.reduce((sum, line) => sum + Number(line.amount_usd), 0)
+                + lines.reduce((sum, line) => sum + line.amountUsd, 0)
+            );
+
+            for (const prepayment of prepayments) {
+                const credit = toUsd(Math.min(Number(prepayment.base_amount_usd) || 0, remaining));
+                if (credit <= 0) continue;
+
+                remaining = toUsd(remaining - credit);
+                lines.push({
+                    type: INVOICE_LINE_TYPE.PREPAYMENT,
+                    description: `선결제 차감 (결제 ${prepayment.id})`,
+                    quantity: 1,
+                    unitPriceUsd: -credit,
+                    amountUsd: -credit
+                });
+            }
+        }
+
+        // 4. 확정
+        const params = {
+            invoiceId: invoice.id,
+            periodEnd,
+            taxRate: config.taxRate,
+            dueDays: config.dueDays,
+            draftStatus: INVOICE_STATUS.DRAFT,
+            openStatus: INVOICE_STATUS.OPEN,
+            paidStatus: INVOICE_STATUS.PAID
+        };
+
+        lines.forEach((line, i) => {
+            params[`line${i}Id`] = crypto.randomUUID();
+            params[`line${i}Type`] = line.type;
+            params[`line${i}Description`] = line.description;
+            params[`line${i}Quantity`] = line.quantity;
+            params[`line${i}UnitPriceUsd`] = line.unitPriceUsd;
+            params[`line${i}AmountUsd`] = line.amountUsd;
+        });
+
+        const finalized = await executeQuery(Invoice.getFinalizeQuery(lines.length), params);
+
+        return finalized[0] && finalized[0].id ? finalized[0] : null;
+    } catch (err) {
+        throw err;
+    }
+}
+
+/**
+ * 조직의 청구서 목록
+ * @param {string} organizationId - 조직 ID
+ * @param {Object} filters - { status } (INVOICE_STATUS, 선택)
+ * @param {number} page - 페이지 (1부터)
+ * @param {number} limit - 페이지당 개수
+ * @returns {Promise<Object>} { invoices, total, page, limit, totalPages }
+ */
+async function listInvoices(organizationId, filters = {}, page = 1, limit = 20) {
+    try {
+        const hasStatus = Boolean(filters.status);
+        const params = { organizationId, status: filters.status || null };
+
+        const invoices = await executeQuery(Invoice.getListQuery(hasStatus), {
+            ...params,
+            offset: (page - 1) * limit,
+            limit
+        });
+        const countResult = await executeQuery(Invoice.getListCountQuery(hasStatus), params);
+        const total = countResult[0].total;
+
+        return {
+            invoices,
+            total,
+            page,
+            limit,
+            totalPages: Math.ceil(total / limit)
+        };
+    } catch (err) {
+        throw err;
+    }
+}
+
+/**
+ * 조직의 청구서 상세 (항목 포함)
+ * @param {string} organizationId - 조직 ID (다른 조직 청구서는 404)
+ * @param {string} invoiceId - 청구서 ID
+ * @returns {Promise<Object>} 청구서 + lineItems
+ * @throws {404} NOT_FOUND
+ */
+async function getInvoice(organizationId, invoiceId) {
+    try {
+        const invoices = await executeQuery(Invoice.getDetailQuery(), { invoiceId, organizationId });
+
+        if (invoices.length === 0) {
+            throw createError('청구서를 찾을 수 없습니다', 404, ERROR_CODES.NOT_FOUND);
+        }
+
+        const lineItems = await executeQuery(Invoice.getLineItemsQuery(), { invoiceId });
+
+        return { ...invoices[0], lineItems };
+    } catch (err) {
+        throw err;
+    }
+}
+
+/**
+ * 발행된 청구서 결제 완료 (결제 대행사 Webhook)
+ * @param {string} invoiceId - 청구서 ID
+ * @returns {Promise<Object|null>} { id, organization_id, invoice_number, total_usd } (open 상태가 아니면 null)
+ */
+async function markInvoicePaid(invoiceId) {
+    try {
+        const updated = await executeQuery(Invoice.getMarkPaidQuery(), {
+            invoiceId,
+            openStatus: INVOICE_STATUS.OPEN,
+            paidStatus: INVOICE_STATUS.PAID
+        });
+
+        return updated[0] || null;
+    } catch (err) {
+        throw err;
+    }
+}
+
+module.exports = {
+    getBillingConfig,
+    createDraftInvoice,
+    finalizeInvoice,
+    markInvoicePaid,
+    listInvoices,
+    getInvoice
+};
@@ -0,0 +1,355 @@
+/**
+ * Login Protection Service - 로그인 무차별 대입 방지
+ *
+ * 역할:
+ * - IP 기준: 실패가 누적되면 다음 시도까지 대기 시간을 점점 늘림 (메모리)
+ * - 계정 기준: 연속 실패 시 임시 잠금 (Users.failed_login_count, locked_until)
+ * - 미가입 이메일도 가입 계정과 같은 기준으로 잠금 (메모리) → 잠금 여부로 가입 여부 노출 방지
+ * - 잠금 / 지연 시작 / 관리자 잠금 해제를 감사 로그에 기록
+ *
+ * 기준값: config/constants.js LOGIN_PROTECTION (.env로 덮어쓰기)
+ *
+ * 참고:
+ * - 메모리 카운터는 인스턴스별로 유지되며 재시작 시 초기화됨
+ * - 계정 잠금은 DB 기준이므로 모든 인스턴스에 적용
+ *
+ * 주요 의존성:
+ * - auditService.js: recordEvent
+ */
+
+const { executeQuery, executeNonQuery } = require('../config/database');
+const { hashToken } = require('../utils/cryptoUtils');
+const { LOGIN_PROTECTION, AUDIT_ACTIONS, AUDIT_ACTOR_TYPE } = require('../config/constants');
+const auditService = require('./auditService');
+
+// 메모리 카운터 정리 간격
+const PRUNE_INTERVAL_MS = 60 * 1000;
+
+// IP별 실패 기록: ip → { failures, windowStartedAt, lastFailureAt }
+const ipFailures = new Map();
+
+// 미가입 이메일별 실패 기록: sha256(email) → { failures, lockedUntil, lastFailureAt }
+const unknownEmailFailures = new Map();
+
+let lastPrunedAt = Date.now();
+
+/**
+ * 기준값 (.env 우선)
+ */
+function getConfig() {
+    const readInt = (name, fallback) => parseInt(process.env[name], 10) || fallback;
+
+    return {
+        lockThreshold: readInt('LOGIN_LOCK_THRESHOLD', LOGIN_PROTECTION.ACCOUNT_LOCK_THRESHOLD),
+        lockMinutes: readInt('LOGIN_LOCK_MINUTES', LOGIN_PROTECTION.ACCOUNT_LOCK_MINUTES),
+        lockMaxMinutes: readInt('LOGIN_LOCK_MAX_MINUTES', LOGIN_PROTECTION.ACCOUNT_LOCK_MAX_MINUTES),
+        ipFreeAttempts: readInt('LOGIN_IP_FREE_ATTEMPTS', LOGIN_PROTECTION.IP_FREE_ATTEMPTS),
+        ipWindowMinutes: readInt('LOGIN_IP_WINDOW_MINUTES', LOGIN_PROTECTION.IP_WINDOW_MINUTES),
+        ipMaxDelaySeconds: readInt('LOGIN_IP_MAX_DELAY_SECONDS', LOGIN_PROTECTION.IP_MAX_DELAY_SECONDS)
+    };
+}
+
+/**
+ * n번째 잠금의 잠금 시간 (분) - 반복될 때마다 2배
+ */
+function getLockMinutes(lockNumber, config) {
+    return Math.min(config.lockMinutes * (2 ** (lockNumber - 1)), config.lockMaxMinutes);
+}
+
+/**
+ * 오래된 메모리 카운터 정리
+ */
+function pruneExpired(config) {
+    const now = Date.now();
+
+    if (now - lastPrunedAt < PRUNE_INTERVAL_MS) {
+        return;
+    }
+    lastPrunedAt = now;
+
+    const ipWindowMs = config.ipWindowMinutes * 60 * 1000;
+    for (const [ip, entry] of ipFailures) {
+        if (now - entry.windowStartedAt > ipWindowMs) {
+            ipFailures.delete(ip);
+        }
+    }
+
+    const emailIdleMs = config.lockMaxMinutes * 60 * 1000;
+    for (const [key, entry] of unknownEmailFailures) {
+        if (entry.lockedUntil < now && now - entry.lastFailureAt > emailIdleMs) {
+            unknownEmailFailures.delete(key);
+        }
+    }
+}
+
+/**
+ * 로그인 실패 에러 (가입 여부와 관계없이 동일한 메시지)
+ */
+function createInvalidCredentialsError() {
+    const error = new Error('이메일 또는 비밀번호가 올바르지 않습니다');
+    error.statusCode = 401;
+    error.errorCode = 'INVALID_CREDENTIALS';
+    return error;
+}
+
+/**
+ * 로그인 시도 제한 에러 (계정 잠금, IP 지연 공통)
+ * @param {number} retryAfter - 다시 시도 가능할 때까지 남은 시간 (초)
+ */
+function createTooManyAttemptsError(retryAfter) {
+    const minutes = Math.ceil(retryAfter / 60);
+    const error = new Error(
+        retryAfter >= 60
+            ? `로그인 시도가 너무 많습니다. ${minutes}분 후 다시 시도하세요`
+            : `로그인 시도가 너무 많습니다. ${retryAfter}초 후 다시 시도하세요`
+    );
+    error.statusCode = 429;
+    error.errorCode = 'TOO_MANY_LOGIN_ATTEMPTS';
+    error.retryAfter = retryAfter;
+    return error;
+}
+
+/**
+ * IP 지연 확인
+ *
+ * @param {string} ipAddress - 클라이언트 IP
+ * @throws {Error} 429 TOO_MANY_LOGIN_ATTEMPTS - 대기 시간이 남은 경우
+ */
+function assertIpAllowed(ipAddress) {
+    if (!ipAddress) {
+        return;
+    }
+
+    const config = getConfig();
+    const entry = ipFailures.get(ipAddress);
+
+    if (!entry || Date.now() - entry.windowStartedAt > config.ipWindowMinutes * 60 * 1000) {
+        return;
+    }
+
+    const overLimit = entry.failures - config.ipFreeAttempts;
+
+    if (overLimit <= 0) {
+        return;
+    }
+
+    const delaySeconds = Math.min(2 ** (overLimit - 1), config.ipMaxDelaySeconds);
+    const waitMs = entry.lastFailureAt + delaySeconds * 1000 - Date.now();
+
+    if (waitMs > 0) {
+        throw createTooManyAttemptsError(Math.ceil(waitMs / 1000));
+    }
+}
+
+/**
+ * IP 실패 기록
+ * 지연이 처음 시작되는 시점에 감사 로그 기록
+ *
+ * @param {Object} context - { ipAddress, userAgent }
+ */
+function recordIpFailure({ ipAddress, userAgent } = {}) {
+    if (!ipAddress) {
+        return;
+    }
+
+    const config = getConfig();
+    const now = Date.now();
+    pruneExpired(config);
+
+    let entry = ipFailures.get(ipAddress);
+
+    if (!entry || now - entry.windowStartedAt > config.ipWindowMinutes * 60 * 1000) {
+        entry = { failures: 0, windowStartedAt: now, lastFailureAt: now };
+        ipFailures.set(ipAddress, entry);
+    }
+
+    entry.failures += 1;
+    entry.lastFailureAt = now;
+
+    if (entry.failures === config.ipFreeAttempts + 1) {
+        auditService.recordEvent({
+            action: AUDIT_ACTIONS.LOGIN_THROTTLED,
+            actorType: AUDIT_ACTOR_TYPE.ANONYMOUS,
+            targetType: 'ip',
+            targetId: ipAddress,
+            ipAddress,
+            userAgent,
+            metadata: { failures: entry.failures, windowMinutes: config.ipWindowMinutes }
+        });
+    }
+}
+
+/**
+ * 미가입 이메일 잠금 확인
+ * @param {string} email - 로그인 시도 이메일
+ * @throws {Error} 429 TOO_MANY_LOGIN_ATTEMPTS
+ */
+function assertUnknownEmailAllowed(email) {
+    const entry = unknownEmailFailures.get(hashToken(String(email).toLowerCase()));
+
+    if (entry && entry.lockedUntil > Date.now()) {
+        throw createTooManyAttemptsError(Math.ceil((entry.lockedUntil - Date.now()) / 1000));
+    }
+}
+
+/**
+ * 미가입 이메일 실패 기록 (가입 계정과 같은 잠금 기준)
+ * @param {string} email - 로그인 시도 이메일
+ */
+function recordUnknownEmailFailure(email) {
+    const config = getConfig();
+    const key = hashToken(String(email).toLowerCase());
+    const now = Date.now();
+    pruneExpired(config);
+
+    const entry = unknownEmailFailures.get(key) || { failures: 0, lockedUntil: 0, lastFailureAt: now };
+    entry.failures += 1;
+    entry.lastFailureAt = now;
+
+    if (entry.failures % config.lockThreshold === 0) {
+        const lockMinutes = getLockMinutes(entry.failures / config.lockThreshold, config);
+        entry.lockedUntil = now + lockMinutes * 60 * 1000;
+    }
+
+    unknownEmailFailures.set(key, entry);
+}
+
+/**
+ * 계정 잠금 확인
+ *
+ * @param {Object} user - lock_remaining_seconds 포함 사용자 행
+ *   (SELECT ... CASE WHEN locked_until > GETDATE() THEN DATEDIFF(SECOND, GETDATE(), locked_until) ELSE 0 END)
+ * @throws {Error} 429 TOO_MANY_LOGIN_ATTEMPTS
+ */
+function assertAccountNotLocked(user) {
+    if (user.lock_remaining_seconds > 0) {
+        throw createTooManyAttemptsError(user.lock_remaining_seconds);
+    }
+}
+
+/**
+ * 계정 로그인 실패 기록
+ * 연속 실패가 기준 횟수의 배수가 되면 잠금 (반복될수록 잠금 시간 2배)
+ *
+ * @param {string} userId - 사용자 ID
+ * @param {Object} context - { ipAddress, userAgent }
+ * @returns {Promise<void>}
+ */
+async function recordAccountFailure(userId, { ipAddress = null, userAgent = null } = {}) {
+    try {
+        const config = getConfig();
+
+        const updated = await executeQuery(
+            `UPDATE [Users]
+             SET failed_login_count = failed_login_count + 1, last_failed_login_at = GETDATE()
+             OUTPUT INSERTED.failed_login_count
+             WHERE id = @userId`,
+            { userId }
+        );
+
+        if (updated.length === 0) {
+            return;
+        }
+
+        const failedCount = updated[0].failed_login_count;
+
+        if (failedCount % config.lockThreshold !== 0) {
+            return;
+        }
+
+        const lockMinutes = getLockMinutes(failedCount / config.lockThreshold, config);
+
+        await executeNonQuery(
+            'UPDATE [Users] SET locked_until = DATEADD(MINUTE, @lockMinutes, GETDATE()) WHERE id = @userId',
+            { userId, lockMinutes }
+        );
+
+        console.warn('[계정 잠금]', { userId, failedCount, lockMinutes });
+
+        await auditService.recordEvent({
+            action: AUDIT_ACTIONS.ACCOUNT_LOCKED,
+            actorType: AUDIT_ACTOR_TYPE.ANONYMOUS,
+            targetType: 'user',
+            targetId: userId,
+            ipAddress,
+            userAgent,
+            metadata: { failedCount, lockMinutes }
+        });
+    } catch (err) {
+        throw err;
+    }
+}
+
+/**
+ * 로그인 성공 시 실패 기록 초기화
+ * @param {Object} user - failed_login_count 포함 사용자 행
+ */
+async function resetAccountFailures(user) {
+    try {
+        if (!user.failed_login_count) {
+            return;
+        }
+
+        await executeNonQuery(
+            'UPDATE [Users] SET failed_login_count = 0, locked_until = NULL WHERE id = @userId',
+            { userId: user.id }
+        );
+    } catch (err) {
+        throw err;
+    }
+}
+
+/**
+ * 관리자 잠금 해제
+ *
+ * @param {string} userId - 대상 사용자 ID
+ * @param {string} adminId - 처리한 관리자 ID
+ * @param {Object} [context] - { ipAddress, userAgent }
+ * @returns {Promise<boolean>} 사용자 존재 여부
+ */
+async function unlockAccount(userId, adminId, { ipAddress = null, userAgent = null } = {}) {
+    try {
+        const updated = await executeQuery(
+            `UPDATE [Users]
+             SET failed_login_count = 0, locked_until = NULL
+             OUTPUT DELETED.failed_login_count, DELETED.locked_until
+             WHERE id = @userId`,
+            { userId }
+        );
+
+        if (updated.length === 0) {
+            return false;
+        }
+
+        await auditService.recordEvent({
+            action: AUDIT_ACTIONS.ACCOUNT_UNLOCKED,
+            actorType: AUDIT_ACTOR_TYPE.ADMIN,
+            actorId: adminId,
+            targetType: 'user',
+            targetId: userId,
+            ipAddress,
+            userAgent,
+            before: {
+                failedLoginCount: updated[0].failed_login_count,
+                lockedUntil: updated[0].locked_until
+            },
+            after: { failedLoginCount: 0, lockedUntil: null }
+        });
+
+        return true;
+    } catch (err) {
+        throw err;
+    }
+}
+
+module.exports = {
+    createInvalidCredentialsError,
+    assertIpAllowed,
+    recordIpFailure,
+    assertUnknownEmailAllowed,
+    recordUnknownEmailFailure,
+    assertAccountNotLocked,
+    recordAccountFailure,
+    resetAccountFailures,
+    unlockAccount
+};
@@ -0,0 +1,133 @@
+/**
+ * Mail Service - 메일 발송 추상화
+ *
+ * 역할:
+ * - 메일 발송 인터페이스 통일 (sendMail)
+ * - 환경에 따라 전송 방식(transport) 선택
+ *
+ * 전송 방식 (.env MAIL_TRANSPORT):
+ * - smtp: nodemailer SMTP 발송 (운영)
+ *   - SMTP_HOST, SMTP_PORT(기본 587), SMTP_SECURE('true'면 TLS), SMTP_USER, SMTP_PASS
+ * - file: MAIL_FILE_DIR(기본 logs/mail)에 JSON 파일로 저장 (로컬 테스트)
+ * - console: 수신자 / 제목만 콘솔에 출력 (기본값, production에서는 MAIL_TRANSPORT 필수)
+ *   - 본문에는 비밀번호 재설정 / 인증 / 초대 링크가 있으므로 로그에 남기지 않음 (링크 확인은 file)
+ *
+ * 공통 설정:
+ * - MAIL_FROM: 발신자 (기본 'Booster <no-reply@booster.local>')
+ */
+
+const fs = require('fs');
+const path = require('path');
+const nodemailer = require('nodemailer');
+
+const DEFAULT_FROM = 'Booster <no-reply@booster.local>';
+
+/**
+ * SMTP 전송
+ * transporter는 최초 발송 시 1회 생성 후 재사용
+ */
+let smtpTransporter = null;
+
+async function sendViaSmtp(message) {
+    if (!smtpTransporter) {
+        if (!process.env.SMTP_HOST) {
+            throw new Error('SMTP_HOST is not configured in environment variables');
+        }
+
+        smtpTransporter = nodemailer.createTransport({
+            host: process.env.SMTP_HOST,
+            port: parseInt(process.env.SMTP_PORT, 10) || 587,
+            secure: process.env.SMTP_SECURE === 'true',
+            auth: process.env.SMTP_USER
+                ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS }
+                : undefined
+        });
+    }
+
+    const info = await smtpTransporter.sendMail(message);
+    return { messageId: info.messageId };
+}
+
+/**
+ * 파일 전송 (로컬 테스트용)
+ * 메일 1건 = JSON 파일 1개
+ */
+async function sendViaFile(message) {
+    const mailDir = process.env.MAIL_FILE_DIR || path.join(__dirname, '../logs/mail');
+
+    await fs.promises.mkdir(mailDir, { recursive: true });
+
+    const messageId = `${Date.now()}-${require('crypto').randomBytes(4).toString('hex')}`;
+    const filePath = path.join(mailDir, `${messageId}.json`);
+
+    await fs.promises.writeFile(
+        filePath,
+        JSON.stringify({ ...message, createdAt: new Date().toISOString() }, null, 2)
+    );
+
+    return { messageId, filePath };
+}
+
+/**
+ * 콘솔 전송 (기본값)
+ */
+async function sendViaConsole(message) {
+    console.log('[MAIL]', {
+        from: message.from,
+        to: message.to,
+        subject: message.subject
+    });
+
+    return { messageId: `console-${Date.now()}` };
+}
+
+const transports = {
+    smtp: sendViaSmtp,
+    file: sendViaFile,
+    console: sendViaConsole
+};
+
+/**
+ * 메일 발송
+ *
+ * @param {Object} mail
+ * @param {string} mail.to - 수신자 이메일
+ * @param {string} mail.subject - 제목
+ * @param {string} mail.text - 본문 (텍스트)
+ * @param {string} [mail.html] - 본문 (HTML)
+ *
+ * @returns {Promise<Object>} { messageId, ... } - 전송 방식별 결과
+ *
+ * @throws {Error} 알 수 없는 MAIL_TRANSPORT, production에서 MAIL_TRANSPORT 미설정, SMTP 설정/발송 오류
+ */
+async function sendMail({ to, subject, text, html }) {
+    try {
+        if (!process.env.MAIL_TRANSPORT && process.env.NODE_ENV === 'production') {
+            throw new Error('MAIL_TRANSPORT is not configured in environment variables');
+        }
+
+        const transportName = process.env.MAIL_TRANSPORT || 'console';
+        const transport = transports[transportName];
+
+        if (!transport) {
+            throw new Error(`Unknown MAIL_TRANSPORT: ${transportName}`);
+        }
+
+        const message = {
+            from: process.env.MAIL_FROM || DEFAULT_FROM,
+            to,
+            subject,
+            text,
+            html
+        };
+
+        return await transport(message);
+    } catch (err) {
+        console.error('[MAIL ERROR]', err.message);
+        throw err;
+    }
+}
+
+module.exports = {
+    sendMail
+};
@@ -0,0 +1,431 @@
+/**
+ * Organization Service - 조직(팀) 관리
+ *
+ * 역할:
+ * - 조직 생성 (회원가입 시 개인 조직 자동 생성 포함), 내 조직 목록
+ * - 요청의 조직 확인 (X-Organization-Id 헤더 → 멤버십, 없으면 기본 조직)
+ * - 멤버 역할 변경 / 제거 (마지막 owner 보호)
+ * - 이메일 초대 발송 / 취소 / 수락
+ *
+ * 조직 내 역할 (ORGANIZATION_ROLES):
+ * - owner: 멤버/초대 관리, 구독 신청
+ * - developer: API Key 생성/비활성화, Webhook 등록
+ * - viewer: 조회만 가능
+ *
+ * 초대 토큰:
+ * - 토큰 원문은 메일로만 전달, DB에는 SHA256 해시만 저장
+ * - 유효기간: ORGANIZATION_INVITATION_EXPIRE_DAYS (기본 7일)
+ * - 초대받은 이메일로 가입/로그인한 사용자만 수락 가능
+ *
+ * 주요 의존성:
+ * - mailService.js: sendMail
+ * - Organization, OrganizationMember, OrganizationInvitation 모델: 쿼리 생성
+ *
+ * 환경 변수:
+ * - APP_BASE_URL: 메일 링크의 기준 URL (기본 http://localhost:3000)
+ */
+
+const { executeQuery, executeNonQuery } = require('../config/database');
+const { ORGANIZATION_ROLES } = require('../config/constants');
+const { generateToken, generateUUID, hashToken } = require('../utils/cryptoUtils');
+const mailService = require('./mailService');
+const Organization = require('../models/Organization');
+const OrganizationMember = require('../models/OrganizationMember');
+const OrganizationInvitation = require('../models/OrganizationInvitation');
+
+const VALID_ROLES = Object.values(ORGANIZATION_ROLES);
+
+/**
+ * 초대 유효기간 (일)
+ */
+function getInvitationExpireDays() {
+    return parseInt(process.env.ORGANIZATION_INVITATION_EXPIRE_DAYS, 10) || 7;
+}
+
+/**
+ * statusCode / errorCode가 지정된 에러 생성
+ */
+function createError(message, statusCode, errorCode) {
+    const error = new Error(message);
+    error.statusCode = statusCode;
+    error.errorCode = errorCode;
+    return error;
+}
+
+/**
+ * 역할 값 확인
+ * @throws {Error} 400 VALIDATION_ERROR
+ */
+function assertValidRole(role) {
+    if (!VALID_ROLES.includes(role)) {
+        throw createError(`role은 ${VALID_ROLES.join(', ')} 중 하나여야 합니다`, 400, 'VALIDATION_ERROR');
+    }
+}
+
+const HTML_ESCAPES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' };
+
+function escapeHtml(value) {
+    return String(value).replace(/[&<>"']/g, char => HTML_ESCAPES[char]);
+}
+
+/**
+ * 초대 메일 본문 생성
+ * - 조직 이름은 사용자 입력이므로 HTML 본문에는 이스케이프해서 넣음
+ * @param {string} organizationName - 조직 이름
+ * @param {string} role - 부여할 역할
+ * @param {string} inviteUrl - 초대 수락 링크
+ * @param {number} expireDays - 유효기간 (일)
+ * @returns {Object} { subject, text, html }
+ */
+function buildInvitationMail(organizationName, role, inviteUrl, expireDays) {
+    const subject = `[Booster] ${organizationName} 조직 초대`;
+
+    const text = [
+        `${organizationName} 조직에 ${role} 역할로 초대되었습니다.`,
+        '',
+        '아래 링크에서 로그인 후 초대를 수락하세요. (계정이 없으면 이 이메일로 가입하세요)',
+        inviteUrl,
+        '',
+        `이 링크는 ${expireDays}일 동안 한 번만 사용할 수 있습니다.`
+    ].join('\n');
+
+    const html = `
+        <p><strong>${escapeHtml(organizationName)}</strong> 조직에 <strong>${escapeHtml(role)}</strong> 역할로 초대되었습니다.</p>
+        <p><a href="${escapeHtml(inviteUrl)}">초대 수락</a></p>
+        <p>계정이 없으면 이 이메일로 가입한 뒤 링크를 다시 열어주세요.<br>
+        이 링크는 ${expireDays}일 동안 한 번만 사용할 수 있습니다.</p>
+    `;
+
+    return { subject, text, html };
+}
+
+/**
+ * 조직 생성 (생성자는 owner)
+ *
+ * @param {string} userId - 생성하는 사용자 ID
+ * @param {string} name - 조직 이름
+ * @returns {Promise<Object>} { id, name, role }
+ */
+async function createOrganization(userId, name) {
+    try {
+        const organizationId = generateUUID();
+
+        await executeNonQuery(Organization.getCreateWithOwnerQuery(), {
+            id: organizationId,
+            name,
+            userId,
+            role: ORGANIZATION_ROLES.OWNER
+        });
+
+        return { id: organizationId, name, role: ORGANIZATION_ROLES.OWNER };
+    } catch (err) {
+        throw err;
+    }
+}
+
+/**
+ * 내 조직 목록 (첫 번째 = 기본 조직)
+ * @param {string} userId - 사용자 ID
+ * @returns {Promise<Array>} [{ id, name, role, member_count, ... }]
+ */
+async function getUserOrganizations(userId) {
+    try {
+        return await executeQuery(Organization.getByUserQuery(), { userId });
+    } catch (err) {
+        throw err;
+    }
+}
+
+/**
+ * 요청 조직 확인
+ *
+ * @param {string} userId - 사용자 ID
+ * @param {string|null} organizationId - 요청한 조직 ID (없으면 기본 조직)
+ * @returns {Promise<Object|null>} { id, role } 또는 null (멤버가 아님 / 조직 없음)
+ */
+async function resolveMembership(userId, organizationId) {
+    try {
+        if (!organizationId) {
+            const organizations = await getUserOrganizations(userId);
+            return organizations.length > 0
+                ? { id: organizations[0].id, role: organizations[0].role }
+                : null;
+        }
+
+        const memberships = await executeQuery(OrganizationMember.getMembershipQuery(), {
+            organizationId,
+            userId
+        });
+
+        return memberships.length > 0
+            ? { id: organizationId, role: memberships[0].role }
+            : null;
+    } catch (err) {
+        throw err;
+    }
+}
+
+/**
+ * 조직 멤버 목록
+ * @param {string} organizationId - 조직 ID
+ * @returns {Promise<Array>}
+ */
+async function getMembers(organizationId) {
+    try {
+        return await executeQuery(OrganizationMember.getByOrganizationQuery(), { organizationId });
+    } catch (err) {
+        throw err;
+    }
+}
+
+/**
+ * 대상 멤버 조회 + 마지막 owner 보호
+ * @returns {Promise<Object>} 멤버십 행
+ * @throws {Error} 404 MEMBER_NOT_FOUND, 409 LAST_OWNER
+ */
+async function getMemberForChange(organizationId, userId, { losesOwner }) {
+    const memberships = await executeQuery(OrganizationMember.getMembershipQuery(), {
+        organizationId,
+        userId
+    });
+
+    if (memberships.length === 0) {
+        throw createError('조직 멤버를 찾을 수 없습니다', 404, 'MEMBER_NOT_FOUND');
+    }
+
+    const member = memberships[0];
+
+    if (member.role === ORGANIZATION_ROLES.OWNER && losesOwner) {
+        const owners = await executeQuery(OrganizationMember.getOwnerCountQuery(), { organizationId });
+
+        if (owners[0].count <= 1) {
+            throw createError('조직에는 owner가 최소 한 명 있어야 합니다', 409, 'LAST_OWNER');
+        }
+    }
+
+    return member;
+}
+
+/**
+ * 멤버 역할 변경
+ *
+ * @param {string} organizationId - 조직 ID
+ * @param {string} userId - 대상 사용자 ID
+ * @param {string} role - 새 역할
+ * @returns {Promise<void>}
+ *
+ * @throws {Error} 400 VALIDATION_ERROR, 404 MEMBER_NOT_FOUND, 409 LAST_OWNER
+ */
+async function updateMemberRole(organizationId, userId, role) {
+    try {
+        assertValidRole(role);
+
+        await getMemberForChange(organizationId, userId, {
+            losesOwner: role !== ORGANIZATION_ROLES.OWNER
+        });
+
+        await executeNonQuery(OrganizationMember.getUpdateRoleQuery(), { organizationId, userId, role });
+    } catch (err) {
+        throw err;
+    }
+}
+
+/**
+ * 멤버 제거 (owner가 제거하거나 본인이 탈퇴)
+ *
+ * @param {string} organizationId - 조직 ID
+ * @param {string} userId - 대상 사용자 ID
+ * @returns {Promise<void>}
+ *
+ * @throws {Error} 404 MEMBER_NOT_FOUND, 409 LAST_OWNER
+ *
+ * @note
+ * - 제거된 멤버가 만든 API Key / Webhook은 조직에 남음
+ */
+async function removeMember(organizationId, userId) {
+    try {
+        await getMemberForChange(organizationId, userId, { losesOwner: true });
+
+        await executeNonQuery(OrganizationMember.getDeleteQuery(), { organizationId, userId });
+    } catch (err) {
+        throw err;
+    }
+}
+
+/**
+ * 조직 초대 (메일 발송)
+ *
+ * @param {string} organizationId - 조직 ID
+ * @param {string} email - 초대할 이메일
+ * @param {string} role - 수락 시 부여할 역할
+ * @param {string} invitedBy - 초대한 사용자 ID
+ * @returns {Promise<Object>} { invitationId, email, role, expiresAt }
+ *
+ * @throws {Error} 400 VALIDATION_ERROR, 409 ALREADY_MEMBER
+ *
+ * @note
+ * - 같은 이메일의 대기 중인 초대는 취소 (마지막 링크만 유효)
+ */
+async function createInvitation(organizationId, email, role, invitedBy) {
+    try {
+        assertValidRole(role);
+
+        const normalizedEmail = email.trim().toLowerCase();
+
+        const existingMembers = await executeQuery(
+            `SELECT om.user_id FROM [OrganizationMembers] om
+             JOIN [Users] u ON om.user_id = u.id
+             WHERE om.organization_id = @organizationId AND LOWER(u.email) = @email`,
+            { organizationId, email: normalizedEmail }
+        );
+
+        if (existingMembers.length > 0) {
+            throw createError('이미 조직 멤버입니다', 409, 'ALREADY_MEMBER');
+        }
+
+        const organizations = await executeQuery(
+            'SELECT name FROM [Organizations] WHERE id = @organizationId',
+            { organizationId }
+        );
+
+        await executeNonQuery(OrganizationInvitation.getRevokePendingByEmailQuery(), {
+            organizationId,
+            email: normalizedEmail
+        });
+
+        const expireDays = getInvitationExpireDays();
+        const token = generateToken(32);
+
+        const invitationData = {
+            id: generateUUID(),
+            organizationId,
+            email: normalizedEmail,
+            role,
+            tokenHash: hashToken(token),
+            invitedBy,
+            expiresAt: new Date(Date.now() + expireDays * 24 * 60 * 60 * 1000)
+        };
+
+        await executeNonQuery(OrganizationInvitation.getSaveQuery(invitationData), invitationData);
+
+        const baseUrl = process.env.APP_BASE_URL || 'http://localhost:3000';
+        const inviteUrl = `${baseUrl}/pages/user/organization.html?invite=${token}`;
+
+        mailService.sendMail({
+            to: normalizedEmail,
+            ...buildInvitationMail(organizations[0].name, role, inviteUrl, expireDays)
+        }).catch(mailErr => {
+            console.error('[ORGANIZATION INVITE] 메일 발송 실패', {
+                invitationId: invitationData.id,
+                error: mailErr.message
+            });
+        });
+
+        return {
+            invitationId: invitationData.id,
+            email: normalizedEmail,
+            role,
+            expiresAt: invitationData.expiresAt
+        };
+    } catch (err) {
+        throw err;
+    }
+}
+
+/**
+ * 대기 중인 초대 목록
+ * @param {string} organizationId - 조직 ID
+ * @returns {Promise<Array>}
+ */
+async function getPendingInvitations(organizationId) {
+    try {
+        return await executeQuery(OrganizationInvitation.getPendingByOrganizationQuery(), { organizationId });
+    } catch (err) {
+        throw err;
+    }
+}
+
+/**
+ * 초대 취소
+ * @param {string} organizationId - 조직 ID
+ * @param {string} invitationId - 초대 ID
+ * @returns {Promise<boolean>} 취소 여부 (없거나 이미 처리된 초대면 false)
+ */
+async function revokeInvitation(organizationId, invitationId) {
+    try {
+        const revoked = await executeQuery(OrganizationInvitation.getRevokeQuery(), {
+            organizationId,
+            id: invitationId
+        });
+
+        return revoked.length > 0;
+    } catch (err) {
+        throw err;
+    }
+}
+
+/**
+ * 초대 수락
+ *
+ * @param {string} token - 메일로 받은 초대 토큰
+ * @param {string} userId - 로그인한 사용자 ID
+ * @returns {Promise<Object>} { organizationId, organizationName, role }
+ *
+ * @throws {Error} 400 INVALID_INVITATION - 존재하지 않거나 만료/사용/취소된 초대
+ * @throws {Error} 403 INVITATION_EMAIL_MISMATCH - 초대받은 이메일과 로그인 계정이 다름
+ */
+async function acceptInvitation(token, userId) {
+    try {
+        const invitations = await executeQuery(OrganizationInvitation.getValidByTokenQuery(), {
+            tokenHash: hashToken(String(token || ''))
+        });
+
+        if (invitations.length === 0) {
+            throw createError('유효하지 않거나 만료된 초대입니다', 400, 'INVALID_INVITATION');
+        }
+
+        const invitation = invitations[0];
+
+        const users = await executeQuery('SELECT email FROM [Users] WHERE id = @userId', { userId });
+
+        if (users.length === 0 || users[0].email.toLowerCase() !== invitation.email) {
+            throw createError('초대받은 이메일 계정으로 로그인해야 합니다', 403, 'INVITATION_EMAIL_MISMATCH');
+        }
+
+        const accepted = await executeQuery(OrganizationInvitation.getAcceptQuery(), {
+            id: invitation.id,
+            userId
+        });
+
+        if (accepted.length === 0) {
+            throw createError('유효하지 않거나 만료된 초대입니다', 400, 'INVALID_INVITATION');
+        }
+
+        await executeNonQuery(OrganizationMember.getAddQuery(), {
+            organizationId: invitation.organization_id,
+            userId,
+            role: invitation.role
+        });
+
+        return {
+            organizationId: invitation.organization_id,
+            organizationName: invitation.organization_name,
+            role: invitation.role
+        };
+    } catch (err) {
+        throw err;
+    }
+}
+
+module.exports = {
+    createOrganization,
+    getUserOrganizations,
+    resolveMembership,
+    getMembers,
+    updateMemberRole,
+    removeMember,
+    createInvitation,
+    getPendingInvitations,
+    revokeInvitation,
+    acceptInvitation
+};
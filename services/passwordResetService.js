@@ -0,0 +1,187 @@
+/**
+ * Password Reset Service - 비밀번호 재설정
+ *
+ * 역할:
+ * - 재설정 요청: 1회용 토큰 발급 후 메일 발송
+ * - 재설정 실행: 토큰 검증 후 비밀번호 변경 및 모든 세션 종료
+ *
+ * 보안 정책:
+ * - 토큰 원문은 메일로만 전달, DB에는 SHA256 해시만 저장
+ * - 유효기간: PASSWORD_RESET_EXPIRE_MINUTES (기본 30분)
+ * - 새 토큰 발급 시 이전 미사용 토큰은 무효화
+ * - 가입 여부와 관계없이 요청 응답은 동일 (이메일 존재 여부 노출 방지)
+ *
+ * 주요 의존성:
+ * - mailService.js: sendMail
+ * - sessionService.js: revokeAllSessions
+ * - PasswordResetToken 모델: 쿼리 생성
+ *
+ * 환경 변수:
+ * - APP_BASE_URL: 메일 링크의 기준 URL (기본 http://localhost:3000)
+ */
+
+const { executeQuery, executeNonQuery } = require('../config/database');
+const { hashPassword, generateToken, generateUUID, hashToken } = require('../utils/cryptoUtils');
+const mailService = require('./mailService');
+const sessionService = require('./sessionService');
+const PasswordResetToken = require('../models/PasswordResetToken');
+
+/**
+ * 재설정 토큰 유효기간 (분)
+ */
+function getExpireMinutes() {
+    return parseInt(process.env.PASSWORD_RESET_EXPIRE_MINUTES, 10) || 30;
+}
+
+/**
+ * 재설정 메일 본문 생성
+ * @param {Object} user - { first_name }
+ * @param {string} resetUrl - 재설정 페이지 링크
+ * @param {number} expireMinutes - 유효기간 (분)
+ * @returns {Object} { subject, text, html }
+ */
+function buildResetMail(user, resetUrl, expireMinutes) {
+    const subject = '[Booster] 비밀번호 재설정 안내';
+
+    const text = [
+        `${user.first_name}님, 안녕하세요.`,
+        '',
+        '비밀번호 재설정이 요청되었습니다. 아래 링크에서 새 비밀번호를 설정하세요.',
+        resetUrl,
+        '',
+        `이 링크는 ${expireMinutes}분 동안 한 번만 사용할 수 있습니다.`,
+        '본인이 요청하지 않았다면 이 메일을 무시하세요.'
+    ].join('\n');
+
+    const html = `
+        <p>안녕하세요.</p>
+        <p>비밀번호 재설정이 요청되었습니다. 아래 버튼을 눌러 새 비밀번호를 설정하세요.</p>
+        <p><a href="${resetUrl}">비밀번호 재설정</a></p>
+        <p>이 링크는 ${expireMinutes}분 동안 한 번만 사용할 수 있습니다.<br>
+        본인이 요청하지 않았다면 이 메일을 무시하세요.</p>
+    `;
+
+    return { subject, text, html };
+}
+
+/**
+ * 비밀번호 재설정 요청
+ *
+ * @param {string} email - 사용자 이메일
+ * @param {Object} [context] - { ipAddress }
+ *
+ * @returns {Promise<void>} - 가입 여부와 관계없이 항상 정상 종료
+ *
+ * @flow
+ * 1. 이메일로 사용자 조회 (없거나 차단/비활성이면 조용히 종료)
+ * 2. 기존 미사용 토큰 무효화
+ * 3. 새 토큰 생성 및 해시 저장
+ * 4. 재설정 링크 메일 발송 (비동기, 발송 실패는 로그만 기록)
+ */
+async function requestPasswordReset(email, { ipAddress = null } = {}) {
+    try {
+        const users = await executeQuery(
+            'SELECT id, first_name, email, is_active, is_blocked FROM [Users] WHERE email = @email',
+            { email }
+        );
+
+        if (users.length === 0) {
+            console.log('[PASSWORD RESET] 미가입 이메일 요청 무시');
+            return;
+        }
+
+        const user = users[0];
+
+        if (user.is_blocked || !user.is_active) {
+            console.log('[PASSWORD RESET] 차단/비활성 계정 요청 무시', { userId: user.id });
+            return;
+        }
+
+        await executeNonQuery(PasswordResetToken.getInvalidateByUserQuery(), { userId: user.id });
+
+        const expireMinutes = getExpireMinutes();
+        const token = generateToken(32);
+
+        const tokenData = {
+            id: generateUUID(),
+            userId: user.id,
+            tokenHash: hashToken(token),
+            expiresAt: new Date(Date.now() + expireMinutes * 60 * 1000),
+            requestedIp: ipAddress
+        };
+
+        await executeNonQuery(PasswordResetToken.getSaveQuery(tokenData), tokenData);
+
+        const baseUrl = process.env.APP_BASE_URL || 'http://localhost:3000';
+        const resetUrl = `${baseUrl}/pages/auth/reset-password.html?token=${token}`;
+
+        // 발송 완료를 기다리지 않음: 응답 시간 차이로 가입 여부가 드러나지 않도록
+        // 발송 실패도 응답에 드러내지 않고 로그만 기록
+        mailService.sendMail({
+            to: user.email,
+            ...buildResetMail(user, resetUrl, expireMinutes)
+        }).catch(mailErr => {
+            console.error('[PASSWORD RESET] 메일 발송 실패', { userId: user.id, error: mailErr.message });
+        });
+    } catch (err) {
+        throw err;
+    }
+}
+
+/**
+ * 비밀번호 재설정 실행
+ *
+ * @param {string} token - 메일로 받은 재설정 토큰
+ * @param {string} newPassword - 새 비밀번호 (평문)
+ *
+ * @returns {Promise<Object>} { success: true }
+ *
+ * @throws {Error} statusCode 400, errorCode INVALID_RESET_TOKEN
+ *   - 존재하지 않거나 만료/사용된 토큰
+ *
+ * @flow
+ * 1. 토큰 해시로 미사용 + 미만료 토큰을 원자적으로 사용 처리
+ * 2. 비밀번호 해싱 후 저장
+ * 3. 남은 미사용 토큰 무효화
+ * 4. 모든 세션 및 Refresh Token 폐기 (모든 기기 재로그인)
+ */
+async function resetPassword(token, newPassword) {
+    try {
+        const consumed = await executeQuery(
+            PasswordResetToken.getConsumeQuery(),
+            { tokenHash: hashToken(token) }
+        );
+
+        if (consumed.length === 0) {
+            const error = new Error('유효하지 않거나 만료된 재설정 링크입니다');
+            error.statusCode = 400;
+            error.errorCode = 'INVALID_RESET_TOKEN';
+            throw error;
+        }
+
+        const userId = consumed[0].user_id;
+        const passwordHash = await hashPassword(newPassword);
+
+        await executeNonQuery(
+            'UPDATE [Users] SET password_hash = @passwordHash, updated_at = GETDATE() WHERE id = @userId',
+            { userId, passwordHash }
+        );
+
+        await executeNonQuery(PasswordResetToken.getInvalidateByUserQuery(), { userId });
+        await sessionService.revokeAllSessions(userId, 'password_reset');
+
+        console.log('[비밀번호 재설정]', {
+            userId,
+            timestamp: new Date().toISOString()
+        });
+
+        return { success: true };
+    } catch (err) {
+        throw err;
+    }
+}
+
+module.exports = {
+    requestPasswordReset,
+    resetPassword
+};
@@ -0,0 +1,270 @@
+/**
+ * Payment Providers - 결제 대행사 어댑터
+ *
+ * 역할:
+ * - 결제 대행사별 API 차이를 같은 인터페이스로 통일 (services/paymentService.js에서 사용)
+ *
+ * 대행사 (.env PAYMENT_PROVIDER, 기본 PAYMENT.PROVIDER):
+ * - stripe: Stripe Checkout (운영)
+ *   - STRIPE_SECRET_KEY: API 비밀 키 (sk_...)
+ *   - STRIPE_WEBHOOK_SECRET: Webhook 서명 비밀 키 (whsec_...)
+ * - fake: 프로세스 내 가짜 결제 (NODE_ENV=test에서만 생성 가능, 그 외 환경은 getPaymentProvider에서 거부)
+ *   - PAYMENT_FAKE_WEBHOOK_SECRET: Webhook 서명 키 (없으면 대행사 생성 시 무작위 키 → 외부에서 Webhook 서명 불가)
+ *
+ * 대행사 인터페이스 (새 대행사도 같은 메서드를 구현):
+ * - name: 대행사 이름 (Payments.provider, Webhook 경로 /api/billing/webhooks/{name})
+ * - createCheckoutSession({ paymentId, amountUsd, currency, description, customerEmail, successUrl, cancelUrl })
+ *   → { sessionId, checkoutUrl }
+ * - parseWebhookEvent(rawBody, headers)
+ *   → { type (PAYMENT_EVENTS), sessionId, providerPaymentId, amountUsd, failureReason } 또는 null (처리 안 하는 이벤트)
+ *   → 서명 불일치 / 만료 시 statusCode 400 (INVALID_WEBHOOK_SIGNATURE) 에러
+ * - refund({ paymentId, providerPaymentId, amountUsd }) → { refundId, completed }
+ *   - completed가 false면 환불 완료는 Webhook (payment.refunded)으로 확인
+ */
+
+const crypto = require('crypto');
+const axios = require('axios');
+const { PAYMENT, PAYMENT_EVENTS, ERROR_CODES } = require('../config/constants');
+const { safeEqual } = require('../utils/cryptoUtils');
+
+const STRIPE_API_BASE = 'https://api.stripe.com/v1';
+const STRIPE_TIMEOUT_MS = 10000;
+
+function createSignatureError(message) {
+    const error = new Error(message);
+    error.statusCode = 400;
+    error.errorCode = ERROR_CODES.INVALID_WEBHOOK_SIGNATURE;
+    return error;
+}
+
+function getWebhookToleranceSeconds() {
+    return parseInt(process.env.PAYMENT_WEBHOOK_TOLERANCE_SECONDS, 10) || PAYMENT.WEBHOOK_TOLERANCE_SECONDS;
+}
+
+function toCents(amountUsd) {
+    return Math.round(amountUsd * 100);
+}
+
+/**
+ * Stripe Checkout
+ * - 결제 페이지: POST /v1/checkout/sessions (mode=payment, 금액은 결제마다 price_data로 지정)
+ * - Webhook 서명: Stripe-Signature 헤더 't={timestamp},v1={HMAC-SHA256(secret, "{timestamp}.{body}")}'
+ * - 같은 결제 / 환불 재요청은 Idempotency-Key로 중복 생성 방지
+ * @returns {Object} 대행사
+ */
+function createStripeProvider() {
+    function getSecretKey() {
+        if (!process.env.STRIPE_SECRET_KEY) {
+            throw new Error('STRIPE_SECRET_KEY is not configured in environment variables');
+        }
+
+        return process.env.STRIPE_SECRET_KEY;
+    }
+
+    async function post(path, params, idempotencyKey) {
+        try {
+            const response = await axios.post(`${STRIPE_API_BASE}${path}`, new URLSearchParams(params).toString(), {
+                headers: {
+                    Authorization: `Bearer ${getSecretKey()}`,
+                    'Content-Type': 'application/x-www-form-urlencoded',
+                    'Idempotency-Key': idempotencyKey
+                },
+                timeout: STRIPE_TIMEOUT_MS
+            });
+
+            return response.data;
+        } catch (err) {
+            // Stripe 에러 본문: { error: { message, type, code } }
+            const stripeError = err.response && err.response.data && err.response.data.error;
+            throw new Error(stripeError ? `Stripe: ${stripeError.message}` : err.message);
+        }
+    }
+
+    function verifySignature(rawBody, signatureHeader) {
+        if (!process.env.STRIPE_WEBHOOK_SECRET) {
+            throw new Error('STRIPE_WEBHOOK_SECRET is not configured in environment variables');
+        }
+
+        const parts = String(signatureHeader || '').split(',').map(part => part.trim().split('='));
+        const timestamp = (parts.find(([key]) => key === 't') || [])[1];
+        const signatures = parts.filter(([key]) => key === 'v1').map(([, value]) => value);
+
+        if (!timestamp || signatures.length === 0) {
+            throw createSignatureError('Stripe-Signature 헤더가 올바르지 않습니다');
+        }
+
+        if (Math.abs(Math.floor(Date.now() / 1000) - parseInt(timestamp, 10)) > getWebhookToleranceSeconds()) {
+            throw createSignatureError('Webhook timestamp가 허용 범위를 벗어났습니다');
+        }
+
+        const expected = crypto
+            .createHmac('sha256', process.env.STRIPE_WEBHOOK_SECRET)
+            .update(`${timestamp}.${rawBody}`)
+            .digest('hex');
+
+        if (!signatures.some(signature => safeEqual(signature, expected))) {
+            throw createSignatureError('Webhook 서명이 일치하지 않습니다');
+        }
+    }
+
+    return {
+        name: 'stripe',
+
+        async createCheckoutSession({ paymentId, amountUsd, currency, description, customerEmail, successUrl, cancelUrl }) {
+            const params = {
+                mode: 'payment',
+                success_url: successUrl,
+                cancel_url: cancelUrl,
+                client_reference_id: paymentId,
+                'metadata[paymentId]': paymentId,
+                'payment_intent_data[metadata][paymentId]': paymentId,
+                'line_items[0][quantity]': '1',
+                'line_items[0][price_data][currency]': currency.toLowerCase(),
+                'line_items[0][price_data][unit_amount]': String(toCents(amountUsd)),
+                'line_items[0][price_data][product_data][name]': description
+            };
+
+            if (customerEmail) {
+                params.customer_email = customerEmail;
+            }
+
+            const session = await post('/checkout/sessions', params, `checkout-${paymentId}`);
+
+            return { sessionId: session.id, checkoutUrl: session.url };
+        },
+
+        async parseWebhookEvent(rawBody, headers) {
+            verifySignature(rawBody, headers['stripe-signature']);
+
+            const event = JSON.parse(rawBody.toString('utf8'));
+            const object = event.data && event.data.object;
+
+            switch (event.type) {
+                case 'checkout.session.completed':
+                case 'checkout.session.async_payment_succeeded':
+                    // 계좌이체 등 비동기 결제는 completed 시점에 unpaid → async_payment_succeeded에서 처리
+                    if (object.payment_status !== 'paid') return null;
+
+                    return {
+                        type: PAYMENT_EVENTS.SUCCEEDED,
+                        sessionId: object.id,
+                        providerPaymentId: object.payment_intent,
+                        amountUsd: object.amount_total / 100
+                    };
+
+                case 'checkout.session.async_payment_failed':
+                    return { type: PAYMENT_EVENTS.FAILED, sessionId: object.id, failureReason: '결제 실패' };
+
+                case 'checkout.session.expired':
+                    return { type: PAYMENT_EVENTS.FAILED, sessionId: object.id, failureReason: '결제 페이지 만료' };
+
+                case 'charge.refunded':
+                    // 부분 환불은 처리하지 않음 (전액 환불만 refunded)
+                    if (!object.refunded) return null;
+
+                    return { type: PAYMENT_EVENTS.REFUNDED, providerPaymentId: object.payment_intent };
+
+                default:
+                    return null;
+            }
+        },
+
+        async refund({ paymentId, providerPaymentId, amountUsd }) {
+            const refund = await post('/refunds', {
+                payment_intent: providerPaymentId,
+                amount: String(toCents(amountUsd)),
+                'metadata[paymentId]': paymentId
+            }, `refund-${paymentId}`);
+
+            return { refundId: refund.id, completed: refund.status === 'succeeded' };
+        }
+    };
+}
+
+/**
+ * 가짜 결제 대행사 (테스트 전용)
+ * - 누구나 결제 완료 Webhook을 만들 수 있으므로 NODE_ENV=test가 아니면 생성하지 않음
+ * - 결제 페이지 없이 successUrl로 바로 돌아감 (결제는 Webhook을 보내야 완료)
+ * - Webhook 본문은 이미 공통 형식 ({ type, sessionId, providerPaymentId, amountUsd, failureReason })
+ *   X-Fake-Signature: HMAC-SHA256(PAYMENT_FAKE_WEBHOOK_SECRET, body) 16진수
+ * - 테스트는 PAYMENT_FAKE_WEBHOOK_SECRET을 정해 두고 직접 서명한 본문을 POST /api/billing/webhooks/fake로 전송
+ * @returns {Object} 대행사
+ * @throws {Error} NODE_ENV가 test가 아님
+ */
+function createFakeProvider() {
+    if (process.env.NODE_ENV !== 'test') {
+        throw new Error('fake payment provider is only allowed when NODE_ENV=test');
+    }
+
+    const webhookSecret = process.env.PAYMENT_FAKE_WEBHOOK_SECRET || crypto.randomBytes(32).toString('hex');
+
+    function sign(rawBody) {
+        return crypto.createHmac('sha256', webhookSecret).update(rawBody).digest('hex');
+    }
+
+    return {
+        name: 'fake',
+
+        async createCheckoutSession({ successUrl }) {
+            const sessionId = `fake_cs_${crypto.randomUUID()}`;
+            const separator = successUrl.includes('?') ? '&' : '?';
+            return { sessionId, checkoutUrl: `${successUrl}${separator}session_id=${sessionId}` };
+        },
+
+        async parseWebhookEvent(rawBody, headers) {
+            if (!headers['x-fake-signature'] || !safeEqual(headers['x-fake-signature'], sign(rawBody))) {
+                throw createSignatureError('Webhook 서명이 일치하지 않습니다');
+            }
+
+            const event = JSON.parse(rawBody.toString('utf8'));
+
+            return Object.values(PAYMENT_EVENTS).includes(event.type) ? event : null;
+        },
+
+        async refund() {
+            return { refundId: `fake_re_${crypto.randomUUID()}`, completed: true };
+        }
+    };
+}
+
+const PROVIDER_FACTORIES = {
+    stripe: createStripeProvider,
+    fake: createFakeProvider
+};
+
+let provider = null;
+
+/**
+ * 설정된 결제 대행사 (최초 호출 시 생성)
+ * @returns {Object} 대행사
+ * @throws {Error} 알 수 없는 PAYMENT_PROVIDER / 허용되지 않는 환경의 fake
+ */
+function getPaymentProvider() {
+    if (!provider) {
+        const name = process.env.PAYMENT_PROVIDER || PAYMENT.PROVIDER;
+        const factory = PROVIDER_FACTORIES[name];
+
+        if (!factory) {
+            throw new Error(`Unknown PAYMENT_PROVIDER: ${name}`);
+        }
+
+        provider = factory();
+    }
+
+    return provider;
+}
+
+/**
+ * 대행사 교체 (테스트에서 새 가짜 대행사 주입)
+ * @param {Object} customProvider - name / createCheckoutSession / parseWebhookEvent / refund 구현
+ */
+function setPaymentProvider(customProvider) {
+    provider = customProvider;
+}
+
+module.exports = {
+    createStripeProvider,
+    createFakeProvider,
+    getPaymentProvider,
+    setPaymentProvider
+};
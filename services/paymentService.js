@@ -0,0 +1,510 @@
+/**
+ * Payment Service - 결제 대행사 결제
+ *
+ * 역할:
+ * - 결제 페이지 생성 (POST /api/billing/checkout)
+ *   - 승인 대기 구독: 첫 기간 기본 요금 + 세금 → 결제 성공 시 구독 자동 활성화
+ *   - 발행된 (open) 청구서: 청구서 합계 → 결제 성공 시 청구서 paid
+ * - 대행사 Webhook 처리 (POST /api/billing/webhooks/:provider): 결제 성공 / 실패 / 환불 완료
+ * - 관리자 결제 목록 / 환불 (adminService)
+ *
+ * 대행사: services/paymentProviders.js (.env PAYMENT_PROVIDER)
+ *
+ * 참고:
+ * - 청구서로 결제하는 고객은 기존처럼 관리자가 구독 승인 (adminService.approveSubscription)
+ * - 구독 결제의 세금 제외 금액은 첫 기간 청구서 확정 시 차감 (invoiceService.finalizeInvoice, prepayment 항목)
+ * - Webhook은 같은 이벤트가 여러 번 올 수 있음 → 모든 상태 변경은 이전 상태 조건부 UPDATE (중복 처리 없음)
+ * - 환불은 결제 상태만 바꿈 (구독 해지 / 청구서 취소는 관리자가 따로 처리)
+ * - 결제는 됐지만 적용할 수 없는 결제 (금액 불일치, 이미 처리된 구독 / 청구서)는 refund_required → 관리자 환불
+ */
+
+const crypto = require('crypto');
+const { executeQuery, executeNonQuery } = require('../config/database');
+const {
+    BILLING,
+    PAYMENT,
+    PAYMENT_STATUS,
+    PAYMENT_PURPOSE,
+    PAYMENT_EVENTS,
+    SUBSCRIPTION_STATUS,
+    INVOICE_STATUS,
+    AUDIT_ACTIONS,
+    AUDIT_ACTOR_TYPE,
+    ERROR_CODES
+} = require('../config/constants');
+const Payment = require('../models/Payment');
+const { getPaymentProvider } = require('./paymentProviders');
+const { activateSubscription } = require('./subscriptionService');
+const invoiceService = require('./invoiceService');
+const auditService = require('./auditService');
+
+const MAX_FAILURE_REASON_LENGTH = 500;
+
+function createError(message, statusCode, errorCode) {
+    const error = new Error(message);
+    error.statusCode = statusCode;
+    error.errorCode = errorCode;
+    return error;
+}
+
+function toUsd(amount) {
+    return Math.round(amount * 100) / 100;
+}
+
+/**
+ * 결제 후 돌아올 페이지 (APP_BASE_URL 기준)
+ * @returns {Object} { successUrl, cancelUrl }
+ */
+function getCheckoutUrls() {
+    const baseUrl = process.env.APP_BASE_URL || 'http://localhost:3000';
+
+    return {
+        successUrl: `${baseUrl}${PAYMENT.CHECKOUT_SUCCESS_PATH}`,
+        cancelUrl: `${baseUrl}${PAYMENT.CHECKOUT_CANCEL_PATH}`
+    };
+}
+
+/**
+ * 결제 대상 금액 계산
+ * @returns {Promise<Object>} { purpose, subscriptionId, invoiceId, baseAmountUsd, taxUsd, amountUsd, description }
+ */
+async function resolveCheckoutTarget(organizationId, invoiceId) {
+    if (invoiceId) {
+        const invoices = await executeQuery(
+            `SELECT id, subscription_id, invoice_number, status, subtotal_usd, tax_usd, total_usd
+             FROM [Invoices]
+             WHERE id = @invoiceId AND organization_id = @organizationId`,
+            { invoiceId, organizationId }
+        );
+
+        if (invoices.length === 0) {
+            throw createError('청구서를 찾을 수 없습니다', 404, ERROR_CODES.NOT_FOUND);
+        }
+
+        const invoice = invoices[0];
+        if (invoice.status !== INVOICE_STATUS.OPEN) {
+            throw createError('결제 대기 중인 청구서가 아닙니다', 400, 'VALIDATION_ERROR');
+        }
+
+        return {
+            purpose: PAYMENT_PURPOSE.INVOICE,
+            subscriptionId: invoice.subscription_id,
+            invoiceId: invoice.id,
+            baseAmountUsd: Number(invoice.subtotal_usd),
+            taxUsd: Number(invoice.tax_usd),
+            amountUsd: Number(invoice.total_usd),
+            description: `Booster 청구서 ${invoice.invoice_number}`
+        };
+    }
+
+    const subscriptions = await executeQuery(
+        `SELECT TOP 1 us.id, st.tier_name, st.price_usd
+         FROM [UserSubscriptions] us
+         JOIN [SubscriptionTiers] st ON us.tier_id = st.id
+         WHERE us.organization_id = @organizationId AND us.status = @status
+         ORDER BY us.created_at DESC`,
+        { organizationId, status: SUBSCRIPTION_STATUS.PENDING }
+    );
+
+    if (subscriptions.length === 0) {
+        throw createError('결제할 승인 대기 구독이 없습니다', 404, ERROR_CODES.NOT_FOUND);
+    }
+
+    const subscription = subscriptions[0];
+    const baseAmountUsd = toUsd(Number(subscription.price_usd) || 0);
+    const taxUsd = toUsd(baseAmountUsd * invoiceService.getBillingConfig().taxRate);
+
+    return {
+        purpose: PAYMENT_PURPOSE.SUBSCRIPTION,
+        subscriptionId: subscription.id,
+        invoiceId: null,
+        baseAmountUsd,
+        taxUsd,
+        amountUsd: toUsd(baseAmountUsd + taxUsd),
+        description: `Booster ${subscription.tier_name} 구독 (첫 결제 기간)`
+    };
+}
+
+/**
+ * 결제 페이지 생성
+ *
+ * @param {string} organizationId - 조직 ID
+ * @param {string} userId - 결제를 시작한 사용자 ID (결제 페이지 이메일 기본값)
+ * @param {Object} [options]
+ * @param {string} [options.invoiceId] - 결제할 청구서 (없으면 승인 대기 구독)
+ * @returns {Promise<Object>} { paymentId, provider, purpose, amountUsd, checkoutUrl }
+ * @throws {404} 승인 대기 구독 / 청구서 없음 (NOT_FOUND)
+ * @throws {400} 결제 대기 청구서가 아님, 결제 금액 0 (VALIDATION_ERROR)
+ * @throws {409} 이미 결제 완료 (PAYMENT_ALREADY_COMPLETED), 다른 요청이 결제 페이지 생성 중 (PAYMENT_IN_PROGRESS)
+ * @throws {502} 대행사 요청 실패 (PAYMENT_PROVIDER_ERROR)
+ *
+ * @flow
+ * 1. 결제 대상 / 금액 계산
+ * 2. pending 결제 저장 (같은 대상의 진행 중인 결제가 있으면 그 결제 페이지를 다시 반환)
+ * 3. 대행사 결제 페이지 생성 (실패하면 결제는 failed)
+ */
+async function createCheckout(organizationId, userId, options = {}) {
+    try {
+        const provider = getPaymentProvider();
+
+        // 1. 결제 대상
+        const target = await resolveCheckoutTarget(organizationId, options.invoiceId);
+
+        if (target.amountUsd <= 0) {
+            throw createError('결제할 금액이 없습니다 (관리자 승인이 필요합니다)', 400, 'VALIDATION_ERROR');
+        }
+
+        // 2. pending 결제 (대상마다 1개, 결제 페이지를 다시 요청해도 같은 결제로 이어서 진행)
+        const paymentId = crypto.randomUUID();
+
+        const rows = await executeQuery(Payment.getCreatePendingQuery(target.purpose === PAYMENT_PURPOSE.INVOICE), {
+            id: paymentId,
+            organizationId,
+            subscriptionId: target.subscriptionId,
+            invoiceId: target.invoiceId,
+            purpose: target.purpose,
+            provider: provider.name,
+            pendingStatus: PAYMENT_STATUS.PENDING,
+            succeededStatus: PAYMENT_STATUS.SUCCEEDED,
+            currency: BILLING.CURRENCY,
+            baseAmountUsd: target.baseAmountUsd,
+            taxUsd: target.taxUsd,
+            amountUsd: target.amountUsd,
+            requestedBy: userId
+        });
+
+        const payment = rows[0];
+
+        if (!payment.created) {
+            if (payment.status === PAYMENT_STATUS.SUCCEEDED) {
+                throw createError('이미 결제가 완료되었습니다', 409, ERROR_CODES.PAYMENT_ALREADY_COMPLETED);
+            }
+
+            if (!payment.checkout_url) {
+                throw createError('결제 페이지를 만드는 중입니다. 잠시 후 다시 시도하세요', 409, ERROR_CODES.PAYMENT_IN_PROGRESS);
+            }
+
+            return {
+                paymentId: payment.id,
+                provider: payment.provider,
+                purpose: target.purpose,
+                amountUsd: Number(payment.amount_usd),
+                checkoutUrl: payment.checkout_url
+            };
+        }
+
+        // 3. 대행사 결제 페이지
+        const users = await executeQuery('SELECT email FROM [Users] WHERE id = @userId', { userId });
+        let session;
+
+        try {
+            session = await provider.createCheckoutSession({
+                paymentId,
+                amountUsd: target.amountUsd,
+                currency: BILLING.CURRENCY,
+                description: target.description,
+                customerEmail: users[0] ? users[0].email : null,
+                ...getCheckoutUrls()
+            });
+        } catch (err) {
+            console.error('[PAYMENT_PROVIDER_ERROR]', err.message);
+
+            await executeNonQuery(Payment.getMarkFailedQuery(false), {
+                paymentId,
+                failureReason: String(err.message).substring(0, MAX_FAILURE_REASON_LENGTH),
+                pendingStatus: PAYMENT_STATUS.PENDING,
+                failedStatus: PAYMENT_STATUS.FAILED
+            });
+
+            throw createError('결제 페이지를 만들 수 없습니다. 잠시 후 다시 시도하세요', 502, ERROR_CODES.PAYMENT_PROVIDER_ERROR);
+        }
+
+        await executeNonQuery(Payment.getSetCheckoutSessionQuery(), {
+            paymentId,
+            sessionId: session.sessionId,
+            checkoutUrl: session.checkoutUrl
+        });
+
+        return {
+            paymentId,
+            provider: provider.name,
+            purpose: target.purpose,
+            amountUsd: target.amountUsd,
+            checkoutUrl: session.checkoutUrl
+        };
+    } catch (err) {
+        throw err;
+    }
+}
+
+// 결제 금액 비교 (센트 단위)
+function isSameAmount(a, b) {
+    return Math.round(Number(a) * 100) === Math.round(Number(b) * 100);
+}
+
+/**
+ * 결제 성공 처리
+ * - 구독 활성화 / 청구서 paid를 먼저 하고 결제를 succeeded로 바꿈
+ *   (중간에 실패하면 대행사가 Webhook을 다시 보내고, 이미 끝난 단계는 조건부 UPDATE라 건너뜀)
+ * - 결제 금액이 다르거나 구독 / 청구서에 적용할 수 없으면 적용하지 않고 refund_required
+ *   (승인 대기가 아닌 구독, 조직에 이미 활성 구독이 있음, 결제 대기가 아닌 청구서)
+ */
+async function handlePaymentSucceeded(provider, event) {
+    const payments = await executeQuery(Payment.getBySessionQuery(), {
+        provider: provider.name,
+        sessionId: event.sessionId
+    });
+
+    if (payments.length === 0) {
+        console.warn('[PAYMENT_WARN] 알 수 없는 checkout session', { provider: provider.name, sessionId: event.sessionId });
+        return { processed: false };
+    }
+
+    const payment = payments[0];
+    if (payment.status !== PAYMENT_STATUS.PENDING) {
+        return { processed: false, paymentId: payment.id, status: payment.status };
+    }
+
+    let refundReason = null;
+
+    if (!isSameAmount(event.amountUsd, payment.amount_usd)) {
+        refundReason = `결제 금액 불일치 (요청 ${payment.amount_usd} USD, 결제 ${event.amountUsd} USD)`;
+    } else if (payment.purpose === PAYMENT_PURPOSE.SUBSCRIPTION) {
+        const subscription = await activateSubscription(payment.subscription_id, { pendingOnly: true });
+
+        if (subscription) {
+            await auditService.recordEvent({
+                action: AUDIT_ACTIONS.SUBSCRIPTION_PAID,
+                actorType: AUDIT_ACTOR_TYPE.SYSTEM,
+                targetType: 'subscription',
+                targetId: payment.subscription_id,
+                metadata: { paymentId: payment.id, provider: provider.name, amountUsd: payment.amount_usd },
+                before: { status: subscription.before_status },
+                after: {
+                    status: subscription.after_status,
+                    startDate: subscription.start_date,
+                    endDate: subscription.end_date
+                }
+            });
+        } else {
+            // 결제 사이에 관리자가 승인 / 거절한 구독, 조직의 다른 구독이 먼저 활성화됨
+            refundReason = '승인 대기 상태가 아닌 구독 (이미 처리됐거나 조직에 활성 구독이 있음)';
+        }
+    } else if (payment.purpose === PAYMENT_PURPOSE.INVOICE) {
+        const invoice = await invoiceService.markInvoicePaid(payment.invoice_id);
+
+        if (!invoice) {
+            refundReason = '결제 대기 상태가 아닌 청구서';
+        }
+    }
+
+    const status = refundReason ? PAYMENT_STATUS.REFUND_REQUIRED : PAYMENT_STATUS.SUCCEEDED;
+
+    if (refundReason) {
+        console.warn('[PAYMENT_WARN] 적용할 수 없는 결제 (관리자 환불 필요)', {
+            paymentId: payment.id,
+            reason: refundReason
+        });
+    }
+
+    const updated = await executeQuery(Payment.getMarkPaidQuery(), {
+        paymentId: payment.id,
+        providerPaymentId: event.providerPaymentId || null,
+        paidStatus: status,
+        failureReason: refundReason,
+        pendingStatus: PAYMENT_STATUS.PENDING
+    });
+
+    return { processed: updated.length > 0, paymentId: payment.id, status };
+}
+
+/**
+ * 결제 대행사 Webhook 처리
+ *
+ * @param {string} providerName - 경로의 대행사 이름 (/api/billing/webhooks/:provider)
+ * @param {Buffer} rawBody - 요청 원문 (서명 검증용, req.rawBody)
+ * @param {Object} headers - 요청 헤더 (소문자 키)
+ * @returns {Promise<Object>} { processed, type, paymentId, status }
+ *          - processed: 이번 요청으로 결제 상태가 바뀌었는지 (중복 / 처리 안 하는 이벤트는 false)
+ * @throws {404} 설정된 대행사가 아님 (NOT_FOUND)
+ * @throws {400} 본문 없음 (VALIDATION_ERROR), 서명 불일치 / 만료 (INVALID_WEBHOOK_SIGNATURE)
+ */
+async function handleWebhook(providerName, rawBody, headers) {
+    try {
+        const provider = getPaymentProvider();
+
+        if (providerName !== provider.name) {
+            throw createError('알 수 없는 결제 대행사입니다', 404, ERROR_CODES.NOT_FOUND);
+        }
+
+        if (!rawBody || rawBody.length === 0) {
+            throw createError('Webhook 본문이 없습니다', 400, 'VALIDATION_ERROR');
+        }
+
+        const event = await provider.parseWebhookEvent(rawBody, headers);
+
+        if (!event) {
+            return { processed: false, type: null };
+        }
+
+        switch (event.type) {
+            case PAYMENT_EVENTS.SUCCEEDED:
+                return { type: event.type, ...await handlePaymentSucceeded(provider, event) };
+
+            case PAYMENT_EVENTS.FAILED: {
+                const failed = await executeQuery(Payment.getMarkFailedQuery(true), {
+                    provider: provider.name,
+                    sessionId: event.sessionId,
+                    failureReason: event.failureReason
+                        ? String(event.failureReason).substring(0, MAX_FAILURE_REASON_LENGTH)
+                        : null,
+                    pendingStatus: PAYMENT_STATUS.PENDING,
+                    failedStatus: PAYMENT_STATUS.FAILED
+                });
+
+                return {
+                    type: event.type,
+                    processed: failed.length > 0,
+                    paymentId: failed[0] ? failed[0].id : null,
+                    status: PAYMENT_STATUS.FAILED
+                };
+            }
+
+            case PAYMENT_EVENTS.REFUNDED: {
+                // 관리자 환불 (즉시 완료되지 않은 경우) 또는 대행사 대시보드에서 직접 환불
+                const refunded = await executeQuery(Payment.getMarkRefundedQuery(), {
+                    provider: provider.name,
+                    providerPaymentId: event.providerPaymentId,
+                    succeededStatus: PAYMENT_STATUS.SUCCEEDED,
+                    refundRequiredStatus: PAYMENT_STATUS.REFUND_REQUIRED,
+                    refundedStatus: PAYMENT_STATUS.REFUNDED
+                });
+
+                return {
+                    type: event.type,
+                    processed: refunded.length > 0,
+                    paymentId: refunded[0] ? refunded[0].id : null,
+                    status: PAYMENT_STATUS.REFUNDED
+                };
+            }
+
+            default:
+                return { processed: false, type: event.type };
+        }
+    } catch (err) {
+        throw err;
+    }
+}
+
+/**
+ * 결제 전액 환불 (관리자)
+ *
+ * @param {string} paymentId - 결제 ID
+ * @param {string} adminId - 환불한 관리자 ID
+ * @param {string} reason - 환불 사유
+ * @returns {Promise<Object>} { payment, completed, previousStatus }
+ *          - completed가 false면 대행사 환불 진행 중 (완료는 Webhook으로 refunded)
+ * @throws {404} 결제 없음 (NOT_FOUND)
+ * @throws {409} 결제 완료 / 환불 필요 상태가 아님, 다른 대행사 결제 (PAYMENT_NOT_REFUNDABLE)
+ * @throws {502} 대행사 요청 실패 (PAYMENT_PROVIDER_ERROR)
+ */
+async function refundPayment(paymentId, adminId, reason) {
+    try {
+        const payments = await executeQuery(Payment.getByIdQuery(), { paymentId });
+
+        if (payments.length === 0) {
+            throw createError('결제를 찾을 수 없습니다', 404, ERROR_CODES.NOT_FOUND);
+        }
+
+        const payment = payments[0];
+        const provider = getPaymentProvider();
+
+        if (payment.status !== PAYMENT_STATUS.SUCCEEDED && payment.status !== PAYMENT_STATUS.REFUND_REQUIRED) {
+            throw createError('결제 완료 / 환불 필요 상태인 결제만 환불할 수 있습니다', 409, ERROR_CODES.PAYMENT_NOT_REFUNDABLE);
+        }
+
+        if (payment.provider !== provider.name) {
+            throw createError(
+                `현재 결제 대행사(${provider.name})로 처리한 결제가 아닙니다 (${payment.provider})`,
+                409,
+                ERROR_CODES.PAYMENT_NOT_REFUNDABLE
+            );
+        }
+
+        let refund;
+
+        try {
+            refund = await provider.refund({
+                paymentId: payment.id,
+                providerPaymentId: payment.provider_payment_id,
+                amountUsd: Number(payment.amount_usd)
+            });
+        } catch (err) {
+            console.error('[PAYMENT_PROVIDER_ERROR]', err.message);
+            throw createError('결제 대행사 환불 요청에 실패했습니다', 502, ERROR_CODES.PAYMENT_PROVIDER_ERROR);
+        }
+
+        const updated = await executeQuery(Payment.getRecordRefundQuery(refund.completed), {
+            paymentId: payment.id,
+            providerRefundId: refund.refundId,
+            refundedBy: adminId,
+            refundReason: reason,
+            succeededStatus: PAYMENT_STATUS.SUCCEEDED,
+            refundRequiredStatus: PAYMENT_STATUS.REFUND_REQUIRED,
+            refundedStatus: PAYMENT_STATUS.REFUNDED
+        });
+
+        // 대행사 요청 사이에 환불 Webhook이 먼저 처리된 경우
+        if (updated.length === 0) {
+            const current = await executeQuery(Payment.getByIdQuery(), { paymentId });
+            return {
+                payment: current[0],
+                completed: current[0].status === PAYMENT_STATUS.REFUNDED,
+                previousStatus: payment.status
+            };
+        }
+
+        return { payment: updated[0], completed: refund.completed, previousStatus: payment.status };
+    } catch (err) {
+        throw err;
+    }
+}
+
+/**
+ * 결제 목록
+ * @param {Object} filters - { organizationId, status } (모두 선택)
+ * @param {number} page - 페이지 (1부터)
+ * @param {number} limit - 페이지당 개수
+ * @returns {Promise<Object>} { payments, total, page, limit, totalPages }
+ */
+async function listPayments(filters = {}, page = 1, limit = 20) {
+    try {
+        const conditions = { hasOrganization: Boolean(filters.organizationId), hasStatus: Boolean(filters.status) };
+        const params = { organizationId: filters.organizationId || null, status: filters.status || null };
+
+        const payments = await executeQuery(Payment.getListQuery(conditions), {
+            ...params,
+            offset: (page - 1) * limit,
+            limit
+        });
+        const countResult = await executeQuery(Payment.getListCountQuery(conditions), params);
+        const total = countResult[0].total;
+
+        return {
+            payments,
+            total,
+            page,
+            limit,
+            totalPages: Math.ceil(total / limit)
+        };
+    } catch (err) {
+        throw err;
+    }
+}
+
+module.exports = {
+    createCheckout,
+    handleWebhook,
+    refundPayment,
+    listPayments
+};
@@ -0,0 +1,208 @@
+/**
+ * Permission Service - 역할 기반 접근 제어 (RBAC)
+ *
+ * 역할:
+ * - 사용자 권한 조회 (역할별 권한의 합집합)
+ * - 역할 목록 조회, 사용자 역할 변경 (Users.is_admin 동기화, 감사 로그)
+ *
+ * 캐시:
+ * - 관리자 요청마다 권한을 확인하므로 사용자별 메모리 캐시 (PERMISSION_CACHE_SECONDS, 기본 30초)
+ * - 역할을 변경한 인스턴스는 즉시 반영, 다른 인스턴스는 캐시 만료 후 반영
+ *
+ * 주요 의존성:
+ * - Role, UserRole 모델: 쿼리 생성
+ * - auditService: 역할 변경 기록
+ */
+
+const { executeQuery, executeNonQuery } = require('../config/database');
+const { ROLES, AUDIT_ACTIONS, AUDIT_ACTOR_TYPE } = require('../config/constants');
+const Role = require('../models/Role');
+const UserRole = require('../models/UserRole');
+const auditService = require('./auditService');
+
+const cache = new Map();
+
+function getCacheTtlMs() {
+    return (parseInt(process.env.PERMISSION_CACHE_SECONDS, 10) || 30) * 1000;
+}
+
+function createError(message, statusCode, errorCode) {
+    const error = new Error(message);
+    error.statusCode = statusCode;
+    error.errorCode = errorCode;
+    return error;
+}
+
+/**
+ * 사용자 권한 조회
+ *
+ * @param {string} userId - 사용자 ID
+ * @returns {Promise<Set<string>>} 권한 코드 집합 (역할 없으면 빈 집합)
+ */
+async function getUserPermissions(userId) {
+    try {
+        const cached = cache.get(userId);
+
+        if (cached && cached.expiresAt > Date.now()) {
+            return cached.permissions;
+        }
+
+        const rows = await executeQuery(UserRole.getPermissionsByUserQuery(), { userId });
+        const permissions = new Set(rows.map(row => row.permission_code));
+
+        cache.set(userId, { permissions, expiresAt: Date.now() + getCacheTtlMs() });
+
+        return permissions;
+    } catch (err) {
+        throw err;
+    }
+}
+
+/**
+ * 권한 보유 여부
+ *
+ * @param {string} userId - 사용자 ID
+ * @param {string} permission - 권한 코드 (PERMISSIONS)
+ * @returns {Promise<boolean>}
+ */
+async function hasPermission(userId, permission) {
+    const permissions = await getUserPermissions(userId);
+    return permissions.has(permission);
+}
+
+/**
+ * 전체 역할 조회 (역할별 권한 포함)
+ * @returns {Promise<Array>} [{ code, name, description, permissions: [] }]
+ */
+async function listRoles() {
+    try {
+        const rows = await executeQuery(Role.getAllWithPermissionsQuery());
+        const roles = new Map();
+
+        for (const row of rows) {
+            if (!roles.has(row.role_code)) {
+                roles.set(row.role_code, {
+                    code: row.role_code,
+                    name: row.name,
+                    description: row.description,
+                    permissions: []
+                });
+            }
+
+            if (row.permission_code) {
+                roles.get(row.role_code).permissions.push(row.permission_code);
+            }
+        }
+
+        return Array.from(roles.values());
+    } catch (err) {
+        throw err;
+    }
+}
+
+/**
+ * 사용자 역할 조회
+ * @param {string} userId - 사용자 ID
+ * @returns {Promise<string[]>} 역할 코드 목록
+ */
+async function getUserRoles(userId) {
+    try {
+        const rows = await executeQuery(UserRole.getByUserQuery(), { userId });
+        return rows.map(row => row.role_code);
+    } catch (err) {
+        throw err;
+    }
+}
+
+/**
+ * 사용자 역할 변경 (전체 교체)
+ *
+ * @param {string} userId - 대상 사용자 ID
+ * @param {string[]} roleCodes - 새 역할 코드 목록 (빈 배열 = 모든 역할 제거 → 일반 사용자)
+ * @param {string} adminId - 변경하는 관리자 ID
+ * @param {Object} [context] - { ipAddress, userAgent }
+ * @returns {Promise<Object>} { userId, roles, permissions }
+ *
+ * @throws {Error} 400 INVALID_ROLE - 존재하지 않는 역할 코드
+ * @throws {Error} 404 USER_NOT_FOUND - 사용자 없음
+ * @throws {Error} 409 LAST_SUPER_ADMIN - 마지막 super_admin의 역할 제거 시도
+ *
+ * @note
+ * - 역할이 하나라도 있으면 Users.is_admin = 1, 없으면 0 (토큰의 isAdmin은 다음 갱신 시 반영)
+ * - 권한은 요청마다 DB(캐시)에서 확인하므로 역할 제거는 토큰 만료를 기다리지 않고 적용
+ */
+async function setUserRoles(userId, roleCodes, adminId, context = {}) {
+    try {
+        const requested = Array.from(new Set(roleCodes));
+
+        if (requested.length > 0) {
+            const existing = await executeQuery(Role.getExistingCodesQuery(), {
+                roleCodes: requested.join(',')
+            });
+            const existingCodes = new Set(existing.map(row => row.role_code));
+            const unknown = requested.filter(code => !existingCodes.has(code));
+
+            if (unknown.length > 0) {
+                throw createError(`존재하지 않는 역할입니다: ${unknown.join(', ')}`, 400, 'INVALID_ROLE');
+            }
+        }
+
+        const users = await executeQuery('SELECT id FROM [Users] WHERE id = @userId', { userId });
+
+        if (users.length === 0) {
+            throw createError('사용자를 찾을 수 없습니다', 404, 'USER_NOT_FOUND');
+        }
+
+        const previous = await getUserRoles(userId);
+
+        // 마지막 super_admin이 사라지면 아무도 역할을 관리할 수 없음
+        if (previous.includes(ROLES.SUPER_ADMIN) && !requested.includes(ROLES.SUPER_ADMIN)) {
+            const holders = await executeQuery(UserRole.getActiveHolderCountQuery(), {
+                roleCode: ROLES.SUPER_ADMIN,
+                excludeUserId: userId
+            });
+
+            if (holders[0].count === 0) {
+                throw createError('마지막 최고 관리자(super_admin)의 역할은 제거할 수 없습니다', 409, 'LAST_SUPER_ADMIN');
+            }
+        }
+
+        await executeNonQuery(UserRole.getReplaceForUserQuery(), {
+            userId,
+            roleCodes: requested.join(','),
+            assignedBy: adminId
+        });
+
+        cache.delete(userId);
+
+        await auditService.recordEvent({
+            action: AUDIT_ACTIONS.ROLES_UPDATED,
+            actorType: AUDIT_ACTOR_TYPE.ADMIN,
+            actorId: adminId,
+            targetType: 'user',
+            targetId: userId,
+            ipAddress: context.ipAddress,
+            userAgent: context.userAgent,
+            before: previous.sort(),
+            after: [...requested].sort()
+        });
+
+        const permissions = await getUserPermissions(userId);
+
+        return {
+            userId,
+            roles: requested.sort(),
+            permissions: Array.from(permissions).sort()
+        };
+    } catch (err) {
+        throw err;
+    }
+}
+
+module.exports = {
+    getUserPermissions,
+    hasPermission,
+    listRoles,
+    getUserRoles,
+    setUserRoles
+};
@@ -1,12 +1,11 @@
 /**
 * services/processImageValidateService.js - OpenAI 통합 버전 (DB 수정 없음)
-* 역할: API Key/Secret 및 이미지 검증, OpenAI 이미지 분석
+* 역할: OpenAI 이미지 분석, 요청 로깅
+* 참고: API Key 인증은 middleware/apiKeyMiddleware.js (authenticateApiKey)에서 처리
 * 특징: 시간 측정을 메모리 저장소와 콘솔 로그에 기록 (DB 스키마 변경 없음)
 */
 
-const { executeQuery, executeNonQuery } = require('../config/database');
-const { encryptApiSecret } = require('../utils/cryptoUtils');
-const { SUBSCRIPTION_STATUS } = require('../config/constants');
+const { executeNonQuery } = require('../config/database');
 const crypto = require('crypto');
 
 const OPENAI_API_KEY = process.env.OPENAI_API_KEY_Captcha;
@@ -92,171 +91,6 @@ function getTimingStatistics() {
   };
 }
 
-/**
-* API Key와 Secret 검증 (기존 코드 유지 - 변경 없음)
-*
-* @param {string} apiKey - 요청된 API Key
-* @param {string} apiSecret - 요청된 API Secret
-* @returns {Promise} 검증 결과
-*/
-async function validateApiKey(apiKey, apiSecret) {
-  try {
-    const apiKeys = await executeQuery(
-      `SELECT ak.id, ak.user_id, ak.api_secret_hash, ak.is_active,
-       ak.created_at, ak.expires_at, ak.last_used
-       FROM [ApiKeys] ak
-       WHERE ak.api_key = @apiKey`,
-      { apiKey }
-    );
-
-    if (!apiKeys || apiKeys.length === 0) {
-      return {
-        success: false,
-        error: '유효하지 않은 API Key입니다',
-        statusCode: 401,
-        errorCode: 'INVALID_API_KEY'
-      };
-    }
-
-    const keyRecord = apiKeys[0];
-    const secretHash = encryptApiSecret(apiSecret);
-
-    if (secretHash !== keyRecord.api_secret_hash) {
-      return {
-        success: false,
-        error: '유효하지 않은 API Secret입니다',
-        statusCode: 401,
-        errorCode: 'INVALID_API_SECRET'
-      };
-    }
-
-    if (!keyRecord.is_active) {
-      return {
-        success: false,
-        error: '비활성화된 API Key입니다',
-        statusCode: 403,
-        errorCode: 'API_KEY_INACTIVE'
-      };
-    }
-
-    if (keyRecord.expires_at && new Date(keyRecord.expires_at) < new Date()) {
-      return {
-        success: false,
-        error: '만료된 API Key입니다',
-        statusCode: 403,
-        errorCode: 'API_KEY_EXPIRED'
-      };
-    }
-
-    const users = await executeQuery(
-      `SELECT id, is_active, is_blocked FROM [Users] WHERE id = @userId`,
-      { userId: keyRecord.user_id }
-    );
-
-    if (!users || users.length === 0) {
-      return {
-        success: false,
-        error: '사용자를 찾을 수 없습니다',
-        statusCode: 403,
-        errorCode: 'USER_NOT_FOUND'
-      };
-    }
-
-    const user = users[0];
-
-    if (!user.is_active) {
-      return {
-        success: false,
-        error: '비활성화된 사용자 계정입니다',
-        statusCode: 403,
-        errorCode: 'USER_INACTIVE'
-      };
-    }
-
-    if (user.is_blocked) {
-      return {
-        success: false,
-        error: '차단된 사용자입니다',
-        statusCode: 403,
-        errorCode: 'USER_BLOCKED'
-      };
-    }
-
-    const subscriptions = await executeQuery(
-      `SELECT us.id, us.status, st.api_call_limit
-       FROM [UserSubscriptions] us
-       JOIN [SubscriptionTiers] st ON us.tier_id = st.id
-       WHERE us.user_id = @userId AND us.status = @status`,
-      { userId: keyRecord.user_id, status: SUBSCRIPTION_STATUS.ACTIVE }
-    );
-
-    if (!subscriptions || subscriptions.length === 0) {
-      return {
-        success: false,
-        error: '활성화된 구독이 없습니다',
-        statusCode: 403,
-        errorCode: 'SUBSCRIPTION_INACTIVE'
-      };
-    }
-
-    const subscription = subscriptions[0];
-    const monthlyLimit = subscription.api_call_limit;
-    const currentMonth = new Date();
-    const firstDayOfMonth = new Date(currentMonth.getFullYear(), currentMonth.getMonth(), 1);
-
-    const usageResult = await executeQuery(
-      `SELECT COUNT(*) as count FROM [ApiLogs]
-       WHERE api_key_id = @apiKeyId AND created_at >= @firstDay`,
-      { apiKeyId: keyRecord.id, firstDay: firstDayOfMonth }
-    );
-
-    const currentUsage = usageResult[0] ? usageResult[0].count : 0;
-
-    if (currentUsage >= monthlyLimit) {
-      return {
-        success: false,
-        error: 'API 호출 제한을 초과했습니다',
-        statusCode: 429,
-        errorCode: 'API_LIMIT_EXCEEDED'
-      };
-    }
-
-    updateApiKeyLastUsed(keyRecord.id).catch(err => {
-      console.error('[UPDATE_LAST_USED_ERROR]', err);
-    });
-
-    return {
-      success: true,
-      api_key_id: keyRecord.id,
-      user_id: keyRecord.user_id,
-      created_at: keyRecord.created_at,
-      expires_at: keyRecord.expires_at,
-      is_active: keyRecord.is_active
-    };
-
-  } catch (err) {
-    console.error('[VALIDATE_API_KEY_SERVICE_ERROR]', err);
-    throw err;
-  }
-}
-
-/**
-* API Key의 last_used 업데이트 (기존 코드 유지 - 변경 없음)
-*
-* @param {string} apiKeyId - API Key ID
-* @returns {Promise}
-*/
-async function updateApiKeyLastUsed(apiKeyId) {
-  try {
-    await executeNonQuery(
-      `UPDATE [ApiKeys] SET last_used = GETDATE() WHERE id = @id`,
-      { id: apiKeyId }
-    );
-  } catch (err) {
-    console.error('[UPDATE_LAST_USED_ERROR]', err);
-  }
-}
-
 /**
 * ✅ 수정: OpenAI API를 사용한 이미지 분석 (시간 측정 포함)
 *
@@ -368,27 +202,27 @@ async function analyzeImageWithOpenAI(base64Image, targetPrompt = null, url) {
 }
 
 /**
-* ✅ 수정: 이미지 검증 시도 로깅 (DB 기존 컬럼만 사용)
+* ✅ 수정: 이미지 검증 시도 로깅
 * 시간 정보는 별도의 메모리 버퍼에 저장
 *
 * @param {Object} logData - 로그 데이터
 * @returns {Promise}
 *
 * 주요 변경:
-* - 기존 DB INSERT는 그대로 유지 (DB 스키마 변경 없음)
+* - organization_id는 API Key의 조직 (009 마이그레이션, 조직 단위 사용량 집계)
 * - 타이밍 정보는 메모리 버퍼에 저장 (storeTimingLog 호출)
 */
 async function logImageValidationAttempt(logData) {
   try {
     const logId = crypto.randomUUID();
 
-    // ✅ 기존 DB 컬럼만 사용 (변경 없음)
+    // organization_id: API Key 소유 조직 (Key 없는 호출은 NULL)
     await executeNonQuery(
       `INSERT INTO [ApiLogs]
-       (id, api_key_id, user_id, endpoint, method, status_code, response_time_ms,
+       (id, api_key_id, user_id, organization_id, endpoint, method, status_code, response_time_ms,
         ip_address, request_body, error_message, created_at)
-       VALUES (@id, @apiKeyId, @userId, @endpoint, @method, @statusCode,
-               @responseTimeMs, @ipAddress, @requestBody, @errorMessage, GETDATE())`,
+       VALUES (@id, @apiKeyId, @userId, (SELECT organization_id FROM [ApiKeys] WHERE id = @apiKeyId),
+               @endpoint, @method, @statusCode, @responseTimeMs, @ipAddress, @requestBody, @errorMessage, GETDATE())`,
       {
         id: logId,
         apiKeyId: logData.api_key_id || null,
@@ -426,10 +260,8 @@ async function logImageValidationAttempt(logData) {
 */
 
 module.exports = {
-  validateApiKey,
   analyzeImageWithOpenAI,
   logImageValidationAttempt,
-  updateApiKeyLastUsed,
   // ✅ 새로운 함수들 내보내기
   storeTimingLog,
   getTimingLogs,
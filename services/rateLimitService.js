@@ -1,5 +1,8 @@
+const crypto = require('crypto');
 const { executeQuery, executeNonQuery } = require('../config/database');
 const { RATE_LIMIT_TYPE } = require('../config/constants');
+const RateLimitLog = require('../models/RateLimitLog');
+const abuseService = require('./abuseService');
 
 /**
  * Rate Limit Service
@@ -83,8 +86,8 @@ async function incrementApiCall(apiKeyId, userId, responseTimeMs = 0, isSuccessf
         } else {
             // 신규 삽입
             await executeNonQuery(
-                `INSERT INTO [MonthlyUsage] (user_id, api_key_id, year, month, total_requests, successful_requests, failed_requests, total_response_time_ms)
-                 VALUES (@userId, @apiKeyId, @year, @month, 1, @successCount, @failCount, @responseTimeMs)`,
+                `INSERT INTO [MonthlyUsage] (user_id, organization_id, api_key_id, year, month, total_requests, successful_requests, failed_requests, total_response_time_ms)
+                 VALUES (@userId, (SELECT organization_id FROM [ApiKeys] WHERE id = @apiKeyId), @apiKeyId, @year, @month, 1, @successCount, @failCount, @responseTimeMs)`,
                 {
                     userId,
                     apiKeyId,
@@ -119,19 +122,28 @@ async function isRateLimitExceeded(apiKeyId, limit) {
 }
 
 /**
- * Rate Limit 로그 기록
- * @param {string} apiKeyId - API Key ID
- * @param {string} userId - 사용자 ID
+ * Rate Limit 로그 기록 (429 응답마다 호출)
+ * @param {string|null} apiKeyId - API Key ID (IP 기반 제한은 null)
+ * @param {string|null} userId - 사용자 ID (IP 기반 제한은 null)
  * @param {string} ipAddress - IP 주소
- * @param {string} limitType - 제한 종류 (hourly, monthly, ip_based)
+ * @param {string} limitType - 제한 종류 (burst, hourly, monthly, ip_based)
+ * @param {Date} [resetAt] - 제한 해제 시각 (없으면 limitType 기준으로 계산)
+ *
+ * @note
+ * - 호출하는 쪽에서 응답을 기다리지 않도록 .catch로 처리 (로그 실패가 429 응답을 막지 않음)
+ * - 기록 후 반복 위반 평가 예약 (abuseService.scheduleEvaluation)
  */
-async function logRateLimitViolation(apiKeyId, userId, ipAddress, limitType = RATE_LIMIT_TYPE.MONTHLY) {
+async function logRateLimitViolation(apiKeyId, userId, ipAddress, limitType = RATE_LIMIT_TYPE.MONTHLY, resetAt = null) {
     try {
         const now = new Date();
         const resetTime = new Date(now);
 
         // reset_at 계산
-        if (limitType === RATE_LIMIT_TYPE.HOURLY) {
+        if (resetAt) {
+            resetTime.setTime(resetAt.getTime());
+        } else if (limitType === RATE_LIMIT_TYPE.BURST) {
+            resetTime.setSeconds(resetTime.getSeconds() + 1);
+        } else if (limitType === RATE_LIMIT_TYPE.HOURLY) {
             resetTime.setHours(resetTime.getHours() + 1);
         } else if (limitType === RATE_LIMIT_TYPE.MONTHLY) {
             resetTime.setMonth(resetTime.getMonth() + 1);
@@ -141,16 +153,19 @@ async function logRateLimitViolation(apiKeyId, userId, ipAddress, limitType = RA
         }
 
         await executeNonQuery(
-            `INSERT INTO [RateLimitLogs] (api_key_id, user_id, ip_address, limit_type, reset_at)
-             VALUES (@apiKeyId, @userId, @ipAddress, @limitType, @resetTime)`,
+            `INSERT INTO [RateLimitLogs] (id, api_key_id, user_id, organization_id, ip_address, limit_type, reset_at)
+             VALUES (@id, @apiKeyId, @userId, (SELECT organization_id FROM [ApiKeys] WHERE id = @apiKeyId), @ipAddress, @limitType, @resetTime)`,
             {
-                apiKeyId,
-                userId,
-                ipAddress,
+                id: crypto.randomUUID(),
+                apiKeyId: apiKeyId || null,
+                userId: userId || null,
+                ipAddress: ipAddress || 'unknown',
                 limitType,
                 resetTime
             }
         );
+
+        abuseService.scheduleEvaluation();
     } catch (err) {
         console.error('Rate limit 로그 기록 오류:', err);
         throw err;
@@ -262,6 +277,67 @@ async function getRecentViolations(userId, hours = 24) {
     }
 }
 
+/**
+ * Rate Limit 위반 로그 검색 (관리자)
+ * @param {Object} filters - { hours, apiKeyId, userId, ipAddress, limitType }
+ * @param {number} page - 페이지 번호
+ * @param {number} limit - 페이지당 건수
+ * @returns {Promise<Object>} { violations, total, page, limit, totalPages }
+ */
+async function searchViolations(filters = {}, page = 1, limit = 50) {
+    try {
+        const params = {
+            hours: filters.hours,
+            apiKeyId: filters.apiKeyId || null,
+            userId: filters.userId || null,
+            ipAddress: filters.ipAddress || null,
+            limitType: filters.limitType || null
+        };
+
+        const violations = await executeQuery(RateLimitLog.getSearchQuery(filters), {
+            ...params,
+            offset: (page - 1) * limit,
+            limit
+        });
+        const countResult = await executeQuery(RateLimitLog.getSearchCountQuery(filters), params);
+        const total = countResult[0].total;
+
+        return {
+            violations,
+            total,
+            page,
+            limit,
+            totalPages: Math.ceil(total / limit)
+        };
+    } catch (err) {
+        throw err;
+    }
+}
+
+/**
+ * Rate Limit 위반 요약 (관리자)
+ * @param {number} hours - 조회 기간 (시간, 정수)
+ * @param {number} threshold - 반복 위반 Key 기준 횟수 (정수)
+ * @returns {Promise<Object>}
+ *   - byType: [{ limit_type, count, unique_users, unique_ips }]
+ *   - repeatedKeys: [{ api_key_id, key_name, user_id, user_email, violation_count, last_violation }]
+ *   - ipPatterns: [{ ip_address, limit_type, total_violations, distinct_keys, distinct_users, first_violation, last_violation }]
+ *
+ * @note
+ * - 모델 쿼리가 값을 직접 삽입하므로 hours / threshold는 호출 전에 정수로 검증
+ */
+async function getViolationSummary(hours = 24, threshold = 3) {
+    try {
+        const byType = await executeQuery(RateLimitLog.getRecentViolationStatisticsQuery(hours));
+        const repeatedKeys = await executeQuery(RateLimitLog.getRepeatedViolationsQuery(hours, threshold));
+        const ipPatterns = await executeQuery(RateLimitLog.getIpViolationPatternsQuery(hours));
+
+        return { hours, byType, repeatedKeys, ipPatterns };
+    } catch (err) {
+        throw err;
+    }
+}
+
 /**
  * Rate Limit 초기화 (월간)
  * 월말에 실행되어야 함
@@ -292,5 +368,7 @@ module.exports = {
     isUsageWarningNeeded,
     isUsageExceeded,
     getRecentViolations,
+    searchViolations,
+    getViolationSummary,
     resetMonthlyLimits
 };
\ No newline at end of file
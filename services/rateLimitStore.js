@@ -0,0 +1,242 @@
+/**
+ * Rate Limit Store - 슬라이딩 윈도우 요청 카운터 저장소
+ *
+ * 역할:
+ * - 고정 윈도우별 요청 수 저장 (현재 / 직전 윈도우)
+ * - 슬라이딩 윈도우 판정 (slidingWindowHit)
+ *   추정 요청 수 = 직전 윈도우 수 × (직전 윈도우와 겹치는 비율) + 현재 윈도우 수
+ *
+ * 저장소 (.env RATE_LIMIT_STORE, 기본 API_RATE_LIMITS.STORE):
+ * - memory: 인스턴스 메모리 (단일 인스턴스, 개발 / 테스트)
+ * - sql: RateLimitCounters 테이블 (여러 인스턴스가 같은 카운터 공유)
+ *
+ * 저장소 인터페이스 (새 저장소도 같은 메서드를 구현):
+ * - increment(key, windowStart, windowMs) → { current, previous }
+ * - decrement(key, windowStart): 거부된 요청을 카운트에서 제외
+ * - cleanup(): 만료된 카운터 삭제 (schedulerService rateLimitCleanup)
+ */
+
+const { executeQuery, executeNonQuery } = require('../config/database');
+const { API_RATE_LIMITS } = require('../config/constants');
+
+const MEMORY_PRUNE_INTERVAL = 1000; // increment N회마다 만료 카운터 정리
+
+/**
+ * 메모리 저장소
+ * @returns {Object} 저장소
+ */
+function createMemoryStore() {
+    const counters = new Map(); // 'key:windowStart' → { count, expiresAt }
+    let operations = 0;
+
+    function prune(now) {
+        for (const [counterKey, counter] of counters) {
+            if (counter.expiresAt <= now) counters.delete(counterKey);
+        }
+    }
+
+    return {
+        async increment(key, windowStart, windowMs) {
+            if (++operations % MEMORY_PRUNE_INTERVAL === 0) prune(Date.now());
+
+            const counterKey = `${key}:${windowStart}`;
+            const counter = counters.get(counterKey) || { count: 0, expiresAt: windowStart + windowMs * 2 };
+
+            counter.count += 1;
+            counters.set(counterKey, counter);
+
+            const previous = counters.get(`${key}:${windowStart - windowMs}`);
+
+            return { current: counter.count, previous: previous ? previous.count : 0 };
+        },
+
+        async decrement(key, windowStart) {
+            const counter = counters.get(`${key}:${windowStart}`);
+            if (counter && counter.count > 0) counter.count -= 1;
+        },
+
+        async cleanup() {
+            prune(Date.now());
+        }
+    };
+}
+
+/**
+ * SQL 저장소 (RateLimitCounters)
+ * - MERGE + HOLDLOCK으로 인스턴스 간 동시 증가에도 정확한 카운트
+ * @returns {Object} 저장소
+ */
+function createSqlStore() {
+    return {
+        async increment(key, windowStart, windowMs) {
+            const updated = await executeQuery(
+                `MERGE [RateLimitCounters] WITH (HOLDLOCK) AS target
+                 USING (SELECT @key AS bucket_key, @windowStart AS window_start) AS source
+                 ON target.bucket_key = source.bucket_key AND target.window_start = source.window_start
+                 WHEN MATCHED THEN
+                     UPDATE SET request_count = target.request_count + 1
+                 WHEN NOT MATCHED THEN
+                     INSERT (bucket_key, window_start, request_count, expires_at)
+                     VALUES (@key, @windowStart, 1, @expiresAt)
+                 OUTPUT INSERTED.request_count;`,
+                { key, windowStart, expiresAt: new Date(windowStart + windowMs * 2) }
+            );
+
+            const previous = await executeQuery(
+                `SELECT request_count FROM [RateLimitCounters]
+                 WHERE bucket_key = @key AND window_start = @previousStart`,
+                { key, previousStart: windowStart - windowMs }
+            );
+
+            return {
+                current: updated[0].request_count,
+                previous: previous[0] ? previous[0].request_count : 0
+            };
+        },
+
+        async decrement(key, windowStart) {
+            await executeNonQuery(
+                `UPDATE [RateLimitCounters] SET request_count = request_count - 1
+                 WHERE bucket_key = @key AND window_start = @windowStart AND request_count > 0`,
+                { key, windowStart }
+            );
+        },
+
+        async cleanup() {
+            await executeNonQuery(
+                'DELETE FROM [RateLimitCounters] WHERE expires_at < @now',
+                { now: new Date() }
+            );
+        }
+    };
+}
+
+const STORE_FACTORIES = {
+    memory: createMemoryStore,
+    sql: createSqlStore
+};
+
+let store = null;
+
+/**
+ * 설정된 저장소 (최초 호출 시 생성)
+ * @returns {Object} 저장소
+ */
+function getRateLimitStore() {
+    if (!store) {
+        const type = process.env.RATE_LIMIT_STORE || API_RATE_LIMITS.STORE;
+        const factory = STORE_FACTORIES[type];
+
+        if (!factory) {
+            console.warn(`[RATE_LIMIT_STORE] 알 수 없는 저장소 '${type}', memory 사용`);
+        }
+
+        store = (factory || createMemoryStore)();
+    }
+
+    return store;
+}
+
+/**
+ * 저장소 교체 (테스트에서 새 메모리 저장소 주입, 다른 공유 저장소 연결)
+ * @param {Object} customStore - increment / decrement / cleanup 구현
+ */
+function setRateLimitStore(customStore) {
+    store = customStore;
+}
+
+/**
+ * 다음 요청이 허용될 때까지 남은 시간 (ms)
+ * - current는 거부된 요청을 뺀 현재 윈도우 수
+ */
+function getRetryAfterMs({ current, previous, limit, windowStart, windowMs, now }) {
+    const room = limit - 1 - current;
+
+    // 현재 윈도우 안에서 직전 윈도우 비중이 줄어들면 허용
+    if (room >= 0 && previous > 0) {
+        return windowStart + windowMs * Math.max(0, 1 - room / previous) - now;
+    }
+
+    // 다음 윈도우로 넘어가 현재 윈도우 수가 직전 윈도우가 된 뒤 허용
+    const fraction = current > 0 ? Math.max(0, 1 - (limit - 1) / current) : 0;
+    return windowStart + windowMs * (1 + fraction) - now;
+}
+
+/**
+ * 슬라이딩 윈도우 요청 1회 기록 및 판정
+ *
+ * @param {string} key - 카운터 키 (예: 'apikey:{id}:burst')
+ * @param {number} limit - 윈도우당 최대 요청 수
+ * @param {number} windowMs - 윈도우 길이 (ms)
+ * @returns {Promise<Object>}
+ *   - allowed: boolean
+ *   - limit, remaining: 이 요청 이후 남은 요청 수
+ *   - resetSeconds: 현재 윈도우가 끝날 때까지 남은 초
+ *   - retryAfterSeconds: 거부 시 재시도까지 남은 초
+ *   - key, windowStart: 허용된 요청을 나중에 취소할 때 사용 (undoHit)
+ *
+ * @note
+ * - 거부된 요청은 카운트에서 제외 (초과 상태에서 계속 요청해도 차단이 길어지지 않음)
+ */
+async function slidingWindowHit(key, limit, windowMs) {
+    const now = Date.now();
+    const windowStart = Math.floor(now / windowMs) * windowMs;
+    const { current, previous } = await getRateLimitStore().increment(key, windowStart, windowMs);
+
+    const previousWeight = 1 - (now - windowStart) / windowMs;
+    const estimated = previous * previousWeight + current;
+    const allowed = estimated <= limit;
+    const resetSeconds = Math.ceil((windowStart + windowMs - now) / 1000);
+
+    if (!allowed) {
+        await getRateLimitStore().decrement(key, windowStart);
+
+        const retryAfterMs = getRetryAfterMs({ current: current - 1, previous, limit, windowStart, windowMs, now });
+
+        return {
+            allowed,
+            limit,
+            remaining: 0,
+            resetSeconds,
+            retryAfterSeconds: Math.max(1, Math.ceil(retryAfterMs / 1000)),
+            key,
+            windowStart
+        };
+    }
+
+    return {
+        allowed,
+        limit,
+        remaining: Math.max(0, Math.floor(limit - estimated)),
+        resetSeconds,
+        retryAfterSeconds: 0,
+        key,
+        windowStart
+    };
+}
+
+/**
+ * 허용된 요청 취소 (다른 제한에서 거부된 경우)
+ * @param {Object} hit - slidingWindowHit 결과
+ */
+async function undoHit(hit) {
+    await getRateLimitStore().decrement(hit.key, hit.windowStart);
+}
+
+/**
+ * 만료된 카운터 정리 (schedulerService에서 주기 실행)
+ * @returns {Promise<void>}
+ */
+async function cleanupExpiredCounters() {
+    await getRateLimitStore().cleanup();
+}
+
+module.exports = {
+    createMemoryStore,
+    createSqlStore,
+    getRateLimitStore,
+    setRateLimitStore,
+    slidingWindowHit,
+    undoHit,
+    cleanupExpiredCounters
+};
@@ -0,0 +1,201 @@
+/**
+ * Refresh Token Service - Refresh Token 서버 측 관리
+ *
+ * 역할:
+ * - Refresh Token 발급 및 저장 (해시만 저장)
+ * - 토큰 회전 (refresh-token 호출마다 새 토큰 발급, 기존 토큰은 사용 처리)
+ * - 재사용 탐지 (이미 사용된 토큰이 다시 제출되면 family 전체 폐기)
+ * - 사용자 단위 일괄 폐기 (차단, 비밀번호 변경)
+ *
+ * 참고: family ID는 UserSessions.id와 동일 (세션 종료는 sessionService 사용)
+ *
+ * 주요 의존성:
+ * - database.js: executeQuery, executeNonQuery
+ * - cryptoUtils.js: generateUUID, hashToken
+ * - tokenUtils.js: generateRefreshToken
+ * - RefreshToken 모델: 쿼리 생성
+ */
+
+const jwt = require('jsonwebtoken');
+const { executeQuery, executeNonQuery } = require('../config/database');
+const { generateUUID, hashToken } = require('../utils/cryptoUtils');
+const { generateRefreshToken } = require('../utils/tokenUtils');
+const RefreshToken = require('../models/RefreshToken');
+
+/**
+ * 인증 오류 생성 (401)
+ * @param {string} message - 에러 메시지
+ * @param {string} errorCode - 에러 코드
+ * @returns {Error}
+ */
+function createTokenError(message, errorCode) {
+    const error = new Error(message);
+    error.statusCode = 401;
+    error.errorCode = errorCode;
+    return error;
+}
+
+/**
+ * Refresh Token 발급 및 저장
+ *
+ * @param {string} userId - 사용자 ID
+ * @param {boolean} isAdmin - 관리자 여부
+ * @param {Object} [options]
+ * @param {string} [options.familyId] - 기존 family ID (회전 시), 없으면 새 family 생성 (로그인 시)
+ * @param {string} [options.tokenId] - 미리 정한 토큰 ID (회전 시 replaced_by와 일치시킬 때)
+ *
+ * @returns {Promise<Object>} { refreshToken, tokenId, familyId }
+ */
+async function issueRefreshToken(userId, isAdmin, { familyId = generateUUID(), tokenId = generateUUID() } = {}) {
+    try {
+        const refreshToken = generateRefreshToken(userId, isAdmin, { tokenId, familyId });
+
+        // JWT exp와 DB 만료 시각을 일치시킴
+        const { exp } = jwt.decode(refreshToken);
+
+        const tokenData = {
+            id: tokenId,
+            userId,
+            familyId,
+            tokenHash: hashToken(refreshToken),
+            expiresAt: new Date(exp * 1000)
+        };
+
+        await executeNonQuery(RefreshToken.getSaveQuery(tokenData), tokenData);
+
+        return { refreshToken, tokenId, familyId };
+    } catch (err) {
+        throw err;
+    }
+}
+
+/**
+ * Refresh Token 회전
+ *
+ * @param {string} refreshToken - 클라이언트가 제출한 Refresh Token (서명 검증 완료된 것)
+ * @param {boolean} isAdmin - 새 토큰에 담을 관리자 여부 (DB 최신 값)
+ *
+ * @returns {Promise<Object>} { refreshToken, tokenId, familyId }
+ *
+ * @throws {Error} statusCode 401
+ *   - INVALID_REFRESH_TOKEN: 저장되지 않은/폐기된/만료된 토큰
+ *   - REFRESH_TOKEN_REUSED: 이미 회전에 사용된 토큰 (family 전체 폐기됨)
+ *
+ * @flow
+ * 1. 토큰 해시로 RefreshTokens 조회
+ * 2. 폐기 여부 확인
+ * 3. 사용 여부 확인 → 이미 사용됨 = 탈취 의심 → family 전체 폐기
+ * 4. 기존 토큰을 사용 처리 (used_at IS NULL 조건으로 원자적 갱신)
+ *    - 동시 요청으로 갱신된 행이 없으면 재사용으로 간주
+ * 5. 같은 family로 새 토큰 발급
+ */
+async function rotateRefreshToken(refreshToken, isAdmin) {
+    try {
+        const tokens = await executeQuery(
+            RefreshToken.getByHashQuery(),
+            { tokenHash: hashToken(refreshToken) }
+        );
+
+        if (tokens.length === 0) {
+            throw createTokenError('유효하지 않은 리프레시 토큰입니다', 'INVALID_REFRESH_TOKEN');
+        }
+
+        const stored = tokens[0];
+
+        if (stored.revoked_at) {
+            throw createTokenError('폐기된 리프레시 토큰입니다', 'INVALID_REFRESH_TOKEN');
+        }
+
+        if (stored.used_at) {
+            await revokeCompromisedSession(stored);
+            console.warn('[REFRESH TOKEN REUSE]', {
+                userId: stored.user_id,
+                familyId: stored.family_id,
+                tokenId: stored.id
+            });
+            throw createTokenError('이미 사용된 리프레시 토큰입니다. 다시 로그인하세요', 'REFRESH_TOKEN_REUSED');
+        }
+
+        if (new Date(stored.expires_at) <= new Date()) {
+            throw createTokenError('만료된 리프레시 토큰입니다', 'INVALID_REFRESH_TOKEN');
+        }
+
+        // 새 토큰 ID를 먼저 정하고 기존 토큰을 사용 처리
+        const nextTokenId = generateUUID();
+        const updated = await executeQuery(
+            RefreshToken.getMarkUsedQuery(),
+            { id: stored.id, replacedBy: nextTokenId }
+        );
+
+        if (updated.length === 0) {
+            // 동시에 다른 요청이 먼저 사용함 → 재사용으로 간주
+            await revokeCompromisedSession(stored);
+            throw createTokenError('이미 사용된 리프레시 토큰입니다. 다시 로그인하세요', 'REFRESH_TOKEN_REUSED');
+        }
+
+        return await issueRefreshToken(stored.user_id, isAdmin, {
+            familyId: stored.family_id,
+            tokenId: nextTokenId
+        });
+    } catch (err) {
+        throw err;
+    }
+}
+
+/**
+ * 재사용이 탐지된 토큰의 세션 종료
+ * family ID = 세션 ID이므로 세션 종료 시 family 전체가 함께 폐기됨
+ * (sessionService가 이 모듈을 참조하므로 순환 참조를 피하기 위해 지연 로드)
+ *
+ * @param {Object} stored - RefreshTokens 행
+ */
+async function revokeCompromisedSession(stored) {
+    const sessionService = require('./sessionService');
+    const revoked = await sessionService.revokeSession(stored.family_id, stored.user_id, 'reuse_detected');
+
+    // 세션 행이 없거나 이미 종료된 경우에도 토큰은 확실히 폐기
+    if (!revoked) {
+        await revokeTokenFamily(stored.family_id, 'reuse_detected');
+    }
+}
+
+/**
+ * 토큰 family 전체 폐기
+ *
+ * @param {string} familyId - family ID
+ * @param {string} reason - 폐기 사유
+ */
+async function revokeTokenFamily(familyId, reason) {
+    try {
+        await executeNonQuery(RefreshToken.getRevokeFamilyQuery(), { familyId, reason });
+    } catch (err) {
+        throw err;
+    }
+}
+
+/**
+ * 사용자의 모든 Refresh Token 폐기
+ *
+ * @param {string} userId - 사용자 ID
+ * @param {string} reason - 폐기 사유 (user_blocked, password_changed 등)
+ */
+async function revokeAllForUser(userId, reason) {
+    try {
+        await executeNonQuery(RefreshToken.getRevokeByUserQuery(), { userId, reason });
+
+        console.log('[REFRESH TOKEN REVOKE ALL]', {
+            userId,
+            reason,
+            timestamp: new Date().toISOString()
+        });
+    } catch (err) {
+        throw err;
+    }
+}
+
+module.exports = {
+    issueRefreshToken,
+    rotateRefreshToken,
+    revokeTokenFamily,
+    revokeAllForUser
+};
@@ -0,0 +1,88 @@
+/**
+ * Scheduler Service - 주기 작업 실행
+ *
+ * 역할:
+ * - 등록된 작업을 일정 간격(.env SCHEDULER_INTERVAL_MINUTES, 기본 60분)으로 실행
+ * - 작업이 끝나기 전에 다음 주기가 오면 건너뜀 (중복 실행 방지)
+ * - 작업 하나가 실패해도 다른 작업은 계속 실행
+ *
+ * 작업:
+ * - apiKeyExpiry: 만료 예정 API Key 알림 (apiKeyService.notifyExpiringApiKeys)
+ * - rateLimitCleanup: 만료된 요청 속도 카운터 삭제 (rateLimitStore.cleanupExpiredCounters)
+ * - subscriptionLifecycle: 예약 Tier 변경 적용, 기간이 끝난 구독 해지 완료 / 자동 갱신 / 만료 (subscriptionService.processSubscriptionLifecycle)
+ * - abuseEvaluation: 반복 위반 IP / API Key 자동 정지 (abuseService.evaluateViolations)
+ *   (위반 기록 직후에도 평가하므로 이 작업은 놓친 평가 보완용)
+ *
+ * 참고:
+ * - 인스턴스마다 실행되므로 각 작업은 여러 인스턴스에서 동시에 실행되어도 안전해야 함
+ * - SCHEDULER_ENABLED=false 이면 시작하지 않음 (별도 워커에서만 실행할 때)
+ */
+
+const { API_KEY_LIFECYCLE } = require('../config/constants');
+const apiKeyService = require('./apiKeyService');
+const rateLimitStore = require('./rateLimitStore');
+const abuseService = require('./abuseService');
+const subscriptionService = require('./subscriptionService');
+
+const jobs = [
+    { name: 'apiKeyExpiry', run: () => apiKeyService.notifyExpiringApiKeys() },
+    { name: 'subscriptionLifecycle', run: () => subscriptionService.processSubscriptionLifecycle() },
+    { name: 'rateLimitCleanup', run: () => rateLimitStore.cleanupExpiredCounters() },
+    { name: 'abuseEvaluation', run: () => abuseService.evaluateViolations() }
+];
+
+let timer = null;
+let running = false;
+
+/**
+ * 등록된 작업 1회 실행
+ * @returns {Promise<void>}
+ */
+async function runJobs() {
+    if (running) return;
+    running = true;
+
+    try {
+        for (const job of jobs) {
+            try {
+                const result = await job.run();
+                console.log(`[SCHEDULER] ${job.name} 완료`, result);
+            } catch (err) {
+                console.error(`[SCHEDULER_ERROR] ${job.name}`, err);
+            }
+        }
+    } finally {
+        running = false;
+    }
+}
+
+/**
+ * 스케줄러 시작 (서버 시작 후 호출)
+ */
+function start() {
+    if (timer || process.env.SCHEDULER_ENABLED === 'false') return;
+
+    const intervalMinutes = parseInt(process.env.SCHEDULER_INTERVAL_MINUTES, 10) || API_KEY_LIFECYCLE.SCHEDULER_INTERVAL_MINUTES;
+
+    timer = setInterval(runJobs, intervalMinutes * 60 * 1000);
+    timer.unref(); // 스케줄러 때문에 프로세스가 종료되지 않는 일 방지
+
+    runJobs();
+    console.log(`⏰ 스케줄러 시작 (${intervalMinutes}분 간격)`);
+}
+
+/**
+ * 스케줄러 중지
+ */
+function stop() {
+    if (timer) {
+        clearInterval(timer);
+        timer = null;
+    }
+}
+
+module.exports = {
+    start,
+    stop,
+    runJobs
+};
@@ -0,0 +1,183 @@
+/**
+ * Session Service - 로그인 세션 관리
+ *
+ * 역할:
+ * - 로그인 시 세션 생성 (세션 ID = Refresh Token family ID, User-Agent/IP 기록)
+ * - 요청마다 세션 유효성 확인 및 마지막 사용 시각 갱신 (authMiddleware, adminAuthMiddleware)
+ * - 로그아웃 (현재 세션 종료), 모든 기기 로그아웃 (사용자 전체 세션 종료)
+ * - 사용자별 세션 목록 조회 (세션/기기 관리 화면)
+ *
+ * 세션 종료 시 같은 family의 Refresh Token도 함께 폐기하므로
+ * 종료된 세션의 Access Token과 Refresh Token 모두 즉시 사용 불가
+ *
+ * 주요 의존성:
+ * - database.js: executeQuery, executeNonQuery
+ * - refreshTokenService.js: revokeTokenFamily, revokeAllForUser
+ * - UserSession 모델: 쿼리 생성
+ */
+
+const { executeQuery, executeNonQuery } = require('../config/database');
+const { generateUUID } = require('../utils/cryptoUtils');
+const refreshTokenService = require('./refreshTokenService');
+const UserSession = require('../models/UserSession');
+
+// last_seen_at 갱신 간격 (분) - 요청마다 UPDATE가 발생하지 않도록 제한
+const SESSION_TOUCH_INTERVAL_MINUTES = 5;
+
+/**
+ * 새 세션 생성
+ *
+ * @param {string} userId - 사용자 ID
+ * @param {Object} [context] - 접속 정보
+ * @param {string} [context.userAgent] - User-Agent 헤더
+ * @param {string} [context.ipAddress] - 클라이언트 IP (req.ip)
+ * @param {boolean} [context.twoFactorVerified] - 2단계 인증을 거친 로그인 여부
+ * @returns {Promise<string>} 세션 ID
+ */
+async function createSession(userId, { userAgent = null, ipAddress = null, twoFactorVerified = false } = {}) {
+    try {
+        const sessionData = {
+            id: generateUUID(),
+            userId,
+            userAgent: userAgent ? userAgent.substring(0, 500) : null,
+            ipAddress,
+            lastSeenAt: new Date(),
+            twoFactorVerified: twoFactorVerified ? 1 : 0
+        };
+
+        await executeNonQuery(UserSession.getSaveQuery(sessionData), sessionData);
+
+        return sessionData.id;
+    } catch (err) {
+        throw err;
+    }
+}
+
+/**
+ * 활성 세션 조회
+ *
+ * @param {string} sessionId - 세션 ID (Access Token sid)
+ * @param {string} userId - 사용자 ID (Access Token userId)
+ * @returns {Promise<Object|null>} { id, last_seen_at, two_factor_verified } 또는 null (없거나 종료됨)
+ */
+async function getActiveSession(sessionId, userId) {
+    try {
+        if (!sessionId || !userId) {
+            return null;
+        }
+
+        const sessions = await executeQuery(
+            UserSession.getActiveSessionQuery(),
+            { sessionId, userId }
+        );
+
+        return sessions.length > 0 ? sessions[0] : null;
+    } catch (err) {
+        throw err;
+    }
+}
+
+/**
+ * 세션 마지막 사용 시각 갱신
+ * 조회한 last_seen_at이 갱신 간격보다 오래된 경우에만 UPDATE 실행
+ *
+ * @param {Object} session - getActiveSession 결과
+ */
+async function touchSession(session) {
+    try {
+        const intervalMs = SESSION_TOUCH_INTERVAL_MINUTES * 60 * 1000;
+
+        if (session.last_seen_at && Date.now() - new Date(session.last_seen_at).getTime() < intervalMs) {
+            return;
+        }
+
+        await executeNonQuery(
+            UserSession.getTouchQuery(SESSION_TOUCH_INTERVAL_MINUTES),
+            { sessionId: session.id }
+        );
+    } catch (err) {
+        throw err;
+    }
+}
+
+/**
+ * 사용자의 활성 세션 목록
+ *
+ * @param {string} userId - 사용자 ID
+ * @param {string} currentSessionId - 현재 요청의 세션 ID (isCurrent 표시용)
+ * @returns {Promise<Array>} [{ id, userAgent, ipAddress, createdAt, lastSeenAt, isCurrent }]
+ */
+async function listSessions(userId, currentSessionId) {
+    try {
+        const sessions = await executeQuery(UserSession.getActiveByUserQuery(), { userId });
+
+        return sessions.map(session => ({
+            id: session.id,
+            userAgent: session.user_agent,
+            ipAddress: session.ip_address,
+            createdAt: session.created_at,
+            lastSeenAt: session.last_seen_at,
+            isCurrent: session.id === currentSessionId
+        }));
+    } catch (err) {
+        throw err;
+    }
+}
+
+/**
+ * 단일 세션 종료 (로그아웃)
+ *
+ * @param {string} sessionId - 세션 ID
+ * @param {string} userId - 세션 소유자 ID (다른 사용자의 세션 종료 방지)
+ * @param {string} reason - 종료 사유
+ * @returns {Promise<boolean>} 종료 여부 (이미 종료되었거나 없으면 false)
+ */
+async function revokeSession(sessionId, userId, reason = 'logout') {
+    try {
+        const revoked = await executeQuery(
+            UserSession.getRevokeQuery(),
+            { sessionId, userId, reason }
+        );
+
+        if (revoked.length === 0) {
+            return false;
+        }
+
+        await refreshTokenService.revokeTokenFamily(sessionId, reason);
+
+        console.log('[SESSION REVOKE]', {
+            userId,
+            sessionId,
+            reason,
+            timestamp: new Date().toISOString()
+        });
+
+        return true;
+    } catch (err) {
+        throw err;
+    }
+}
+
+/**
+ * 사용자의 모든 세션 종료 (모든 기기 로그아웃)
+ *
+ * @param {string} userId - 사용자 ID
+ * @param {string} reason - 종료 사유 (logout_all, user_blocked, password_changed 등)
+ */
+async function revokeAllSessions(userId, reason = 'logout_all') {
+    try {
+        await executeNonQuery(UserSession.getRevokeByUserQuery(), { userId, reason });
+        await refreshTokenService.revokeAllForUser(userId, reason);
+    } catch (err) {
+        throw err;
+    }
+}
+
+module.exports = {
+    createSession,
+    getActiveSession,
+    touchSession,
+    listSessions,
+    revokeSession,
+    revokeAllSessions
+};
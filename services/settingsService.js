@@ -0,0 +1,87 @@
+/**
+ * Settings Service - 시스템 설정
+ *
+ * 역할:
+ * - SystemSettings 테이블의 설정 조회 / 변경
+ * - 요청마다 확인하는 설정(관리자 2FA 강제 등)은 짧게 메모리 캐시
+ *
+ * 캐시:
+ * - 인스턴스별 메모리 캐시 (SETTINGS_CACHE_SECONDS, 기본 30초)
+ * - 변경한 인스턴스는 즉시 반영, 다른 인스턴스는 캐시 만료 후 반영
+ *
+ * 주요 의존성:
+ * - SystemSetting 모델: 쿼리 생성
+ */
+
+const { executeQuery, executeNonQuery } = require('../config/database');
+const SystemSetting = require('../models/SystemSetting');
+
+const SETTING_KEYS = {
+    REQUIRE_ADMIN_2FA: 'require_admin_2fa'
+};
+
+const cache = new Map();
+
+function getCacheTtlMs() {
+    return (parseInt(process.env.SETTINGS_CACHE_SECONDS, 10) || 30) * 1000;
+}
+
+/**
+ * 설정 값 조회
+ *
+ * @param {string} key - 설정 키
+ * @param {string|null} [defaultValue=null] - 설정이 없을 때 값
+ * @returns {Promise<string|null>}
+ */
+async function getSetting(key, defaultValue = null) {
+    try {
+        const cached = cache.get(key);
+
+        if (cached && cached.expiresAt > Date.now()) {
+            return cached.value;
+        }
+
+        const rows = await executeQuery(SystemSetting.getByKeyQuery(), { key });
+        const value = rows.length > 0 ? rows[0].setting_value : defaultValue;
+
+        cache.set(key, { value, expiresAt: Date.now() + getCacheTtlMs() });
+
+        return value;
+    } catch (err) {
+        throw err;
+    }
+}
+
+/**
+ * 설정 값 변경
+ *
+ * @param {string} key - 설정 키
+ * @param {string} value - 설정 값
+ * @param {string} updatedBy - 변경한 관리자 ID
+ * @returns {Promise<void>}
+ */
+async function setSetting(key, value, updatedBy) {
+    try {
+        await executeNonQuery(SystemSetting.getUpsertQuery(), { key, value, updatedBy });
+
+        cache.set(key, { value, expiresAt: Date.now() + getCacheTtlMs() });
+    } catch (err) {
+        throw err;
+    }
+}
+
+/**
+ * 관리자 2단계 인증 필수 여부
+ * @returns {Promise<boolean>}
+ */
+async function isAdminTwoFactorRequired() {
+    const value = await getSetting(SETTING_KEYS.REQUIRE_ADMIN_2FA, 'false');
+    return value === 'true';
+}
+
+module.exports = {
+    SETTING_KEYS,
+    getSetting,
+    setSetting,
+    isAdminTwoFactorRequired
+};
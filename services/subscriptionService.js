@@ -1,18 +1,66 @@
 const { executeQuery, executeNonQuery } = require('../config/database');
-const { SUBSCRIPTION_STATUS, API_CALL_LIMITS } = require('../config/constants');
+const crypto = require('crypto');
+const {
+    SUBSCRIPTION_STATUS,
+    SUBSCRIPTION_LIFECYCLE,
+    SUBSCRIPTION_CANCEL_MODE,
+    TIER_CHANGE_TYPE,
+    TIER_CHANGE_STATUS,
+    WEBHOOK_EVENTS,
+    ERROR_CODES,
+    API_CALL_LIMITS
+} = require('../config/constants');
+const SubscriptionTierChange = require('../models/SubscriptionTierChange');
+const { assertEmailVerified } = require('./emailVerificationService');
+const { triggerWebhook } = require('./webhookService');
+const invoiceService = require('./invoiceService');
 
-async function requestSubscription(userId, tierId) {
+// 구독은 조직 단위 (organization_id), user_id는 신청한 멤버
+// 기간: [start_date, end_date) - end_date 0시부터 다음 기간(자동 갱신) 또는 만료
+
+// Tier 변경 이력 조회 개수
+const TIER_CHANGE_HISTORY_LIMIT = 20;
+
+function createError(message, statusCode, errorCode) {
+    const error = new Error(message);
+    error.statusCode = statusCode;
+    error.errorCode = errorCode;
+    return error;
+}
+
+function toUsd(amount) {
+    return Math.round(amount * 100) / 100;
+}
+
+// 청구서 생성 / 확정 실패는 구독 처리 결과에 영향 없음 (로그만 기록)
+async function runInvoiceTask(task) {
+    try {
+        return await task();
+    } catch (err) {
+        console.error('[INVOICE_ERROR]', err);
+        return null;
+    }
+}
+
+async function requestSubscription(organizationId, userId, tierId) {
     try {
-        // 기존 활성 구독 확인
-        const activeSubscriptions = await executeQuery(
-            `SELECT id FROM [UserSubscriptions] 
-             WHERE user_id = @userId AND status = @status`,
-            { userId, status: SUBSCRIPTION_STATUS.ACTIVE }
+        // 이메일 미인증 사용자는 구독 신청 불가 (403 EMAIL_NOT_VERIFIED)
+        await assertEmailVerified(userId);
+
+        // 조직의 기존 활성 / 승인 대기 구독 확인 (승인 대기 구독이 여러 개면 각각 결제되어 이중 활성화)
+        const currentSubscriptions = await executeQuery(
+            `SELECT id, status FROM [UserSubscriptions] 
+             WHERE organization_id = @organizationId AND status IN (@activeStatus, @pendingStatus)`,
+            { organizationId, activeStatus: SUBSCRIPTION_STATUS.ACTIVE, pendingStatus: SUBSCRIPTION_STATUS.PENDING }
         );
 
-        if (activeSubscriptions.length > 0) {
+        if (currentSubscriptions.some(subscription => subscription.status === SUBSCRIPTION_STATUS.ACTIVE)) {
             throw new Error('이미 활성화된 구독이 있습니다');
         }
+
+        if (currentSubscriptions.length > 0) {
+            throw createError('승인 대기 중인 구독 신청이 있습니다', 409, 'SUBSCRIPTION_ALREADY_EXISTS');
+        }
         const tier = await executeQuery(
             `SELECT id FROM [SubscriptionTiers]
              WHERE id = @tierId AND is_active = 1`,
@@ -26,10 +74,11 @@ async function requestSubscription(userId, tierId) {
         // 구독 신청 생성
         await executeNonQuery(
             `INSERT INTO [UserSubscriptions] 
-             (id, user_id, tier_id, status)
-             VALUES (@id, @userId, @tierId, @status)`,
+             (id, organization_id, user_id, tier_id, status)
+             VALUES (@id, @organizationId, @userId, @tierId, @status)`,
             {
                 id: subscriptionId,
+                organizationId,
                 userId,
                 tierId,
                 status: SUBSCRIPTION_STATUS.PENDING
@@ -42,16 +91,18 @@ async function requestSubscription(userId, tierId) {
     }
 }
 
-async function getUserSubscription(userId) {
+async function getOrganizationSubscription(organizationId) {
     try {
         const subscriptions = await executeQuery(
-            `SELECT us.id, us.user_id, us.tier_id, us.status, us.start_date, us.end_date, 
+            `SELECT us.id, us.organization_id, us.user_id, us.tier_id, us.status, us.start_date, us.end_date, 
+                    us.auto_renewal, us.renewal_count, us.last_renewed_at, us.expired_at,
+                    us.cancel_at_period_end, us.cancellation_requested_at, us.cancellation_reason, us.cancelled_at,
                     st.tier_name, st.api_call_limit
              FROM [UserSubscriptions] us
              LEFT JOIN [SubscriptionTiers] st ON us.tier_id = st.id
-             WHERE us.user_id = @userId
+             WHERE us.organization_id = @organizationId
              ORDER BY us.created_at DESC`,
-            { userId }
+            { organizationId }
         );
 
         if (subscriptions.length === 0) {
@@ -64,9 +115,9 @@ async function getUserSubscription(userId) {
     }
 }
 
-async function isSubscriptionActive(userId) {
+async function isSubscriptionActive(organizationId) {
     try {
-        const subscription = await getUserSubscription(userId);
+        const subscription = await getOrganizationSubscription(organizationId);
 
         if (!subscription) return false;
 
@@ -99,9 +150,648 @@ async function getSubscriptionTiers() {
     }
 }
 
+/**
+ * 남은 기간 일할 계산 (업그레이드)
+ * - credit: 기존 Tier의 남은 기간 금액 / charge: 새 Tier의 남은 기간 금액
+ * - amountDue: 추가 결제 금액 (charge - credit, 0 이상)
+ * @param {number} fromPrice - 기존 Tier 가격 (price_usd, 기간당)
+ * @param {number} toPrice - 새 Tier 가격
+ * @param {number} remainingDays - 오늘부터 end_date까지 일수
+ * @param {number} periodDays - 현재 기간 일수 (start_date ~ end_date)
+ * @returns {Object} { remainingDays, periodDays, creditUsd, chargeUsd, amountDueUsd }
+ */
+function calculateProration(fromPrice, toPrice, remainingDays, periodDays) {
+    const ratio = periodDays > 0 ? Math.min(Math.max(remainingDays / periodDays, 0), 1) : 0;
+    const creditUsd = toUsd(fromPrice * ratio);
+    const chargeUsd = toUsd(toPrice * ratio);
+
+    return {
+        remainingDays,
+        periodDays,
+        creditUsd,
+        chargeUsd,
+        amountDueUsd: Math.max(toUsd(chargeUsd - creditUsd), 0)
+    };
+}
+
+/**
+ * 구독 Tier 변경
+ *
+ * @param {string} organizationId - 조직 ID
+ * @param {string} userId - 요청자 (조직 owner)
+ * @param {number|string} tierId - 변경할 Tier ID
+ * @param {Object} options - { preview: true면 계산 결과만 반환 (저장 안 함) }
+ * @returns {Promise<Object>} {
+ *   changeId, changeType, status, effectiveDate, preview,
+ *   fromTier: { id, tierName, priceUsd, apiCallLimit }, toTier: { ... },
+ *   proration: { remainingDays, periodDays, creditUsd, chargeUsd, amountDueUsd } | null
+ * }
+ *
+ * @flow
+ * 1. 이메일 인증 확인, 활성 구독 / 변경할 Tier 조회
+ * 2. 현재 Tier 재선택: 예약된 다운그레이드가 있으면 취소 (status = cancelled), 없으면 400
+ * 3. 업그레이드 (price_usd가 높거나, 같으면 api_call_limit이 큰 Tier): 즉시 적용 + 일할 계산
+ * 4. 다운그레이드: 현재 기간 end_date에 적용 예약 (기존 예약 대체, 일할 계산 없음)
+ * 5. 업그레이드 적용 시 subscription_tier_changed Webhook
+ *
+ * @throws {400} INVALID_TIER / TIER_UNCHANGED
+ * @throws {403} EMAIL_NOT_VERIFIED
+ * @throws {409} SUBSCRIPTION_INACTIVE (활성 구독 없음) / TIER_CHANGE_CONFLICT (처리 중 구독 변경)
+ */
+async function changeTier(organizationId, userId, tierId, options = {}) {
+    try {
+        const preview = Boolean(options.preview);
+
+        // 1. 이메일 인증 / 활성 구독 / 대상 Tier
+        await assertEmailVerified(userId);
+
+        const subscriptions = await executeQuery(
+            `SELECT us.id, us.tier_id, us.start_date, us.end_date,
+                    DATEDIFF(DAY, us.start_date, us.end_date) as period_days,
+                    DATEDIFF(DAY, CAST(GETDATE() AS DATE), us.end_date) as remaining_days,
+                    st.tier_name, st.price_usd, st.api_call_limit
+             FROM [UserSubscriptions] us
+             LEFT JOIN [SubscriptionTiers] st ON us.tier_id = st.id
+             WHERE us.organization_id = @organizationId AND us.status = @status`,
+            { organizationId, status: SUBSCRIPTION_STATUS.ACTIVE }
+        );
+
+        if (subscriptions.length === 0) {
+            throw createError('활성화된 구독이 없습니다', 409, ERROR_CODES.SUBSCRIPTION_INACTIVE);
+        }
+
+        const subscription = subscriptions[0];
+
+        const tiers = await executeQuery(
+            `SELECT id, tier_name, price_usd, api_call_limit
+             FROM [SubscriptionTiers]
+             WHERE id = @tierId AND is_active = 1`,
+            { tierId }
+        );
+
+        if (tiers.length === 0) {
+            throw createError('유효하지 않은 구독 Tier입니다', 400, ERROR_CODES.INVALID_TIER);
+        }
+
+        const fromTier = {
+            id: String(subscription.tier_id),
+            tierName: subscription.tier_name,
+            priceUsd: Number(subscription.price_usd) || 0,
+            apiCallLimit: subscription.api_call_limit
+        };
+        const toTier = {
+            id: String(tiers[0].id),
+            tierName: tiers[0].tier_name,
+            priceUsd: Number(tiers[0].price_usd) || 0,
+            apiCallLimit: tiers[0].api_call_limit
+        };
+
+        const statusParams = {
+            activeStatus: SUBSCRIPTION_STATUS.ACTIVE,
+            appliedStatus: TIER_CHANGE_STATUS.APPLIED,
+            scheduledStatus: TIER_CHANGE_STATUS.SCHEDULED,
+            cancelledStatus: TIER_CHANGE_STATUS.CANCELLED
+        };
+
+        // 2. 현재 Tier 재선택 → 예약된 다운그레이드 취소
+        if (fromTier.id === toTier.id) {
+            const scheduled = await executeQuery(
+                SubscriptionTierChange.getScheduledQuery(),
+                { subscriptionId: subscription.id, status: TIER_CHANGE_STATUS.SCHEDULED }
+            );
+
+            if (scheduled.length === 0) {
+                throw createError('이미 사용 중인 Tier입니다', 400, ERROR_CODES.TIER_UNCHANGED);
+            }
+
+            if (!preview) {
+                await executeNonQuery(
+                    SubscriptionTierChange.getCancelScheduledQuery(),
+                    { subscriptionId: subscription.id, ...statusParams }
+                );
+            }
+
+            return {
+                changeId: scheduled[0].id,
+                changeType: null,
+                status: TIER_CHANGE_STATUS.CANCELLED,
+                effectiveDate: null,
+                preview,
+                fromTier,
+                toTier,
+                proration: null
+            };
+        }
+
+        // 3 / 4. 업그레이드 / 다운그레이드 판별
+        const isUpgrade = toTier.priceUsd > fromTier.priceUsd
+            || (toTier.priceUsd === fromTier.priceUsd && toTier.apiCallLimit > fromTier.apiCallLimit);
+
+        const changeType = isUpgrade ? TIER_CHANGE_TYPE.UPGRADE : TIER_CHANGE_TYPE.DOWNGRADE;
+        const status = isUpgrade ? TIER_CHANGE_STATUS.APPLIED : TIER_CHANGE_STATUS.SCHEDULED;
+        const proration = isUpgrade
+            ? calculateProration(fromTier.priceUsd, toTier.priceUsd, subscription.remaining_days, subscription.period_days)
+            : null;
+        const effectiveDate = isUpgrade ? new Date() : subscription.end_date;
+
+        const result = {
+            changeId: null,
+            changeType,
+            status,
+            effectiveDate,
+            preview,
+            fromTier,
+            toTier,
+            proration
+        };
+
+        if (preview) {
+            return result;
+        }
+
+        const changeId = crypto.randomUUID();
+        const params = {
+            id: changeId,
+            subscriptionId: subscription.id,
+            organizationId,
+            fromTierId: fromTier.id,
+            toTierId: toTier.id,
+            changeType,
+            status,
+            effectiveDate: isUpgrade ? null : subscription.end_date,   // NULL → 오늘 (DB 날짜)
+            remainingDays: subscription.remaining_days,
+            periodDays: subscription.period_days,
+            prorationCreditUsd: proration ? proration.creditUsd : 0,
+            prorationChargeUsd: proration ? proration.chargeUsd : 0,
+            amountDueUsd: proration ? proration.amountDueUsd : 0,
+            requestedBy: userId,
+            ...statusParams
+        };
+
+        if (isUpgrade) {
+            const applied = await executeQuery(SubscriptionTierChange.getApplyUpgradeQuery(), params);
+
+            if (!applied[0] || !applied[0].applied) {
+                throw createError('구독 정보가 변경되었습니다. 다시 시도해주세요', 409, ERROR_CODES.TIER_CHANGE_CONFLICT);
+            }
+
+            // triggerWebhook은 실패를 WebhookLogs에 기록하고 throw하지 않음
+            await triggerWebhook(organizationId, WEBHOOK_EVENTS.SUBSCRIPTION_TIER_CHANGED, {
+                event: WEBHOOK_EVENTS.SUBSCRIPTION_TIER_CHANGED,
+                subscriptionId: subscription.id,
+                changeId,
+                changeType,
+                fromTierId: fromTier.id,
+                toTierId: toTier.id,
+                proration
+            });
+        } else {
+            await executeNonQuery(SubscriptionTierChange.getScheduleDowngradeQuery(), params);
+        }
+
+        return { ...result, changeId };
+    } catch (err) {
+        throw err;
+    }
+}
+
+/**
+ * 조직의 Tier 변경 이력 (최신순, 예약 / 취소 포함)
+ * @param {string} organizationId - 조직 ID
+ * @returns {Promise<Array>}
+ */
+async function getTierChangeHistory(organizationId) {
+    try {
+        return await executeQuery(
+            SubscriptionTierChange.getHistoryQuery(),
+            { organizationId, limit: TIER_CHANGE_HISTORY_LIMIT }
+        );
+    } catch (err) {
+        throw err;
+    }
+}
+
+/**
+ * subscription_cancelled Webhook (즉시 해지 / 기간 종료 시 해지 완료)
+ * @param {Object} subscription - { id, organization_id, tier_id, end_date, cancellation_reason, cancelled_at }
+ * @param {string} mode - SUBSCRIPTION_CANCEL_MODE
+ */
+async function notifySubscriptionCancelled(subscription, mode) {
+    // triggerWebhook은 실패를 WebhookLogs에 기록하고 throw하지 않음
+    await triggerWebhook(subscription.organization_id, WEBHOOK_EVENTS.SUBSCRIPTION_CANCELLED, {
+        event: WEBHOOK_EVENTS.SUBSCRIPTION_CANCELLED,
+        subscriptionId: subscription.id,
+        tierId: subscription.tier_id,
+        mode,
+        reason: subscription.cancellation_reason,
+        periodEnd: subscription.end_date,
+        cancelledAt: subscription.cancelled_at
+    });
+}
+
+/**
+ * 구독 해지 (조직 owner)
+ *
+ * @param {string} organizationId - 조직 ID
+ * @param {string} userId - 요청자
+ * @param {string} mode - SUBSCRIPTION_CANCEL_MODE (immediate / period_end)
+ * @param {string|null} reason - 해지 사유
+ * @returns {Promise<Object>} { subscriptionId, mode, status, cancelAtPeriodEnd, cancelAt }
+ *
+ * @flow
+ * 1. 조직의 활성 / 승인 대기 구독 조회 (없으면 409 SUBSCRIPTION_INACTIVE)
+ * 2. period_end: cancel_at_period_end = 1 (활성 구독만, end_date까지 사용 가능)
+ *    → 스케줄러가 end_date에 해지 완료 + Webhook, 그 전에는 reactivateSubscription으로 철회
+ * 3. immediate: status = cancelled, 예약된 Tier 변경 취소, 해지일까지의 청구서 확정, subscription_cancelled Webhook
+ *
+ * @throws {400} INVALID_CANCEL_MODE (승인 대기 구독의 기간 종료 시 해지)
+ * @throws {409} SUBSCRIPTION_INACTIVE
+ */
+async function cancelSubscription(organizationId, userId, mode, reason) {
+    try {
+        // 1. 해지할 구독
+        const subscriptions = await executeQuery(
+            `SELECT TOP 1 id, status, end_date
+             FROM [UserSubscriptions]
+             WHERE organization_id = @organizationId AND status IN (@activeStatus, @pendingStatus)
+             ORDER BY created_at DESC`,
+            {
+                organizationId,
+                activeStatus: SUBSCRIPTION_STATUS.ACTIVE,
+                pendingStatus: SUBSCRIPTION_STATUS.PENDING
+            }
+        );
+
+        if (subscriptions.length === 0) {
+            throw createError('해지할 구독이 없습니다', 409, ERROR_CODES.SUBSCRIPTION_INACTIVE);
+        }
+
+        const subscription = subscriptions[0];
+
+        // 2. 기간 종료 시 해지 예약
+        if (mode === SUBSCRIPTION_CANCEL_MODE.PERIOD_END) {
+            if (subscription.status !== SUBSCRIPTION_STATUS.ACTIVE || !subscription.end_date) {
+                throw createError('승인 대기 중인 구독은 즉시 해지만 가능합니다', 400, ERROR_CODES.INVALID_CANCEL_MODE);
+            }
+
+            const scheduled = await executeQuery(
+                `UPDATE [UserSubscriptions]
+                 SET cancel_at_period_end = 1, cancellation_requested_at = GETDATE(),
+                     cancellation_reason = @reason, cancelled_by = @userId, updated_at = GETDATE()
+                 OUTPUT INSERTED.id, INSERTED.end_date
+                 WHERE id = @subscriptionId AND status = @activeStatus`,
+                {
+                    subscriptionId: subscription.id,
+                    reason,
+                    userId,
+                    activeStatus: SUBSCRIPTION_STATUS.ACTIVE
+                }
+            );
+
+            if (scheduled.length === 0) {
+                throw createError('해지할 구독이 없습니다', 409, ERROR_CODES.SUBSCRIPTION_INACTIVE);
+            }
+
+            return {
+                subscriptionId: subscription.id,
+                mode,
+                status: SUBSCRIPTION_STATUS.ACTIVE,
+                cancelAtPeriodEnd: true,
+                cancelAt: scheduled[0].end_date
+            };
+        }
+
+        // 3. 즉시 해지 (조회 이후 상태가 바뀌었으면 처리하지 않음)
+        const cancelled = await executeQuery(
+            `UPDATE [UserSubscriptions]
+             SET status = @cancelledStatus, cancel_at_period_end = 0,
+                 cancellation_requested_at = GETDATE(), cancellation_reason = @reason,
+                 cancelled_by = @userId, cancelled_at = GETDATE(), updated_at = GETDATE()
+             OUTPUT INSERTED.id, INSERTED.organization_id, INSERTED.tier_id,
+                    INSERTED.start_date, INSERTED.end_date, INSERTED.cancellation_reason, INSERTED.cancelled_at,
+                    CAST(INSERTED.cancelled_at AS DATE) as cancelled_date
+             WHERE id = @subscriptionId AND status = @currentStatus`,
+            {
+                subscriptionId: subscription.id,
+                reason,
+                userId,
+                currentStatus: subscription.status,
+                cancelledStatus: SUBSCRIPTION_STATUS.CANCELLED
+            }
+        );
+
+        if (cancelled.length === 0) {
+            throw createError('해지할 구독이 없습니다', 409, ERROR_CODES.SUBSCRIPTION_INACTIVE);
+        }
+
+        await executeNonQuery(SubscriptionTierChange.getCancelScheduledQuery(), {
+            subscriptionId: subscription.id,
+            scheduledStatus: TIER_CHANGE_STATUS.SCHEDULED,
+            cancelledStatus: TIER_CHANGE_STATUS.CANCELLED
+        });
+
+        // 활성 구독이었으면 해지일까지의 청구서 확정
+        if (subscription.status === SUBSCRIPTION_STATUS.ACTIVE && cancelled[0].start_date) {
+            await runInvoiceTask(() => invoiceService.finalizeInvoice(
+                cancelled[0], cancelled[0].start_date, cancelled[0].cancelled_date
+            ));
+        }
+
+        await notifySubscriptionCancelled(cancelled[0], SUBSCRIPTION_CANCEL_MODE.IMMEDIATE);
+
+        return {
+            subscriptionId: subscription.id,
+            mode,
+            status: SUBSCRIPTION_STATUS.CANCELLED,
+            cancelAtPeriodEnd: false,
+            cancelAt: cancelled[0].cancelled_at
+        };
+    } catch (err) {
+        throw err;
+    }
+}
+
+/**
+ * 기간 종료 시 해지 철회 (재활성화)
+ * - end_date 전의 해지 예약만 가능 (이미 해지 완료된 구독은 새로 신청)
+ * @param {string} organizationId - 조직 ID
+ * @returns {Promise<Object>} { subscriptionId, status, endDate }
+ * @throws {409} CANCELLATION_NOT_SCHEDULED
+ */
+async function reactivateSubscription(organizationId) {
+    try {
+        const reactivated = await executeQuery(
+            `UPDATE [UserSubscriptions]
+             SET cancel_at_period_end = 0, cancellation_requested_at = NULL,
+                 cancellation_reason = NULL, cancelled_by = NULL, updated_at = GETDATE()
+             OUTPUT INSERTED.id, INSERTED.status, INSERTED.end_date
+             WHERE organization_id = @organizationId
+               AND status = @activeStatus
+               AND cancel_at_period_end = 1
+               AND end_date > CAST(GETDATE() AS DATE)`,
+            { organizationId, activeStatus: SUBSCRIPTION_STATUS.ACTIVE }
+        );
+
+        if (reactivated.length === 0) {
+            throw createError('재활성화할 해지 예약이 없습니다', 409, ERROR_CODES.CANCELLATION_NOT_SCHEDULED);
+        }
+
+        return {
+            subscriptionId: reactivated[0].id,
+            status: reactivated[0].status,
+            endDate: reactivated[0].end_date
+        };
+    } catch (err) {
+        throw err;
+    }
+}
+
+/**
+ * 결제 기간 (개월, .env SUBSCRIPTION_BILLING_PERIOD_MONTHS)
+ * @returns {number}
+ */
+function getBillingPeriodMonths() {
+    return parseInt(process.env.SUBSCRIPTION_BILLING_PERIOD_MONTHS, 10) || SUBSCRIPTION_LIFECYCLE.BILLING_PERIOD_MONTHS;
+}
+
+/**
+ * 구독 활성화 (첫 결제 기간 시작)
+ * - 관리자 승인 (adminService.approveSubscription), 결제 완료 (paymentService.handleWebhook)에서 사용
+ * - 첫 결제 기간 설정: start_date = 오늘, end_date = 오늘 + 결제 기간 (SUBSCRIPTION_LIFECYCLE)
+ * - 조직에 다른 활성 구독이 있으면 활성화하지 않음 (동시에 결제된 승인 대기 구독의 이중 활성화 방지)
+ * - 첫 기간 draft 청구서 생성 (실패해도 활성화는 유지, 로그만 기록)
+ * - 조직에 subscription_activated Webhook 발송
+ *
+ * @param {string} subscriptionId - 구독 ID
+ * @param {Object} [options]
+ * @param {string} [options.approvedBy] - 승인한 관리자 ID (결제 완료는 NULL)
+ * @param {boolean} [options.pendingOnly] - 승인 대기 구독만 활성화
+ *        (관리자 승인 / 결제 완료 모두 사용: 활성 구독의 기간 재설정, 해지·만료 구독 부활 방지)
+ * @returns {Promise<Object|null>} { before_status, after_status, approval_date, organization_id, tier_id,
+ *          start_date, end_date } (대상 구독이 없거나 활성화할 수 없으면 null)
+ */
+async function activateSubscription(subscriptionId, options = {}) {
+    try {
+        const updated = await executeQuery(
+            `UPDATE [UserSubscriptions] 
+             SET status = @status, approval_date = GETDATE(), approved_by = @approvedBy,
+                 start_date = CAST(GETDATE() AS DATE),
+                 end_date = DATEADD(MONTH, @periodMonths, CAST(GETDATE() AS DATE))
+             OUTPUT DELETED.status as before_status, INSERTED.status as after_status,
+                    INSERTED.approval_date, INSERTED.organization_id, INSERTED.tier_id,
+                    INSERTED.start_date, INSERTED.end_date
+             WHERE id = @subscriptionId
+             ${options.pendingOnly ? 'AND status = @pendingStatus' : ''}
+               AND NOT EXISTS (
+                   SELECT 1 FROM [UserSubscriptions] other WITH (UPDLOCK, HOLDLOCK)
+                   WHERE other.organization_id = [UserSubscriptions].organization_id
+                     AND other.status = @status AND other.id <> @subscriptionId
+               )`,
+            {
+                subscriptionId,
+                status: SUBSCRIPTION_STATUS.ACTIVE,
+                pendingStatus: SUBSCRIPTION_STATUS.PENDING,
+                approvedBy: options.approvedBy || null,
+                periodMonths: getBillingPeriodMonths()
+            }
+        );
+
+        if (updated.length === 0) {
+            return null;
+        }
+
+        const subscription = updated[0];
+
+        await runInvoiceTask(() => invoiceService.createDraftInvoice(
+            { id: subscriptionId, organization_id: subscription.organization_id, tier_id: subscription.tier_id },
+            subscription.start_date,
+            subscription.end_date
+        ));
+
+        // triggerWebhook은 실패를 WebhookLogs에 기록하고 throw하지 않음
+        await triggerWebhook(subscription.organization_id, WEBHOOK_EVENTS.SUBSCRIPTION_ACTIVATED, {
+            event: WEBHOOK_EVENTS.SUBSCRIPTION_ACTIVATED,
+            subscriptionId,
+            tierId: subscription.tier_id,
+            periodStart: subscription.start_date,
+            periodEnd: subscription.end_date
+        });
+
+        return subscription;
+    } catch (err) {
+        throw err;
+    }
+}
+
+/**
+ * 기간이 끝난 활성 구독 처리 (스케줄러 subscriptionLifecycle)
+ *
+ * @returns {Promise<Object>} { tierChanges, cancelled, renewed, expired, invoices }
+ *          - 적용한 예약 Tier 변경 수 / 해지 완료 구독 수 / 처리한 갱신 기간 수 / 만료 구독 수 / 확정한 청구서 수
+ *
+ * @flow
+ * 0. 적용일이 된 예약 Tier 변경(다운그레이드) 적용 → 갱신되는 기간부터 새 Tier
+ * 1. cancel_at_period_end = 1 → status = cancelled, cancelled_at 기록 (기간 종료 시 해지)
+ * 2. auto_renewal = 1 → 다음 기간으로 갱신 (start_date = 이전 end_date, renewal_count + 1)
+ *    - 스케줄러가 오래 멈춰 있었으면 오늘이 포함된 기간까지 한 기간씩 반복 (최대 MAX_CATCH_UP_PERIODS)
+ * 3. auto_renewal = 0 → status = expired, expired_at 기록
+ * 4. 적용할 수 없게 된 예약 Tier 변경(구독 종료, 다른 경로로 Tier 변경)은 cancelled
+ * 5. 청구서: 끝난 기간 확정 (invoiceService.finalizeInvoice), 갱신된 기간 draft 생성
+ *    - 청구서 실패는 로그만 기록 (구독 처리는 이미 완료)
+ * 6. 조직 Webhook 발송 (Tier 변경: subscription_tier_changed, 해지: subscription_cancelled,
+ *    갱신: subscription_renewed, 만료: subscription_expired)
+ *
+ * @note
+ * - UPDATE ... OUTPUT으로 대상을 선점하므로 여러 인스턴스에서 동시에 실행되어도 한 번만 처리
+ * - 날짜 비교는 DB 날짜(CAST(GETDATE() AS DATE)) 기준
+ */
+async function processSubscriptionLifecycle() {
+    try {
+        const periodMonths = getBillingPeriodMonths();
+        const renewals = [];
+        const statusParams = {
+            activeStatus: SUBSCRIPTION_STATUS.ACTIVE,
+            appliedStatus: TIER_CHANGE_STATUS.APPLIED,
+            scheduledStatus: TIER_CHANGE_STATUS.SCHEDULED,
+            cancelledStatus: TIER_CHANGE_STATUS.CANCELLED
+        };
+
+        // 0. 예약 Tier 변경
+        const tierChanges = await executeQuery(SubscriptionTierChange.getApplyDueQuery(), statusParams);
+
+        // 1. 기간 종료 시 해지
+        const cancelled = await executeQuery(
+            `UPDATE [UserSubscriptions]
+             SET status = @cancelledStatus, cancelled_at = GETDATE(), updated_at = GETDATE()
+             OUTPUT INSERTED.id, INSERTED.organization_id, INSERTED.tier_id, INSERTED.start_date,
+                    INSERTED.end_date, INSERTED.cancellation_reason, INSERTED.cancelled_at
+             WHERE status = @activeStatus
+               AND cancel_at_period_end = 1
+               AND end_date <= CAST(GETDATE() AS DATE)`,
+            { activeStatus: SUBSCRIPTION_STATUS.ACTIVE, cancelledStatus: SUBSCRIPTION_STATUS.CANCELLED }
+        );
+
+        // 2. 자동 갱신
+        for (let i = 0; i < SUBSCRIPTION_LIFECYCLE.MAX_CATCH_UP_PERIODS; i++) {
+            const renewed = await executeQuery(
+                `UPDATE [UserSubscriptions]
+                 SET start_date = end_date,
+                     end_date = DATEADD(MONTH, @periodMonths, end_date),
+                     renewal_count = renewal_count + 1,
+                     last_renewed_at = GETDATE(),
+                     updated_at = GETDATE()
+                 OUTPUT INSERTED.id, INSERTED.organization_id, INSERTED.tier_id,
+                        INSERTED.start_date, INSERTED.end_date, INSERTED.renewal_count,
+                        DELETED.start_date as previous_start_date, DELETED.end_date as previous_end_date
+                 WHERE status = @status
+                   AND auto_renewal = 1
+                   AND cancel_at_period_end = 0
+                   AND end_date <= CAST(GETDATE() AS DATE)`,
+                { periodMonths, status: SUBSCRIPTION_STATUS.ACTIVE }
+            );
+
+            if (renewed.length === 0) break;
+            renewals.push(...renewed);
+        }
+
+        // 3. 만료
+        const expired = await executeQuery(
+            `UPDATE [UserSubscriptions]
+             SET status = @expiredStatus, expired_at = GETDATE(), updated_at = GETDATE()
+             OUTPUT INSERTED.id, INSERTED.organization_id, INSERTED.tier_id,
+                    INSERTED.start_date, INSERTED.end_date
+             WHERE status = @activeStatus
+               AND auto_renewal = 0
+               AND cancel_at_period_end = 0
+               AND end_date <= CAST(GETDATE() AS DATE)`,
+            { activeStatus: SUBSCRIPTION_STATUS.ACTIVE, expiredStatus: SUBSCRIPTION_STATUS.EXPIRED }
+        );
+
+        // 4. 적용할 수 없게 된 예약 Tier 변경
+        await executeNonQuery(SubscriptionTierChange.getCancelStaleQuery(), statusParams);
+
+        // 5. 청구서 (갱신은 기간 순서대로: 끝난 기간 확정 → 새 기간 draft)
+        let invoices = 0;
+
+        for (const subscription of renewals) {
+            if (await runInvoiceTask(() => invoiceService.finalizeInvoice(
+                subscription, subscription.previous_start_date, subscription.previous_end_date
+            ))) {
+                invoices++;
+            }
+            await runInvoiceTask(() => invoiceService.createDraftInvoice(
+                subscription, subscription.start_date, subscription.end_date
+            ));
+        }
+
+        for (const subscription of [...cancelled, ...expired]) {
+            if (await runInvoiceTask(() => invoiceService.finalizeInvoice(
+                subscription, subscription.start_date, subscription.end_date
+            ))) {
+                invoices++;
+            }
+        }
+
+        // 6. Webhook (triggerWebhook은 실패를 WebhookLogs에 기록하고 throw하지 않음)
+        for (const change of tierChanges) {
+            await triggerWebhook(change.organization_id, WEBHOOK_EVENTS.SUBSCRIPTION_TIER_CHANGED, {
+                event: WEBHOOK_EVENTS.SUBSCRIPTION_TIER_CHANGED,
+                subscriptionId: change.subscription_id,
+                changeId: change.id,
+                changeType: TIER_CHANGE_TYPE.DOWNGRADE,
+                fromTierId: change.from_tier_id,
+                toTierId: change.to_tier_id,
+                proration: null
+            });
+        }
+
+        for (const subscription of cancelled) {
+            await notifySubscriptionCancelled(subscription, SUBSCRIPTION_CANCEL_MODE.PERIOD_END);
+        }
+
+        for (const subscription of renewals) {
+            await triggerWebhook(subscription.organization_id, WEBHOOK_EVENTS.SUBSCRIPTION_RENEWED, {
+                event: WEBHOOK_EVENTS.SUBSCRIPTION_RENEWED,
+                subscriptionId: subscription.id,
+                tierId: subscription.tier_id,
+                periodStart: subscription.start_date,
+                periodEnd: subscription.end_date,
+                renewalCount: subscription.renewal_count
+            });
+        }
+
+        for (const subscription of expired) {
+            await triggerWebhook(subscription.organization_id, WEBHOOK_EVENTS.SUBSCRIPTION_EXPIRED, {
+                event: WEBHOOK_EVENTS.SUBSCRIPTION_EXPIRED,
+                subscriptionId: subscription.id,
+                tierId: subscription.tier_id,
+                periodStart: subscription.start_date,
+                endedAt: subscription.end_date
+            });
+        }
+
+        return {
+            tierChanges: tierChanges.length,
+            cancelled: cancelled.length,
+            renewed: renewals.length,
+            expired: expired.length,
+            invoices
+        };
+    } catch (err) {
+        throw err;
+    }
+}
+
 module.exports = {
     requestSubscription,
-    getUserSubscription,
+    getOrganizationSubscription,
     isSubscriptionActive,
-    getSubscriptionTiers
+    getSubscriptionTiers,
+    changeTier,
+    getTierChangeHistory,
+    cancelSubscription,
+    reactivateSubscription,
+    getBillingPeriodMonths,
+    activateSubscription,
+    processSubscriptionLifecycle
 };
\ No newline at end of file
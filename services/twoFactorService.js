@@ -0,0 +1,410 @@
+/**
+ * Two-Factor Service - TOTP 2단계 인증
+ *
+ * 역할:
+ * - 등록: 시크릿 생성 → otpauth URI / QR 코드 제공 → 인증 앱 코드로 확인 후 활성화
+ * - 복구 코드: 활성화 시 10개 발급 (1회용, 해시 저장), 재발급
+ * - 로그인 2단계: TOTP 코드 또는 복구 코드 검증
+ * - 해제: 비밀번호 + 2단계 코드 확인 (관리자 2FA 필수 설정 시 관리자는 해제 불가)
+ *
+ * 보안 정책:
+ * - 시크릿은 AES-256-GCM 암호문으로 저장 (DATA_ENCRYPTION_KEY)
+ * - 한 번 사용된 TOTP 코드(time step)는 재사용 불가
+ * - 복구 코드 원문은 발급 응답에서 1회만 노출
+ *
+ * 주요 의존성:
+ * - totpUtils.js: generateTotpSecret, verifyTotp, buildOtpauthUri
+ * - cryptoUtils.js: encryptSecret, decryptSecret, hashToken, verifyPassword
+ * - settingsService.js: isAdminTwoFactorRequired
+ * - TwoFactorRecoveryCode / UserSession 모델: 쿼리 생성
+ */
+
+const QRCode = require('qrcode');
+const { executeQuery, executeNonQuery } = require('../config/database');
+const { encryptSecret, decryptSecret, hashToken, generateUUID, generateToken, verifyPassword } = require('../utils/cryptoUtils');
+const { generateTotpSecret, verifyTotp, buildOtpauthUri } = require('../utils/totpUtils');
+const settingsService = require('./settingsService');
+const TwoFactorRecoveryCode = require('../models/TwoFactorRecoveryCode');
+const UserSession = require('../models/UserSession');
+
+// 발급하는 복구 코드 수
+const RECOVERY_CODE_COUNT = 10;
+
+/**
+ * statusCode / errorCode가 지정된 에러 생성
+ */
+function createError(message, statusCode, errorCode) {
+    const error = new Error(message);
+    error.statusCode = statusCode;
+    error.errorCode = errorCode;
+    return error;
+}
+
+/**
+ * 복구 코드 정규화 (대소문자, 하이픈, 공백 무시)
+ */
+function normalizeRecoveryCode(code) {
+    return String(code || '').replace(/[\s-]/g, '').toLowerCase();
+}
+
+/**
+ * 2FA 관련 사용자 정보 조회
+ * @throws {Error} 404 USER_NOT_FOUND
+ */
+async function getTwoFactorUser(userId) {
+    const users = await executeQuery(
+        `SELECT id, email, password_hash, is_admin, two_factor_secret, two_factor_pending_secret,
+                two_factor_enabled_at, two_factor_last_step
+         FROM [Users] WHERE id = @userId`,
+        { userId }
+    );
+
+    if (users.length === 0) {
+        throw createError('사용자를 찾을 수 없습니다', 404, 'USER_NOT_FOUND');
+    }
+
+    return users[0];
+}
+
+/**
+ * 복구 코드 새로 발급 (기존 코드 삭제)
+ * @param {string} userId - 사용자 ID
+ * @returns {Promise<string[]>} 복구 코드 원문 (xxxxx-xxxxx)
+ */
+async function issueRecoveryCodes(userId) {
+    await executeNonQuery(TwoFactorRecoveryCode.getDeleteByUserQuery(), { userId });
+
+    const codes = [];
+
+    for (let i = 0; i < RECOVERY_CODE_COUNT; i++) {
+        const raw = generateToken(5);
+        const code = `${raw.substring(0, 5)}-${raw.substring(5)}`;
+
+        const codeData = {
+            id: generateUUID(),
+            userId,
+            codeHash: hashToken(normalizeRecoveryCode(code))
+        };
+
+        await executeNonQuery(TwoFactorRecoveryCode.getSaveQuery(codeData), codeData);
+        codes.push(code);
+    }
+
+    return codes;
+}
+
+/**
+ * TOTP 코드 검증 후 사용 처리
+ * time step을 원자적으로 갱신하여 같은 코드의 동시/반복 사용 차단
+ * @returns {Promise<boolean>}
+ */
+async function consumeTotpCode(user, code) {
+    if (!user.two_factor_secret) {
+        return false;
+    }
+
+    const step = verifyTotp(decryptSecret(user.two_factor_secret), code, {
+        afterStep: user.two_factor_last_step
+    });
+
+    if (step === null) {
+        return false;
+    }
+
+    const updated = await executeQuery(
+        `UPDATE [Users]
+         SET two_factor_last_step = @step
+         OUTPUT INSERTED.id
+         WHERE id = @userId AND (two_factor_last_step IS NULL OR two_factor_last_step < @step)`,
+        { userId: user.id, step }
+    );
+
+    return updated.length > 0;
+}
+
+/**
+ * 2단계 인증 상태 조회
+ *
+ * @param {string} userId - 사용자 ID
+ * @returns {Promise<Object>} { enabled, enabledAt, recoveryCodesRemaining, requiredForAdmins, isAdmin }
+ */
+async function getStatus(userId) {
+    try {
+        const user = await getTwoFactorUser(userId);
+        const remaining = await executeQuery(TwoFactorRecoveryCode.getRemainingCountQuery(), { userId });
+
+        return {
+            enabled: Boolean(user.two_factor_enabled_at),
+            enabledAt: user.two_factor_enabled_at,
+            recoveryCodesRemaining: user.two_factor_enabled_at ? remaining[0].remaining : 0,
+            requiredForAdmins: await settingsService.isAdminTwoFactorRequired(),
+            isAdmin: Boolean(user.is_admin)
+        };
+    } catch (err) {
+        throw err;
+    }
+}
+
+/**
+ * 사용자의 2FA 활성화 여부
+ * @param {Object} user - two_factor_enabled_at 포함 사용자 행
+ * @returns {boolean}
+ */
+function isEnabled(user) {
+    return Boolean(user.two_factor_enabled_at && user.two_factor_secret);
+}
+
+/**
+ * 2FA 등록 시작
+ *
+ * @param {string} userId - 사용자 ID
+ *
+ * @returns {Promise<Object>} { secret, otpauthUri, qrCodeDataUrl }
+ *   - secret: 수동 입력용 Base32 시크릿
+ *   - otpauthUri: 인증 앱 등록 URI
+ *   - qrCodeDataUrl: otpauthUri QR 코드 (data:image/png;base64,...)
+ *
+ * @throws {Error} 409 TWO_FACTOR_ALREADY_ENABLED
+ *
+ * @note
+ * - 확인(confirmSetup) 전까지는 로그인에 영향 없음
+ * - 다시 호출하면 이전 미확인 시크릿은 폐기
+ */
+async function beginSetup(userId) {
+    try {
+        const user = await getTwoFactorUser(userId);
+
+        if (isEnabled(user)) {
+            throw createError('이미 2단계 인증이 활성화되어 있습니다', 409, 'TWO_FACTOR_ALREADY_ENABLED');
+        }
+
+        const secret = generateTotpSecret();
+
+        await executeNonQuery(
+            'UPDATE [Users] SET two_factor_pending_secret = @pendingSecret WHERE id = @userId',
+            { userId, pendingSecret: encryptSecret(secret) }
+        );
+
+        const otpauthUri = buildOtpauthUri(secret, user.email);
+        const qrCodeDataUrl = await QRCode.toDataURL(otpauthUri);
+
+        return { secret, otpauthUri, qrCodeDataUrl };
+    } catch (err) {
+        throw err;
+    }
+}
+
+/**
+ * 2FA 등록 확인 (활성화)
+ *
+ * @param {string} userId - 사용자 ID
+ * @param {string} code - 인증 앱에 표시된 6자리 코드
+ * @param {string} [sessionId] - 현재 세션 ID (2단계 인증 완료 세션으로 표시)
+ *
+ * @returns {Promise<Object>} { recoveryCodes } - 1회만 노출
+ *
+ * @throws {Error}
+ *   - 400 TWO_FACTOR_SETUP_NOT_STARTED: 등록 시작 전
+ *   - 400 INVALID_TWO_FACTOR_CODE: 코드 불일치
+ *
+ * @flow
+ * 1. 미확인 시크릿으로 코드 검증
+ * 2. 미확인 시크릿 → 확인 시크릿으로 이동, 활성화 시각 기록
+ * 3. 복구 코드 발급
+ * 4. 현재 세션을 2단계 인증 완료로 표시 (관리자 2FA 필수 시 재로그인 불필요)
+ */
+async function confirmSetup(userId, code, sessionId) {
+    try {
+        const user = await getTwoFactorUser(userId);
+
+        if (isEnabled(user)) {
+            throw createError('이미 2단계 인증이 활성화되어 있습니다', 409, 'TWO_FACTOR_ALREADY_ENABLED');
+        }
+
+        if (!user.two_factor_pending_secret) {
+            throw createError('2단계 인증 등록을 먼저 시작하세요', 400, 'TWO_FACTOR_SETUP_NOT_STARTED');
+        }
+
+        const step = verifyTotp(decryptSecret(user.two_factor_pending_secret), code);
+
+        if (step === null) {
+            throw createError('인증 코드가 올바르지 않습니다', 400, 'INVALID_TWO_FACTOR_CODE');
+        }
+
+        const updated = await executeQuery(
+            `UPDATE [Users]
+             SET two_factor_secret = two_factor_pending_secret,
+                 two_factor_pending_secret = NULL,
+                 two_factor_enabled_at = GETDATE(),
+                 two_factor_last_step = @step
+             OUTPUT INSERTED.id
+             WHERE id = @userId AND two_factor_pending_secret = @pendingSecret`,
+            { userId, step, pendingSecret: user.two_factor_pending_secret }
+        );
+
+        // 확인 도중 등록을 다시 시작한 경우
+        if (updated.length === 0) {
+            throw createError('2단계 인증 등록을 먼저 시작하세요', 400, 'TWO_FACTOR_SETUP_NOT_STARTED');
+        }
+
+        const recoveryCodes = await issueRecoveryCodes(userId);
+
+        if (sessionId) {
+            await executeNonQuery(UserSession.getMarkTwoFactorVerifiedQuery(), { sessionId, userId });
+        }
+
+        console.log('[2FA 활성화]', {
+            userId,
+            timestamp: new Date().toISOString()
+        });
+
+        return { recoveryCodes };
+    } catch (err) {
+        throw err;
+    }
+}
+
+/**
+ * 2단계 코드 검증 (로그인 2단계, 해제 확인)
+ *
+ * @param {Object} user - getTwoFactorUser 결과 또는 동일 컬럼을 가진 사용자 행
+ * @param {Object} factor - { code } 또는 { recoveryCode }
+ *
+ * @returns {Promise<string>} 사용된 방식 ('totp' | 'recovery_code')
+ *
+ * @throws {Error} 401 INVALID_TWO_FACTOR_CODE
+ */
+async function verifySecondFactor(user, { code, recoveryCode } = {}) {
+    try {
+        if (code && await consumeTotpCode(user, code)) {
+            return 'totp';
+        }
+
+        if (recoveryCode) {
+            const consumed = await executeQuery(TwoFactorRecoveryCode.getConsumeQuery(), {
+                userId: user.id,
+                codeHash: hashToken(normalizeRecoveryCode(recoveryCode))
+            });
+
+            if (consumed.length > 0) {
+                console.log('[2FA 복구 코드 사용]', {
+                    userId: user.id,
+                    timestamp: new Date().toISOString()
+                });
+                return 'recovery_code';
+            }
+        }
+
+        throw createError('인증 코드가 올바르지 않습니다', 401, 'INVALID_TWO_FACTOR_CODE');
+    } catch (err) {
+        throw err;
+    }
+}
+
+/**
+ * 로그인 2단계 검증 (userId 기준)
+ *
+ * @param {string} userId - 사용자 ID
+ * @param {Object} factor - { code } 또는 { recoveryCode }
+ * @returns {Promise<string>} 사용된 방식
+ * @throws {Error} 401 INVALID_TWO_FACTOR_CODE (2FA 미사용 사용자 포함)
+ */
+async function verifyLoginFactor(userId, factor) {
+    const user = await getTwoFactorUser(userId);
+
+    if (!isEnabled(user)) {
+        throw createError('인증 코드가 올바르지 않습니다', 401, 'INVALID_TWO_FACTOR_CODE');
+    }
+
+    return verifySecondFactor(user, factor);
+}
+
+/**
+ * 2FA 해제
+ *
+ * @param {string} userId - 사용자 ID
+ * @param {Object} input - { password, code, recoveryCode }
+ *
+ * @returns {Promise<void>}
+ *
+ * @throws {Error}
+ *   - 400 TWO_FACTOR_NOT_ENABLED: 활성화되지 않음
+ *   - 401 INVALID_PASSWORD: 비밀번호 불일치
+ *   - 401 INVALID_TWO_FACTOR_CODE: 코드 불일치
+ *   - 403 TWO_FACTOR_REQUIRED: 관리자 2FA 필수 설정 중인 관리자
+ */
+async function disable(userId, { password, code, recoveryCode } = {}) {
+    try {
+        const user = await getTwoFactorUser(userId);
+
+        if (!isEnabled(user)) {
+            throw createError('2단계 인증이 활성화되어 있지 않습니다', 400, 'TWO_FACTOR_NOT_ENABLED');
+        }
+
+        if (user.is_admin && await settingsService.isAdminTwoFactorRequired()) {
+            throw createError('관리자 계정은 2단계 인증을 해제할 수 없습니다', 403, 'TWO_FACTOR_REQUIRED');
+        }
+
+        if (!password || !(await verifyPassword(password, user.password_hash))) {
+            throw createError('비밀번호가 일치하지 않습니다', 401, 'INVALID_PASSWORD');
+        }
+
+        await verifySecondFactor(user, { code, recoveryCode });
+
+        await executeNonQuery(
+            `UPDATE [Users]
+             SET two_factor_secret = NULL, two_factor_pending_secret = NULL,
+                 two_factor_enabled_at = NULL, two_factor_last_step = NULL
+             WHERE id = @userId`,
+            { userId }
+        );
+        await executeNonQuery(TwoFactorRecoveryCode.getDeleteByUserQuery(), { userId });
+
+        console.log('[2FA 해제]', {
+            userId,
+            timestamp: new Date().toISOString()
+        });
+    } catch (err) {
+        throw err;
+    }
+}
+
+/**
+ * 복구 코드 재발급 (기존 코드 모두 무효)
+ *
+ * @param {string} userId - 사용자 ID
+ * @param {string} code - 인증 앱 6자리 코드
+ *
+ * @returns {Promise<Object>} { recoveryCodes }
+ *
+ * @throws {Error}
+ *   - 400 TWO_FACTOR_NOT_ENABLED
+ *   - 401 INVALID_TWO_FACTOR_CODE
+ */
+async function regenerateRecoveryCodes(userId, code) {
+    try {
+        const user = await getTwoFactorUser(userId);
+
+        if (!isEnabled(user)) {
+            throw createError('2단계 인증이 활성화되어 있지 않습니다', 400, 'TWO_FACTOR_NOT_ENABLED');
+        }
+
+        await verifySecondFactor(user, { code });
+
+        const recoveryCodes = await issueRecoveryCodes(userId);
+
+        return { recoveryCodes };
+    } catch (err) {
+        throw err;
+    }
+}
+
+module.exports = {
+    getStatus,
+    isEnabled,
+    beginSetup,
+    confirmSetup,
+    verifyLoginFactor,
+    disable,
+    regenerateRecoveryCodes
+};
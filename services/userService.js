@@ -1,10 +1,11 @@
 const { executeQuery, executeNonQuery } = require('../config/database');
 const { hashPassword, verifyPassword } = require('../utils/cryptoUtils');
+const sessionService = require('./sessionService');
 
 async function getUserInfo(userId) {
     try {
         const users = await executeQuery(
-            `SELECT id, first_name, last_name, email, phone_number, is_admin, is_active, is_blocked, created_at 
+            `SELECT id, first_name, last_name, email, phone_number, is_admin, is_active, is_blocked, email_verified_at, created_at 
              FROM [Users] WHERE id = @userId`,
             { userId }
         );
@@ -98,6 +99,9 @@ async function changePassword(userId, currentPassword, newPassword) {
             }
         );
 
+        // Step 5: 모든 세션 및 Refresh Token 폐기 (모든 기기 재로그인 필요)
+        await sessionService.revokeAllSessions(userId, 'password_changed');
+
         console.log('[비밀번호 변경]', {
             userId,
             timestamp: new Date().toISOString()
@@ -2,17 +2,20 @@ const { executeQuery, executeNonQuery } = require('../config/database');
 const { createHmacSignature } = require('../utils/cryptoUtils');
 const axios = require('axios');
 
-async function registerWebhook(userId, webhookUrl, eventType) {
+// Webhook은 조직 단위 (organization_id), user_id는 등록한 멤버
+
+async function registerWebhook(organizationId, userId, webhookUrl, eventType) {
     try {
         const webhookId = require('crypto').randomUUID();
         const secretToken = require('crypto').randomBytes(32).toString('hex');
         
         await executeNonQuery(
             `INSERT INTO [Webhooks] 
-             (id, user_id, webhook_url, event_type, secret_token)
-             VALUES (@id, @userId, @url, @eventType, @secretToken)`,
+             (id, organization_id, user_id, webhook_url, event_type, secret_token)
+             VALUES (@id, @organizationId, @userId, @url, @eventType, @secretToken)`,
             {
                 id: webhookId,
+                organizationId,
                 userId,
                 url: webhookUrl,
                 eventType,
@@ -26,12 +29,12 @@ async function registerWebhook(userId, webhookUrl, eventType) {
     }
 }
 
-async function getUserWebhooks(userId) {
+async function getOrganizationWebhooks(organizationId) {
     try {
         const webhooks = await executeQuery(
             `SELECT id, webhook_url, event_type, is_active, created_at FROM [Webhooks]
-             WHERE user_id = @userId`,
-            { userId }
+             WHERE organization_id = @organizationId`,
+            { organizationId }
         );
         
         return webhooks;
@@ -40,13 +43,13 @@ async function getUserWebhooks(userId) {
     }
 }
 
-async function triggerWebhook(userId, eventType, eventData) {
+async function triggerWebhook(organizationId, eventType, eventData) {
     try {
-        // 해당 이벤트를 등록한 Webhook 찾기
+        // 해당 이벤트를 등록한 조직의 Webhook 찾기
         const webhooks = await executeQuery(
             `SELECT id, webhook_url, secret_token FROM [Webhooks]
-             WHERE user_id = @userId AND event_type = @eventType AND is_active = 1`,
-            { userId, eventType }
+             WHERE organization_id = @organizationId AND event_type = @eventType AND is_active = 1`,
+            { organizationId, eventType }
         );
         
         for (const webhook of webhooks) {
@@ -110,6 +113,6 @@ async function triggerWebhook(userId, eventType, eventData) {
 
 module.exports = {
     registerWebhook,
-    getUserWebhooks,
+    getOrganizationWebhooks,
     triggerWebhook
 };
\ No newline at end of file
@@ -57,7 +57,87 @@ async function verifyPassword(password, hash) {
 }
 
 /**
- * API Secret 암호화 (SHA256 사용)
+ * API Secret 해시 버전 접두사
+ * - v1 (접두사 없음): SHA256 64자 16진수 - 기존 Key, 검증 성공 시 v2로 자동 변환
+ * - v2: HMAC-SHA256(API_SECRET_PEPPER, secret) → 'v2$' + 64자 16진수
+ */
+const API_SECRET_HASH_V2_PREFIX = 'v2$';
+
+/**
+ * API Secret 해시용 서버 pepper (API_SECRET_PEPPER)
+ * - DB에는 저장하지 않으므로 DB만 유출되어서는 해시로 Secret을 추측할 수 없음
+ * - 값을 바꾸면 모든 v2 해시가 무효 (전체 Key 재발급 필요)
+ */
+function getApiSecretPepper() {
+    if (!process.env.API_SECRET_PEPPER) {
+        throw new Error('API_SECRET_PEPPER is not configured in environment variables');
+    }
+
+    return process.env.API_SECRET_PEPPER;
+}
+
+/**
+ * 같은 길이일 때만 상수 시간 비교 (길이가 다르면 false)
+ * @param {string} a
+ * @param {string} b
+ * @returns {boolean}
+ */
+function safeEqual(a, b) {
+    const left = Buffer.from(String(a), 'utf8');
+    const right = Buffer.from(String(b), 'utf8');
+
+    return left.length === right.length && crypto.timingSafeEqual(left, right);
+}
+
+/**
+ * API Secret 해싱 (v2: HMAC-SHA256 + 서버 pepper)
+ *
+ * @param {string} secret - API Secret 원문
+ * @returns {string} 'v2$' + HMAC-SHA256 16진수 (67자)
+ * @throws {Error} API_SECRET_PEPPER 미설정
+ *
+ * 예시:
+ * const secretHash = hashApiSecret(apiSecret);
+ * // 저장: api_secret_hash = secretHash
+ * // 검증: verifyApiSecret(inputSecret, storedHash)
+ */
+function hashApiSecret(secret) {
+    const digest = crypto
+        .createHmac('sha256', getApiSecretPepper())
+        .update(String(secret))
+        .digest('hex');
+
+    return API_SECRET_HASH_V2_PREFIX + digest;
+}
+
+/**
+ * API Secret 검증 (v1 / v2 해시 모두 지원, 상수 시간 비교)
+ *
+ * @param {string} secret - 요청된 API Secret 원문
+ * @param {string} storedHash - DB에 저장된 해시
+ * @returns {{ valid: boolean, needsUpgrade: boolean }}
+ *   - needsUpgrade: v1 해시로 검증 성공 → 호출자가 hashApiSecret 결과로 교체
+ *
+ * 예시:
+ * const { valid, needsUpgrade } = verifyApiSecret(apiSecret, keyRecord.api_secret_hash);
+ */
+function verifyApiSecret(secret, storedHash) {
+    if (!storedHash || typeof secret !== 'string') {
+        return { valid: false, needsUpgrade: false };
+    }
+
+    if (storedHash.startsWith(API_SECRET_HASH_V2_PREFIX)) {
+        return { valid: safeEqual(hashApiSecret(secret), storedHash), needsUpgrade: false };
+    }
+
+    const valid = safeEqual(encryptApiSecret(secret), storedHash);
+    return { valid, needsUpgrade: valid };
+}
+
+/**
+ * API Secret 암호화 (SHA256 사용) - v1 (기존 Key 검증용)
+ * 
+ * 새 Key는 hashApiSecret (v2) 사용
  * 
  * 용도:
  * - API Secret은 평문 저장 불가
@@ -211,6 +291,83 @@ function createHmacSignature(payload, secret) {
         .digest('hex');
 }
 
+/**
+ * 토큰 해시 생성 (SHA256)
+ *
+ * 용도:
+ * - Refresh Token 등 서버에 저장해야 하는 토큰은 원문 대신 해시만 저장
+ * - DB가 유출되어도 토큰을 재사용할 수 없음
+ *
+ * @param {string} token - 토큰 원문
+ * @returns {string} SHA256 해시값 (64자)
+ */
+function hashToken(token) {
+    return crypto
+        .createHash('sha256')
+        .update(token)
+        .digest('hex');
+}
+
+/**
+ * 데이터 암호화 키 (DATA_ENCRYPTION_KEY)
+ * - 임의 길이의 문자열을 SHA256으로 32바이트 키로 변환
+ * - 키를 바꾸면 기존 암호문은 복호화 불가 (2FA 재등록 필요)
+ */
+function getDataEncryptionKey() {
+    if (!process.env.DATA_ENCRYPTION_KEY) {
+        throw new Error('DATA_ENCRYPTION_KEY is not configured in environment variables');
+    }
+
+    return crypto
+        .createHash('sha256')
+        .update(process.env.DATA_ENCRYPTION_KEY)
+        .digest();
+}
+
+/**
+ * 민감 데이터 암호화 (AES-256-GCM)
+ *
+ * 용도:
+ * - 서버가 원문을 다시 알아야 하는 값 (TOTP 시크릿 등)
+ * - 해시와 달리 복호화 가능하므로 키 관리 필수
+ *
+ * @param {string} plainText - 평문
+ * @returns {string} 'iv:authTag:cipherText' (각 base64)
+ *
+ * 예시:
+ * const encrypted = encryptSecret(totpSecret);
+ * // 저장: two_factor_secret = encrypted
+ */
+function encryptSecret(plainText) {
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv('aes-256-gcm', getDataEncryptionKey(), iv);
+
+    const encrypted = Buffer.concat([cipher.update(plainText, 'utf8'), cipher.final()]);
+    const authTag = cipher.getAuthTag();
+
+    return [iv, authTag, encrypted].map(part => part.toString('base64')).join(':');
+}
+
+/**
+ * 민감 데이터 복호화 (AES-256-GCM)
+ *
+ * @param {string} payload - encryptSecret 결과
+ * @returns {string} 평문
+ * @throws {Error} 형식 오류, 키 불일치, 변조된 암호문
+ */
+function decryptSecret(payload) {
+    const [iv, authTag, encrypted] = String(payload).split(':').map(part => Buffer.from(part, 'base64'));
+
+    if (!iv || !authTag || !encrypted) {
+        throw new Error('Invalid encrypted payload');
+    }
+
+    const decipher = crypto.createDecipheriv('aes-256-gcm', getDataEncryptionKey(), iv);
+    decipher.setAuthTag(authTag);
+
+    return Buffer.concat([decipher.update(encrypted), decipher.final()]).toString('utf8');
+}
+
 /**
  * 모듈 내보내기
  */
@@ -218,11 +375,17 @@ module.exports = {
     hashPassword,
     verifyPassword,
     encryptApiSecret,
+    hashApiSecret,
+    verifyApiSecret,
+    safeEqual,
     generateApiKey,
     generateApiSecret,
     generateUUID,
     generateToken,
-    createHmacSignature
+    createHmacSignature,
+    hashToken,
+    encryptSecret,
+    decryptSecret
 };
 
 /**
@@ -230,7 +393,7 @@ module.exports = {
  * 
  * 1. 암호화 방식 선택
  *    - 비밀번호: bcrypt (계속 느려짐)
- *    - API Secret: SHA256 (빠름, 일반 저장용)
+ *    - API Secret: HMAC-SHA256 + 서버 pepper (v2, 빠름, DB 유출 대비)
  *    - Webhook: HMAC (검증용)
  * 
  * 2. 레이트 리미팅
@@ -0,0 +1,128 @@
+/**
+ * utils/ipAllowlistUtils.js
+ * 역할: API Key IP 화이트리스트 (ApiKeys.ip_whitelist) 검증 및 매칭
+ * 라이브러리: net (BlockList로 주소/CIDR 매칭)
+ *
+ * 허용 형식 (IPv4 / IPv6):
+ * - 단일 주소: 203.0.113.10, 2001:db8::1
+ * - CIDR 범위: 203.0.113.0/24, 2001:db8::/32
+ *
+ * 저장 형식: 콤마로 구분 (예: "203.0.113.0/24,2001:db8::1")
+ * - 비어 있으면(NULL) 모든 IP 허용
+ */
+
+const net = require('net');
+
+const MAX_ENTRIES = 50;
+
+/**
+ * IPv4-mapped IPv6 주소(::ffff:1.2.3.4) → IPv4
+ * - 듀얼 스택 서버에서 req.ip가 이 형식으로 들어옴
+ * @param {string} ip - IP 주소
+ * @returns {string}
+ */
+function normalizeIp(ip) {
+    const value = String(ip || '').trim();
+    const mapped = /^::ffff:(\d+\.\d+\.\d+\.\d+)$/i.exec(value);
+    return mapped ? mapped[1] : value.toLowerCase();
+}
+
+/**
+ * 화이트리스트 항목 1개 파싱
+ * @param {string} entry - 주소 또는 CIDR
+ * @returns {{ address: string, prefix: number|null, family: string }|null} 잘못된 형식이면 null
+ */
+function parseEntry(entry) {
+    const [rawAddress, rawPrefix, ...rest] = String(entry).trim().split('/');
+    if (rest.length > 0) return null;
+
+    const address = normalizeIp(rawAddress);
+    const version = net.isIP(address);
+    if (version === 0) return null;
+
+    const family = version === 4 ? 'ipv4' : 'ipv6';
+    if (rawPrefix === undefined) {
+        return { address, prefix: null, family };
+    }
+
+    const maxPrefix = version === 4 ? 32 : 128;
+    if (!/^\d{1,3}$/.test(rawPrefix) || Number(rawPrefix) > maxPrefix) return null;
+
+    return { address, prefix: Number(rawPrefix), family };
+}
+
+/**
+ * 화이트리스트 입력 검증 및 정규화
+ *
+ * @param {string[]} entries - 주소 / CIDR 목록 (빈 배열이면 제한 없음)
+ * @returns {{ entries: string[], invalid: string[] }}
+ *   - entries: 정규화된 항목 (중복 제거)
+ *   - invalid: 형식이 잘못된 항목 (있으면 호출자가 400 처리)
+ */
+function normalizeIpWhitelist(entries) {
+    const normalized = [];
+    const invalid = [];
+
+    for (const entry of entries) {
+        const parsed = typeof entry === 'string' ? parseEntry(entry) : null;
+        if (!parsed) {
+            invalid.push(String(entry));
+            continue;
+        }
+
+        const value = parsed.prefix === null ? parsed.address : `${parsed.address}/${parsed.prefix}`;
+        if (!normalized.includes(value)) normalized.push(value);
+    }
+
+    return { entries: normalized, invalid };
+}
+
+/**
+ * DB 저장값(콤마 구분) → 항목 배열
+ * @param {string|null} value - ApiKeys.ip_whitelist
+ * @returns {string[]}
+ */
+function parseIpWhitelist(value) {
+    return value ? value.split(',').map(entry => entry.trim()).filter(Boolean) : [];
+}
+
+/**
+ * 클라이언트 IP가 화이트리스트에 포함되는지 확인
+ *
+ * @param {string} ip - 클라이언트 IP (trust proxy 적용된 req.ip)
+ * @param {string[]} entries - 화이트리스트 항목
+ * @returns {boolean} 허용 여부 (항목이 없으면 항상 true)
+ *
+ * 참고:
+ * - 잘못 저장된 항목은 무시 (허용 범위를 넓히지 않음)
+ * - IP를 알 수 없으면 제한이 있는 Key는 거부
+ */
+function isIpAllowed(ip, entries) {
+    if (!entries || entries.length === 0) return true;
+
+    const address = normalizeIp(ip);
+    const version = net.isIP(address);
+    if (version === 0) return false;
+
+    const blockList = new net.BlockList();
+    for (const entry of entries) {
+        const parsed = parseEntry(entry);
+        if (!parsed) continue;
+
+        if (parsed.prefix === null) {
+            blockList.addAddress(parsed.address, parsed.family);
+        } else {
+            blockList.addSubnet(parsed.address, parsed.prefix, parsed.family);
+        }
+    }
+
+    return blockList.check(address, version === 4 ? 'ipv4' : 'ipv6');
+}
+
+module.exports = {
+    MAX_ENTRIES,
+    normalizeIp,
+    normalizeIpWhitelist,
+    parseIpWhitelist,
+    isIpAllowed
+};
@@ -0,0 +1,158 @@
+/**
+ * utils/requestSignatureUtils.js
+ * 역할: API Key 서명 요청 (api_secret을 body로 보내지 않는 인증 방식) 생성 / 검증
+ * 라이브러리: crypto (HMAC-SHA256, SHA256)
+ *
+ * 요청 헤더:
+ * - X-Api-Key: API Key (sk_...)
+ * - X-Timestamp: 요청 시각 (Unix 초)
+ * - X-Nonce: 요청마다 새로 만든 임의 문자열 (16~64자, [A-Za-z0-9_-])
+ * - X-Signature: HMAC-SHA256(서명 Secret, 서명 문자열) 16진수
+ *   (서명 Secret: POST /api/api-keys/:keyId/signing-secret으로 발급, API Secret과 별개)
+ *
+ * 서명 문자열 (줄바꿈으로 연결):
+ *   METHOD \n 경로(쿼리 포함) \n X-Timestamp \n X-Nonce \n SHA256(요청 body 원문) 16진수
+ *   - nonce도 서명에 포함 → nonce만 바꿔 같은 서명을 재전송할 수 없음
+ *   - body가 없으면 빈 문자열의 SHA256
+ *
+ * 재전송 방지:
+ * - X-Timestamp가 서버 시각과 MAX_CLOCK_SKEW_SECONDS 이상 차이 나면 거부
+ * - 같은 Key의 nonce는 허용 시간 범위 동안 한 번만 사용 가능 (인스턴스 메모리 캐시)
+ *
+ * 예시 (클라이언트, Node.js):
+ * const body = JSON.stringify({ prompt: '...' });
+ * const timestamp = Math.floor(Date.now() / 1000).toString();
+ * const nonce = crypto.randomBytes(16).toString('hex');
+ * const stringToSign = ['POST', '/api/validate-key', timestamp, nonce, sha256Hex(body)].join('\n');
+ * const signature = crypto.createHmac('sha256', signingSecret).update(stringToSign).digest('hex');
+ */
+
+const crypto = require('crypto');
+const { API_KEY_SIGNATURE } = require('../config/constants');
+
+const NONCE_PATTERN = /^[A-Za-z0-9_-]+$/;
+const TIMESTAMP_PATTERN = /^\d{1,12}$/;
+const SIGNATURE_PATTERN = /^[0-9a-f]{64}$/i;
+
+// nonce 캐시: 'apiKeyId:nonce' → 만료 시각(ms), 삽입 순서 = 만료 순서 (TTL이 모두 같음)
+const seenNonces = new Map();
+
+/**
+ * 요청 body 원문의 SHA256 (16진수)
+ * @param {Buffer|string} [rawBody] - express.json verify에서 저장한 req.rawBody
+ * @returns {string}
+ */
+function hashRequestBody(rawBody) {
+    return crypto
+        .createHash('sha256')
+        .update(rawBody || '')
+        .digest('hex');
+}
+
+/**
+ * 서명 문자열 생성
+ * @param {Object} parts - { method, path, timestamp, nonce, bodyHash }
+ * @returns {string}
+ */
+function buildStringToSign({ method, path, timestamp, nonce, bodyHash }) {
+    return [String(method).toUpperCase(), path, timestamp, nonce, bodyHash].join('\n');
+}
+
+/**
+ * 요청 서명 계산
+ * @param {string} signingSecret - 서명 Secret 원문
+ * @param {Object} parts - buildStringToSign 인자
+ * @returns {string} HMAC-SHA256 16진수 (64자)
+ */
+function computeRequestSignature(signingSecret, parts) {
+    return crypto
+        .createHmac('sha256', signingSecret)
+        .update(buildStringToSign(parts))
+        .digest('hex');
+}
+
+/**
+ * 서명 헤더 형식 확인
+ * @param {Object} headers - { timestamp, nonce, signature }
+ * @returns {boolean}
+ */
+function isValidSignatureFormat({ timestamp, nonce, signature }) {
+    return typeof timestamp === 'string' && TIMESTAMP_PATTERN.test(timestamp)
+        && typeof nonce === 'string' && NONCE_PATTERN.test(nonce)
+        && nonce.length >= API_KEY_SIGNATURE.NONCE_MIN_LENGTH
+        && nonce.length <= API_KEY_SIGNATURE.NONCE_MAX_LENGTH
+        && typeof signature === 'string' && SIGNATURE_PATTERN.test(signature);
+}
+
+/**
+ * 허용 시각 차이 (초, .env API_SIGNATURE_MAX_SKEW_SECONDS)
+ * @returns {number}
+ */
+function getMaxClockSkewSeconds() {
+    return parseInt(process.env.API_SIGNATURE_MAX_SKEW_SECONDS, 10) || API_KEY_SIGNATURE.MAX_CLOCK_SKEW_SECONDS;
+}
+
+/**
+ * X-Timestamp가 서버 시각 기준 허용 범위 안인지 확인 (과거 / 미래 모두)
+ * @param {string} timestamp - Unix 초
+ * @returns {boolean}
+ */
+function isTimestampWithinSkew(timestamp) {
+    const skewSeconds = Math.abs(Math.floor(Date.now() / 1000) - parseInt(timestamp, 10));
+    return skewSeconds <= getMaxClockSkewSeconds();
+}
+
+/**
+ * 만료된 nonce 정리 (앞에서부터 만료되지 않은 항목을 만날 때까지)
+ */
+function pruneNonces(now) {
+    for (const [key, expiresAt] of seenNonces) {
+        if (expiresAt > now) break;
+        seenNonces.delete(key);
+    }
+}
+
+/**
+ * nonce 사용 기록 (처음 사용이면 true, 재사용이면 false)
+ *
+ * @param {string} apiKeyId - API Key ID (Key마다 별도 nonce 공간)
+ * @param {string} nonce - X-Nonce
+ * @returns {boolean}
+ *
+ * @note
+ * - 허용 시각 범위(앞뒤) 동안 보관 → 그 이후의 재전송은 timestamp 검사에서 거부
+ * - 인스턴스 메모리에만 저장 (여러 인스턴스 운영 시 인스턴스마다 별도)
+ */
+function rememberNonce(apiKeyId, nonce) {
+    const now = Date.now();
+    const key = `${apiKeyId}:${nonce}`;
+
+    pruneNonces(now);
+
+    const expiresAt = seenNonces.get(key);
+    if (expiresAt && expiresAt > now) {
+        return false;
+    }
+
+    seenNonces.set(key, now + getMaxClockSkewSeconds() * 2 * 1000);
+    return true;
+}
+
+/**
+ * nonce 캐시가 가득 찼는지 확인 (가득 차면 재전송 방지를 보장할 수 없으므로 서명 요청 거부)
+ * @returns {boolean}
+ */
+function isNonceCacheFull() {
+    pruneNonces(Date.now());
+    return seenNonces.size >= API_KEY_SIGNATURE.MAX_CACHED_NONCES;
+}
+
+module.exports = {
+    hashRequestBody,
+    buildStringToSign,
+    computeRequestSignature,
+    isValidSignatureFormat,
+    isTimestampWithinSkew,
+    rememberNonce,
+    isNonceCacheFull
+};
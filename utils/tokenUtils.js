@@ -1,12 +1,20 @@
 const jwt = require('jsonwebtoken');
 
+// 이메일 인증 토큰 용도 구분값 (aud 클레임)
+const EMAIL_VERIFICATION_AUDIENCE = 'email-verification';
+
+// 2단계 인증 챌린지 토큰 용도 구분값 (aud 클레임)
+const TWO_FACTOR_CHALLENGE_AUDIENCE = 'two-factor-challenge';
+
 // Access Token 생성
-function generateAccessToken(userId, isAdmin = false) {
+// sid: 로그인 세션 ID (UserSessions.id) - 로그아웃 시 즉시 무효화하기 위해 사용
+function generateAccessToken(userId, isAdmin = false, sessionId) {
 
     console.log('Generating access token for userId:', userId, 'isAdmin:', isAdmin);
     const payload = {
         userId,
-        isAdmin: isAdmin === 1 ? true : Boolean(isAdmin)  // ✅ 항상 boolean
+        isAdmin: isAdmin === 1 ? true : Boolean(isAdmin),  // ✅ 항상 boolean
+        sid: sessionId
     };
     const options = {
         expiresIn: process.env.JWT_EXPIRE || '7d'
@@ -19,19 +27,27 @@ function generateAccessToken(userId, isAdmin = false) {
  * Refresh Token 생성
  * @param {string} userId - 사용자 ID
  * @param {boolean} isAdmin - 관리자 여부
+ * @param {Object} ids - 서버 측 저장용 식별자
+ * @param {string} ids.tokenId - 토큰 ID (jti, RefreshTokens.id)
+ * @param {string} ids.familyId - 토큰 family ID (회전 시 유지)
  * @returns {string} JWT Refresh Token
  */
-function generateRefreshToken(userId, isAdmin = false) {
+function generateRefreshToken(userId, isAdmin = false, { tokenId, familyId } = {}) {
 
     const payload = {
         userId,
-        isAdmin: isAdmin === 1 ? true : Boolean(isAdmin)
+        isAdmin: isAdmin === 1 ? true : Boolean(isAdmin),
+        familyId
     };
 
     const options = {
         expiresIn: process.env.JWT_REFRESH_EXPIRE || '30d'
     };
 
+    if (tokenId) {
+        options.jwtid = tokenId;
+    }
+
     return jwt.sign(payload, process.env.JWT_REFRESH_SECRET, options);
 }
 
@@ -73,6 +89,75 @@ function verifyToken(token, isRefresh = false) {
 }
 
 
+/**
+ * 이메일 인증 토큰 생성
+ * - audience로 용도를 구분하여 Access Token과 혼용 불가
+ * - email을 포함하여 이메일이 바뀌면 기존 링크는 무효
+ * @param {string} userId - 사용자 ID
+ * @param {string} email - 인증할 이메일
+ * @returns {string} JWT 이메일 인증 토큰
+ */
+function generateEmailVerificationToken(userId, email) {
+    return jwt.sign(
+        { userId, email },
+        process.env.JWT_SECRET,
+        {
+            expiresIn: process.env.EMAIL_VERIFICATION_EXPIRE || '24h',
+            audience: EMAIL_VERIFICATION_AUDIENCE
+        }
+    );
+}
+
+/**
+ * 이메일 인증 토큰 검증
+ * @param {string} token - 이메일 인증 토큰
+ * @returns {Object|null} { userId, email } 또는 null (위조/만료/용도 불일치)
+ */
+function verifyEmailVerificationToken(token) {
+    try {
+        return jwt.verify(token, process.env.JWT_SECRET, {
+            audience: EMAIL_VERIFICATION_AUDIENCE
+        });
+    } catch (err) {
+        console.error('Email verification token invalid:', err.message);
+        return null;
+    }
+}
+
+/**
+ * 2단계 인증 챌린지 토큰 생성
+ * - 비밀번호 확인을 통과한 사용자에게만 발급 (API 접근 권한 없음)
+ * - 유효기간: TWO_FACTOR_CHALLENGE_EXPIRE (기본 5m)
+ * @param {string} userId - 사용자 ID
+ * @returns {string} JWT 챌린지 토큰
+ */
+function generateTwoFactorChallengeToken(userId) {
+    return jwt.sign(
+        { userId },
+        process.env.JWT_SECRET,
+        {
+            expiresIn: process.env.TWO_FACTOR_CHALLENGE_EXPIRE || '5m',
+            audience: TWO_FACTOR_CHALLENGE_AUDIENCE
+        }
+    );
+}
+
+/**
+ * 2단계 인증 챌린지 토큰 검증
+ * @param {string} token - 챌린지 토큰
+ * @returns {Object|null} { userId } 또는 null (위조/만료/용도 불일치)
+ */
+function verifyTwoFactorChallengeToken(token) {
+    try {
+        return jwt.verify(token, process.env.JWT_SECRET, {
+            audience: TWO_FACTOR_CHALLENGE_AUDIENCE
+        });
+    } catch (err) {
+        console.error('Two-factor challenge token invalid:', err.message);
+        return null;
+    }
+}
+
 /**
  * Authorization 헤더에서 Bearer 토큰 추출
  */
@@ -101,5 +186,9 @@ module.exports = {
     generateAccessToken,
     generateRefreshToken,
     verifyToken,
+    generateEmailVerificationToken,
+    verifyEmailVerificationToken,
+    generateTwoFactorChallengeToken,
+    verifyTwoFactorChallengeToken,
     extractTokenFromHeader
 };
\ No newline at end of file
@@ -0,0 +1,185 @@
+/**
+ * utils/totpUtils.js
+ * 역할: TOTP(RFC 6238) 2단계 인증 코드 생성/검증, otpauth URI 생성
+ * 라이브러리: crypto (Google Authenticator, Microsoft Authenticator 등과 호환)
+ *
+ * 기본값 (인증 앱 표준):
+ * - 알고리즘: HMAC-SHA1
+ * - 자릿수: 6
+ * - 주기: 30초
+ */
+
+const crypto = require('crypto');
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+const TOTP_DIGITS = 6;
+const TOTP_PERIOD_SECONDS = 30;
+
+/**
+ * Base32 인코딩 (RFC 4648, 패딩 없음)
+ * @param {Buffer} buffer - 원본 바이트
+ * @returns {string} Base32 문자열
+ */
+function base32Encode(buffer) {
+    let bits = 0;
+    let value = 0;
+    let output = '';
+
+    for (const byte of buffer) {
+        value = (value << 8) | byte;
+        bits += 8;
+
+        while (bits >= 5) {
+            output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+            bits -= 5;
+        }
+    }
+
+    if (bits > 0) {
+        output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+    }
+
+    return output;
+}
+
+/**
+ * Base32 디코딩 (공백, 패딩, 소문자 허용)
+ * @param {string} input - Base32 문자열
+ * @returns {Buffer} 원본 바이트
+ * @throws {Error} Base32 문자가 아닌 경우
+ */
+function base32Decode(input) {
+    const cleaned = input.replace(/[\s=]/g, '').toUpperCase();
+
+    let bits = 0;
+    let value = 0;
+    const bytes = [];
+
+    for (const char of cleaned) {
+        const index = BASE32_ALPHABET.indexOf(char);
+
+        if (index === -1) {
+            throw new Error('Invalid base32 character');
+        }
+
+        value = (value << 5) | index;
+        bits += 5;
+
+        if (bits >= 8) {
+            bytes.push((value >>> (bits - 8)) & 255);
+            bits -= 8;
+        }
+    }
+
+    return Buffer.from(bytes);
+}
+
+/**
+ * TOTP 시크릿 생성
+ * @param {number} [byteLength=20] - 시크릿 길이 (20바이트 = 160비트, RFC 4226 권장)
+ * @returns {string} Base32 시크릿 (32자)
+ */
+function generateTotpSecret(byteLength = 20) {
+    return base32Encode(crypto.randomBytes(byteLength));
+}
+
+/**
+ * 현재 time step 계산
+ * @param {number} [timestamp=Date.now()] - 기준 시각 (ms)
+ * @returns {number} time step (30초 단위)
+ */
+function getTimeStep(timestamp = Date.now()) {
+    return Math.floor(timestamp / 1000 / TOTP_PERIOD_SECONDS);
+}
+
+/**
+ * 특정 time step의 TOTP 코드 생성
+ * @param {string} secret - Base32 시크릿
+ * @param {number} step - time step
+ * @returns {string} 6자리 코드 (앞자리 0 유지)
+ */
+function generateTotp(secret, step = getTimeStep()) {
+    const counter = Buffer.alloc(8);
+    counter.writeBigUInt64BE(BigInt(step));
+
+    const hmac = crypto
+        .createHmac('sha1', base32Decode(secret))
+        .update(counter)
+        .digest();
+
+    // Dynamic truncation (RFC 4226 5.3)
+    const offset = hmac[hmac.length - 1] & 0x0f;
+    const binary = (hmac.readUInt32BE(offset) & 0x7fffffff) % (10 ** TOTP_DIGITS);
+
+    return String(binary).padStart(TOTP_DIGITS, '0');
+}
+
+/**
+ * TOTP 코드 검증
+ *
+ * @param {string} secret - Base32 시크릿
+ * @param {string} code - 사용자가 입력한 코드
+ * @param {Object} [options]
+ * @param {number} [options.window=1] - 허용 오차 (앞뒤 step 수, 1 = ±30초)
+ * @param {number} [options.afterStep] - 이 step 이하의 코드는 거부 (재사용 방지)
+ * @returns {number|null} 일치한 time step 또는 null
+ *
+ * 예시:
+ * const step = verifyTotp(secret, '123456', { afterStep: user.two_factor_last_step });
+ * if (step === null) throw ...;
+ * // step을 저장하여 같은 코드 재사용 차단
+ */
+function verifyTotp(secret, code, { window = 1, afterStep = null } = {}) {
+    const normalized = String(code || '').replace(/\s/g, '');
+
+    if (!new RegExp(`^\\d{${TOTP_DIGITS}}$`).test(normalized)) {
+        return null;
+    }
+
+    const currentStep = getTimeStep();
+
+    for (let offset = -window; offset <= window; offset++) {
+        const step = currentStep + offset;
+
+        if (afterStep !== null && afterStep !== undefined && step <= Number(afterStep)) {
+            continue;
+        }
+
+        const expected = generateTotp(secret, step);
+
+        if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(normalized))) {
+            return step;
+        }
+    }
+
+    return null;
+}
+
+/**
+ * otpauth URI 생성 (인증 앱 QR 코드 내용)
+ *
+ * @param {string} secret - Base32 시크릿
+ * @param {string} accountName - 계정 표시명 (이메일)
+ * @param {string} [issuer] - 서비스명 (TOTP_ISSUER, 기본 'Booster')
+ * @returns {string} otpauth://totp/... URI
+ */
+function buildOtpauthUri(secret, accountName, issuer = process.env.TOTP_ISSUER || 'Booster') {
+    const label = encodeURIComponent(`${issuer}:${accountName}`);
+    const params = new URLSearchParams({
+        secret,
+        issuer,
+        algorithm: 'SHA1',
+        digits: String(TOTP_DIGITS),
+        period: String(TOTP_PERIOD_SECONDS)
+    });
+
+    return `otpauth://totp/${label}?${params.toString()}`;
+}
+
+module.exports = {
+    generateTotpSecret,
+    generateTotp,
+    verifyTotp,
+    buildOtpauthUri,
+    getTimeStep
+};